@@ -519,7 +519,7 @@ class AlertSystem {
             direction: trade.direction,
             pnlPercent: trade.pnlPercent.toFixed(2) + '%',
             duration: Math.round(trade.duration / 60000) + ' min',
-            reason: trade.reason
+            reason: trade.exitReason
         });
     }
 
@@ -3,28 +3,101 @@
 
 const fs = require('fs');
 const path = require('path');
+const { createRandom, parseSeedArg } = require('../realistic-bots/random');
+const { normalizeTrade } = require('../realistic-bots/trade-schema');
+const { createStrategy, SIGNAL_ACTIONS, DEFAULT_STRATEGY } = require('../realistic-bots/strategies');
+const { loadCandles, parseDataArgs, inferTimeframe } = require('../realistic-bots/candle-loader');
+const { getArg } = require('../realistic-bots/cli-args');
+const { runMonteCarlo, assessRobustness } = require('../realistic-bots/monte-carlo');
+const { buildAttribution } = require('../realistic-bots/attribution');
+
+// Résolution d'un chandelier touchant à la fois le stop-loss et le take-profit
+const INTRABAR_MODES = ['pessimistic', 'optimistic', 'ohlc'];
+const BOTH_LEVELS = 'BOTH';
+
+// Options explicitement à undefined (ex. { initialCapital: undefined }) ignorées: elles n'écrasent pas les valeurs par défaut
+function definedOptions(config) {
+    return Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined));
+}
 
 class BacktestingEngine {
     constructor(config) {
+        // Chandeliers fournis par l'appelant: données d'entrée gardées hors de this.config (copié dans le rapport JSON)
+        const { candles, intrabarCandles, ...options } = config;
+        this.candles = candles || null; // { SYMBOLE: chandeliers } préchargés (sinon dataSource, sinon données simulées)
+        this.intrabarCandles = intrabarCandles || null; // { SYMBOLE: chandeliers plus fins } pour lever l'ambiguïté intrabar
+        
         this.config = {
             startDate: config.startDate || '2024-01-01',
             endDate: config.endDate || '2024-12-31',
             initialCapital: config.initialCapital || 10000,
             symbols: config.symbols || ['BTCUSDT', 'ETHUSDT'],
             
-            // Paramètres de stratégie à tester
+            // Stratégie du registre (realistic-bots/strategies) et ses paramètres
+            strategy: config.strategy || DEFAULT_STRATEGY,
+            strategyParams: config.strategyParams || {},
+            
+            // Paramètres de risque à tester
             dailyTargetMin: config.dailyTargetMin || 0.003,
             dailyTargetMax: config.dailyTargetMax || 0.005,
             stopLossPercent: config.stopLossPercent || 0.015,
             maxPositionPercent: config.maxPositionPercent || 0.05,
             
+            // Exécution intrabar: stop/take-profit évalués sur le plus haut/plus bas du chandelier
+            intrabarMode: config.intrabarMode || 'pessimistic', // stop et objectif dans le même chandelier: pessimistic (stop), optimistic (objectif), ohlc (parcours O-B-H-C / O-H-B-C)
+            intrabarTimeframe: config.intrabarTimeframe || null, // avec dataSource: unité des chandeliers fins chargés (ex. '1m')
+            
+            // Vente à découvert et marge isolée par position
+            allowShort: config.allowShort !== false,
+            leverage: config.leverage || 1, // notionnel = marge × levier
+            maxLeverage: config.maxLeverage || 3, // notionnel total / equity du portefeuille
+            maintenanceMargin: config.maintenanceMargin || 0.05, // fraction du notionnel, fixe le prix de liquidation
+            borrowFeeDaily: config.borrowFeeDaily !== undefined ? config.borrowFeeDaily : 0.0003, // intérêts d'emprunt par jour, comptés par heure entamée
+            
+            // Robustesse Monte Carlo (options de realistic-bots/monte-carlo et critères go/no-go), null = désactivée
+            monteCarlo: config.monteCarlo || null,
+            
+            // Portefeuille: capital commun à tous les symboles
+            subPortfolios: config.subPortfolios || null, // N: capital découpé comme le bot, une position par sous-portefeuille
+            maxConcurrentPositions: config.maxConcurrentPositions || null, // null = pas de limite
+            maxCorrelatedExposure: config.maxCorrelatedExposure || null, // fraction de l'equity sur des symboles corrélés
+            correlationThreshold: config.correlationThreshold || 0.7,
+            correlationWindow: config.correlationWindow || 48, // chandeliers de rendements
+            
+            // Limites de trading du bot (null = pas de limite)
+            maxTradesPerDay: config.maxTradesPerDay || null,
+            maxConsecutiveLosses: config.maxConsecutiveLosses || null,
+            cooldownAfterLoss: config.cooldownAfterLoss || 0, // ms
+            
             // Frais de trading
             makerFee: config.makerFee || 0.001, // 0.1%
             takerFee: config.takerFee || 0.001, // 0.1%
             
-            ...config
+            // Graine des données simulées (null = non reproductible)
+            seed: config.seed !== undefined ? config.seed : null,
+            
+            // Données historiques sur disque (realistic-bots/candle-loader):
+            // { path: fichier ou dossier, timeframe: '1h', timezone: 'UTC', fillGaps: false }
+            dataSource: config.dataSource || null,
+            
+            // Mode silencieux (optimiseur): ni logs ni rapport sur disque
+            quiet: config.quiet || false,
+            
+            ...definedOptions(options)
         };
         
+        if (!INTRABAR_MODES.includes(this.config.intrabarMode)) {
+            throw new Error(`Mode intrabar inconnu: ${this.config.intrabarMode} (${INTRABAR_MODES.join(', ')})`);
+        }
+        if (this.config.leverage < 1 || this.config.leverage > this.config.maxLeverage) {
+            throw new Error(`Levier ${this.config.leverage} hors limites (1 - ${this.config.maxLeverage})`);
+        }
+        
+        this.random = createRandom(this.config.seed);
+        this.loadedData = null;
+        this.intrabarData = null;
+        this.intrabarStats = { ambiguous: 0, drillDown: 0, gapFills: 0 };
+        
         this.results = {
             trades: [],
             dailyReturns: [],
@@ -37,6 +110,7 @@ class BacktestingEngine {
     }
 
     setupResults() {
+        if (this.config.quiet) return;
         const resultsDir = path.join(__dirname, 'backtest_results');
         if (!fs.existsSync(resultsDir)) {
             fs.mkdirSync(resultsDir, { recursive: true });
@@ -44,38 +118,108 @@ class BacktestingEngine {
         this.resultsDir = resultsDir;
     }
 
-    // Chargement des données historiques (simulation)
+    log(...args) {
+        if (!this.config.quiet) console.log(...args);
+    }
+
+    // Chargement des données historiques
     async loadHistoricalData(symbol, startDate, endDate) {
-        console.log(`📊 Chargement données historiques ${symbol}...`);
-        
-        // Simulation de données OHLCV
-        // En réalité: charger depuis Binance API ou fichiers CSV
-        const data = this.generateSimulatedData(symbol, startDate, endDate);
+        this.log(`📊 Chargement données historiques ${symbol}...`);
+        
+        // Chandeliers fournis par l'appelant, fichiers historiques, sinon simulation de données OHLCV
+        let data;
+        if (this.candles && this.candles[symbol]) {
+            data = this.candles[symbol];
+        } else if (this.config.dataSource) {
+            data = this.loadDataSource(symbol, startDate, endDate);
+        } else {
+            data = this.generateSimulatedData(symbol, startDate, endDate);
+        }
         
-        console.log(`✅ ${data.length} chandeliers chargés pour ${symbol}`);
+        this.log(`✅ ${data.length} chandeliers chargés pour ${symbol}`);
         return data;
     }
 
+    // Fichiers historiques: chargés une fois pour tous les symboles, puis bornés à la période
+    loadDataSource(symbol, startDate, endDate) {
+        const source = this.config.dataSource;
+        if (!this.loadedData) {
+            this.loadedData = loadCandles(source.path, { ...source, symbols: this.config.symbols });
+            
+            Object.entries(this.loadedData.report).forEach(([name, report]) => {
+                this.log(`📁 ${name}: ${report.candles} chandeliers (${report.timeframe / 60000} min) ${report.first} → ${report.last}`);
+                if (report.gaps.length > 0) {
+                    this.log(`⚠️ ${name}: ${report.gaps.length} trou(s), ${report.missingCandles} chandeliers manquants${report.filled ? ' (comblés)' : ''}`);
+                }
+            });
+        }
+        
+        const candles = this.loadedData.series[symbol];
+        if (!candles) {
+            throw new Error(`Aucune donnée pour ${symbol} dans ${source.path}`);
+        }
+        const start = new Date(startDate).getTime();
+        const end = new Date(endDate).getTime();
+        return candles.filter(c => c.timestamp >= start && c.timestamp <= end);
+    }
+
+    // Chandeliers fins d'un symbole (drill-down intrabar), chargés une fois depuis les mêmes fichiers
+    getIntrabarCandles(symbol) {
+        if (this.intrabarCandles) {
+            return this.intrabarCandles[symbol] || null;
+        }
+        const source = this.config.dataSource;
+        if (!source || !this.config.intrabarTimeframe) return null;
+        
+        if (!this.intrabarData) {
+            this.intrabarData = loadCandles(source.path, {
+                ...source,
+                symbols: this.config.symbols,
+                timeframe: this.config.intrabarTimeframe,
+                fillGaps: false
+            }).series;
+        }
+        return this.intrabarData[symbol] || null;
+    }
+
+    // Chandeliers fins couvrant [start, end) (recherche dichotomique, série triée)
+    sliceIntrabar(candles, start, end) {
+        let low = 0;
+        let high = candles.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (candles[middle].timestamp < start) low = middle + 1;
+            else high = middle;
+        }
+        const slice = [];
+        for (let i = low; i < candles.length && candles[i].timestamp < end; i++) {
+            slice.push(candles[i]);
+        }
+        return slice;
+    }
+
     // Génération de données simulées (remplacer par vraies données)
     generateSimulatedData(symbol, startDate, endDate) {
         const data = [];
         const start = new Date(startDate);
         const end = new Date(endDate);
+        // Un flux par symbole: les données ne dépendent pas de l'ordre des symboles
+        const random = this.random.fork(symbol);
         
         let basePrice = symbol === 'BTCUSDT' ? 45000 : 3000;
         let currentTime = start.getTime();
         
         while (currentTime <= end.getTime()) {
             // Simulation d'une chandelle 1h
-            const volatility = 0.02 + Math.random() * 0.03; // 2-5% volatilité
-            const direction = Math.random() > 0.5 ? 1 : -1;
-            const change = basePrice * volatility * direction * (Math.random() * 0.5);
+            const volatility = 0.02 + random.random() * 0.03; // 2-5% volatilité
+            const direction = random.random() > 0.5 ? 1 : -1;
+            const change = basePrice * volatility * direction * (random.random() * 0.5);
             
             const open = basePrice;
             const close = basePrice + change;
-            const high = Math.max(open, close) * (1 + Math.random() * 0.01);
-            const low = Math.min(open, close) * (1 - Math.random() * 0.01);
-            const volume = 100 + Math.random() * 1000;
+            const high = Math.max(open, close) * (1 + random.random() * 0.01);
+            const low = Math.min(open, close) * (1 - random.random() * 0.01);
+            const volume = 100 + random.random() * 1000;
             
             data.push({
                 timestamp: currentTime,
@@ -93,172 +237,450 @@ class BacktestingEngine {
         return data;
     }
 
-    // Calcul des indicateurs techniques pour backtesting
-    calculateIndicators(data, index) {
-        if (index < 50) return null; // Pas assez de données
+    // Sous-portefeuilles (même découpage que initSubPortfolios() du bot)
+    // null: un seul portefeuille, plusieurs positions simultanées possibles
+    initSubPortfolios() {
+        const count = this.config.subPortfolios || 1;
+        const portfolios = {};
+        
+        for (let i = 1; i <= count; i++) {
+            portfolios[`portfolio_${i}`] = {
+                balance: this.config.initialCapital / count,
+                initialBalance: this.config.initialCapital / count,
+                activePositions: 0,
+                totalTrades: 0,
+                profitLoss: 0,
+                lastTradeTime: null
+            };
+        }
         
-        const slice = data.slice(Math.max(0, index - 100), index + 1);
-        const prices = slice.map(d => d.close);
-        const volumes = slice.map(d => d.volume);
+        return portfolios;
+    }
+
+    // Sous-portefeuille libre (une position chacun, le plus petit solde d'abord, comme le bot)
+    getAvailablePortfolio(portfolios) {
+        if (!this.config.subPortfolios) return 'portfolio_1';
         
-        return {
-            rsi: this.calculateRSI(prices, 14),
-            sma_20: this.calculateSMA(prices, 20),
-            sma_50: this.calculateSMA(prices, 50),
-            ema_12: this.calculateEMA(prices, 12),
-            ema_26: this.calculateEMA(prices, 26),
-            volatility: this.calculateVolatility(prices, 20),
-            volumeRatio: volumes[volumes.length - 1] / this.calculateSMA(volumes, 20),
-            currentPrice: prices[prices.length - 1]
-        };
+        const available = Object.entries(portfolios)
+            .filter(([_, portfolio]) => portfolio.activePositions === 0)
+            .sort((a, b) => a[1].balance - b[1].balance);
+        
+        return available.length > 0 ? available[0][0] : null;
     }
 
-    // Simulation de la stratégie de trading
-    simulateStrategy(data, symbol) {
-        let capital = this.config.initialCapital;
-        let position = null;
-        let trades = [];
-        let equity = [capital];
+    // Corrélation des rendements de deux symboles sur leurs horodatages communs
+    calculateCorrelation(returnsA, returnsB) {
+        const byTimestamp = new Map(returnsB.map(r => [r.timestamp, r.value]));
+        const pairs = returnsA.filter(r => byTimestamp.has(r.timestamp))
+            .map(r => [r.value, byTimestamp.get(r.timestamp)]);
+        if (pairs.length < 3) return 0;
+        
+        const meanA = pairs.reduce((sum, [a]) => sum + a, 0) / pairs.length;
+        const meanB = pairs.reduce((sum, [, b]) => sum + b, 0) / pairs.length;
+        let covariance = 0;
+        let varianceA = 0;
+        let varianceB = 0;
+        pairs.forEach(([a, b]) => {
+            covariance += (a - meanA) * (b - meanB);
+            varianceA += Math.pow(a - meanA, 2);
+            varianceB += Math.pow(b - meanB, 2);
+        });
         
-        console.log(`🧮 Simulation stratégie pour ${symbol}...`);
+        return varianceA > 0 && varianceB > 0 ? covariance / Math.sqrt(varianceA * varianceB) : 0;
+    }
+
+    // Exposition cumulée (fraction de l'equity) des positions corrélées au symbole, nouvelle position incluse
+    // Une position de sens opposé sur un symbole corrélé couvre au lieu d'exposer (et inversement si anticorrélé)
+    getCorrelatedExposure(symbol, direction, size, positions, returns, equity) {
+        let exposure = size;
+        Object.values(positions).forEach(position => {
+            if (position.symbol === symbol) return;
+            const correlation = this.calculateCorrelation(returns[symbol], returns[position.symbol]);
+            const sameRisk = position.direction === direction ? correlation : -correlation;
+            if (sameRisk >= this.config.correlationThreshold) {
+                exposure += position.size;
+            }
+        });
+        return exposure / equity;
+    }
+
+    // Simulation du portefeuille: tous les symboles sur une chronologie commune, un seul capital
+    // À chaque horodatage: signaux, puis sorties (capital libéré), puis entrées par confiance décroissante
+    simulatePortfolio(dataBySymbol) {
+        const symbols = Object.keys(dataBySymbol);
+        const portfolios = this.initSubPortfolios();
+        const positions = {};
+        const trades = [];
+        const equity = [];
+        let cash = this.config.initialCapital;
+        // Limites du bot au niveau du portefeuille: trades par jour, pertes consécutives, pause après perte
+        const limits = { day: null, tradesToday: 0, consecutiveLosses: 0, lastLossTime: null };
+        const rejected = { MAX_POSITIONS: 0, NO_PORTFOLIO: 0, CORRELATION: 0, CAPITAL: 0, LEVERAGE: 0 };
+        let maxOpenPositions = 0;
+        
+        // Une instance de stratégie par symbole: aucun état partagé entre symboles
+        const strategies = {};
+        const cursors = {};
+        const lastPrices = {};
+        const returns = {};
+        const intrabar = {};
+        symbols.forEach(symbol => {
+            strategies[symbol] = createStrategy(this.config.strategy, this.config.strategyParams);
+            cursors[symbol] = 0;
+            returns[symbol] = [];
+            intrabar[symbol] = {
+                candles: this.getIntrabarCandles(symbol),
+                timeframe: inferTimeframe(dataBySymbol[symbol])
+            };
+        });
+        this.intrabarStats = { ambiguous: 0, drillDown: 0, gapFills: 0 };
+        
+        const timeline = Array.from(new Set(symbols.flatMap(symbol => dataBySymbol[symbol].map(c => c.timestamp))))
+            .sort((a, b) => a - b);
+        
+        this.log(`🧮 Simulation portefeuille ${this.config.strategy}: ${symbols.join(', ')} (${timeline.length} pas)`);
+        
+        const markToMarket = () => cash + Object.values(positions).reduce((sum, position) =>
+            sum + position.margin + this.calculatePnL(position, lastPrices[position.symbol]), 0);
+        
+        const exit = (position, candle, reason, price) => {
+            const trade = this.closePosition(position, candle, reason, price);
+            const portfolio = portfolios[position.portfolioId];
+            cash += position.margin + trade.pnl;
+            portfolio.balance += trade.pnl;
+            portfolio.profitLoss += trade.pnl;
+            portfolio.activePositions--;
+            portfolio.totalTrades++;
+            portfolio.lastTradeTime = candle.timestamp;
+            delete positions[position.symbol];
+            trades.push({ ...trade, portfolioId: position.portfolioId });
+            return trade;
+        };
         
-        for (let i = 50; i < data.length; i++) {
-            const candle = data[i];
-            const indicators = this.calculateIndicators(data, i);
+        timeline.forEach(timestamp => {
+            // Chandeliers de cet horodatage et signaux de chaque stratégie
+            const step = [];
+            symbols.forEach(symbol => {
+                const candle = dataBySymbol[symbol][cursors[symbol]];
+                if (!candle || candle.timestamp !== timestamp) return;
+                cursors[symbol]++;
+                
+                if (lastPrices[symbol] !== undefined) {
+                    returns[symbol].push({ timestamp, value: candle.close / lastPrices[symbol] - 1 });
+                    if (returns[symbol].length > this.config.correlationWindow) returns[symbol].shift();
+                }
+                lastPrices[symbol] = candle.close;
+                
+                const signal = strategies[symbol].onCandle({ ...candle, symbol }, {
+                    position: positions[symbol] || null,
+                    time: timestamp
+                });
+                step.push({ symbol, candle, signal });
+            });
             
-            if (!indicators) continue;
+            // Sorties de risque puis signaux de sortie de la stratégie
+            step.forEach(({ symbol, candle, signal }) => {
+                const position = positions[symbol];
+                if (!position) return;
+                
+                const exitSignal = this.getExitSignal(position, candle, intrabar[symbol]) ||
+                    (signal && signal.action === SIGNAL_ACTIONS.EXIT ? { reason: signal.reason } : null);
+                if (!exitSignal) return;
+                
+                const trade = exit(position, candle, exitSignal.reason, exitSignal.price);
+                // Même règle que le bot: un trade non gagnant prolonge la série de pertes
+                if (trade.pnl > 0) {
+                    limits.consecutiveLosses = 0;
+                } else {
+                    limits.consecutiveLosses++;
+                    limits.lastLossTime = timestamp;
+                }
+                strategies[symbol].onFill({
+                    symbol,
+                    side: position.direction === 'BUY' ? 'SELL' : 'BUY',
+                    price: trade.exitPrice,
+                    quantity: position.quantity,
+                    fee: trade.fees,
+                    time: timestamp
+                }, { position: trade, type: 'EXIT' });
+                this.log(`📉 ${symbol} sortie ${exitSignal.reason}: PnL ${trade.pnlPercent.toFixed(2)}%`);
+            });
+            
+            // Entrées, signaux les plus confiants d'abord
+            const entries = step.filter(({ symbol, signal }) => !positions[symbol] && signal &&
+                signal.action === SIGNAL_ACTIONS.ENTER && (signal.direction === 'LONG' || this.config.allowShort))
+                .sort((a, b) => b.signal.confidence - a.signal.confidence);
             
-            // Pas de position ouverte - chercher signal d'entrée
-            if (!position) {
-                const signal = this.getEntrySignal(indicators);
+            entries.forEach(({ symbol, candle, signal }) => {
+                if (!this.canEnter(limits, timestamp)) return;
                 
-                if (signal && capital > 100) { // Capital minimum
-                    const positionSize = Math.min(
-                        capital * this.config.maxPositionPercent,
-                        capital * 0.95 // Max 95% du capital
-                    );
-                    
-                    position = {
-                        symbol,
-                        entryTime: candle.timestamp,
-                        entryPrice: candle.close,
-                        direction: signal.direction,
-                        size: positionSize,
-                        quantity: positionSize / candle.close,
-                        stopLoss: signal.direction === 'BUY' ?
-                            candle.close * (1 - this.config.stopLossPercent) :
-                            candle.close * (1 + this.config.stopLossPercent),
-                        takeProfit: signal.direction === 'BUY' ?
-                            candle.close * (1 + this.config.dailyTargetMax) :
-                            candle.close * (1 - this.config.dailyTargetMax),
-                        confidence: signal.confidence
-                    };
-                    
-                    capital -= positionSize;
-                    console.log(`📈 Entrée ${signal.direction} à ${candle.close} (${new Date(candle.timestamp).toISOString()})`);
+                const openPositions = Object.keys(positions).length;
+                if (this.config.maxConcurrentPositions && openPositions >= this.config.maxConcurrentPositions) {
+                    rejected.MAX_POSITIONS++;
+                    return;
+                }
+                const portfolioId = this.getAvailablePortfolio(portfolios);
+                if (!portfolioId) {
+                    rejected.NO_PORTFOLIO++;
+                    return;
                 }
-            }
-            // Position ouverte - vérifier sortie
-            else {
-                const exitSignal = this.getExitSignal(position, candle, indicators);
                 
-                if (exitSignal) {
-                    const exitPrice = candle.close;
-                    const pnl = this.calculatePnL(position, exitPrice);
-                    const fees = (position.size + Math.abs(pnl)) * this.config.takerFee;
-                    const netPnL = pnl - fees;
-                    
-                    capital += position.size + netPnL;
-                    
-                    const trade = {
-                        symbol,
-                        entryTime: position.entryTime,
-                        exitTime: candle.timestamp,
-                        entryPrice: position.entryPrice,
-                        exitPrice,
-                        direction: position.direction,
-                        size: position.size,
-                        pnl: netPnL,
-                        pnlPercent: (netPnL / position.size) * 100,
-                        fees,
-                        reason: exitSignal.reason,
-                        confidence: position.confidence,
-                        duration: candle.timestamp - position.entryTime
-                    };
-                    
-                    trades.push(trade);
-                    console.log(`📉 Sortie ${exitSignal.reason}: PnL ${trade.pnlPercent.toFixed(2)}%`);
-                    
-                    position = null;
+                // Marge bloquée sur les liquidités, notionnel = marge × levier
+                const margin = Math.min(
+                    portfolios[portfolioId].balance * this.config.maxPositionPercent,
+                    cash * 0.95 // Max 95% des liquidités
+                );
+                if (cash <= 100 || margin <= 0) { // Capital minimum
+                    rejected.CAPITAL++;
+                    return;
                 }
-            }
+                const positionSize = margin * this.config.leverage;
+                const equityNow = markToMarket();
+                const grossExposure = Object.values(positions).reduce((sum, open) => sum + open.size, positionSize);
+                if (grossExposure / equityNow > this.config.maxLeverage) {
+                    rejected.LEVERAGE++;
+                    return;
+                }
+                const direction = signal.direction === 'LONG' ? 'BUY' : 'SELL';
+                if (this.config.maxCorrelatedExposure !== null &&
+                    this.getCorrelatedExposure(symbol, direction, positionSize, positions, returns, equityNow) > this.config.maxCorrelatedExposure) {
+                    rejected.CORRELATION++;
+                    return;
+                }
+                
+                const long = direction === 'BUY';
+                const position = {
+                    symbol,
+                    portfolioId,
+                    entryTime: timestamp,
+                    entryPrice: candle.close,
+                    direction,
+                    size: positionSize,
+                    margin,
+                    leverage: this.config.leverage,
+                    quantity: positionSize / candle.close,
+                    stopLoss: candle.close * (long ? 1 - this.config.stopLossPercent : 1 + this.config.stopLossPercent),
+                    takeProfit: candle.close * (long ? 1 + this.config.dailyTargetMax : 1 - this.config.dailyTargetMax),
+                    liquidationPrice: this.getLiquidationPrice(direction, candle.close, this.config.leverage),
+                    // Score 0-100 attendu par ml_enhancement_system
+                    confidence: Math.round(signal.confidence * 100),
+                    entryReason: signal.reason
+                };
+                positions[symbol] = position;
+                portfolios[portfolioId].activePositions++;
+                cash -= margin;
+                limits.tradesToday++;
+                maxOpenPositions = Math.max(maxOpenPositions, openPositions + 1);
+                
+                strategies[symbol].onFill({
+                    symbol,
+                    side: direction,
+                    price: candle.close,
+                    quantity: position.quantity,
+                    fee: 0,
+                    time: timestamp
+                }, { position, type: 'ENTRY' });
+                this.log(`📈 ${symbol} entrée ${direction} x${this.config.leverage} (${signal.reason}) à ${candle.close} (${new Date(timestamp).toISOString()})`);
+            });
             
-            // Enregistrer la valeur du portefeuille
-            const portfolioValue = capital + (position ? 
-                position.size + this.calculatePnL(position, candle.close) : 0);
-            equity.push(portfolioValue);
+            // Equity du portefeuille (positions valorisées au dernier prix connu)
+            const exposure = Object.values(positions).reduce((sum, position) => sum + position.size, 0);
+            equity.push({
+                timestamp,
+                equity: markToMarket(),
+                cash,
+                exposure,
+                openPositions: Object.keys(positions).length
+            });
+        });
+        
+        // Positions encore ouvertes en fin de données: clôture au dernier prix du symbole
+        Object.values(positions).forEach(position => {
+            const data = dataBySymbol[position.symbol];
+            exit(position, data[data.length - 1], 'END_OF_DATA');
+        });
+        if (equity.length > 0) {
+            equity[equity.length - 1] = { ...equity[equity.length - 1], equity: cash, cash, exposure: 0, openPositions: 0 };
         }
         
-        return { trades, equity, finalCapital: capital };
+        return {
+            trades,
+            equity,
+            finalCapital: cash,
+            portfolio: {
+                subPortfolios: portfolios,
+                maxOpenPositions,
+                rejected,
+                intrabar: this.intrabarStats,
+                liquidations: trades.filter(t => t.exitReason === 'LIQUIDATION').length,
+                byDirection: ['LONG', 'SHORT'].reduce((byDirection, direction) => {
+                    const directionTrades = trades.filter(t => t.direction === direction);
+                    byDirection[direction] = {
+                        trades: directionTrades.length,
+                        pnl: directionTrades.reduce((sum, t) => sum + t.pnl, 0)
+                    };
+                    return byDirection;
+                }, {}),
+                bySymbol: symbols.reduce((bySymbol, symbol) => {
+                    const symbolTrades = trades.filter(t => t.symbol === symbol);
+                    bySymbol[symbol] = {
+                        trades: symbolTrades.length,
+                        pnl: symbolTrades.reduce((sum, t) => sum + t.pnl, 0)
+                    };
+                    return bySymbol;
+                }, {})
+            }
+        };
     }
 
-    // Signal d'entrée en position
-    getEntrySignal(indicators) {
-        const signals = {
-            bullish_trend: indicators.ema_12 > indicators.ema_26 && 
-                          indicators.currentPrice > indicators.sma_20,
-            rsi_oversold: indicators.rsi < 35,
-            high_volume: indicators.volumeRatio > 1.3,
-            good_volatility: indicators.volatility > 0.01 && indicators.volatility < 0.05
-        };
-        
-        let score = 0;
-        if (signals.bullish_trend) score += 30;
-        if (signals.rsi_oversold) score += 25;
-        if (signals.high_volume) score += 20;
-        if (signals.good_volatility) score += 15;
-        
-        // Filtres négatifs
-        if (indicators.volatility > 0.08) score -= 30; // Trop volatile
-        if (indicators.rsi > 70) score -= 20; // Surachat
-        
-        return score >= 60 ? { 
-            direction: 'BUY', 
-            confidence: score,
-            signals 
-        } : null;
+    // Clôture d'une position (au prix de clôture du chandelier sauf prix d'exécution intrabar)
+    closePosition(position, candle, reason, price) {
+        const exitPrice = price !== undefined ? price : candle.close;
+        const pnl = this.calculatePnL(position, exitPrice);
+        const borrowFee = this.calculateBorrowFee(position, candle.timestamp);
+        const fees = (position.size + Math.abs(pnl)) * this.config.takerFee + borrowFee;
+        // Marge isolée: la perte ne dépasse pas la marge de la position
+        const netPnL = Math.max(pnl - fees, -position.margin);
+        
+        // Même schéma que les trades du bot (realistic-bots/trade-schema)
+        return normalizeTrade({
+            id: `bt_${position.symbol}_${position.entryTime}`,
+            symbol: position.symbol,
+            entryTime: position.entryTime,
+            exitTime: candle.timestamp,
+            entryPrice: position.entryPrice,
+            exitPrice,
+            direction: position.direction,
+            quantity: position.quantity,
+            positionSize: position.size,
+            pnl: netPnL,
+            pnlPercent: (netPnL / position.size) * 100,
+            fees,
+            borrowFee,
+            leverage: position.leverage,
+            margin: position.margin,
+            exitReason: reason,
+            confidence: position.confidence,
+            strategy: this.config.strategy,
+            entryReason: position.entryReason,
+            duration: candle.timestamp - position.entryTime,
+            status: 'CLOSED'
+        });
     }
 
-    // Signal de sortie
-    getExitSignal(position, candle, indicators) {
-        const currentPrice = candle.close;
-        
-        // Stop-loss
-        if ((position.direction === 'BUY' && currentPrice <= position.stopLoss) ||
-            (position.direction === 'SELL' && currentPrice >= position.stopLoss)) {
-            return { reason: 'STOP_LOSS' };
-        }
-        
-        // Take-profit
-        if ((position.direction === 'BUY' && currentPrice >= position.takeProfit) ||
-            (position.direction === 'SELL' && currentPrice <= position.takeProfit)) {
-            return { reason: 'TAKE_PROFIT' };
+    // Intérêts d'emprunt: actif emprunté pour un short, liquidités empruntées au-delà de la marge pour un long
+    calculateBorrowFee(position, exitTime) {
+        const borrowed = position.direction === 'SELL' ? position.size : position.size - position.margin;
+        if (borrowed <= 0) return 0;
+        const hours = Math.max(1, Math.ceil((exitTime - position.entryTime) / 3600000));
+        return borrowed * this.config.borrowFeeDaily * hours / 24;
+    }
+
+    // Prix de liquidation en marge isolée: la perte atteint la marge moins la marge de maintenance
+    getLiquidationPrice(direction, entryPrice, leverage) {
+        const move = 1 / leverage - this.config.maintenanceMargin;
+        return direction === 'BUY' ? entryPrice * (1 - move) : entryPrice * (1 + move);
+    }
+
+    // Limites de trading du bot appliquées avant une entrée. Comme dans le bot, seul le compteur
+    // quotidien repart à zéro chaque jour: la série de pertes n'est interrompue que par un trade gagnant
+    canEnter(limits, timestamp) {
+        const day = new Date(timestamp).toISOString().split('T')[0];
+        if (day !== limits.day) {
+            limits.day = day;
+            limits.tradesToday = 0;
         }
         
-        // Sortie sur signal technique
-        if (position.direction === 'BUY' && indicators.rsi > 75) {
-            return { reason: 'RSI_OVERBOUGHT' };
+        const config = this.config;
+        if (config.maxTradesPerDay && limits.tradesToday >= config.maxTradesPerDay) return false;
+        if (config.maxConsecutiveLosses && limits.consecutiveLosses >= config.maxConsecutiveLosses) return false;
+        if (limits.lastLossTime !== null && timestamp - limits.lastLossTime < config.cooldownAfterLoss) return false;
+        return true;
+    }
+
+    // Sorties de risque (les sorties techniques viennent de la stratégie): { reason, price }
+    getExitSignal(position, candle, intrabar = null) {
+        let exit = this.touchedLevel(position, candle);
+        
+        // Stop et objectif dans le même chandelier: chandeliers plus fins, sinon hypothèse de parcours
+        if (exit === BOTH_LEVELS) {
+            this.intrabarStats.ambiguous++;
+            exit = this.drillDown(position, candle, intrabar) || this.assumePath(position, candle);
         }
+        if (exit) return exit;
         
         // Sortie temporelle (max 24h en position)
         const maxDuration = 24 * 3600000; // 24h en ms
         if (candle.timestamp - position.entryTime > maxDuration) {
-            return { reason: 'TIME_EXIT' };
+            return { reason: 'TIME_EXIT', price: candle.close };
+        }
+        
+        return null;
+    }
+
+    // Niveau atteint dans un chandelier: sortie, BOTH_LEVELS si stop et objectif sont touchés, sinon null
+    touchedLevel(position, candle) {
+        const long = position.direction === 'BUY';
+        const stop = this.getStopLevel(position);
+        
+        // Gap: ouverture déjà au-delà d'un niveau, exécution à l'ouverture
+        const stopGap = long ? candle.open <= stop.price : candle.open >= stop.price;
+        const targetGap = long ? candle.open >= position.takeProfit : candle.open <= position.takeProfit;
+        if (stopGap || targetGap) {
+            this.intrabarStats.gapFills++;
+            return { reason: stopGap ? stop.reason : 'TAKE_PROFIT', price: candle.open };
         }
         
+        const stopHit = long ? candle.low <= stop.price : candle.high >= stop.price;
+        const targetHit = long ? candle.high >= position.takeProfit : candle.low <= position.takeProfit;
+        if (stopHit && targetHit) return BOTH_LEVELS;
+        if (stopHit) return stop;
+        if (targetHit) return { reason: 'TAKE_PROFIT', price: position.takeProfit };
+        return null;
+    }
+
+    // Niveau de perte: stop-loss, ou liquidation si elle survient avant le stop
+    getStopLevel(position) {
+        const liquidation = position.liquidationPrice;
+        const beforeStop = position.direction === 'BUY' ? liquidation >= position.stopLoss : liquidation <= position.stopLoss;
+        if (liquidation !== undefined && beforeStop) {
+            return { reason: 'LIQUIDATION', price: liquidation };
+        }
+        return { reason: 'STOP_LOSS', price: position.stopLoss };
+    }
+
+    // Premier niveau atteint dans les chandeliers fins du chandelier ambigu
+    drillDown(position, candle, intrabar) {
+        if (!intrabar || !intrabar.candles || !intrabar.timeframe) return null;
+        
+        const subCandles = this.sliceIntrabar(intrabar.candles, candle.timestamp, candle.timestamp + intrabar.timeframe);
+        for (const subCandle of subCandles) {
+            const exit = this.touchedLevel(position, subCandle);
+            if (!exit) continue;
+            this.intrabarStats.drillDown++;
+            return exit === BOTH_LEVELS ? this.assumePath(position, subCandle) : exit;
+        }
         return null;
     }
 
+    // Ordre supposé des prix dans le chandelier selon intrabarMode
+    assumePath(position, candle) {
+        const stop = this.getStopLevel(position);
+        const target = { reason: 'TAKE_PROFIT', price: position.takeProfit };
+        
+        switch (this.config.intrabarMode) {
+            case 'optimistic':
+                return target;
+            case 'ohlc': {
+                // Haussier: ouverture → plus bas → plus haut → clôture; baissier: ouverture → plus haut → plus bas → clôture
+                const lowFirst = candle.close >= candle.open;
+                return lowFirst === (position.direction === 'BUY') ? stop : target;
+            }
+            default:
+                return stop;
+        }
+    }
+
     // Calcul PnL
     calculatePnL(position, currentPrice) {
         if (position.direction === 'BUY') {
@@ -270,39 +692,41 @@ class BacktestingEngine {
 
     // Exécution du backtest complet
     async runBacktest() {
-        console.log('🚀 Démarrage du backtesting...');
-        console.log(`📅 Période: ${this.config.startDate} → ${this.config.endDate}`);
-        console.log(`💰 Capital initial: $${this.config.initialCapital}`);
-        
-        const allTrades = [];
-        const allEquity = [this.config.initialCapital];
-        let totalCapital = this.config.initialCapital;
+        this.log('🚀 Démarrage du backtesting...');
+        this.log(`📅 Période: ${this.config.startDate} → ${this.config.endDate}`);
+        this.log(`💰 Capital initial: $${this.config.initialCapital}`);
         
-        // Test sur chaque symbole
+        // Données de chaque symbole, simulées ensemble sur un capital commun
+        const dataBySymbol = {};
         for (const symbol of this.config.symbols) {
-            const data = await this.loadHistoricalData(
+            dataBySymbol[symbol] = await this.loadHistoricalData(
                 symbol, 
                 this.config.startDate, 
                 this.config.endDate
             );
-            
-            const result = this.simulateStrategy(data, symbol);
-            allTrades.push(...result.trades);
-            
-            // Mise à jour du capital total (simulation multi-actifs)
-            totalCapital += (result.finalCapital - this.config.initialCapital);
         }
         
+        const result = this.simulatePortfolio(dataBySymbol);
+        const allTrades = result.trades;
+        
         this.results.trades = allTrades;
-        this.results.finalCapital = totalCapital;
+        this.results.equity = result.equity;
+        this.results.finalCapital = result.finalCapital;
+        this.results.portfolio = result.portfolio;
         
         // Calcul des métriques
         this.calculateMetrics();
+        if (this.config.monteCarlo && allTrades.length >= 2) {
+            this.results.monteCarlo = this.analyzeRobustness();
+        }
+        this.results.summary = this.generateSummary();
         
         // Génération du rapport
-        this.generateReport();
+        if (!this.config.quiet && allTrades.length > 0) {
+            this.generateReport();
+        }
         
-        console.log('✅ Backtesting terminé');
+        this.log('✅ Backtesting terminé');
         return this.results;
     }
 
@@ -310,7 +734,7 @@ class BacktestingEngine {
     calculateMetrics() {
         const trades = this.results.trades;
         if (trades.length === 0) {
-            console.log('❌ Aucun trade exécuté');
+            this.log('❌ Aucun trade exécuté');
             return;
         }
         
@@ -328,6 +752,7 @@ class BacktestingEngine {
         
         // Métriques avancées
         const dailyReturns = this.calculateDailyReturns();
+        this.results.dailyReturns = dailyReturns;
         const maxDrawdown = this.calculateMaxDrawdown();
         const sharpeRatio = this.calculateSharpeRatio(dailyReturns);
         const calmarRatio = totalReturnPercent / Math.abs(maxDrawdown.percent);
@@ -360,54 +785,63 @@ class BacktestingEngine {
         };
     }
 
-    // Calcul des rendements quotidiens
+    // Distributions Monte Carlo des trades et décision go/no-go sur le pire cas
+    analyzeRobustness() {
+        const options = { initialCapital: this.config.initialCapital, seed: this.config.seed, ...this.config.monteCarlo };
+        this.log(`🎲 Monte Carlo: ${options.simulations || 1000} simulations sur ${this.results.trades.length} trades...`);
+        
+        const analysis = runMonteCarlo(this.results.trades, options);
+        analysis.assessment = assessRobustness(analysis, options);
+        return analysis;
+    }
+
+    // Calcul des rendements quotidiens (equity du portefeuille en fin de journée)
     calculateDailyReturns() {
         const dailyReturns = [];
-        let previousCapital = this.config.initialCapital;
+        let previousEquity = this.config.initialCapital;
         
-        // Grouper les trades par jour
+        // Equity de clôture et trades clôturés par jour
+        const closingEquity = {};
+        this.results.equity.forEach(point => {
+            closingEquity[new Date(point.timestamp).toISOString().split('T')[0]] = point.equity;
+        });
         const tradesByDay = {};
         this.results.trades.forEach(trade => {
             const day = new Date(trade.exitTime).toISOString().split('T')[0];
-            if (!tradesByDay[day]) tradesByDay[day] = [];
-            tradesByDay[day].push(trade);
+            tradesByDay[day] = (tradesByDay[day] || 0) + 1;
         });
         
-        // Calculer le rendement quotidien
-        Object.keys(tradesByDay).sort().forEach(day => {
-            const dayTrades = tradesByDay[day];
-            const dayPnL = dayTrades.reduce((sum, trade) => sum + trade.pnl, 0);
-            const dayReturn = (dayPnL / previousCapital) * 100;
+        Object.keys(closingEquity).sort().forEach(day => {
+            const dayPnL = closingEquity[day] - previousEquity;
             
             dailyReturns.push({
                 date: day,
-                return: dayReturn,
-                trades: dayTrades.length,
+                return: (dayPnL / previousEquity) * 100,
+                trades: tradesByDay[day] || 0,
                 pnl: dayPnL
             });
             
-            previousCapital += dayPnL;
+            previousEquity = closingEquity[day];
         });
         
         return dailyReturns;
     }
 
-    // Calcul du drawdown maximum
+    // Calcul du drawdown maximum sur l'equity du portefeuille (latent inclus)
     calculateMaxDrawdown() {
         let peak = this.config.initialCapital;
         let maxDrawdown = 0;
         let maxDrawdownPercent = 0;
-        let currentCapital = this.config.initialCapital;
+        this.results.drawdowns = [];
         
-        this.results.trades.forEach(trade => {
-            currentCapital += trade.pnl;
-            
-            if (currentCapital > peak) {
-                peak = currentCapital;
+        this.results.equity.forEach(point => {
+            if (point.equity > peak) {
+                peak = point.equity;
             }
             
-            const drawdown = peak - currentCapital;
+            const drawdown = peak - point.equity;
             const drawdownPercent = (drawdown / peak) * 100;
+            this.results.drawdowns.push({ timestamp: point.timestamp, percent: drawdownPercent });
             
             if (drawdown > maxDrawdown) {
                 maxDrawdown = drawdown;
@@ -458,6 +892,12 @@ class BacktestingEngine {
             timestamp: new Date().toISOString(),
             config: this.config,
             metrics: this.results.metrics,
+            portfolio: this.results.portfolio,
+            monteCarlo: this.results.monteCarlo || null,
+            // Sessions et jours dans le fuseau des données historiques
+            attribution: buildAttribution(this.results.trades, {
+                timezone: (this.config.dataSource && this.config.dataSource.timezone) || 'UTC'
+            }),
             summary: this.generateSummary(),
             recommendations: this.generateRecommendations()
         };
@@ -477,6 +917,36 @@ class BacktestingEngine {
         console.log(`Profit/Perte: $${this.results.metrics.totalReturn.toLocaleString()} (${this.results.metrics.totalReturnPercent.toFixed(2)}%)`);
         console.log(`Drawdown max: ${this.results.metrics.maxDrawdown.percent.toFixed(2)}%`);
         
+        const portfolio = this.results.portfolio;
+        console.log('\n🧺 PORTEFEUILLE:');
+        Object.entries(portfolio.bySymbol).forEach(([symbol, stats]) => {
+            console.log(`${symbol}: ${stats.trades} trades, PnL $${stats.pnl.toFixed(2)}`);
+        });
+        Object.entries(portfolio.byDirection).forEach(([direction, stats]) => {
+            console.log(`${direction}: ${stats.trades} trades, PnL $${stats.pnl.toFixed(2)}`);
+        });
+        console.log(`Positions simultanées max: ${portfolio.maxOpenPositions} | Liquidations: ${portfolio.liquidations}`);
+        console.log(`Entrées refusées: ${Object.entries(portfolio.rejected).map(([reason, count]) => `${reason} ${count}`).join(', ')}`);
+        console.log(`Intrabar (${this.config.intrabarMode}): ${portfolio.intrabar.ambiguous} chandeliers stop+objectif, ${portfolio.intrabar.drillDown} résolus en unité inférieure, ${portfolio.intrabar.gapFills} gaps exécutés à l'ouverture`);
+        
+        const monteCarlo = this.results.monteCarlo;
+        if (monteCarlo) {
+            const level = `${(monteCarlo.confidence * 100).toFixed(0)}%`;
+            console.log(`\n🎲 MONTE CARLO (${monteCarlo.simulations} simulations, IC ${level}):`);
+            Object.entries(monteCarlo.methods).forEach(([method, result]) => {
+                const [returnLow, returnHigh] = result.totalReturnPercent.confidenceInterval;
+                const [drawdownLow, drawdownHigh] = result.maxDrawdown.confidenceInterval;
+                console.log(`${method}: rendement [${returnLow.toFixed(2)}%, ${returnHigh.toFixed(2)}%] | drawdown [${drawdownLow.toFixed(2)}%, ${drawdownHigh.toFixed(2)}%] | ruine ${(result.riskOfRuin * 100).toFixed(1)}%`);
+            });
+            console.log(`Robustesse: ${monteCarlo.assessment.robust ? '✅' : '❌ ' + monteCarlo.assessment.reasons.join('; ')}`);
+        }
+        
+        console.log('\n🧩 ATTRIBUTION:');
+        ['session', 'exitReason', 'signal'].forEach(dimension => {
+            const rows = report.attribution.dimensions[dimension];
+            console.log(`${dimension}: ${rows.map(row => `${row.key} ${row.trades} trades, PnL $${row.pnl.toFixed(2)}, win ${row.winRate.toFixed(0)}%`).join(' | ')}`);
+        });
+        
         console.log('\n🎯 VALIDATION DES OBJECTIFS:');
         const validation = this.results.metrics.meetsTarget;
         console.log(`Rendement quotidien moyen: ${validation.avgDailyReturn.toFixed(3)}%`);
@@ -552,13 +1022,19 @@ class BacktestingEngine {
     }
 
     generateSummary() {
+        if (this.results.trades.length === 0) {
+            return { recommendation: 'NEEDS_IMPROVEMENT', readyForLive: false };
+        }
+        
         return {
             recommendation: this.results.metrics.totalReturnPercent > 10 && 
                           this.results.metrics.maxDrawdown.percent < 15 &&
                           this.results.metrics.winRate > 45 ? 'APPROVED' : 'NEEDS_IMPROVEMENT',
             readyForLive: this.results.metrics.totalReturnPercent > 8 &&
                          this.results.metrics.maxDrawdown.percent < 20 &&
-                         this.results.metrics.sharpeRatio > 0.8
+                         this.results.metrics.sharpeRatio > 0.8 &&
+                         (!this.results.monteCarlo || this.results.monteCarlo.assessment.robust),
+            robustness: this.results.monteCarlo ? this.results.monteCarlo.assessment : null
         };
     }
 
@@ -568,56 +1044,6 @@ class BacktestingEngine {
         const end = new Date(endDate);
         return Math.ceil((end - start) / (1000 * 60 * 60 * 24));
     }
-
-    // Méthodes de calcul technique (réutilisées du bot principal)
-    calculateRSI(prices, period = 14) {
-        if (prices.length < period + 1) return null;
-        
-        let gains = 0, losses = 0;
-        
-        for (let i = 1; i <= period; i++) {
-            const change = prices[i] - prices[i - 1];
-            if (change > 0) gains += change;
-            else losses += Math.abs(change);
-        }
-        
-        const avgGain = gains / period;
-        const avgLoss = losses / period;
-        
-        if (avgLoss === 0) return 100;
-        
-        const rs = avgGain / avgLoss;
-        return 100 - (100 / (1 + rs));
-    }
-    
-    calculateSMA(prices, period) {
-        if (prices.length < period) return null;
-        const slice = prices.slice(-period);
-        return slice.reduce((sum, price) => sum + price, 0) / period;
-    }
-    
-    calculateEMA(prices, period) {
-        if (prices.length < period) return null;
-        
-        const k = 2 / (period + 1);
-        let ema = prices[0];
-        
-        for (let i = 1; i < prices.length; i++) {
-            ema = prices[i] * k + ema * (1 - k);
-        }
-        
-        return ema;
-    }
-    
-    calculateVolatility(prices, period = 20) {
-        if (prices.length < period) return null;
-        
-        const slice = prices.slice(-period);
-        const mean = slice.reduce((sum, p) => sum + p, 0) / period;
-        const variance = slice.reduce((sum, p) => sum + Math.pow(p - mean, 2), 0) / period;
-        
-        return Math.sqrt(variance) / mean;
-    }
 }
 
 // Configuration pour le backtesting
@@ -644,6 +1070,46 @@ if (require.main === module) {
         console.log('🧪 BACKTESTING - Validation de stratégie');
         console.log('⚠️  OBLIGATOIRE avant tout trading réel\n');
         
+        const seed = parseSeedArg(process.argv);
+        if (seed !== null) {
+            backtestConfig.seed = seed;
+            console.log(`🎲 Graine de simulation: ${seed}`);
+        }
+        
+        // --data: backtest hors ligne sur des chandeliers téléchargés
+        const dataSource = parseDataArgs(process.argv);
+        if (dataSource) {
+            backtestConfig.dataSource = dataSource;
+            if (dataSource.start) backtestConfig.startDate = dataSource.start;
+            if (dataSource.end) backtestConfig.endDate = dataSource.end;
+            console.log(`📁 Données historiques: ${dataSource.path}`);
+        }
+        
+        // Exécution intrabar
+        const intrabarMode = getArg(process.argv, '--intrabar');
+        const intrabarTimeframe = getArg(process.argv, '--intrabar-timeframe');
+        if (intrabarMode) backtestConfig.intrabarMode = intrabarMode;
+        if (intrabarTimeframe) backtestConfig.intrabarTimeframe = intrabarTimeframe;
+        
+        // Vente à découvert et levier
+        const leverage = getArg(process.argv, '--leverage');
+        if (leverage) backtestConfig.leverage = parseFloat(leverage);
+        if (process.argv.includes('--no-short')) backtestConfig.allowShort = false;
+        
+        // --monte-carlo [simulations]: intervalles de confiance avant le go/no-go
+        if (process.argv.includes('--monte-carlo')) {
+            const simulations = getArg(process.argv, '--monte-carlo');
+            backtestConfig.monteCarlo = simulations ? { simulations: parseInt(simulations, 10) } : {};
+        }
+        
+        // Limites du portefeuille
+        const subPortfolios = getArg(process.argv, '--sub-portfolios');
+        const maxPositions = getArg(process.argv, '--max-positions');
+        const maxCorrelated = getArg(process.argv, '--max-correlated');
+        if (subPortfolios) backtestConfig.subPortfolios = parseInt(subPortfolios, 10);
+        if (maxPositions) backtestConfig.maxConcurrentPositions = parseInt(maxPositions, 10);
+        if (maxCorrelated) backtestConfig.maxCorrelatedExposure = parseFloat(maxCorrelated);
+        
         const backtest = new BacktestingEngine(backtestConfig);
         const results = await backtest.runBacktest();
         
@@ -4,17 +4,21 @@
 const crypto = require('crypto');
 const WebSocket = require('ws');
 const fs = require('fs');
+const path = require('path');
+const { ExchangeAdapter } = require('../realistic-bots/exchange-adapter');
 
-class BinanceAPI {
+class BinanceAPI extends ExchangeAdapter {
     constructor(config) {
+        super();
         this.config = {
             apiKey: config.apiKey || '',
             apiSecret: config.apiSecret || '',
             testnet: config.testnet !== false, // true par défaut pour sécurité
-            baseURL: config.testnet ? 
-                'https://testnet.binance.vision' : 
+            // URLs surchargeables (ex: serveur local realistic-bots/mock-binance-server.js)
+            baseURL: config.testnet !== false ?
+                'https://testnet.binance.vision' :
                 'https://api.binance.com',
-            wsBaseURL: config.testnet ?
+            wsBaseURL: config.testnet !== false ?
                 'wss://testnet.binance.vision/ws' :
                 'wss://stream.binance.com:9443/ws',
             recvWindow: config.recvWindow || 5000,
@@ -31,6 +35,7 @@ class BinanceAPI {
             exchangeInfo: null,
             serverTime: 0,
             websockets: new Map(),
+            userDataStreams: new Map(),
             rateLimits: {
                 requestWeight: 0,
                 orderCount: 0,
@@ -39,7 +44,9 @@ class BinanceAPI {
         };
         
         this.validateConfig();
-        this.initializeConnection();
+        // Promesse d'initialisation à attendre avant le premier ordre (erreur déjà loggée)
+        this.ready = this.initializeConnection();
+        this.ready.catch(() => {});
     }
 
     // Validation de la configuration
@@ -290,7 +297,7 @@ class BinanceAPI {
         }
         
         // Vérification des filtres du symbole
-        this.validateSymbolFilters(symbolInfo, quantity, options.price);
+        await this.validateSymbolFilters(symbolInfo, quantity, options.price);
         
         // Vérification du solde
         await this.validateBalance(symbol, side, quantity, options.price);
@@ -300,7 +307,7 @@ class BinanceAPI {
     }
 
     // Validation des filtres de symbole
-    validateSymbolFilters(symbolInfo, quantity, price) {
+    async validateSymbolFilters(symbolInfo, quantity, price) {
         for (const filter of symbolInfo.filters) {
             switch (filter.filterType) {
                 case 'LOT_SIZE':
@@ -321,12 +328,13 @@ class BinanceAPI {
                     }
                     break;
                     
-                case 'MIN_NOTIONAL':
+                case 'MIN_NOTIONAL': {
                     const notional = quantity * (price || await this.getCurrentPrice(symbolInfo.symbol));
                     if (notional < parseFloat(filter.minNotional)) {
                         throw new Error(`Montant trop petit: min ${filter.minNotional}`);
                     }
                     break;
+                }
             }
         }
     }
@@ -411,6 +419,12 @@ class BinanceAPI {
         }
     }
 
+    // Soldes à jour depuis le compte
+    async getBalances() {
+        await this.getAccountInfo();
+        return this.state.balances;
+    }
+
     // Mise à jour des ordres ouverts
     async refreshOpenOrders(symbol = null) {
         try {
@@ -447,6 +461,9 @@ class BinanceAPI {
         
         ws.on('close', () => {
             console.log(`📡 WebSocket déconnecté: ${streamStr}`);
+            // Pas de reconnexion après une fermeture volontaire (closeWebSocket / disconnect)
+            if (this.state.websockets.get(streamStr) !== ws) return;
+            
             // Reconnexion automatique après 5 secondes
             setTimeout(() => {
                 console.log('🔄 Reconnexion WebSocket...');
@@ -460,6 +477,15 @@ class BinanceAPI {
         return ws;
     }
 
+    // Fermeture volontaire d'un flux
+    closeWebSocket(streamStr) {
+        const ws = this.state.websockets.get(streamStr);
+        if (!ws) return;
+        
+        this.state.websockets.delete(streamStr);
+        ws.close();
+    }
+
     // WebSocket pour données de kline
     connectKlineWebSocket(symbol, interval, onKline) {
         const stream = `${symbol.toLowerCase()}@kline_${interval}`;
@@ -501,6 +527,34 @@ class BinanceAPI {
         });
     }
 
+    // Abonnement aux chandeliers (interface ExchangeAdapter)
+    subscribeKlines(symbol, interval, onKline) {
+        this.connectKlineWebSocket(symbol, interval, onKline);
+        return { close: () => this.closeWebSocket(`${symbol.toLowerCase()}@kline_${interval}`) };
+    }
+
+    // Flux utilisateur: listenKey maintenue toutes les 30 minutes (expire après 60)
+    async subscribeUserData(onEvent) {
+        const { listenKey } = await this.makeRequest('POST', '/api/v3/userDataStream');
+        
+        const keepAlive = setInterval(() => {
+            this.makeRequest('PUT', '/api/v3/userDataStream', { listenKey })
+                .catch(error => console.error('❌ Erreur keepalive listenKey:', error.message));
+        }, 30 * 60 * 1000);
+        this.state.userDataStreams.set(listenKey, keepAlive);
+        
+        this.connectWebSocket(listenKey, onEvent);
+        
+        return {
+            close: () => {
+                clearInterval(keepAlive);
+                this.state.userDataStreams.delete(listenKey);
+                this.closeWebSocket(listenKey);
+                return this.makeRequest('DELETE', '/api/v3/userDataStream', { listenKey }).catch(() => {});
+            }
+        };
+    }
+
     // Requête HTTP standard
     async makeRequest(method, endpoint, params = {}) {
         const url = new URL(endpoint, this.config.baseURL);
@@ -555,7 +609,10 @@ class BinanceAPI {
     // Exécution de requête avec retry
     async executeRequest(url, options, attempt = 1) {
         try {
-            const fetch = (await import('node-fetch')).default;
+            // fetch natif (Node 18+), sinon node-fetch
+            const fetch = typeof globalThis.fetch === 'function' ?
+                globalThis.fetch :
+                (await import('node-fetch')).default;
             const response = await fetch(url, options);
             
             // Mise à jour des limites de taux
@@ -563,7 +620,11 @@ class BinanceAPI {
             
             if (!response.ok) {
                 const error = await response.json();
-                throw new Error(`API Error: ${error.msg || response.statusText}`);
+                // Code Binance (-1003, -1022, -2010...) et statut HTTP conservés pour l'appelant
+                throw Object.assign(new Error(`API Error: ${error.msg || response.statusText}`), {
+                    code: error.code,
+                    status: response.status
+                });
             }
             
             return await response.json();
@@ -670,6 +731,7 @@ class BinanceAPI {
         };
         
         const logFile = './logs/binance_orders.log';
+        fs.mkdirSync(path.dirname(logFile), { recursive: true });
         fs.appendFileSync(logFile, JSON.stringify(logEntry) + '\n');
         
         console.log('📝 Ordre loggé:', order.orderId);
@@ -679,13 +741,19 @@ class BinanceAPI {
     disconnect() {
         console.log('🔌 Fermeture connexions Binance...');
         
-        // Fermer tous les WebSockets
-        for (const [stream, ws] of this.state.websockets) {
-            ws.close();
-            console.log(`📡 WebSocket fermé: ${stream}`);
+        // Arrêt des keepalive de flux utilisateur
+        for (const keepAlive of this.state.userDataStreams.values()) {
+            clearInterval(keepAlive);
         }
+        this.state.userDataStreams.clear();
         
+        // Fermer tous les WebSockets (vidés avant fermeture: pas de reconnexion)
+        const websockets = [...this.state.websockets];
         this.state.websockets.clear();
+        for (const [stream, ws] of websockets) {
+            ws.close();
+            console.log(`📡 WebSocket fermé: ${stream}`);
+        }
         console.log('✅ Déconnexion Binance terminée');
     }
 
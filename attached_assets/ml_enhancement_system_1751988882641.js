@@ -3,6 +3,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { loadTrades, defaultTradeFiles } = require('../realistic-bots/trade-schema');
 
 class MLEnhancementSystem {
     constructor(config) {
@@ -78,18 +79,16 @@ class MLEnhancementSystem {
         console.log('📊 Chargement des données d\'entrainement...');
         
         try {
-            const tradesFile = path.join(this.config.dataPath, 'trading', 'trades.json');
+            const tradesFiles = defaultTradeFiles(this.config.dataPath);
             
-            if (!fs.existsSync(tradesFile)) {
+            if (!tradesFiles.some(file => fs.existsSync(file))) {
                 console.log('⚠️ Aucune donnée de trading trouvée');
                 return;
             }
             
-            const lines = fs.readFileSync(tradesFile, 'utf8').trim().split('\n');
-            const rawTrades = lines
-                .filter(line => line.trim())
-                .map(line => JSON.parse(line))
-                .filter(trade => trade.status === 'CLOSED');
+            const rawTrades = loadTrades(tradesFiles)
+                .filter(trade => trade.status === 'CLOSED')
+                .sort((a, b) => a.exitTime - b.exitTime);
             
             // Préparation des données pour ML
             this.state.trainingData = this.prepareTrainingData(rawTrades);
@@ -136,7 +135,7 @@ class MLEnhancementSystem {
         const features = {};
         
         // Features temporelles
-        const date = new Date(trade.entryTime || trade.timestamp);
+        const date = new Date(trade.entryTime);
         features.hour_of_day = date.getHours() / 23; // Normalisé
         features.day_of_week = date.getDay() / 6;
         features.day_of_month = date.getDate() / 31;
@@ -650,6 +649,30 @@ class MLEnhancementSystem {
         return Math.min(10, count) / 10; // Normalisé
     }
 
+    calculateRecentWinRate(trades, currentIndex, window) {
+        const recentTrades = trades.slice(Math.max(0, currentIndex - window), currentIndex);
+        if (recentTrades.length === 0) return 0.5;
+
+        return recentTrades.filter(t => (t.pnl || 0) > 0).length / recentTrades.length;
+    }
+
+    calculateAvgRecentPnL(trades, currentIndex, window) {
+        const recentTrades = trades.slice(Math.max(0, currentIndex - window), currentIndex);
+        if (recentTrades.length === 0) return 0.5;
+
+        const avgPnL = recentTrades.reduce((sum, t) => sum + (t.pnlPercent || 0), 0) / recentTrades.length;
+
+        // [-5%, +5%] ramené sur [0, 1]
+        return Math.min(1, Math.max(0, (avgPnL + 5) / 10));
+    }
+
+    getSymbolPerformance(symbol, trades, currentIndex) {
+        const symbolTrades = trades.slice(0, currentIndex).filter(t => t.symbol === symbol);
+        if (symbolTrades.length === 0) return 0.5;
+
+        return symbolTrades.filter(t => (t.pnl || 0) > 0).length / symbolTrades.length;
+    }
+
     findBestPeriod(performanceData) {
         let best = { period: null, winRate: 0 };
         
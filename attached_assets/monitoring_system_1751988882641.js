@@ -5,6 +5,7 @@ const express = require('express');
 const prometheus = require('prom-client');
 const fs = require('fs');
 const path = require('path');
+const { loadTrades, defaultTradeFiles } = require('../realistic-bots/trade-schema');
 
 class TradingBotMonitoring {
     constructor(config) {
@@ -374,14 +375,10 @@ class TradingBotMonitoring {
     // Récupération des trades récents
     getRecentTrades(limit = 10) {
         try {
-            const tradesFile = path.join(__dirname, 'logs', 'trading', 'trades.json');
-            if (fs.existsSync(tradesFile)) {
-                const lines = fs.readFileSync(tradesFile, 'utf8').trim().split('\n');
-                return lines
-                    .slice(-limit)
-                    .map(line => JSON.parse(line))
-                    .reverse();
-            }
+            return loadTrades(defaultTradeFiles(path.join(__dirname, 'logs')))
+                .filter(trade => trade.status === 'CLOSED')
+                .sort((a, b) => b.exitTime - a.exitTime)
+                .slice(0, limit);
         } catch (error) {
             console.error('Erreur chargement trades récents:', error);
         }
@@ -476,13 +473,13 @@ class TradingBotMonitoring {
                 <tbody>
                     ${metrics.recent_trades.map(trade => `
                         <tr>
-                            <td>${new Date(trade.exitTime || trade.timestamp).toLocaleTimeString()}</td>
+                            <td>${new Date(trade.exitTime).toLocaleTimeString()}</td>
                             <td>${trade.symbol}</td>
                             <td>${trade.direction}</td>
                             <td class="${trade.pnlPercent >= 0 ? 'positive' : 'negative'}">
                                 ${trade.pnlPercent ? trade.pnlPercent.toFixed(2) + '%' : 'N/A'}
                             </td>
-                            <td>${trade.reason || 'N/A'}</td>
+                            <td>${trade.exitReason || 'N/A'}</td>
                         </tr>
                     `).join('')}
                 </tbody>
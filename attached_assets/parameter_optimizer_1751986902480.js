@@ -2,13 +2,103 @@
 // Utilise des algorithmes génétiques et grid search pour optimiser la performance
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { isMainThread, workerData } = require('worker_threads');
+const BacktestingEngine = require('./backtesting_system_1751986902480');
+const { getStrategyClass, DEFAULT_STRATEGY } = require('../realistic-bots/strategies');
+const { createRandom, parseSeedArg } = require('../realistic-bots/random');
+const { loadCandles, parseDataArgs } = require('../realistic-bots/candle-loader');
+const { WorkerPool, serveWorker, cancelledError, CANCELLED } = require('../realistic-bots/worker-pool');
+const { writeFileAtomic } = require('../realistic-bots/trade-journal');
 
-class ParameterOptimizer {
+const OPTIMIZER_WORKER = 'parameter-optimizer';
+const CHECKPOINT_VERSION = 1;
+
+// Options explicitement à undefined (ex. { maxWorkers: undefined }) ignorées: elles n'écrasent pas les valeurs par défaut
+function definedOptions(config) {
+    return Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined));
+}
+
+// Chandeliers en lecture seule partagés avec les workers (SharedArrayBuffer, séries triées par timestamp):
+// chaque worker lit ses fenêtres dans le tableau partagé, sans copie de la série complète
+const CANDLE_FIELDS = ['timestamp', 'open', 'high', 'low', 'close', 'volume'];
+
+function packCandles(candles) {
+    const buffer = new SharedArrayBuffer(candles.length * CANDLE_FIELDS.length * Float64Array.BYTES_PER_ELEMENT);
+    const values = new Float64Array(buffer);
+    candles.forEach((candle, i) => {
+        CANDLE_FIELDS.forEach((field, j) => {
+            values[i * CANDLE_FIELDS.length + j] = candle[field];
+        });
+    });
+    return buffer;
+}
+
+// Fenêtre lue directement dans le tableau partagé: seuls les chandeliers de la fenêtre sont matérialisés
+function sliceSharedCandles(values, start, end, seriesEnd) {
+    const width = CANDLE_FIELDS.length;
+    const count = values.length / width;
+    const closesSeries = end === seriesEnd;
+    
+    // Recherche dichotomique du premier chandelier >= start (timestamps croissants)
+    let low = 0;
+    let high = count;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (values[middle * width] < start) low = middle + 1;
+        else high = middle;
+    }
+    
+    const candles = [];
+    for (let i = low; i < count; i++) {
+        const timestamp = values[i * width];
+        if (timestamp > end || (timestamp === end && !closesSeries)) break;
+        const candle = {};
+        CANDLE_FIELDS.forEach((field, j) => {
+            candle[field] = values[i * width + j];
+        });
+        candles.push(candle);
+    }
+    return candles;
+}
+
+// Fenêtre [début, fin[ d'une série (le dernier chandelier clôt la série)
+function sliceCandles(series, start, end, seriesEnd) {
+    const closesSeries = end === seriesEnd;
+    return series.filter(c => c.timestamp >= start &&
+        (c.timestamp < end || (closesSeries && c.timestamp === end)));
+}
+
+// Backtest d'un jeu de paramètres, dans le processus principal ou dans un worker
+async function backtestParameters({ strategy, symbols, initialCapital, dataset, candles, riskParams, strategyParams }) {
+    const engine = new BacktestingEngine({
+        ...riskParams,
+        startDate: dataset.startDate,
+        endDate: dataset.endDate,
+        symbols,
+        initialCapital,
+        strategy,
+        strategyParams,
+        candles,
+        quiet: true
+    });
+    
+    const backtest = await engine.runBacktest();
+    return { metrics: backtest.metrics, dailyReturns: backtest.dailyReturns };
+}
+
+class ParameterOptimizer extends EventEmitter {
     constructor(config) {
+        super();
         this.config = {
+            // Stratégie optimisée (registre realistic-bots/strategies)
+            strategy: config.strategy || DEFAULT_STRATEGY,
+            
             // Algorithme d'optimisation
-            algorithm: config.algorithm || 'genetic', // 'genetic', 'grid', 'random'
+            algorithm: config.algorithm || 'genetic', // 'genetic', 'nsga2' (multi-objectif), 'grid', 'random'
             
             // Paramètres génétiques
             populationSize: config.populationSize || 50,
@@ -17,9 +107,15 @@ class ParameterOptimizer {
             crossoverRate: config.crossoverRate || 0.8,
             elitismRate: config.elitismRate || 0.1,
             
-            // Paramètres de backtesting
-            backtestPeriod: config.backtestPeriod || 180, // jours
-            validationPeriod: config.validationPeriod || 60, // jours
+            // Paramètres de backtesting (BacktestingEngine)
+            backtestPeriod: config.backtestPeriod || 180, // jours d'entraînement
+            validationPeriod: config.validationPeriod || 60, // jours de validation, après l'entraînement
+            endDate: config.endDate || '2024-12-31',
+            symbols: config.symbols || ['BTCUSDT', 'ETHUSDT'],
+            initialCapital: config.initialCapital || 10000,
+            seed: config.seed !== undefined ? config.seed : null,
+            candles: config.candles || null, // { symbole: chandeliers } sinon dataSource, sinon données simulées
+            dataSource: config.dataSource || null, // fichiers historiques (voir BacktestingEngine)
             
             // Objectifs d'optimisation
             objectives: config.objectives || {
@@ -29,6 +125,13 @@ class ParameterOptimizer {
                 consistencyWeight: 0.1
             },
             
+            // Objectifs du mode multi-objectif (nsga2): front de Pareto, sans pondération
+            paretoObjectives: config.paretoObjectives || [
+                { metric: 'annualizedReturn', goal: 'max' },
+                { metric: 'maxDrawdown', goal: 'min' },
+                { metric: 'totalTrades', goal: 'max' }
+            ],
+            
             // Contraintes
             constraints: config.constraints || {
                 maxDrawdown: 0.20, // 20%
@@ -37,20 +140,54 @@ class ParameterOptimizer {
                 minTrades: 50
             },
             
-            // Parallélisation
-            maxWorkers: config.maxWorkers || 4,
+            // Parallélisation (worker_threads; 1 = évaluation dans le processus principal)
+            maxWorkers: config.maxWorkers || Math.min(4, os.cpus().length),
+            
+            // Reprise après interruption: générations sauvegardées après chaque évaluation
+            checkpointFile: config.checkpointFile || path.join(__dirname, 'optimization_results', 'checkpoint.json'),
+            resume: config.resume !== false,
             
-            ...config
+            ...definedOptions(config),
+            
+            // Walk-forward sur entraînement + validation: plis in-sample puis out-of-sample
+            // (options partielles fusionnées avec les valeurs par défaut)
+            walkForward: {
+                enabled: true,
+                mode: 'rolling', // 'rolling' (fenêtre glissante) ou 'anchored' (début fixe)
+                inSampleDays: 90,
+                outOfSampleDays: 30,
+                minEfficiency: 0.5, // WFE minimale pour promouvoir les paramètres
+                ...config.walkForward
+            }
         };
         
+        this.strategyClass = getStrategyClass(this.config.strategy);
         this.parameterSpace = this.defineParameterSpace();
+        
+        // Tirages de la recherche (individus, croisements, mutations, tournois): même graine = même résultat
+        this.random = createRandom(this.config.seed);
+        this.searchRandom = this.random;
         this.results = {
             generations: [],
             bestParameters: null,
+            paretoFront: null,
             optimizationHistory: [],
-            validationResults: null
+            validationResults: null,
+            baselineResults: null,
+            walkForward: null
         };
         
+        // Résultats de backtest par jeu de données et hash de paramètres
+        this.series = null;
+        this.datasets = null;
+        this.activeDataset = 'training'; // jeu évalué par les algorithmes de recherche
+        
+        this.pool = null;
+        this.cancelled = false;
+        this.checkpoint = null;
+        this.backtestCache = new Map();
+        this.cacheStats = { hits: 0, misses: 0 };
+        
         console.log(`🔧 Optimiseur initialisé: ${this.config.algorithm} sur ${this.config.backtestPeriod} jours`);
     }
 
@@ -92,81 +229,6 @@ class ParameterOptimizer {
                 current: 0.05
             },
             
-            // Indicateurs techniques
-            rsiPeriod: {
-                min: 7,
-                max: 21,
-                step: 1,
-                type: 'int',
-                current: 14
-            },
-            
-            rsiOversold: {
-                min: 20,
-                max: 40,
-                step: 2,
-                type: 'int',
-                current: 30
-            },
-            
-            rsiOverbought: {
-                min: 60,
-                max: 80,
-                step: 2,
-                type: 'int',
-                current: 70
-            },
-            
-            smaPeriod: {
-                min: 10,
-                max: 50,
-                step: 2,
-                type: 'int',
-                current: 20
-            },
-            
-            emaPeriodShort: {
-                min: 5,
-                max: 15,
-                step: 1,
-                type: 'int',
-                current: 12
-            },
-            
-            emaPeriodLong: {
-                min: 20,
-                max: 35,
-                step: 1,
-                type: 'int',
-                current: 26
-            },
-            
-            // Filtres de volatilité
-            minVolatility: {
-                min: 0.005,  // 0.5%
-                max: 0.020,  // 2%
-                step: 0.0025,
-                type: 'float',
-                current: 0.01
-            },
-            
-            maxVolatility: {
-                min: 0.030,  // 3%
-                max: 0.080,  // 8%
-                step: 0.005,
-                type: 'float',
-                current: 0.05
-            },
-            
-            // Filtres de volume
-            minVolumeRatio: {
-                min: 1.0,
-                max: 2.0,
-                step: 0.1,
-                type: 'float',
-                current: 1.3
-            },
-            
             // Limites de trading
             maxTradesPerDay: {
                 min: 1,
@@ -190,10 +252,51 @@ class ParameterOptimizer {
                 step: 900000,   // 15 min
                 type: 'int',
                 current: 3600000 // 1h
-            }
+            },
+            
+            // Paramètres numériques de la stratégie (les booléens gardent leur valeur par défaut)
+            ...this.defineStrategySpace()
         };
     }
 
+    // Espace de recherche tiré du schéma de la stratégie
+    defineStrategySpace() {
+        const space = {};
+        Object.entries(this.strategyClass.schema).forEach(([param, spec]) => {
+            if (spec.type === 'boolean') return;
+            space[param] = {
+                min: spec.min,
+                max: spec.max,
+                step: spec.step,
+                type: spec.type,
+                current: spec.default,
+                strategy: true
+            };
+        });
+        return space;
+    }
+
+    // Séparation paramètres de risque / paramètres de la stratégie
+    splitParameters(individual) {
+        const riskParams = {};
+        const strategyParams = {};
+        Object.entries(individual).forEach(([param, value]) => {
+            const config = this.parameterSpace[param];
+            if (config && config.strategy) {
+                strategyParams[param] = value;
+            } else {
+                riskParams[param] = value;
+            }
+        });
+        return { riskParams, strategyParams };
+    }
+
+    // Flux aléatoire d'une étape de la recherche sur le jeu actif (population initiale, génération N):
+    // une reprise depuis le checkpoint retrouve exactement les tirages de la génération suivante
+    useSearchStream(step) {
+        this.searchRandom = this.random.fork(`${this.activeDataset}:${step}`);
+    }
+
     // Génération d'un individu aléatoire (algorithme génétique)
     generateRandomIndividual() {
         const individual = {};
@@ -201,10 +304,10 @@ class ParameterOptimizer {
         Object.entries(this.parameterSpace).forEach(([param, config]) => {
             if (config.type === 'int') {
                 const range = Math.floor((config.max - config.min) / config.step) + 1;
-                individual[param] = config.min + (Math.floor(Math.random() * range) * config.step);
+                individual[param] = config.min + (this.searchRandom.int(range) * config.step);
             } else if (config.type === 'float') {
                 const range = Math.floor((config.max - config.min) / config.step) + 1;
-                individual[param] = config.min + (Math.floor(Math.random() * range) * config.step);
+                individual[param] = config.min + (this.searchRandom.int(range) * config.step);
                 individual[param] = parseFloat(individual[param].toFixed(6));
             }
         });
@@ -227,20 +330,9 @@ class ParameterOptimizer {
             individual.stopLossPercent = individual.dailyTargetMax * 1.5;
         }
         
-        // EMA court < EMA long
-        if (individual.emaPeriodShort >= individual.emaPeriodLong) {
-            individual.emaPeriodLong = individual.emaPeriodShort + 5;
-        }
-        
-        // Volatilité min < max
-        if (individual.minVolatility >= individual.maxVolatility) {
-            individual.maxVolatility = individual.minVolatility + 0.01;
-        }
-        
-        // RSI oversold < overbought
-        if (individual.rsiOversold >= individual.rsiOverbought) {
-            individual.rsiOverbought = individual.rsiOversold + 20;
-        }
+        // Contraintes propres à la stratégie (ex: EMA courte < EMA longue)
+        const { strategyParams } = this.splitParameters(individual);
+        Object.assign(individual, this.strategyClass.normalizeParams(strategyParams));
     }
 
     // Croisement de deux individus
@@ -249,7 +341,7 @@ class ParameterOptimizer {
         const child2 = {};
         
         Object.keys(this.parameterSpace).forEach(param => {
-            if (Math.random() < this.config.crossoverRate) {
+            if (this.searchRandom.random() < this.config.crossoverRate) {
                 child1[param] = parent2[param];
                 child2[param] = parent1[param];
             } else {
@@ -269,13 +361,13 @@ class ParameterOptimizer {
         const mutated = { ...individual };
         
         Object.entries(this.parameterSpace).forEach(([param, config]) => {
-            if (Math.random() < this.config.mutationRate) {
+            if (this.searchRandom.random() < this.config.mutationRate) {
                 if (config.type === 'int') {
                     const range = Math.floor((config.max - config.min) / config.step) + 1;
-                    mutated[param] = config.min + (Math.floor(Math.random() * range) * config.step);
+                    mutated[param] = config.min + (this.searchRandom.int(range) * config.step);
                 } else if (config.type === 'float') {
                     const range = Math.floor((config.max - config.min) / config.step) + 1;
-                    mutated[param] = config.min + (Math.floor(Math.random() * range) * config.step);
+                    mutated[param] = config.min + (this.searchRandom.int(range) * config.step);
                     mutated[param] = parseFloat(mutated[param].toFixed(6));
                 }
             }
@@ -286,10 +378,10 @@ class ParameterOptimizer {
     }
 
     // Évaluation d'un ensemble de paramètres
-    async evaluateParameters(parameters) {
+    async evaluateParameters(parameters, dataset = this.activeDataset) {
         try {
-            // Simulation du backtesting avec ces paramètres
-            const backtestResults = await this.runBacktest(parameters);
+            // Backtesting réel avec ces paramètres
+            const backtestResults = await this.runBacktest(parameters, dataset);
             
             // Calcul du score composite
             const fitness = this.calculateFitness(backtestResults);
@@ -302,6 +394,7 @@ class ParameterOptimizer {
             };
             
         } catch (error) {
+            if (error.code === CANCELLED) throw error;
             console.error('Erreur évaluation paramètres:', error.message);
             return {
                 parameters,
@@ -312,50 +405,315 @@ class ParameterOptimizer {
         }
     }
 
-    // Simulation de backtesting (version simplifiée)
-    async runBacktest(parameters) {
-        // Simulation d'un backtesting avec les paramètres donnés
-        // En production, ceci ferait appel au vrai système de backtesting
+    // Évaluation d'une population: répartie sur les workers, sinon séquentielle
+    async evaluatePopulation(individuals, label = 'Évaluation') {
+        this.throwIfCancelled();
+        
+        const total = individuals.length;
+        const logEvery = Math.max(10, Math.ceil(total / 10));
+        let completed = 0;
         
-        const baseResults = {
-            totalTrades: Math.floor(50 + Math.random() * 100),
-            winRate: 0.3 + Math.random() * 0.4, // 30-70%
-            totalReturn: -0.1 + Math.random() * 0.4, // -10% à +30%
-            maxDrawdown: Math.random() * 0.25, // 0-25%
-            sharpeRatio: -0.5 + Math.random() * 3, // -0.5 à 2.5
-            volatility: 0.1 + Math.random() * 0.3 // 10-40%
+        const evaluate = async individual => {
+            const evaluation = await this.evaluateParameters(individual);
+            completed++;
+            this.emit('progress', { phase: label, dataset: this.activeDataset, completed, total });
+            if (completed % logEvery === 0 || completed === total) {
+                console.log(`${label}: ${completed}/${total} (${(completed / total * 100).toFixed(1)}%)`);
+            }
+            return evaluation;
+        };
+        
+        if (!this.getPool()) {
+            const evaluations = [];
+            for (const individual of individuals) {
+                this.throwIfCancelled();
+                evaluations.push(await evaluate(individual));
+            }
+            return evaluations;
+        }
+        return Promise.all(individuals.map(evaluate));
+    }
+
+    // Pool de workers créé à la première évaluation (chandeliers partagés une seule fois)
+    getPool() {
+        if (this.pool || this.config.maxWorkers <= 1 || !this.series) return this.pool;
+        
+        const buffers = {};
+        Object.entries(this.series.candles).forEach(([symbol, candles]) => {
+            buffers[symbol] = packCandles(candles);
+        });
+        
+        this.pool = new WorkerPool(__filename, {
+            size: this.config.maxWorkers,
+            workerData: {
+                role: OPTIMIZER_WORKER,
+                strategy: this.config.strategy,
+                symbols: this.config.symbols,
+                initialCapital: this.config.initialCapital,
+                seriesEnd: this.series.end,
+                buffers
+            }
+        });
+        console.log(`🧵 ${this.config.maxWorkers} workers d'évaluation démarrés`);
+        return this.pool;
+    }
+
+    // Annulation: évaluations en cours rejetées, checkpoint conservé pour reprise
+    async cancel(reason = 'Optimisation annulée') {
+        this.cancelled = true;
+        if (this.pool) {
+            const pool = this.pool;
+            this.pool = null;
+            await pool.cancel(reason);
+        }
+    }
+
+    throwIfCancelled() {
+        if (this.cancelled) {
+            throw cancelledError('Optimisation annulée');
+        }
+    }
+
+    // Arrêt des workers (à appeler en fin d'utilisation)
+    async close() {
+        if (this.pool) {
+            const pool = this.pool;
+            this.pool = null;
+            await pool.close();
+        }
+    }
+
+    // Chandeliers d'entraînement et de validation, chargés une seule fois pour toute l'optimisation
+    async loadDatasets() {
+        if (this.datasets) return this.datasets;
+        
+        const dayMs = 24 * 3600000;
+        
+        // Fichiers historiques chargés une fois: la série sert ensuite comme des chandeliers préchargés
+        if (!this.config.candles && this.config.dataSource) {
+            const source = this.config.dataSource;
+            this.config.candles = loadCandles(source.path, { ...source, symbols: this.config.symbols }).series;
+        }
+        const candles = this.config.candles;
+        const end = candles ?
+            Math.max(...Object.values(candles).map(series => series[series.length - 1].timestamp)) :
+            new Date(this.config.endDate).getTime();
+        const validationStart = end - this.config.validationPeriod * dayMs;
+        const trainingStart = validationStart - this.config.backtestPeriod * dayMs;
+        
+        if (candles) {
+            const first = Math.max(...Object.values(candles).map(series => series[0].timestamp));
+            if (first > trainingStart) {
+                console.log(`⚠️ Données depuis ${new Date(first).toISOString()} seulement: ${Math.floor((end - first) / dayMs)} jours pour ${this.config.backtestPeriod + this.config.validationPeriod} demandés`);
+            }
+        }
+        
+        const loader = new BacktestingEngine({ seed: this.config.seed, candles, quiet: true });
+        this.series = { start: trainingStart, end, candles: {} };
+        for (const symbol of this.config.symbols) {
+            this.series.candles[symbol] = await loader.loadHistoricalData(symbol, new Date(trainingStart).toISOString(), new Date(end).toISOString());
+        }
+        
+        this.datasets = {};
+        this.createDataset('training', trainingStart, validationStart);
+        this.createDataset('validation', validationStart, end);
+        
+        console.log(`📊 Données: entraînement ${this.datasets.training.startDate} → ${this.datasets.training.endDate}, validation → ${this.datasets.validation.endDate}`);
+        return this.datasets;
+    }
+
+    // Jeu de données nommé [début, fin[ extrait des chandeliers chargés (le dernier chandelier clôt la série)
+    createDataset(name, start, end) {
+        const dataset = {
+            name,
+            start,
+            end,
+            startDate: new Date(start).toISOString(),
+            endDate: new Date(end).toISOString(),
+            days: (end - start) / (24 * 3600000),
+            candles: {}
         };
         
-        // Ajustements basés sur les paramètres (logique simplifiée)
+        Object.entries(this.series.candles).forEach(([symbol, series]) => {
+            dataset.candles[symbol] = sliceCandles(series, start, end, this.series.end);
+        });
+        
+        this.datasets[name] = dataset;
+        return dataset;
+    }
+
+    // Hash stable d'un jeu de paramètres (clés triées, stratégie incluse)
+    hashParameters(parameters) {
+        const sorted = Object.keys(parameters).sort().map(key => [key, parameters[key]]);
+        return crypto.createHash('sha1')
+            .update(JSON.stringify([this.config.strategy, sorted]))
+            .digest('hex');
+    }
+
+    // Backtest réel (BacktestingEngine) avec mise en cache par hash de paramètres
+    // (le cache garde la promesse: deux évaluations simultanées du même individu partagent le backtest)
+    async runBacktest(parameters, datasetName = this.activeDataset) {
+        const datasets = await this.loadDatasets();
+        const dataset = datasets[datasetName];
+        if (!dataset) {
+            throw new Error(`Jeu de données inconnu: ${datasetName}`);
+        }
+        this.throwIfCancelled();
+        const key = `${datasetName}:${this.hashParameters(parameters)}`;
         
-        // Stop-loss plus petit améliore généralement le drawdown
-        const stopLossBonus = (0.02 - parameters.stopLossPercent) * 5;
-        baseResults.maxDrawdown = Math.max(0.01, baseResults.maxDrawdown + stopLossBonus);
+        if (this.backtestCache.has(key)) {
+            this.cacheStats.hits++;
+            return this.backtestCache.get(key);
+        }
+        this.cacheStats.misses++;
+        
+        const { riskParams, strategyParams } = this.splitParameters(parameters);
+        const pool = this.getPool();
+        const task = pool ?
+            pool.run({
+                dataset: { name: dataset.name, start: dataset.start, end: dataset.end, startDate: dataset.startDate, endDate: dataset.endDate },
+                riskParams,
+                strategyParams
+            }) :
+            backtestParameters({
+                strategy: this.config.strategy,
+                symbols: this.config.symbols,
+                initialCapital: this.config.initialCapital,
+                dataset,
+                candles: dataset.candles,
+                riskParams,
+                strategyParams
+            });
         
-        // Paramètres RSI plus stricts améliorent la précision
-        const rsiRange = parameters.rsiOverbought - parameters.rsiOversold;
-        const rsiBonus = (60 - rsiRange) * 0.003;
-        baseResults.winRate = Math.min(0.8, Math.max(0.2, baseResults.winRate + rsiBonus));
+        const promise = task.then(backtest => this.summarizeBacktest(backtest, dataset.days));
+        this.backtestCache.set(key, promise);
+        promise.catch(() => this.backtestCache.delete(key));
+        return promise;
+    }
+
+    // Empreinte de l'optimisation: un checkpoint n'est repris que pour la même configuration et les mêmes données
+    getFingerprint() {
+        const candles = {};
+        Object.entries(this.series.candles).forEach(([symbol, series]) => {
+            candles[symbol] = [series.length, series[0].timestamp, series[series.length - 1].close];
+        });
         
-        // Position size plus petite réduit la volatilité
-        const positionBonus = (0.05 - parameters.maxPositionPercent) * 2;
-        baseResults.volatility = Math.max(0.05, baseResults.volatility + positionBonus);
+        const c = this.config;
+        return crypto.createHash('sha1').update(JSON.stringify({
+            version: CHECKPOINT_VERSION,
+            strategy: c.strategy,
+            algorithm: c.algorithm,
+            genetic: [c.populationSize, c.generations, c.mutationRate, c.crossoverRate, c.elitismRate],
+            parameterSpace: this.parameterSpace,
+            objectives: c.objectives,
+            paretoObjectives: c.paretoObjectives,
+            constraints: c.constraints,
+            walkForward: c.walkForward,
+            symbols: c.symbols,
+            initialCapital: c.initialCapital,
+            candles
+        })).digest('hex');
+    }
+
+    // Checkpoint: une entrée par jeu de données recherché (entraînement, plis walk-forward)
+    // Données simulées sans graine: non reproductibles, donc pas de reprise possible
+    loadCheckpoint() {
+        if (this.checkpoint) return this.checkpoint;
+        
+        const reproducible = this.config.seed !== null || this.config.candles;
+        const fingerprint = this.getFingerprint();
+        this.checkpoint = { enabled: Boolean(reproducible), fingerprint, searches: {} };
+        if (!reproducible) {
+            console.log('⚠️ Données simulées sans graine (--seed): checkpoint désactivé');
+            return this.checkpoint;
+        }
         
-        // Recalcul du Sharpe basé sur volatilité ajustée
-        baseResults.sharpeRatio = baseResults.totalReturn / Math.max(0.01, baseResults.volatility);
+        const file = this.config.checkpointFile;
+        if (this.config.resume && fs.existsSync(file)) {
+            try {
+                const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+                if (saved.fingerprint === fingerprint) {
+                    this.checkpoint.searches = saved.searches || {};
+                    console.log(`♻️ Reprise depuis le checkpoint ${file}`);
+                } else {
+                    console.log('⚠️ Checkpoint d\'une autre configuration ignoré');
+                }
+            } catch (error) {
+                console.log(`⚠️ Checkpoint illisible ignoré: ${error.message}`);
+            }
+        }
+        return this.checkpoint;
+    }
+
+    getCheckpointEntry() {
+        return this.loadCheckpoint().searches[this.activeDataset] || null;
+    }
+
+    saveCheckpointEntry(entry) {
+        const checkpoint = this.loadCheckpoint();
+        checkpoint.searches[this.activeDataset] = entry;
+        if (!checkpoint.enabled) return;
+        
+        const file = this.config.checkpointFile;
+        if (!fs.existsSync(path.dirname(file))) {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+        }
+        writeFileAtomic(file, JSON.stringify({
+            fingerprint: checkpoint.fingerprint,
+            updatedAt: new Date().toISOString(),
+            searches: checkpoint.searches
+        }));
+    }
+
+    clearCheckpoint() {
+        if (fs.existsSync(this.config.checkpointFile)) {
+            fs.unlinkSync(this.config.checkpointFile);
+        }
+        this.checkpoint = null;
+    }
+
+    // Conversion des métriques du backtester (pourcentages) en ratios pour le score
+    summarizeBacktest(backtest, days) {
+        const metrics = backtest.metrics;
+        if (!metrics.totalTrades) {
+            return {
+                days,
+                totalTrades: 0,
+                winRate: 0,
+                totalReturn: 0,
+                maxDrawdown: 0,
+                sharpeRatio: 0,
+                volatility: 0,
+                annualizedReturn: 0,
+                calmarRatio: 0,
+                consistency: 0
+            };
+        }
         
-        // Ajout de métriques calculées
-        baseResults.annualizedReturn = baseResults.totalReturn * (365 / this.config.backtestPeriod);
-        baseResults.calmarRatio = baseResults.maxDrawdown > 0 ? 
-            baseResults.annualizedReturn / baseResults.maxDrawdown : 0;
+        // Volatilité annualisée des rendements quotidiens (même base que le Sharpe du backtester)
+        const returns = backtest.dailyReturns.map(day => day.return / 100);
+        const avgReturn = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+        const variance = returns.reduce((sum, r) => sum + Math.pow(r - avgReturn, 2), 0) / returns.length;
+        
+        const results = {
+            days,
+            totalTrades: metrics.totalTrades,
+            winRate: metrics.winRate / 100,
+            totalReturn: metrics.totalReturnPercent / 100,
+            maxDrawdown: metrics.maxDrawdown.percent / 100,
+            sharpeRatio: metrics.sharpeRatio,
+            volatility: Math.sqrt(variance) * Math.sqrt(252),
+            totalFees: metrics.totalFees
+        };
         
-        baseResults.consistency = baseResults.winRate * 
-            (1 - Math.min(0.5, baseResults.maxDrawdown / 0.1));
+        results.annualizedReturn = results.totalReturn * (365 / days);
+        results.calmarRatio = results.maxDrawdown > 0 ? 
+            results.annualizedReturn / results.maxDrawdown : 0;
         
-        // Simuler une latence de backtesting
-        await this.sleep(100 + Math.random() * 200);
+        results.consistency = results.winRate * 
+            (1 - Math.min(0.5, results.maxDrawdown / 0.1));
         
-        return baseResults;
+        return results;
     }
 
     // Calcul du score de fitness
@@ -404,11 +762,13 @@ class ParameterOptimizer {
         if (!results) return false;
         
         const constraints = this.config.constraints;
+        // minTrades porte sur la période d'entraînement: proratisé pour la validation
+        const minTrades = constraints.minTrades * results.days / this.config.backtestPeriod;
         
         return results.maxDrawdown <= constraints.maxDrawdown &&
                results.sharpeRatio >= constraints.minSharpe &&
                results.winRate >= constraints.minWinRate &&
-               results.totalTrades >= constraints.minTrades;
+               results.totalTrades >= minTrades;
     }
 
     // Optimisation par algorithme génétique
@@ -416,21 +776,30 @@ class ParameterOptimizer {
         console.log('🧬 Démarrage optimisation génétique...');
         console.log(`Population: ${this.config.populationSize}, Générations: ${this.config.generations}`);
         
-        // Génération de la population initiale
-        let population = [];
-        for (let i = 0; i < this.config.populationSize; i++) {
-            const individual = this.generateRandomIndividual();
-            const evaluation = await this.evaluateParameters(individual);
-            population.push(evaluation);
-            
-            if ((i + 1) % 10 === 0) {
-                console.log(`Évaluation initiale: ${i + 1}/${this.config.populationSize}`);
+        // Population initiale, ou dernière génération sauvegardée
+        let population;
+        let startGeneration = 0;
+        const checkpoint = this.getCheckpointEntry();
+        
+        if (checkpoint && checkpoint.population) {
+            population = checkpoint.population;
+            startGeneration = checkpoint.generation;
+            this.results.generations = checkpoint.generations;
+            console.log(`♻️ Reprise à la génération ${startGeneration + 1}/${this.config.generations}`);
+        } else {
+            this.useSearchStream('initial');
+            const individuals = [];
+            for (let i = 0; i < this.config.populationSize; i++) {
+                individuals.push(this.generateRandomIndividual());
             }
+            population = await this.evaluatePopulation(individuals, 'Évaluation initiale');
+            this.saveCheckpointEntry({ generation: 0, population, generations: [] });
         }
         
         // Évolution sur plusieurs générations
-        for (let gen = 0; gen < this.config.generations; gen++) {
+        for (let gen = startGeneration; gen < this.config.generations; gen++) {
             console.log(`\n🔄 Génération ${gen + 1}/${this.config.generations}`);
+            this.useSearchStream(`generation:${gen + 1}`);
             
             // Tri par fitness
             population.sort((a, b) => b.fitness - a.fitness);
@@ -459,8 +828,9 @@ class ParameterOptimizer {
             const eliteCount = Math.floor(this.config.populationSize * this.config.elitismRate);
             const newPopulation = population.slice(0, eliteCount);
             
-            // Génération de nouveaux individus
-            while (newPopulation.length < this.config.populationSize) {
+            // Génération de nouveaux individus, évalués ensemble
+            const children = [];
+            while (newPopulation.length + children.length < this.config.populationSize) {
                 // Sélection par tournoi
                 const parent1 = this.tournamentSelection(population);
                 const parent2 = this.tournamentSelection(population);
@@ -472,19 +842,15 @@ class ParameterOptimizer {
                 const mutatedChild1 = this.mutate(child1);
                 const mutatedChild2 = this.mutate(child2);
                 
-                // Évaluation des enfants
-                if (newPopulation.length < this.config.populationSize) {
-                    const evaluation1 = await this.evaluateParameters(mutatedChild1);
-                    newPopulation.push(evaluation1);
-                }
-                
-                if (newPopulation.length < this.config.populationSize) {
-                    const evaluation2 = await this.evaluateParameters(mutatedChild2);
-                    newPopulation.push(evaluation2);
+                children.push(mutatedChild1);
+                if (newPopulation.length + children.length < this.config.populationSize) {
+                    children.push(mutatedChild2);
                 }
             }
             
+            newPopulation.push(...await this.evaluatePopulation(children, `Génération ${gen + 1}`));
             population = newPopulation;
+            this.saveCheckpointEntry({ generation: gen + 1, population, generations: this.results.generations });
             
             // Convergence précoce si pas d'amélioration
             if (gen > 5) {
@@ -512,7 +878,7 @@ class ParameterOptimizer {
         const tournament = [];
         
         for (let i = 0; i < tournamentSize; i++) {
-            const randomIndex = Math.floor(Math.random() * population.length);
+            const randomIndex = this.searchRandom.int(population.length);
             tournament.push(population[randomIndex]);
         }
         
@@ -520,25 +886,298 @@ class ParameterOptimizer {
         return tournament[0];
     }
 
+    // Optimisation multi-objectif NSGA-II: tri non dominé + distance de crowding
+    // Les jeux respectant les contraintes dominent toujours les autres
+    async optimizeNSGA2() {
+        const objectives = this.config.paretoObjectives;
+        objectives.forEach(({ metric, goal }) => {
+            if (goal !== 'max' && goal !== 'min') {
+                throw new Error(`Objectif ${metric}: goal doit être 'max' ou 'min'`);
+            }
+        });
+        
+        console.log('🧬 Démarrage optimisation multi-objectif (NSGA-II)...');
+        console.log(`Objectifs: ${objectives.map(o => `${o.goal} ${o.metric}`).join(', ')}`);
+        console.log(`Population: ${this.config.populationSize}, Générations: ${this.config.generations}`);
+        
+        let population;
+        let startGeneration = 0;
+        const checkpoint = this.getCheckpointEntry();
+        
+        if (checkpoint && checkpoint.population) {
+            population = checkpoint.population;
+            startGeneration = checkpoint.generation;
+            this.results.generations = checkpoint.generations;
+            this.rankPopulation(population); // distances infinies perdues en JSON
+            console.log(`♻️ Reprise à la génération ${startGeneration + 1}/${this.config.generations}`);
+        } else {
+            this.useSearchStream('initial');
+            const individuals = [];
+            for (let i = 0; i < this.config.populationSize; i++) {
+                individuals.push(this.generateRandomIndividual());
+            }
+            population = await this.evaluatePopulation(individuals, 'Évaluation initiale');
+            this.rankPopulation(population);
+            this.saveCheckpointEntry({ generation: 0, population, generations: [] });
+        }
+        
+        for (let gen = startGeneration; gen < this.config.generations; gen++) {
+            console.log(`\n🔄 Génération ${gen + 1}/${this.config.generations}`);
+            this.useSearchStream(`generation:${gen + 1}`);
+            
+            // Enfants par tournoi binaire (rang puis crowding), croisement et mutation
+            const children = [];
+            while (children.length < this.config.populationSize) {
+                const parent1 = this.crowdedTournament(population);
+                const parent2 = this.crowdedTournament(population);
+                const [child1, child2] = this.crossover(parent1.parameters, parent2.parameters);
+                children.push(this.mutate(child1));
+                if (children.length < this.config.populationSize) {
+                    children.push(this.mutate(child2));
+                }
+            }
+            const offspring = await this.evaluatePopulation(children, `Génération ${gen + 1}`);
+            
+            // Sélection élitiste: meilleurs fronts de parents + enfants, dernier front départagé par crowding
+            const fronts = this.rankPopulation(population.concat(offspring));
+            population = [];
+            for (const front of fronts) {
+                if (population.length + front.length <= this.config.populationSize) {
+                    population.push(...front);
+                } else {
+                    front.sort((a, b) => b.crowdingDistance - a.crowdingDistance);
+                    population.push(...front.slice(0, this.config.populationSize - population.length));
+                    break;
+                }
+            }
+            
+            const frontSize = population.filter(ind => ind.rank === 0).length;
+            const bestFitness = Math.max(...population.map(ind => ind.fitness));
+            const avgFitness = population.reduce((sum, ind) => sum + ind.fitness, 0) / population.length;
+            const validIndividuals = population.filter(ind => ind.valid).length;
+            
+            console.log(`  Front de Pareto: ${frontSize}, Meilleur score: ${bestFitness.toFixed(2)}, Valides: ${validIndividuals}`);
+            
+            this.results.generations.push({
+                generation: gen + 1,
+                frontSize,
+                bestFitness,
+                avgFitness,
+                validIndividuals,
+                population: population.map(ind => ({
+                    fitness: ind.fitness,
+                    valid: ind.valid,
+                    rank: ind.rank
+                }))
+            });
+            this.saveCheckpointEntry({ generation: gen + 1, population, generations: this.results.generations });
+        }
+        
+        // Front final sans doublons (un même jeu peut survivre en plusieurs exemplaires)
+        const seen = new Set();
+        const front = population.filter(ind => {
+            const key = this.hashParameters(ind.parameters);
+            if (ind.rank !== 0 || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+        this.assignCrowdingDistance(front);
+        front.sort((a, b) => this.objectiveValues(b)[0] - this.objectiveValues(a)[0]);
+        
+        this.results.paretoFront = front;
+        this.results.bestParameters = this.selectCompromise(front);
+        
+        console.log('\n✅ Optimisation multi-objectif terminée');
+        console.log(`🏆 Front de Pareto: ${front.length} jeux de paramètres${front.every(ind => ind.valid) ? '' : ' (contraintes non respectées)'}`);
+        
+        return this.results.bestParameters;
+    }
+
+    // Valeurs des objectifs orientées maximisation (-Infinity sans résultats)
+    objectiveValues(evaluation) {
+        return this.config.paretoObjectives.map(({ metric, goal }) => {
+            if (!evaluation.results) return -Infinity;
+            const value = evaluation.results[metric] || 0;
+            return goal === 'max' ? value : -value;
+        });
+    }
+
+    // a domine b: contraintes d'abord, puis au moins aussi bon partout et strictement meilleur sur un objectif
+    dominates(a, b) {
+        if (a.valid !== b.valid) return a.valid;
+        
+        const valuesA = this.objectiveValues(a);
+        const valuesB = this.objectiveValues(b);
+        let strictlyBetter = false;
+        for (let i = 0; i < valuesA.length; i++) {
+            if (valuesA[i] < valuesB[i]) return false;
+            if (valuesA[i] > valuesB[i]) strictlyBetter = true;
+        }
+        return strictlyBetter;
+    }
+
+    // Tri non dominé rapide: fronts successifs, rang et crowding affectés à chaque individu
+    rankPopulation(population) {
+        const dominated = population.map(() => []);
+        const dominationCount = population.map(() => 0);
+        const fronts = [[]];
+        
+        population.forEach((a, i) => {
+            population.forEach((b, j) => {
+                if (i === j) return;
+                if (this.dominates(a, b)) {
+                    dominated[i].push(j);
+                } else if (this.dominates(b, a)) {
+                    dominationCount[i]++;
+                }
+            });
+            if (dominationCount[i] === 0) {
+                a.rank = 0;
+                fronts[0].push(i);
+            }
+        });
+        
+        for (let k = 0; fronts[k].length > 0; k++) {
+            const next = [];
+            fronts[k].forEach(i => {
+                dominated[i].forEach(j => {
+                    dominationCount[j]--;
+                    if (dominationCount[j] === 0) {
+                        population[j].rank = k + 1;
+                        next.push(j);
+                    }
+                });
+            });
+            fronts.push(next);
+        }
+        
+        return fronts.filter(front => front.length > 0).map(front => {
+            const members = front.map(i => population[i]);
+            this.assignCrowdingDistance(members);
+            return members;
+        });
+    }
+
+    // Distance de crowding: somme des écarts normalisés aux voisins, infinie aux extrémités
+    assignCrowdingDistance(front) {
+        front.forEach(ind => { ind.crowdingDistance = 0; });
+        
+        this.config.paretoObjectives.forEach((objective, m) => {
+            const sorted = [...front].sort((a, b) => this.objectiveValues(a)[m] - this.objectiveValues(b)[m]);
+            const min = this.objectiveValues(sorted[0])[m];
+            const max = this.objectiveValues(sorted[sorted.length - 1])[m];
+            
+            sorted[0].crowdingDistance = Infinity;
+            sorted[sorted.length - 1].crowdingDistance = Infinity;
+            
+            const range = max - min;
+            if (!Number.isFinite(range) || range === 0) return;
+            for (let i = 1; i < sorted.length - 1; i++) {
+                sorted[i].crowdingDistance +=
+                    (this.objectiveValues(sorted[i + 1])[m] - this.objectiveValues(sorted[i - 1])[m]) / range;
+            }
+        });
+    }
+
+    // Tournoi binaire: meilleur rang, puis zone la moins peuplée du front
+    crowdedTournament(population) {
+        const a = population[this.searchRandom.int(population.length)];
+        const b = population[this.searchRandom.int(population.length)];
+        if (a.rank !== b.rank) return a.rank < b.rank ? a : b;
+        return a.crowdingDistance >= b.crowdingDistance ? a : b;
+    }
+
+    // Jeu de compromis du front (le plus proche du point idéal, objectifs normalisés)
+    // utilisé pour la validation; le choix du profil de risque se fait sur le front exporté
+    selectCompromise(front) {
+        const values = front.map(ind => this.objectiveValues(ind));
+        const bounds = this.config.paretoObjectives.map((objective, m) => {
+            const column = values.map(v => v[m]).filter(Number.isFinite);
+            return { min: Math.min(...column), max: Math.max(...column) };
+        });
+        
+        let best = front[0];
+        let bestDistance = Infinity;
+        values.forEach((v, i) => {
+            const distance = Math.sqrt(v.reduce((sum, value, m) => {
+                const { min, max } = bounds[m];
+                const normalized = max > min ? (value - min) / (max - min) : 1;
+                return sum + Math.pow(1 - (Number.isFinite(normalized) ? normalized : 0), 2);
+            }, 0));
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = front[i];
+            }
+        });
+        return best;
+    }
+
+    // Export du front de Pareto (JSON détaillé + CSV) pour choisir un profil de risque
+    exportParetoFront(front) {
+        const dir = path.join(__dirname, 'optimization_results');
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        const timestamp = Date.now();
+        const jsonPath = path.join(dir, `pareto_front_${timestamp}.json`);
+        const csvPath = path.join(dir, `pareto_front_${timestamp}.csv`);
+        const metrics = this.config.paretoObjectives.map(objective => objective.metric);
+        const parameterNames = Object.keys(this.parameterSpace);
+        
+        const compromise = this.hashParameters(this.results.bestParameters.parameters);
+        const members = front.map((ind, index) => {
+            const { riskParams, strategyParams } = this.splitParameters(ind.parameters);
+            const objectives = {};
+            metrics.forEach(metric => {
+                objectives[metric] = ind.results ? ind.results[metric] : null;
+            });
+            return {
+                index,
+                objectives,
+                crowdingDistance: Number.isFinite(ind.crowdingDistance) ? ind.crowdingDistance : 'Infinity',
+                compromise: this.hashParameters(ind.parameters) === compromise,
+                valid: ind.valid,
+                fitness: ind.fitness,
+                results: ind.results,
+                // Bloc prêt à copier dans config/optimized_parameters.json
+                config: { ...riskParams, strategy: this.config.strategy, strategyParams }
+            };
+        });
+        
+        fs.writeFileSync(jsonPath, JSON.stringify({
+            timestamp: new Date(timestamp).toISOString(),
+            strategy: this.config.strategy,
+            dataset: { start: this.datasets.training.startDate, end: this.datasets.training.endDate },
+            objectives: this.config.paretoObjectives,
+            constraints: this.config.constraints,
+            front: members
+        }, null, 2));
+        
+        const header = ['index', ...metrics, 'crowdingDistance', 'compromise', 'valid', 'fitness', ...parameterNames];
+        const rows = front.map((ind, index) => [
+            index,
+            ...metrics.map(metric => members[index].objectives[metric]),
+            members[index].crowdingDistance,
+            members[index].compromise,
+            ind.valid,
+            ind.fitness,
+            ...parameterNames.map(name => ind.parameters[name])
+        ].join(','));
+        fs.writeFileSync(csvPath, [header.join(','), ...rows].join('\n') + '\n');
+        
+        console.log(`📐 Front de Pareto exporté: ${jsonPath}`);
+        return { json: jsonPath, csv: csvPath };
+    }
+
     // Optimisation par grid search
     async optimizeGrid() {
         console.log('📊 Démarrage optimisation par grille...');
         
+        this.useSearchStream('grid');
         const parameterCombinations = this.generateGridCombinations();
         console.log(`Nombre de combinaisons: ${parameterCombinations.length}`);
         
-        const results = [];
-        let completed = 0;
-        
-        for (const params of parameterCombinations) {
-            const evaluation = await this.evaluateParameters(params);
-            results.push(evaluation);
-            
-            completed++;
-            if (completed % 50 === 0) {
-                console.log(`Progression: ${completed}/${parameterCombinations.length} (${(completed/parameterCombinations.length*100).toFixed(1)}%)`);
-            }
-        }
+        const results = await this.evaluatePopulation(parameterCombinations, 'Progression');
         
         // Tri des résultats
         results.sort((a, b) => b.fitness - a.fitness);
@@ -587,7 +1226,7 @@ class ParameterOptimizer {
             
             paramNames.forEach(param => {
                 const values = paramValues[param];
-                combination[param] = values[Math.floor(Math.random() * values.length)];
+                combination[param] = values[this.searchRandom.int(values.length)];
             });
             
             this.validateIndividual(combination);
@@ -601,14 +1240,8 @@ class ParameterOptimizer {
     async validateBestParameters(parameters) {
         console.log('🔍 Validation croisée des meilleurs paramètres...');
         
-        // Test sur période de validation différente
-        const originalPeriod = this.config.backtestPeriod;
-        this.config.backtestPeriod = this.config.validationPeriod;
-        
-        const validationResult = await this.evaluateParameters(parameters);
-        
-        // Restaurer la période originale
-        this.config.backtestPeriod = originalPeriod;
+        // Test sur la période suivant l'entraînement (hors échantillon)
+        const validationResult = await this.evaluateParameters(parameters, 'validation');
         
         this.results.validationResults = validationResult;
         
@@ -629,28 +1262,22 @@ class ParameterOptimizer {
         console.log('═'.repeat(50));
         
         try {
-            let bestResult;
-            
-            // Choix de l'algorithme
-            switch (this.config.algorithm) {
-                case 'genetic':
-                    bestResult = await this.optimizeGenetic();
-                    break;
-                case 'grid':
-                    bestResult = await this.optimizeGrid();
-                    break;
-                case 'random':
-                    bestResult = await this.optimizeRandom();
-                    break;
-                default:
-                    throw new Error(`Algorithme inconnu: ${this.config.algorithm}`);
-            }
+            const bestResult = await this.runSearch();
             
             // Validation croisée
             await this.validateBestParameters(bestResult.parameters);
             
+            // Référence: paramètres actuels sur les mêmes données d'entraînement
+            this.results.baselineResults = await this.evaluateParameters(this.getBaseParameters());
+            
+            // Stabilité hors échantillon sur plusieurs périodes
+            if (this.config.walkForward.enabled) {
+                await this.runWalkForward();
+            }
+            
             // Génération du rapport
             const report = this.generateOptimizationReport();
+            this.clearCheckpoint();
             
             const endTime = Date.now();
             const duration = (endTime - startTime) / 1000 / 60; // minutes
@@ -660,9 +1287,193 @@ class ParameterOptimizer {
             return report;
             
         } catch (error) {
-            console.error('❌ Erreur durant optimisation:', error.message);
+            if (error.code === CANCELLED) {
+                console.log(`⏹️ Optimisation annulée, checkpoint conservé: ${this.config.checkpointFile}`);
+            } else {
+                console.error('❌ Erreur durant optimisation:', error.message);
+            }
             throw error;
+        } finally {
+            await this.close();
+        }
+    }
+
+    // Recherche sur le jeu de données actif avec l'algorithme configuré
+    async runSearch() {
+        await this.loadDatasets();
+        
+        // Recherche déjà terminée avant l'interruption: résultat repris du checkpoint
+        const checkpoint = this.getCheckpointEntry();
+        if (checkpoint && checkpoint.completed) {
+            console.log(`♻️ Recherche ${this.activeDataset} reprise du checkpoint (score ${checkpoint.best.fitness.toFixed(2)})`);
+            this.results.bestParameters = checkpoint.best;
+            this.results.generations = checkpoint.generations;
+            this.results.paretoFront = checkpoint.paretoFront || null;
+            return checkpoint.best;
+        }
+        
+        let best;
+        switch (this.config.algorithm) {
+            case 'genetic':
+                best = await this.optimizeGenetic();
+                break;
+            case 'nsga2':
+                best = await this.optimizeNSGA2();
+                break;
+            case 'grid':
+                best = await this.optimizeGrid();
+                break;
+            case 'random':
+                best = await this.optimizeRandom();
+                break;
+            default:
+                throw new Error(`Algorithme inconnu: ${this.config.algorithm}`);
+        }
+        
+        this.saveCheckpointEntry({
+            completed: true,
+            best,
+            generations: this.results.generations,
+            paretoFront: this.results.paretoFront
+        });
+        return best;
+    }
+
+    // Plis walk-forward sur toute la période chargée (entraînement + validation)
+    // rolling: in-sample de taille fixe qui glisse; anchored: in-sample qui démarre toujours au début
+    buildWalkForwardFolds() {
+        const { mode, inSampleDays, outOfSampleDays } = this.config.walkForward;
+        if (mode !== 'rolling' && mode !== 'anchored') {
+            throw new Error(`Mode walk-forward inconnu: ${mode}`);
+        }
+        
+        const dayMs = 24 * 3600000;
+        const { start, end } = this.series;
+        const folds = [];
+        
+        for (let oosStart = start + inSampleDays * dayMs; oosStart + outOfSampleDays * dayMs <= end; oosStart += outOfSampleDays * dayMs) {
+            const index = folds.length + 1;
+            const isStart = mode === 'anchored' ? start : oosStart - inSampleDays * dayMs;
+            folds.push({
+                fold: index,
+                inSample: this.createDataset(`wf${index}-is`, isStart, oosStart),
+                outOfSample: this.createDataset(`wf${index}-oos`, oosStart, oosStart + outOfSampleDays * dayMs)
+            });
+        }
+        
+        if (folds.length === 0) {
+            throw new Error(`Période trop courte pour le walk-forward (${inSampleDays}+${outOfSampleDays} jours requis)`);
+        }
+        return folds;
+    }
+
+    // Analyse walk-forward: optimisation in-sample puis évaluation out-of-sample pour chaque pli
+    async runWalkForward() {
+        await this.loadDatasets();
+        const settings = this.config.walkForward;
+        const folds = this.buildWalkForwardFolds();
+        
+        console.log(`\n🚶 Walk-forward ${settings.mode}: ${folds.length} plis (${settings.inSampleDays}j IS / ${settings.outOfSampleDays}j OOS)`);
+        
+        // La recherche principale garde ses résultats (meilleurs paramètres, générations)
+        const saved = {
+            bestParameters: this.results.bestParameters,
+            generations: this.results.generations,
+            paretoFront: this.results.paretoFront
+        };
+        const foldResults = [];
+        
+        try {
+            for (const fold of folds) {
+                this.activeDataset = fold.inSample.name;
+                this.results.generations = [];
+                const best = await this.runSearch();
+                const outOfSample = await this.evaluateParameters(best.parameters, fold.outOfSample.name);
+                
+                const result = {
+                    fold: fold.fold,
+                    inSample: {
+                        start: fold.inSample.startDate,
+                        end: fold.inSample.endDate,
+                        fitness: best.fitness,
+                        results: best.results
+                    },
+                    outOfSample: {
+                        start: fold.outOfSample.startDate,
+                        end: fold.outOfSample.endDate,
+                        fitness: outOfSample.fitness,
+                        results: outOfSample.results
+                    },
+                    parameters: best.parameters,
+                    efficiency: this.calculateWalkForwardEfficiency([best.results], [outOfSample.results])
+                };
+                foldResults.push(result);
+                
+                const oosReturn = outOfSample.results ? outOfSample.results.annualizedReturn * 100 : 0;
+                console.log(`  Pli ${fold.fold}: IS ${best.fitness.toFixed(2)} → OOS ${outOfSample.fitness.toFixed(2)} (rendement annualisé OOS ${oosReturn.toFixed(2)}%)`);
+            }
+        } finally {
+            this.activeDataset = 'training';
+            this.results.bestParameters = saved.bestParameters;
+            this.results.generations = saved.generations;
+            this.results.paretoFront = saved.paretoFront;
         }
+        
+        const efficiency = this.calculateWalkForwardEfficiency(
+            foldResults.map(fold => fold.inSample.results),
+            foldResults.map(fold => fold.outOfSample.results)
+        );
+        const profitableFolds = foldResults.filter(fold =>
+            fold.outOfSample.results && fold.outOfSample.results.totalReturn > 0).length;
+        const parameterStability = this.analyzeParameterStability(foldResults.map(fold => fold.parameters));
+        
+        this.results.walkForward = {
+            mode: settings.mode,
+            inSampleDays: settings.inSampleDays,
+            outOfSampleDays: settings.outOfSampleDays,
+            folds: foldResults,
+            efficiency,
+            profitableFolds,
+            parameterStability,
+            passed: efficiency >= settings.minEfficiency && profitableFolds >= foldResults.length / 2
+        };
+        
+        console.log(`📐 WFE: ${(efficiency * 100).toFixed(1)}% | Plis OOS rentables: ${profitableFolds}/${foldResults.length} | Stabilité des paramètres: ${(parameterStability.overall * 100).toFixed(1)}%`);
+        return this.results.walkForward;
+    }
+
+    // Walk-forward efficiency: rendement annualisé moyen OOS / rendement annualisé moyen IS
+    calculateWalkForwardEfficiency(inSampleResults, outOfSampleResults) {
+        const average = results => results.reduce((sum, r) => sum + (r ? r.annualizedReturn : 0), 0) / results.length;
+        const inSample = average(inSampleResults);
+        if (inSample <= 0) return 0; // Rien à conserver hors échantillon
+        return average(outOfSampleResults) / inSample;
+    }
+
+    // Stabilité par paramètre: 1 = même valeur sur tous les plis, 0 = dispersion d'un tirage uniforme
+    analyzeParameterStability(parameterSets) {
+        const uniformStd = 1 / Math.sqrt(12); // écart-type d'une loi uniforme sur [0, 1]
+        const perParameter = {};
+        
+        Object.entries(this.parameterSpace).forEach(([param, config]) => {
+            const values = parameterSets.map(parameters => parameters[param]);
+            const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+            const std = Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / values.length);
+            const normalizedStd = std / (config.max - config.min);
+            
+            perParameter[param] = {
+                values,
+                mean,
+                std,
+                stability: Math.max(0, 1 - normalizedStd / uniformStd)
+            };
+        });
+        
+        const stabilities = Object.values(perParameter).map(p => p.stability);
+        return {
+            overall: stabilities.reduce((sum, v) => sum + v, 0) / stabilities.length,
+            perParameter
+        };
     }
 
     // Optimisation aléatoire (baseline)
@@ -670,17 +1481,12 @@ class ParameterOptimizer {
         console.log('🎲 Démarrage optimisation aléatoire...');
         
         const numSamples = this.config.populationSize * this.config.generations;
-        const results = [];
-        
+        this.useSearchStream('random');
+        const samples = [];
         for (let i = 0; i < numSamples; i++) {
-            const randomParams = this.generateRandomIndividual();
-            const evaluation = await this.evaluateParameters(randomParams);
-            results.push(evaluation);
-            
-            if ((i + 1) % 50 === 0) {
-                console.log(`Évaluation: ${i + 1}/${numSamples}`);
-            }
+            samples.push(this.generateRandomIndividual());
         }
+        const results = await this.evaluatePopulation(samples, 'Évaluation');
         
         results.sort((a, b) => b.fitness - a.fitness);
         this.results.bestParameters = results[0];
@@ -700,7 +1506,14 @@ class ParameterOptimizer {
                 algorithm: this.config.algorithm,
                 backtestPeriod: this.config.backtestPeriod,
                 validationPeriod: this.config.validationPeriod,
-                parameterSpace: Object.keys(this.parameterSpace).length
+                parameterSpace: Object.keys(this.parameterSpace).length,
+                strategy: this.config.strategy,
+                symbols: this.config.symbols,
+                training: { start: this.datasets.training.startDate, end: this.datasets.training.endDate },
+                validation: { start: this.datasets.validation.startDate, end: this.datasets.validation.endDate },
+                backtests: this.backtestCache.size,
+                cacheHits: this.cacheStats.hits,
+                workers: this.config.maxWorkers
             },
             
             optimization: {
@@ -712,6 +1525,8 @@ class ParameterOptimizer {
             
             bestParameters: best.parameters,
             
+            paretoFront: null,
+            
             performance: {
                 training: best.results,
                 validation: validation.results,
@@ -722,6 +1537,8 @@ class ParameterOptimizer {
             
             recommendations: this.generateParameterRecommendations(),
             
+            walkForward: this.results.walkForward,
+            
             riskAssessment: {
                 overfitting: this.assessOverfittingRisk(),
                 robustness: this.assessRobustness(),
@@ -729,6 +1546,21 @@ class ParameterOptimizer {
             }
         };
         
+        // Front de Pareto (mode nsga2): exporté à part, résumé dans le rapport
+        const front = this.results.paretoFront;
+        if (front) {
+            report.paretoFront = {
+                objectives: this.config.paretoObjectives,
+                size: front.length,
+                files: this.exportParetoFront(front),
+                members: front.map(ind => ({
+                    parameters: ind.parameters,
+                    results: ind.results,
+                    valid: ind.valid
+                }))
+            };
+        }
+        
         // Sauvegarde du rapport
         const reportPath = path.join(__dirname, 'optimization_results', 
                                     `optimization_report_${Date.now()}.json`);
@@ -740,12 +1572,28 @@ class ParameterOptimizer {
         
         fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
         
-        // Sauvegarde des paramètres optimisés pour utilisation
-        const configPath = path.join(__dirname, 'config', 'optimized_parameters.json');
-        fs.writeFileSync(configPath, JSON.stringify(best.parameters, null, 2));
-        
         console.log(`📄 Rapport sauvegardé: ${reportPath}`);
-        console.log(`⚙️ Paramètres optimisés: ${configPath}`);
+        
+        // Sauvegarde des paramètres optimisés pour utilisation (ConfigurationManager.loadOptimizedConfig)
+        // seulement s'ils se généralisent hors échantillon
+        const walkForward = this.results.walkForward;
+        if (front) {
+            console.log('📐 Mode multi-objectif: choisir un profil de risque dans le front exporté (bloc config de chaque jeu)');
+        } else if (walkForward && !walkForward.passed) {
+            console.log(`🛑 Walk-forward non concluant (WFE ${(walkForward.efficiency * 100).toFixed(1)}%): paramètres non promus`);
+        } else {
+            const configPath = path.join(__dirname, 'config', 'optimized_parameters.json');
+            if (!fs.existsSync(path.dirname(configPath))) {
+                fs.mkdirSync(path.dirname(configPath), { recursive: true });
+            }
+            const { riskParams, strategyParams } = this.splitParameters(best.parameters);
+            fs.writeFileSync(configPath, JSON.stringify({
+                ...riskParams,
+                strategy: this.config.strategy,
+                strategyParams
+            }, null, 2));
+            console.log(`⚙️ Paramètres optimisés: ${configPath}`);
+        }
         
         this.displayOptimizationSummary(report);
         
@@ -754,7 +1602,7 @@ class ParameterOptimizer {
 
     // Analyse de la convergence
     analyzeConvergence() {
-        if (this.config.algorithm !== 'genetic' || this.results.generations.length === 0) {
+        if (!['genetic', 'nsga2'].includes(this.config.algorithm) || this.results.generations.length === 0) {
             return null;
         }
         
@@ -793,20 +1641,25 @@ class ParameterOptimizer {
         return generations.length; // Pas de convergence claire
     }
 
-    // Calcul de l'amélioration par rapport aux paramètres de base
-    calculateImprovement() {
+    // Paramètres actuels (valeurs current de l'espace de recherche)
+    getBaseParameters() {
         const baseParameters = {};
         Object.entries(this.parameterSpace).forEach(([param, config]) => {
             baseParameters[param] = config.current;
         });
-        
-        // Note: En production, il faudrait évaluer les paramètres de base
-        const baseScore = 50; // Score de base estimé
+        this.validateIndividual(baseParameters);
+        return baseParameters;
+    }
+
+    // Calcul de l'amélioration par rapport aux paramètres de base
+    calculateImprovement() {
+        const baseScore = this.results.baselineResults.fitness;
         const improvement = this.results.bestParameters.fitness - baseScore;
         
         return {
+            baseScore,
             absoluteImprovement: improvement,
-            relativeImprovement: (improvement / baseScore) * 100,
+            relativeImprovement: baseScore !== 0 ? (improvement / Math.abs(baseScore)) * 100 : 0,
             significantImprovement: improvement > 10
         };
     }
@@ -877,6 +1730,15 @@ class ParameterOptimizer {
 
     // Évaluation du risque de surapprentissage
     assessOverfittingRisk() {
+        // Walk-forward: rendement conservé hors échantillon et stabilité des paramètres
+        const walkForward = this.results.walkForward;
+        if (walkForward) {
+            if (walkForward.efficiency < 0.25 || walkForward.profitableFolds < walkForward.folds.length / 2) return 'HIGH';
+            if (walkForward.efficiency < this.config.walkForward.minEfficiency || walkForward.parameterStability.overall < 0.5) return 'MEDIUM';
+            return 'LOW';
+        }
+        
+        // Sinon: écart de score entre entraînement et validation
         const training = this.results.bestParameters.fitness;
         const validation = this.results.validationResults.fitness;
         
@@ -933,6 +1795,26 @@ class ParameterOptimizer {
             console.log(`   ${param}: ${value} (${change > 0 ? '+' : ''}${change}%)`);
         });
         
+        if (report.paretoFront) {
+            console.log(`\n📐 FRONT DE PARETO (${report.paretoFront.size} jeux, paramètres ci-dessus = compromis):`);
+            const metrics = report.paretoFront.objectives.map(objective => objective.metric);
+            report.paretoFront.members.forEach((member, index) => {
+                const values = metrics.map(metric => {
+                    const value = member.results ? member.results[metric] : null;
+                    return `${metric}=${value === null ? '-' : +value.toFixed(4)}`;
+                });
+                console.log(`   ${index}. ${values.join(', ')}${member.valid ? '' : ' ⚠️'}`);
+            });
+        }
+        
+        if (report.walkForward) {
+            const walkForward = report.walkForward;
+            console.log(`\n🚶 WALK-FORWARD (${walkForward.mode}, ${walkForward.folds.length} plis):`);
+            console.log(`   Efficacité (WFE): ${(walkForward.efficiency * 100).toFixed(1)}%`);
+            console.log(`   Plis OOS rentables: ${walkForward.profitableFolds}/${walkForward.folds.length}`);
+            console.log(`   Stabilité des paramètres: ${(walkForward.parameterStability.overall * 100).toFixed(1)}%`);
+        }
+        
         console.log('\n⚠️ ÉVALUATION DES RISQUES:');
         console.log(`   Surapprentissage: ${report.riskAssessment.overfitting}`);
         console.log(`   Robustesse: ${report.riskAssessment.robustness}`);
@@ -945,11 +1827,6 @@ class ParameterOptimizer {
             });
         }
     }
-
-    // Utilitaire de pause
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
 }
 
 // Configuration par défaut
@@ -962,14 +1839,64 @@ const defaultOptimizerConfig = {
     maxWorkers: 4
 };
 
+// Worker d'évaluation: lit les fenêtres dans les séries partagées puis backteste les paramètres reçus
+function runOptimizerWorker() {
+    const series = {};
+    Object.entries(workerData.buffers).forEach(([symbol, buffer]) => {
+        series[symbol] = new Float64Array(buffer);
+    });
+    
+    serveWorker(({ dataset, riskParams, strategyParams }) => {
+        const candles = {};
+        Object.entries(series).forEach(([symbol, symbolSeries]) => {
+            candles[symbol] = sliceSharedCandles(symbolSeries, dataset.start, dataset.end, workerData.seriesEnd);
+        });
+        
+        return backtestParameters({
+            strategy: workerData.strategy,
+            symbols: workerData.symbols,
+            initialCapital: workerData.initialCapital,
+            dataset,
+            candles,
+            riskParams,
+            strategyParams
+        });
+    });
+}
+
 // Export et utilisation
-if (require.main === module) {
+if (!isMainThread && workerData && workerData.role === OPTIMIZER_WORKER) {
+    runOptimizerWorker();
+} else if (require.main === module) {
     async function runOptimization() {
         console.log('🔧 OPTIMISEUR DE PARAMÈTRES AUTOMATISÉ');
         console.log('═'.repeat(60));
         
+        const seed = parseSeedArg(process.argv);
+        if (seed !== null) {
+            defaultOptimizerConfig.seed = seed;
+            console.log(`🎲 Graine des données simulées et de la recherche: ${seed}`);
+        }
+        
+        const dataSource = parseDataArgs(process.argv);
+        if (dataSource) {
+            defaultOptimizerConfig.dataSource = dataSource;
+            console.log(`📁 Données historiques: ${dataSource.path}`);
+        }
+        
+        // --pareto: mode multi-objectif (front de Pareto au lieu d'un score pondéré)
+        if (process.argv.includes('--pareto')) {
+            defaultOptimizerConfig.algorithm = 'nsga2';
+        }
+        
         const optimizer = new ParameterOptimizer(defaultOptimizerConfig);
         
+        // Ctrl+C: arrêt propre, la prochaine exécution reprend au checkpoint
+        process.once('SIGINT', () => {
+            console.log('\n⏹️ Interruption demandée...');
+            optimizer.cancel('Optimisation interrompue');
+        });
+        
         try {
             const report = await optimizer.optimize();
             
@@ -3,6 +3,10 @@
 
 const fs = require('fs');
 const path = require('path');
+const { loadTrades, defaultTradeFiles } = require('../realistic-bots/trade-schema');
+const { runMonteCarlo, assessRobustness } = require('../realistic-bots/monte-carlo');
+const { loadCandles, parseTimestamp } = require('../realistic-bots/candle-loader');
+const { getArg } = require('../realistic-bots/cli-args');
 
 class PerformanceAnalyzer {
     constructor(config) {
@@ -10,9 +14,14 @@ class PerformanceAnalyzer {
             dataPath: config.dataPath || './logs',
             analysisWindow: config.analysisWindow || 30, // jours
             benchmarkReturn: config.benchmarkReturn || 0.1, // 10% annuel
+            // Série de référence: { candles: dossier | { SYMBOLE: chandeliers }, symbols } (buy-and-hold, symboles tradés par défaut)
+            // ou { equity: fichier JSON/CSV | [{ timestamp, equity }] } (courbe fournie); name optionnel
+            benchmark: config.benchmark || null,
             riskFreeRate: config.riskFreeRate || 0.02, // 2% annuel
             maxAcceptableDrawdown: config.maxAcceptableDrawdown || 0.15, // 15%
             targetSharpeRatio: config.targetSharpeRatio || 1.5,
+            initialCapital: config.initialCapital || 10000,
+            monteCarloSimulations: config.monteCarloSimulations || 1000,
             ...config
         };
         
@@ -20,6 +29,7 @@ class PerformanceAnalyzer {
             trades: [],
             dailyReturns: [],
             portfolioValue: [],
+            benchmark: null,
             drawdowns: [],
             metrics: {}
         };
@@ -29,6 +39,8 @@ class PerformanceAnalyzer {
             risk: {},
             efficiency: {},
             consistency: {},
+            robustness: {},
+            benchmark: {},
             recommendations: []
         };
     }
@@ -42,6 +54,7 @@ class PerformanceAnalyzer {
             await this.loadPortfolioData();
             this.calculateDailyReturns();
             this.calculateDrawdowns();
+            this.loadBenchmark();
             
             console.log(`✅ Données chargées: ${this.data.trades.length} trades, ${this.data.dailyReturns.length} jours`);
         } catch (error) {
@@ -52,17 +65,14 @@ class PerformanceAnalyzer {
 
     // Chargement des trades
     async loadTrades() {
-        const tradesFile = path.join(this.config.dataPath, 'trading', 'trades.json');
+        const tradesFiles = defaultTradeFiles(this.config.dataPath);
         
-        if (!fs.existsSync(tradesFile)) {
+        if (!tradesFiles.some(file => fs.existsSync(file))) {
             console.log('⚠️ Fichier de trades non trouvé');
             return;
         }
         
-        const lines = fs.readFileSync(tradesFile, 'utf8').trim().split('\n');
-        this.data.trades = lines
-            .filter(line => line.trim())
-            .map(line => JSON.parse(line))
+        this.data.trades = loadTrades(tradesFiles)
             .filter(trade => trade.status === 'CLOSED')
             .sort((a, b) => a.exitTime - b.exitTime);
         
@@ -92,6 +102,97 @@ class PerformanceAnalyzer {
         }
     }
 
+    // Chargement de la série de référence: valeur de clôture par jour { date, value }
+    loadBenchmark() {
+        const benchmark = this.config.benchmark;
+        if (!benchmark) return;
+        
+        if (benchmark.equity) {
+            const points = Array.isArray(benchmark.equity) ? benchmark.equity : this.readEquityFile(benchmark.equity);
+            this.data.benchmark = {
+                name: benchmark.name || (Array.isArray(benchmark.equity) ? 'Courbe fournie' : path.basename(benchmark.equity)),
+                daily: this.toDailyCloses(points.map(point => ({
+                    timestamp: parseTimestamp(point.timestamp !== undefined ? point.timestamp : (point.date || point.time)),
+                    value: parseFloat(point.equity !== undefined ? point.equity : point.value)
+                })))
+            };
+        } else if (benchmark.candles) {
+            const tradedSymbols = Array.from(new Set(this.data.trades.map(trade => trade.symbol)));
+            const symbols = benchmark.symbols || tradedSymbols;
+            const series = typeof benchmark.candles === 'string' ?
+                loadCandles(benchmark.candles, { symbols }).series : benchmark.candles;
+            const available = symbols.filter(symbol => series[symbol] && series[symbol].length > 0);
+            if (available.length === 0) {
+                console.log(`⚠️ Benchmark: aucun chandelier pour ${symbols.join(', ')}`);
+                return;
+            }
+            this.data.benchmark = {
+                name: benchmark.name || `Buy & hold ${available.join(', ')}`,
+                daily: this.buildBuyAndHold(series, available)
+            };
+        }
+        
+        if (this.data.benchmark) {
+            console.log(`📈 Benchmark: ${this.data.benchmark.name} (${this.data.benchmark.daily.length} jours)`);
+        }
+    }
+
+    // Courbe d'equity JSON ([{ timestamp|date, equity|value }]) ou CSV avec en-tête
+    readEquityFile(file) {
+        const content = fs.readFileSync(file, 'utf8');
+        if (file.endsWith('.json')) {
+            return JSON.parse(content);
+        }
+        
+        const [header, ...rows] = content.trim().split(/\r?\n/);
+        const columns = header.split(',').map(column => column.trim().toLowerCase());
+        return rows.map(row => {
+            const values = row.split(',');
+            return columns.reduce((point, column, i) => {
+                point[column] = values[i] !== undefined ? values[i].trim() : undefined;
+                return point;
+            }, {});
+        });
+    }
+
+    // Dernière valeur de chaque journée UTC
+    toDailyCloses(points) {
+        const byDate = {};
+        points
+            .filter(point => Number.isFinite(point.timestamp) && Number.isFinite(point.value))
+            .sort((a, b) => a.timestamp - b.timestamp)
+            .forEach(point => {
+                byDate[new Date(point.timestamp).toISOString().split('T')[0]] = point.value;
+            });
+        return Object.keys(byDate).sort().map(date => ({ date, value: byDate[date] }));
+    }
+
+    // Buy & hold équipondéré sans rééquilibrage: moyenne des prix rapportés au premier prix
+    buildBuyAndHold(series, symbols) {
+        const closes = {};
+        symbols.forEach(symbol => {
+            closes[symbol] = {};
+            this.toDailyCloses(series[symbol].map(c => ({ timestamp: c.timestamp, value: c.close })))
+                .forEach(day => { closes[symbol][day.date] = day.value; });
+        });
+        
+        // Achat de tous les symboles le premier jour où ils cotent tous
+        const dates = Array.from(new Set(symbols.flatMap(symbol => Object.keys(closes[symbol])))).sort();
+        const last = {};
+        let first = null;
+        return dates.reduce((daily, date) => {
+            symbols.forEach(symbol => {
+                if (closes[symbol][date] !== undefined) last[symbol] = closes[symbol][date];
+            });
+            if (!symbols.every(symbol => last[symbol] !== undefined)) return daily;
+            
+            if (!first) first = { ...last };
+            const value = symbols.reduce((sum, symbol) => sum + last[symbol] / first[symbol], 0) / symbols.length;
+            daily.push({ date, value });
+            return daily;
+        }, []);
+    }
+
     // Calcul des rendements quotidiens
     calculateDailyReturns() {
         if (this.data.trades.length === 0) return;
@@ -165,6 +266,8 @@ class PerformanceAnalyzer {
         this.analyzeEfficiency();
         this.analyzeConsistency();
         this.analyzeTradingBehavior();
+        this.analyzeRobustness();
+        this.analyzeBenchmark();
         this.generateRecommendations();
         
         console.log('✅ Analyse terminée');
@@ -429,7 +532,7 @@ class PerformanceAnalyzer {
         // Analyse des raisons de sortie
         const exitReasons = {};
         trades.forEach(trade => {
-            const reason = trade.reason || 'UNKNOWN';
+            const reason = trade.exitReason || 'UNKNOWN';
             exitReasons[reason] = (exitReasons[reason] || 0) + 1;
         });
         
@@ -450,8 +553,8 @@ class PerformanceAnalyzer {
             spreads.reduce((sum, spread) => sum + spread, 0) / spreads.length : 0;
         
         // Trades par direction
-        const buyTrades = trades.filter(t => t.direction === 'BUY').length;
-        const sellTrades = trades.filter(t => t.direction === 'SELL').length;
+        const buyTrades = trades.filter(t => t.direction === 'LONG').length;
+        const sellTrades = trades.filter(t => t.direction === 'SHORT').length;
         
         this.analysis.tradingBehavior = {
             exitReasons,
@@ -466,6 +569,122 @@ class PerformanceAnalyzer {
         };
     }
 
+    // Robustesse: distributions Monte Carlo des trades (fourchettes pour le go/no-go avant le réel)
+    analyzeRobustness() {
+        const trades = this.data.trades;
+        
+        if (trades.length < 2) {
+            this.analysis.robustness = { insufficient_data: true };
+            return;
+        }
+        
+        const monteCarlo = runMonteCarlo(trades, {
+            initialCapital: this.config.initialCapital,
+            simulations: this.config.monteCarloSimulations,
+            seed: this.config.seed
+        });
+        const assessment = assessRobustness(monteCarlo, {
+            maxDrawdown: this.config.maxAcceptableDrawdown * 100
+        });
+        
+        this.analysis.robustness = {
+            simulations: monteCarlo.simulations,
+            confidence: monteCarlo.confidence,
+            methods: monteCarlo.methods,
+            ...assessment
+        };
+    }
+
+    // Comparaison au benchmark: alpha, beta, tracking error, ratio d'information, captures haussière/baissière
+    // Rendements quotidiens sur chaque jour coté du benchmark, y compris les jours sans trade (rendement nul)
+    analyzeBenchmark() {
+        const benchmark = this.data.benchmark;
+        const dailyReturns = this.data.dailyReturns;
+        
+        if (!benchmark) {
+            this.analysis.benchmark = { unavailable: true };
+            return;
+        }
+        if (dailyReturns.length === 0) {
+            this.analysis.benchmark = { name: benchmark.name, insufficient_data: true };
+            return;
+        }
+        
+        // Equity du bot en fin de journée (dernier capital connu), capital initial avant le premier jour de trade
+        const capitalByDate = {};
+        dailyReturns.forEach(day => { capitalByDate[day.date] = day.capitalAfter; });
+        const firstDay = dailyReturns[0].date;
+        const lastDay = dailyReturns[dailyReturns.length - 1].date;
+        const dayBefore = new Date(Date.parse(firstDay) - 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+        
+        let capital = dailyReturns[0].capitalBefore;
+        const days = benchmark.daily
+            .filter(day => day.date >= dayBefore && day.date <= lastDay)
+            .map(day => {
+                if (capitalByDate[day.date] !== undefined) capital = capitalByDate[day.date];
+                return { date: day.date, portfolio: capital, benchmark: day.value };
+            });
+        
+        if (days.length < 3) {
+            this.analysis.benchmark = { name: benchmark.name, insufficient_data: true };
+            return;
+        }
+        
+        const pairs = days.slice(1).map((day, i) => ({
+            portfolio: day.portfolio / days[i].portfolio - 1,
+            benchmark: day.benchmark / days[i].benchmark - 1
+        }));
+        const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+        const portfolioReturns = pairs.map(p => p.portfolio);
+        const benchmarkReturns = pairs.map(p => p.benchmark);
+        const meanPortfolio = mean(portfolioReturns);
+        const meanBenchmark = mean(benchmarkReturns);
+        
+        const covariance = mean(pairs.map(p => (p.portfolio - meanPortfolio) * (p.benchmark - meanBenchmark)));
+        const benchmarkVariance = mean(benchmarkReturns.map(r => Math.pow(r - meanBenchmark, 2)));
+        const portfolioVolatility = this.calculateStandardDeviation(portfolioReturns);
+        const benchmarkVolatility = Math.sqrt(benchmarkVariance);
+        const beta = benchmarkVariance > 0 ? covariance / benchmarkVariance : 0;
+        
+        // Alpha de Jensen annualisé
+        const riskFree = this.config.riskFreeRate / 252;
+        const alpha = ((meanPortfolio - riskFree) - beta * (meanBenchmark - riskFree)) * 252 * 100;
+        
+        // Écart de rendement actif
+        const active = pairs.map(p => p.portfolio - p.benchmark);
+        const trackingError = this.calculateStandardDeviation(active) * Math.sqrt(252) * 100;
+        const informationRatio = trackingError > 0 ? (mean(active) * 252 * 100) / trackingError : 0;
+        
+        // Captures: rendement moyen du bot rapporté à celui du benchmark, jours haussiers / baissiers du benchmark
+        const capture = filter => {
+            const selected = pairs.filter(p => filter(p.benchmark));
+            if (selected.length === 0) return null;
+            return mean(selected.map(p => p.portfolio)) / mean(selected.map(p => p.benchmark)) * 100;
+        };
+        
+        const first = days[0];
+        const last = days[days.length - 1];
+        const portfolioReturn = (last.portfolio / first.portfolio - 1) * 100;
+        const benchmarkReturn = (last.benchmark / first.benchmark - 1) * 100;
+        
+        this.analysis.benchmark = {
+            name: benchmark.name,
+            days: pairs.length,
+            portfolioReturn,
+            benchmarkReturn,
+            excessReturn: portfolioReturn - benchmarkReturn,
+            outperformed: portfolioReturn > benchmarkReturn,
+            alpha,
+            beta,
+            correlation: portfolioVolatility > 0 && benchmarkVolatility > 0 ?
+                covariance / (portfolioVolatility * benchmarkVolatility) : 0,
+            trackingError,
+            informationRatio,
+            upCapture: capture(r => r > 0),
+            downCapture: capture(r => r < 0)
+        };
+    }
+
     // Génération des recommandations
     generateRecommendations() {
         const recommendations = [];
@@ -518,6 +737,36 @@ class PerformanceAnalyzer {
             });
         }
         
+        const benchmark = this.analysis.benchmark;
+        if (benchmark && benchmark.outperformed === false) {
+            recommendations.push({
+                type: 'PERFORMANCE',
+                severity: 'MEDIUM',
+                title: 'Sous-performance du Benchmark',
+                description: `Rendement de ${benchmark.portfolioReturn.toFixed(2)}% contre ${benchmark.benchmarkReturn.toFixed(2)}% pour ${benchmark.name} (alpha ${benchmark.alpha.toFixed(1)}%)`,
+                suggestions: [
+                    'Comparer le coût des trades à une simple détention',
+                    'Réduire la fréquence de trading',
+                    'Filtrer les entrées contre la tendance du marché'
+                ]
+            });
+        }
+        
+        const robustness = this.analysis.robustness;
+        if (robustness && robustness.robust === false) {
+            recommendations.push({
+                type: 'RISK',
+                severity: 'HIGH',
+                title: 'Robustesse Monte Carlo Insuffisante',
+                description: robustness.reasons.join('; '),
+                suggestions: [
+                    'Prolonger le paper trading avant tout passage au réel',
+                    'Réduire la taille des positions',
+                    'Vérifier que le résultat ne dépend pas de quelques trades'
+                ]
+            });
+        }
+        
         if (risk.sharpeRatio < this.config.targetSharpeRatio) {
             recommendations.push({
                 type: 'RISK',
@@ -630,6 +879,12 @@ class PerformanceAnalyzer {
                     sharpe_ratio: this.analysis.risk?.sharpeRatio || 0,
                     win_rate: this.analysis.performance?.winRate || 0
                 },
+                benchmark: this.analysis.benchmark.name ? {
+                    name: this.analysis.benchmark.name,
+                    benchmark_return: this.analysis.benchmark.benchmarkReturn,
+                    alpha: this.analysis.benchmark.alpha,
+                    beta: this.analysis.benchmark.beta
+                } : null,
                 critical_issues: this.analysis.recommendations
                     .filter(r => r.severity === 'HIGH').length,
                 improvement_areas: this.analysis.recommendations
@@ -638,6 +893,8 @@ class PerformanceAnalyzer {
             
             detailed_analysis: this.analysis,
             
+            benchmark_comparison: this.analysis.benchmark,
+            
             actionable_insights: this.generateActionableInsights(),
             
             optimization_suggestions: this.generateOptimizationSuggestions(),
@@ -821,6 +1078,25 @@ class PerformanceAnalyzer {
         console.log(`   Ratio de Sharpe: ${report.executive_summary.key_metrics.sharpe_ratio.toFixed(2)}`);
         console.log(`   Taux de réussite: ${report.executive_summary.key_metrics.win_rate.toFixed(1)}%`);
         
+        const benchmark = this.analysis.benchmark;
+        if (benchmark && benchmark.alpha !== undefined) {
+            const formatCapture = value => value === null ? 'n/a' : `${value.toFixed(0)}%`;
+            console.log(`\n📈 BENCHMARK (${benchmark.name}, ${benchmark.days} jours):`);
+            console.log(`   Rendement: ${benchmark.portfolioReturn.toFixed(2)}% vs ${benchmark.benchmarkReturn.toFixed(2)}% ${benchmark.outperformed ? '✅' : '❌'}`);
+            console.log(`   Alpha: ${benchmark.alpha.toFixed(2)}% | Beta: ${benchmark.beta.toFixed(2)} | Corrélation: ${benchmark.correlation.toFixed(2)}`);
+            console.log(`   Tracking error: ${benchmark.trackingError.toFixed(2)}% | Ratio d'information: ${benchmark.informationRatio.toFixed(2)}`);
+            console.log(`   Capture haussière: ${formatCapture(benchmark.upCapture)} | Capture baissière: ${formatCapture(benchmark.downCapture)}`);
+        }
+        
+        const robustness = this.analysis.robustness;
+        if (robustness && robustness.worstCase) {
+            console.log(`\n🎲 MONTE CARLO (${robustness.simulations} simulations, pire méthode):`);
+            console.log(`   Rendement borne basse: ${robustness.worstCase.returnLower.toFixed(2)}%`);
+            console.log(`   Drawdown borne haute: ${robustness.worstCase.drawdownUpper.toFixed(1)}%`);
+            console.log(`   Risque de ruine: ${(robustness.worstCase.riskOfRuin * 100).toFixed(1)}%`);
+            console.log(`   Go/no-go: ${robustness.robust ? '✅ GO' : '❌ NO-GO'}`);
+        }
+        
         console.log(`\n🚨 PROBLÈMES CRITIQUES: ${report.executive_summary.critical_issues}`);
         console.log(`⚠️  AMÉLIORATIONS POSSIBLES: ${report.executive_summary.improvement_areas}`);
         
@@ -844,9 +1120,15 @@ if (require.main === module) {
         console.log('🔍 ANALYSE DE PERFORMANCE AVANCÉE');
         console.log('═'.repeat(50));
         
+        // --benchmark-data <chandeliers> (buy & hold des symboles tradés) ou --benchmark-equity <courbe>
+        const benchmarkData = getArg(process.argv, '--benchmark-data');
+        const benchmarkEquity = getArg(process.argv, '--benchmark-equity');
+        
         const analyzer = new PerformanceAnalyzer({
             dataPath: './logs',
-            analysisWindow: 30
+            analysisWindow: 30,
+            benchmark: benchmarkEquity ? { equity: benchmarkEquity } :
+                benchmarkData ? { candles: benchmarkData } : null
         });
         
         try {
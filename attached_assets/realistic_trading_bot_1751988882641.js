@@ -4,6 +4,11 @@
 const WebSocket = require('ws');
 const fs = require('fs');
 const path = require('path');
+const exitRules = require('../realistic-bots/exit-rules');
+const { normalizeTrade } = require('../realistic-bots/trade-schema');
+const { ExecutionCostModel } = require('../realistic-bots/execution-costs');
+const { MatchingEngine, ORDER_TYPES, summarizeFills } = require('../realistic-bots/matching-engine');
+const { createStrategy, SIGNAL_ACTIONS, DEFAULT_STRATEGY } = require('../realistic-bots/strategies');
 
 class RealisticTradingBot {
     constructor(config) {
@@ -33,6 +38,18 @@ class RealisticTradingBot {
             // CONFIGURATION
             apiKey: config.apiKey || 'PAPER_TRADING',
             apiSecret: config.apiSecret || 'PAPER_TRADING',
+            
+            // STRATÉGIE (registre realistic-bots/strategies, partagée avec le backtester)
+            strategy: config.strategy || DEFAULT_STRATEGY,
+            strategyParams: config.strategyParams || {},
+            
+            // COÛTS SIMULÉS DU PAPER TRADING (realistic-bots/execution-costs)
+            paperExecution: {
+                FEE_TIERS: [{ MIN_VOLUME: 0, MAKER: 0.001, TAKER: 0.001 }],
+                SPREADS: { DEFAULT: 0.0005 },
+                SLIPPAGE: { BASE: 0.0001, IMPACT: 0.001, DEPTH: { DEFAULT: 500000 } },
+                LATENCY: { MIN: 0, MAX: 0 }
+            },
             ...config
         };
         
@@ -46,6 +63,14 @@ class RealisticTradingBot {
             subPortfolioBalances: this.initSubPortfolios()
         };
         
+        // Signaux d'entrée et de sortie de la stratégie configurée
+        this.strategy = createStrategy(this.config.strategy, this.config.strategyParams);
+        
+        // Paper trading: ordres exécutés par le moteur d'appariement local alimenté par les klines
+        this.paperExchange = this.config.paperTrading ? new MatchingEngine({
+            costs: new ExecutionCostModel(this.config.paperExecution)
+        }) : null;
+        
         this.setupLogging();
         this.validateConfig();
     }
@@ -202,90 +227,21 @@ class RealisticTradingBot {
         return Math.min(adjustedSize, portfolio.balance * 0.1); // Max 10% du portefeuille
     }
 
-    // Analyse technique avancée
-    analyzeMarket(symbol) {
-        const data = this.state.tradingData[symbol];
-        if (!data || data.length < 100) return null;
-        
-        const prices = data.map(d => d.close);
-        const volumes = data.map(d => d.volume);
-        
-        return {
-            // Indicateurs techniques
-            rsi: this.calculateRSI(prices, 14),
-            rsi_short: this.calculateRSI(prices, 7),
-            sma_20: this.calculateSMA(prices, 20),
-            sma_50: this.calculateSMA(prices, 50),
-            ema_12: this.calculateEMA(prices, 12),
-            ema_26: this.calculateEMA(prices, 26),
-            
-            // Volatilité et momentum
-            volatility: this.calculateVolatility(prices, 20),
-            atr: this.calculateATR(data, 14),
-            momentum: this.calculateMomentum(prices, 10),
-            
-            // Volume et liquidité
-            volumeAvg: this.calculateSMA(volumes, 20),
-            volumeRatio: volumes[volumes.length - 1] / this.calculateSMA(volumes, 20),
-            
-            // Support/Résistance
-            support: Math.min(...prices.slice(-20)),
-            resistance: Math.max(...prices.slice(-20)),
-            
-            // Prix actuel
-            currentPrice: prices[prices.length - 1]
-        };
+    // Position ouverte sur le symbole (une seule par symbole)
+    getPosition(symbol) {
+        return this.state.currentPositions.find(position => position.symbol === symbol) || null;
     }
 
-    // Algorithme de décision de trading
-    shouldTrade(analysis, symbol) {
-        if (!analysis || !this.canTrade()) return null;
-        
-        const signals = {
-            // Tendance
-            bullish_trend: analysis.ema_12 > analysis.ema_26 && 
-                          analysis.currentPrice > analysis.sma_20,
-            
-            // RSI
-            rsi_oversold: analysis.rsi < 35 && analysis.rsi_short < 30,
-            rsi_overbought: analysis.rsi > 65 && analysis.rsi_short > 70,
-            
-            // Volume
-            high_volume: analysis.volumeRatio > 1.3,
-            
-            // Volatilité
-            good_volatility: analysis.volatility > 0.01 && analysis.volatility < 0.05,
-            
-            // Prix près du support/résistance
-            near_support: Math.abs(analysis.currentPrice - analysis.support) / 
-                         analysis.currentPrice < 0.02,
-            near_resistance: Math.abs(analysis.currentPrice - analysis.resistance) / 
-                            analysis.currentPrice < 0.02
-        };
-        
-        // Score de confiance
-        let score = 0;
-        let direction = null;
-        
-        // Signal d'achat
-        if (signals.bullish_trend && signals.rsi_oversold && 
-            signals.high_volume && signals.good_volatility) {
-            score = 70;
-            direction = 'BUY';
-        }
-        
-        // Signal de vente
-        if (!signals.bullish_trend && signals.rsi_overbought && 
-            signals.high_volume && signals.near_resistance) {
-            score = 70;
-            direction = 'SELL';
+    // Application d'un signal de la stratégie
+    handleSignal(signal) {
+        const position = this.getPosition(signal.symbol);
+        
+        if (signal.action === SIGNAL_ACTIONS.EXIT && position) {
+            const index = this.state.currentPositions.indexOf(position);
+            this.closePosition(position, index, signal.price, signal.reason);
+        } else if (signal.action === SIGNAL_ACTIONS.ENTER && !position && this.canTrade()) {
+            this.executeTrade(signal, signal.symbol);
         }
-        
-        // Filtres supplémentaires
-        if (analysis.volatility > 0.08) score -= 20; // Trop volatile
-        if (!signals.high_volume) score -= 15; // Volume faible
-        
-        return score >= 60 ? { direction, score, signals, analysis } : null;
     }
 
     // Exécution de trade (simulation ou réel)
@@ -299,44 +255,70 @@ class RealisticTradingBot {
         const portfolio = this.state.subPortfolioBalances[portfolioId];
         const positionSize = this.calculatePositionSize(
             portfolioId, 
-            signal.analysis.currentPrice, 
-            signal.analysis.volatility
+            signal.price, 
+            signal.indicators.volatility
         );
         
-        const quantity = positionSize / signal.analysis.currentPrice;
+        const direction = signal.direction === 'LONG' ? 'BUY' : 'SELL';
+        let entryPrice = signal.price;
+        let quantity = positionSize / entryPrice;
+        let entryOrder = null;
+        
+        if (this.config.paperTrading) {
+            // Ordre au marché simulé: spread, glissement et frais du moteur local
+            entryOrder = this.paperExchange.submitOrder({
+                symbol,
+                side: direction,
+                type: ORDER_TYPES.MARKET,
+                quoteOrderQty: positionSize
+            });
+            entryPrice = entryOrder.avgPrice;
+            quantity = entryOrder.executedQty;
+        }
         
         // Calcul des niveaux de sortie
-        const stopLossPrice = signal.direction === 'BUY' ? 
-            signal.analysis.currentPrice * (1 - this.config.stopLossPercent) :
-            signal.analysis.currentPrice * (1 + this.config.stopLossPercent);
+        const stopLossPrice = direction === 'BUY' ? 
+            entryPrice * (1 - this.config.stopLossPercent) :
+            entryPrice * (1 + this.config.stopLossPercent);
             
-        const takeProfitPrice = signal.direction === 'BUY' ?
-            signal.analysis.currentPrice * (1 + this.config.dailyTargetMax) :
-            signal.analysis.currentPrice * (1 - this.config.dailyTargetMax);
+        const takeProfitPrice = direction === 'BUY' ?
+            entryPrice * (1 + this.config.dailyTargetMax) :
+            entryPrice * (1 - this.config.dailyTargetMax);
         
         const trade = {
             id: `${Date.now()}_${symbol}`,
             timestamp: Date.now(),
             symbol,
             portfolioId,
-            direction: signal.direction,
-            entryPrice: signal.analysis.currentPrice,
+            direction,
+            entryPrice,
             quantity,
             positionSize,
             stopLossPrice,
             takeProfitPrice,
-            confidence: signal.score,
-            signals: signal.signals,
+            confidence: Math.round(signal.confidence * 100),
+            strategy: this.strategy.name,
+            entryReason: signal.reason,
             paperTrading: this.config.paperTrading,
+            orderId: entryOrder ? entryOrder.orderId : null,
+            fees: entryOrder ? summarizeFills(entryOrder.fills).fee : 0,
             status: 'ACTIVE'
         };
         
         if (this.config.paperTrading) {
-            this.log('TRADE', 'SIMULATION', `Trade simulé ${signal.direction}`, trade);
+            this.log('TRADE', 'SIMULATION', `Trade simulé ${direction}`, trade);
         } else {
             // ICI: Intégration avec API réelle Binance
-            this.log('TRADE', 'REAL', `Trade réel ${signal.direction}`, trade);
+            this.log('TRADE', 'REAL', `Trade réel ${direction}`, trade);
         }
+        this.strategy.onFill({
+            symbol,
+            side: direction,
+            price: entryPrice,
+            quantity,
+            fee: trade.fees,
+            time: trade.timestamp
+        }, { position: trade, type: 'ENTRY' });
         
         // Mise à jour des états
         this.state.currentPositions.push(trade);
@@ -383,7 +365,20 @@ class RealisticTradingBot {
 
     // Fermeture de position
     closePosition(position, index, exitPrice, reason) {
-        const realizedPnL = this.calculateUnrealizedPnL(position, exitPrice);
+        let exitFee = 0;
+        if (this.config.paperTrading) {
+            const exitOrder = this.paperExchange.submitOrder({
+                symbol: position.symbol,
+                side: position.direction === 'BUY' ? 'SELL' : 'BUY',
+                type: ORDER_TYPES.MARKET,
+                quantity: position.quantity
+            });
+            exitPrice = exitOrder.avgPrice;
+            exitFee = summarizeFills(exitOrder.fills).fee;
+        }
+        
+        // PnL net des frais d'entrée et de sortie
+        const realizedPnL = this.calculateUnrealizedPnL(position, exitPrice) - (position.fees || 0) - exitFee;
         const pnLPercent = (realizedPnL / position.positionSize) * 100;
         
         // Mise à jour du portefeuille
@@ -413,9 +408,10 @@ class RealisticTradingBot {
             ...position,
             exitPrice,
             exitTime: Date.now(),
-            realizedPnL,
-            pnLPercent: pnLPercent.toFixed(3),
-            reason,
+            pnl: realizedPnL,
+            pnlPercent: pnLPercent,
+            fees: (position.fees || 0) + exitFee,
+            exitReason: reason,
             status: 'CLOSED'
         };
         
@@ -425,27 +421,27 @@ class RealisticTradingBot {
         
         // Supprimer de la liste active
         this.state.currentPositions.splice(index, 1);
+        this.strategy.onFill({
+            symbol: position.symbol,
+            side: position.direction === 'BUY' ? 'SELL' : 'BUY',
+            price: exitPrice,
+            quantity: position.quantity,
+            fee: exitFee,
+            time: closedTrade.exitTime
+        }, { position: closedTrade, type: 'EXIT' });
         
         // Sauvegarde
         this.saveTrade(closedTrade);
     }
 
-    // Conditions de stop-loss
+    // Conditions de stop-loss (règles partagées avec realistic-bots/realistic-bot.js)
     shouldStopLoss(position, currentPrice) {
-        if (position.direction === 'BUY') {
-            return currentPrice <= position.stopLossPrice;
-        } else {
-            return currentPrice >= position.stopLossPrice;
-        }
+        return exitRules.shouldStopLoss(position, currentPrice);
     }
 
     // Conditions de take-profit
     shouldTakeProfit(position, currentPrice) {
-        if (position.direction === 'BUY') {
-            return currentPrice >= position.takeProfitPrice;
-        } else {
-            return currentPrice <= position.takeProfitPrice;
-        }
+        return exitRules.shouldTakeProfit(position, currentPrice);
     }
 
     // Trailing stop (optionnel)
@@ -466,10 +462,10 @@ class RealisticTradingBot {
         return false;
     }
 
-    // Sauvegarde des trades
+    // Sauvegarde des trades (schéma unifié realistic-bots/trade-schema)
     saveTrade(trade) {
         const tradeRecord = {
-            ...trade,
+            ...normalizeTrade(trade),
             dailyStats: { ...this.state.dailyStats },
             portfolioState: { ...this.state.subPortfolioBalances }
         };
@@ -488,82 +484,6 @@ class RealisticTradingBot {
         }
     }
 
-    // Méthodes de calcul technique (RSI, SMA, etc.)
-    calculateRSI(prices, period = 14) {
-        if (prices.length < period + 1) return null;
-        
-        let gains = 0, losses = 0;
-        
-        for (let i = 1; i <= period; i++) {
-            const change = prices[i] - prices[i - 1];
-            if (change > 0) gains += change;
-            else losses += Math.abs(change);
-        }
-        
-        const avgGain = gains / period;
-        const avgLoss = losses / period;
-        
-        if (avgLoss === 0) return 100;
-        
-        const rs = avgGain / avgLoss;
-        return 100 - (100 / (1 + rs));
-    }
-    
-    calculateSMA(prices, period) {
-        if (prices.length < period) return null;
-        const slice = prices.slice(-period);
-        return slice.reduce((sum, price) => sum + price, 0) / period;
-    }
-    
-    calculateEMA(prices, period) {
-        if (prices.length < period) return null;
-        
-        const k = 2 / (period + 1);
-        let ema = prices[0];
-        
-        for (let i = 1; i < prices.length; i++) {
-            ema = prices[i] * k + ema * (1 - k);
-        }
-        
-        return ema;
-    }
-    
-    calculateVolatility(prices, period = 20) {
-        if (prices.length < period) return null;
-        
-        const slice = prices.slice(-period);
-        const mean = slice.reduce((sum, p) => sum + p, 0) / period;
-        const variance = slice.reduce((sum, p) => sum + Math.pow(p - mean, 2), 0) / period;
-        
-        return Math.sqrt(variance) / mean; // Volatilité relative
-    }
-    
-    calculateATR(data, period = 14) {
-        if (data.length < period) return null;
-        
-        const trs = [];
-        for (let i = 1; i < data.length; i++) {
-            const high = data[i].high;
-            const low = data[i].low;
-            const prevClose = data[i-1].close;
-            
-            const tr = Math.max(
-                high - low,
-                Math.abs(high - prevClose),
-                Math.abs(low - prevClose)
-            );
-            trs.push(tr);
-        }
-        
-        return trs.slice(-period).reduce((sum, tr) => sum + tr, 0) / period;
-    }
-    
-    calculateMomentum(prices, period = 10) {
-        if (prices.length < period) return null;
-        return (prices[prices.length - 1] - prices[prices.length - period]) / 
-               prices[prices.length - period];
-    }
-
     // Génération de rapport de performance
     generatePerformanceReport() {
         const totalBalance = Object.values(this.state.subPortfolioBalances)
@@ -623,6 +543,8 @@ class RealisticTradingBot {
         setInterval(() => {
             if (this.state.isRunning) {
                 this.managePositions();
+                this.strategy.onTimer(Date.now(), { positions: this.state.currentPositions })
+                    .forEach(signal => this.handleSignal(signal));
                 this.saveDailyStats();
             }
         }, 30000); // Toutes les 30 secondes
@@ -681,19 +603,22 @@ class RealisticTradingBot {
         }
         
         this.state.tradingData[symbol].push(candleData);
+        if (this.paperExchange) {
+            this.paperExchange.processCandle({ symbol, ...candleData });
+        }
         
         // Garder 500 chandeliers max
         if (this.state.tradingData[symbol].length > 500) {
             this.state.tradingData[symbol].shift();
         }
         
-        // Analyse et décision de trading
-        const analysis = this.analyzeMarket(symbol);
-        if (analysis) {
-            const signal = this.shouldTrade(analysis, symbol);
-            if (signal) {
-                this.executeTrade(signal, symbol);
-            }
+        // Décision de trading par la stratégie
+        const signal = this.strategy.onCandle({ symbol, ...candleData }, {
+            position: this.getPosition(symbol),
+            time: candleData.timestamp
+        });
+        if (signal) {
+            this.handleSignal(signal);
         }
     }
 
@@ -2,11 +2,40 @@
 // Tests unitaires, intégration et validation de stratégie
 
 const assert = require('assert');
+const childProcess = require('child_process');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const zlib = require('zlib');
+const WebSocket = require('ws');
+const { RSI, SMA, EMA, MACD, BollingerBands, ATR, VWAP, Stochastic, Momentum, PriceChannel, Volatility, IndicatorSet, computeIndicator } = require('../realistic-bots/indicators');
+const { createRandom, parseSeedArg } = require('../realistic-bots/random');
+const { createStrategy, listStrategies, getStrategyClass, registerStrategy, Strategy, DEFAULT_STRATEGY, SIGNAL_ACTIONS } = require('../realistic-bots/strategies');
+const { loadCandles, loadCandleFile, parseTimestamp, resampleCandles, detectGaps, fillGaps } = require('../realistic-bots/candle-loader');
+const { runMonteCarlo, assessRobustness, describeDistribution, tradeReturns } = require('../realistic-bots/monte-carlo');
+const { buildAttribution, summarizeTrades } = require('../realistic-bots/attribution');
+const { RandomWalkSource, ReplaySource, WebSocketSource, createMarketDataSource, parseStreamMessage } = require('../realistic-bots/market-data');
+const { VirtualClock, SystemClock, createClock, parseDuration, parseClockArgs, SEEDED_START_TIME } = require('../realistic-bots/clock');
+const { createExitLevels, evaluateExit, EXIT_REASONS } = require('../realistic-bots/exit-rules');
+const { TradeJournal, EVENT_TYPES, writeFileAtomic } = require('../realistic-bots/trade-journal');
+const { TRADE_SCHEMA_VERSION, createTrade, closeFields, upgradeTrade, validateTrade, normalizeTrade, loadTrades } = require('../realistic-bots/trade-schema');
+const { RealisticTradingBot, CONFIG } = require('../realistic-bots/realistic-bot');
+const { Portfolio, LEDGER_TYPES } = require('../realistic-bots/portfolio');
+const { SlotRelay, RELAY_STATUS, createSlotRelay } = require('../realistic-bots/slot-relay');
+const { ExecutionCostModel, LIQUIDITY } = require('../realistic-bots/execution-costs');
+const { MatchingEngine, ORDER_STATUS, LIST_STATUS, summarizeFills } = require('../realistic-bots/matching-engine');
+const { MockBinanceServer } = require('../realistic-bots/mock-binance-server');
+const BinanceAPI = require('./binance_integration_1751988882641');
+const BacktestingEngine = require('./backtesting_system_1751988882641');
+const PerformanceAnalyzer = require('./performance_analyzer_1751988882641');
+const ParameterOptimizer = require('./parameter_optimizer_1751988882641');
 
 class TradingBotTester {
-    constructor() {
+    constructor(options = {}) {
+        // Graine des données de test (null = non reproductible)
+        this.random = createRandom(options.seed !== undefined ? options.seed : null);
+        this.startTime = options.startTime || Date.now() - (30 * 24 * 60 * 60 * 1000); // 30 jours
+        
         this.testResults = {
             passed: 0,
             failed: 0,
@@ -36,19 +65,19 @@ class TradingBotTester {
     generateMockData() {
         const data = [];
         let basePrice = 45000;
-        const startTime = Date.now() - (30 * 24 * 60 * 60 * 1000); // 30 jours
+        const random = this.random.fork('mockData');
         
         for (let i = 0; i < 1000; i++) {
-            const timestamp = startTime + (i * 60 * 60 * 1000); // 1h intervals
-            const volatility = 0.02 + Math.random() * 0.03;
-            const direction = Math.random() > 0.5 ? 1 : -1;
-            const change = basePrice * volatility * direction * (Math.random() * 0.5);
+            const timestamp = this.startTime + (i * 60 * 60 * 1000); // 1h intervals
+            const volatility = 0.02 + random.random() * 0.03;
+            const direction = random.random() > 0.5 ? 1 : -1;
+            const change = basePrice * volatility * direction * (random.random() * 0.5);
             
             const open = basePrice;
             const close = basePrice + change;
-            const high = Math.max(open, close) * (1 + Math.random() * 0.01);
-            const low = Math.min(open, close) * (1 - Math.random() * 0.01);
-            const volume = 100 + Math.random() * 1000;
+            const high = Math.max(open, close) * (1 + random.random() * 0.01);
+            const low = Math.min(open, close) * (1 - random.random() * 0.01);
+            const volume = 100 + random.random() * 1000;
             
             data.push({
                 timestamp,
@@ -78,6 +107,26 @@ class TradingBotTester {
             { name: 'Tests de Stratégie', fn: this.runStrategyTests },
             { name: 'Tests de Performance', fn: this.runPerformanceTests },
             { name: 'Tests d\'Intégration', fn: this.runIntegrationTests },
+            { name: 'Tests des Sources de Données de Marché', fn: this.runMarketDataTests },
+            { name: 'Tests des Règles de Sortie', fn: this.runExitRulesTests },
+            { name: 'Tests de l\'Horloge Virtuelle', fn: this.runClockTests },
+            { name: 'Tests de Reproductibilité (graine + horloge virtuelle)', fn: this.runReproducibilityTests },
+            { name: 'Tests du Journal des Trades (reprise après crash)', fn: this.runJournalTests },
+            { name: 'Tests du Schéma des Trades (migration v1)', fn: this.runTradeSchemaTests },
+            { name: 'Tests de Reprise des Compteurs de Risque', fn: this.runBotStateTests },
+            { name: 'Tests du Relais entre Créneaux', fn: this.runSlotRelayTests },
+            { name: 'Tests du Grand Livre (portefeuille du bot)', fn: this.runLedgerTests },
+            { name: 'Tests des Coûts d\'Exécution (frais et glissement)', fn: this.runExecutionCostTests },
+            { name: 'Tests du Moteur d\'Appariement (OCO et exécutions partielles)', fn: this.runMatchingEngineTests },
+            { name: 'Tests Exchange (serveur Binance local)', fn: this.runExchangeTests },
+            { name: 'Tests de Données Historiques', fn: this.runDataLoaderTests },
+            { name: 'Tests de Portefeuille (backtest multi-symboles)', fn: this.runPortfolioTests },
+            { name: 'Tests d\'Exécution Intrabar', fn: this.runIntrabarTests },
+            { name: 'Tests de Vente à Découvert et Marge', fn: this.runMarginTests },
+            { name: 'Tests Monte Carlo', fn: this.runMonteCarloTests },
+            { name: 'Tests de Benchmark (alpha/beta)', fn: this.runBenchmarkTests },
+            { name: 'Tests d\'Attribution des Performances', fn: this.runAttributionTests },
+            { name: 'Tests d\'Optimisation (backtests réels)', fn: this.runOptimizerTests },
             { name: 'Tests de Stress', fn: this.runStressTests }
         ];
         
@@ -158,6 +207,92 @@ class TradingBotTester {
         console.log('  🔍 Test volatilité...');
         const volatility = this.calculateVolatility(testPrices, 20);
         this.assert(volatility >= 0 && volatility <= 1, 'Volatilité dans plage raisonnable');
+        
+        console.log('  🔍 Test valeurs connues des indicateurs...');
+        const near = (a, b, tolerance = 1e-9) => Math.abs(a - b) <= tolerance * Math.max(1, Math.abs(b));
+        const ohlc = (high, low, close, volume = 1, timestamp = 0) => ({ high, low, close, volume, timestamp });
+        this.assert(computeIndicator(new SMA(3), [1, 2, 3, 4, 5]) === 4, 'SMA(3)');
+        this.assert(computeIndicator(new EMA(3), [1, 2, 3, 4, 5]) === 4, 'EMA(3) initialisée sur la SMA');
+        this.assert(computeIndicator(new RSI(3), [1, 2, 3, 4]) === 100 && computeIndicator(new RSI(3), [1, 2, 3]) === null, 'RSI sans perte, null avant la période');
+        const macd = computeIndicator(new MACD(2, 3, 2), [1, 2, 3, 4, 5, 6]);
+        this.assert(near(macd.macd, 0.5) && near(macd.signal, 0.5) && near(macd.histogram, 0), 'MACD(2,3,2) sur une tendance linéaire');
+        const bands = computeIndicator(new BollingerBands(8, 2), [2, 4, 4, 4, 5, 5, 7, 9]);
+        this.assert(near(bands.middle, 5) && near(bands.stdDev, 2) && near(bands.upper, 9) && near(bands.lower, 1), 'Bollinger(8, 2): moyenne 5, écart-type 2');
+        this.assert(near(bands.percentB, 1) && near(bands.bandwidth, 1.6), 'Bollinger: %B et largeur de bande');
+        const atr = new ATR(3);
+        [ohlc(10, 8, 9), ohlc(11, 9, 10)].forEach(candle => atr.update(candle));
+        this.assert(atr.value === null && atr.update(ohlc(12, 10, 11)) === 2, 'ATR(3) = moyenne des 3 premiers true ranges');
+        this.assert(near(atr.update(ohlc(15, 14, 14.5)), 8 / 3), 'ATR: gap pris en compte, lissage de Wilder');
+        const day = 86400000;
+        const vwap = new VWAP();
+        vwap.update(ohlc(11, 9, 10, 1, day));
+        this.assert(vwap.update(ohlc(12, 10, 11, 3, day + 60000)) === 10.75, 'VWAP pondéré par le volume');
+        this.assert(vwap.update(ohlc(21, 19, 20, 2, 2 * day)) === 20, 'VWAP remis à zéro chaque jour UTC');
+        const stochastic = new Stochastic(3, 2, 1);
+        [ohlc(10, 5, 8), ohlc(12, 6, 11)].forEach(candle => stochastic.update(candle));
+        const firstK = stochastic.update(ohlc(11, 7, 9));
+        this.assert(near(firstK.k, 400 / 7) && firstK.d === null, 'Stochastique %K sur 3 chandeliers, %D pas encore prêt');
+        const secondK = stochastic.update(ohlc(13, 8, 13));
+        this.assert(secondK.k === 100 && near(secondK.d, (400 / 7 + 100) / 2), 'Stochastique: fenêtre glissante et %D');
+        
+        console.log('  🔍 Test mise à jour incrémentale vs calcul complet...');
+        const walk = createRandom(11);
+        let close = 100;
+        const candles = Array.from({ length: 300 }, (_, i) => {
+            const open = close;
+            close = open * (1 + walk.range(-0.02, 0.02));
+            return ohlc(Math.max(open, close) * (1 + walk.range(0, 0.01)), Math.min(open, close) * (1 - walk.range(0, 0.01)),
+                close, walk.range(100, 1000), i * 3600000);
+        });
+        const closes = candles.map(candle => candle.close);
+        const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+        // Références recalculées depuis le début de la série (aucun état incrémental)
+        const batchEma = (values, period) => values.slice(period).reduce((ema, value) => value * 2 / (period + 1) + ema * (1 - 2 / (period + 1)),
+            mean(values.slice(0, period)));
+        const batchAtr = (series, period) => {
+            const ranges = series.map((candle, i) => (i === 0 ? candle.high - candle.low : Math.max(candle.high - candle.low,
+                Math.abs(candle.high - series[i - 1].close), Math.abs(candle.low - series[i - 1].close))));
+            return ranges.slice(period).reduce((value, range) => (value * (period - 1) + range) / period, mean(ranges.slice(0, period)));
+        };
+        const incremental = {
+            sma: new SMA(20), ema: new EMA(12), bands: new BollingerBands(20, 2), atr: new ATR(14),
+            stochastic: new Stochastic(14, 3, 1), momentum: new Momentum(10), channel: new PriceChannel(20), vwap: new VWAP(false)
+        };
+        const mismatches = [];
+        candles.forEach((candle, i) => {
+            Object.entries(incremental).forEach(([name, indicator]) => indicator.update(name === 'atr' || name === 'stochastic' || name === 'vwap' ? candle : candle.close));
+            const seen = closes.slice(0, i + 1);
+            const check = (name, actual, expected) => { if (!near(actual, expected)) mismatches.push(`${name}@${i}`); };
+            if (i >= 19) {
+                const window = seen.slice(-20);
+                const average = mean(window);
+                check('SMA', incremental.sma.value, average);
+                check('Bollinger', incremental.bands.value.stdDev, Math.sqrt(mean(window.map(value => (value - average) ** 2))));
+                check('Canal', incremental.channel.value.support, Math.min(...window));
+                check('Canal', incremental.channel.value.resistance, Math.max(...window));
+            }
+            if (i >= 11) check('EMA', incremental.ema.value, batchEma(seen, 12));
+            if (i >= 13) {
+                const window = candles.slice(i - 13, i + 1);
+                const highest = Math.max(...window.map(c => c.high));
+                const lowest = Math.min(...window.map(c => c.low));
+                check('ATR', incremental.atr.value, batchAtr(candles.slice(0, i + 1), 14));
+                check('Stochastique', incremental.stochastic.value.k, (candle.close - lowest) / (highest - lowest) * 100);
+            }
+            if (i >= 9) check('Momentum', incremental.momentum.value, candle.close / seen[i - 9] - 1);
+            const volume = candles.slice(0, i + 1).reduce((sum, c) => sum + c.volume, 0);
+            check('VWAP', incremental.vwap.value, candles.slice(0, i + 1).reduce((sum, c) => sum + (c.high + c.low + c.close) / 3 * c.volume, 0) / volume);
+        });
+        this.assert(mismatches.length === 0, `Valeurs incrémentales identiques au calcul complet${mismatches.length ? ` (${mismatches.slice(0, 5).join(', ')})` : ''}`);
+        
+        console.log('  🔍 Test jeu d\'indicateurs...');
+        const set = new IndicatorSet({ emaFast: 8, emaSlow: 21, smaFast: 10 });
+        let snapshot = null;
+        candles.forEach(candle => { snapshot = set.update(candle); });
+        this.assert(near(snapshot.emaFast, computeIndicator(new EMA(8), closes)) && near(snapshot.emaSlow, computeIndicator(new EMA(21), closes)) &&
+            near(snapshot.smaFast, computeIndicator(new SMA(10), closes)), 'Clés de l\'instantané nommées par rôle, périodes configurées');
+        this.assert(snapshot.ema_12 === undefined && snapshot.ready && snapshot.currentPrice === candles[299].close, 'Instantané prêt, sans clé liée aux périodes par défaut');
+        this.assert(near(snapshot.volumeRatio, candles[299].volume / mean(candles.slice(-20).map(c => c.volume))), 'Ratio de volume sur la moyenne glissante');
     }
 
     // Tests de gestion des risques
@@ -182,38 +317,75 @@ class TradingBotTester {
         this.assert(noBalance === false, 'Balance insuffisante détectée');
     }
 
-    // Tests de stratégie de trading
+    // Tests de stratégie de trading (realistic-bots/strategies)
     async runStrategyTests() {
-        console.log('  🔍 Test génération de signaux...');
-        
-        // Simulation d'analyse bullish
-        const bullishAnalysis = {
-            rsi: 25, // Oversold
-            ema_12: 45100,
-            ema_26: 45000,
-            currentPrice: 45050,
-            sma_20: 45020,
-            volatility: 0.02,
-            volumeRatio: 1.5
-        };
-        
-        const bullishSignal = this.shouldTrade(bullishAnalysis);
-        this.assert(bullishSignal !== null, 'Signal bullish généré');
-        this.assert(bullishSignal.direction === 'BUY', 'Direction correcte');
-        
-        // Simulation d'analyse bearish
-        const bearishAnalysis = {
-            rsi: 75, // Overbought
-            ema_12: 44900,
-            ema_26: 45000,
-            currentPrice: 44950,
-            sma_20: 44980,
-            volatility: 0.02,
-            volumeRatio: 1.5
-        };
-        
-        const bearishSignal = this.shouldTrade(bearishAnalysis);
-        this.assert(bearishSignal === null, 'Signal bearish rejeté correctement');
+        console.log('  🔍 Test registre des stratégies...');
+        const names = listStrategies().map(strategy => strategy.name);
+        ['rsi-mean-reversion', 'ema-crossover', 'breakout'].forEach(name => {
+            this.assert(names.includes(name), `Stratégie ${name} enregistrée`);
+        });
+        this.assert(createStrategy().name === DEFAULT_STRATEGY, 'Stratégie par défaut');
+        this.assertThrows(() => createStrategy('inconnue'), 'Stratégie inconnue rejetée');
+        this.assertThrows(() => registerStrategy('invalide', class {}), 'Classe hors Strategy rejetée');
+        
+        console.log('  🔍 Test validation des paramètres...');
+        const defaults = createStrategy('rsi-mean-reversion').params;
+        this.assert(defaults.rsiPeriod === 14 && defaults.rsiOversold === 30, 'Paramètres par défaut appliqués');
+        this.assertThrows(() => createStrategy('breakout', { channelPeriod: 5 }), 'Paramètre hors limites rejeté');
+        this.assertThrows(() => createStrategy('breakout', { inconnu: 1 }), 'Paramètre inconnu rejeté');
+        this.assertThrows(() => createStrategy('rsi-mean-reversion', { rsiPeriod: 14.5 }), 'Entier attendu');
+        this.assertThrows(() => createStrategy('rsi-mean-reversion', { allowShort: 'oui' }), 'Booléen attendu');
+        const ema = createStrategy('ema-crossover', { fastPeriod: 15, slowPeriod: 20 });
+        this.assert(ema.params.slowPeriod > ema.params.fastPeriod, 'EMA longue corrigée au-dessus de la courte');
+        
+        class CustomStrategy extends Strategy {
+            onCandle(candle) {
+                return this.enter(candle, 'LONG', 2, 'TOUJOURS', null);
+            }
+        }
+        CustomStrategy.schema = { seuil: { type: 'int', min: 1, max: 5, step: 1, default: 2 } };
+        registerStrategy('test-custom', CustomStrategy);
+        const custom = createStrategy('test-custom');
+        this.assert(getStrategyClass('test-custom') === CustomStrategy, 'Stratégie personnalisée enregistrée');
+        this.assert(custom.params.seuil === 2, 'Schéma de la stratégie personnalisée appliqué');
+        this.assert(custom.onCandle(this.buildCandles([100])[0], {}).confidence === 1, 'Confiance bornée à 1');
+        
+        // Séries construites: marché plat (100/101) puis mouvement final
+        const flat = Array.from({ length: 60 }, (_, i) => 100 + (i % 2));
+        const volumes = (count, last) => Array.from({ length: count }, (_, i) => i === count - 1 ? last : 100);
+        
+        console.log('  🔍 Test retour à la moyenne RSI...');
+        const down = Array.from({ length: 12 }, (_, i) => 100 - (i + 1) * 0.8);
+        const up = Array.from({ length: 12 }, (_, i) => 100 + (i + 1) * 0.8);
+        let signals = this.collectSignals('rsi-mean-reversion', this.buildCandles([...flat, ...down], volumes(72, 300)));
+        this.assert(this.describeSignals(signals) === 'ENTER:LONG:RSI_OVERSOLD', 'Entrée longue en survente');
+        this.assert(signals[0].confidence > 0 && signals[0].confidence <= 1, 'Confiance entre 0 et 1');
+        signals = this.collectSignals('rsi-mean-reversion', this.buildCandles([...flat, ...up], volumes(72, 300)));
+        this.assert(this.describeSignals(signals) === 'ENTER:SHORT:RSI_OVERBOUGHT', 'Entrée courte en surachat');
+        signals = this.collectSignals('rsi-mean-reversion', this.buildCandles([...flat, ...up], volumes(72, 300)), null, { allowShort: false });
+        this.assert(signals.length === 0, 'Vente à découvert désactivable');
+        signals = this.collectSignals('rsi-mean-reversion', this.buildCandles([...flat, ...up]), { direction: 'BUY' });
+        this.assert(signals.length > 0 && signals.every(signal => signal.reason === 'RSI_OVERBOUGHT'), 'Sortie longue en surachat');
+        
+        console.log('  🔍 Test croisement EMA...');
+        const rise = Array.from({ length: 60 }, (_, i) => 100 + i * 0.05);
+        const fall = Array.from({ length: 20 }, (_, i) => 103 - (i + 1) * 0.3);
+        const rebound = Array.from({ length: 20 }, (_, i) => 97 + (i + 1) * 0.4);
+        signals = this.collectSignals('ema-crossover', this.buildCandles([...rise, ...fall, ...rebound]));
+        this.assert(this.describeSignals(signals) === 'ENTER:SHORT:EMA_CROSS_DOWN,ENTER:LONG:EMA_CROSS_UP',
+            'Entrées aux croisements dans le sens de la tendance');
+        signals = this.collectSignals('ema-crossover', this.buildCandles([...rise, ...fall]), { direction: 'LONG' });
+        this.assert(this.describeSignals(signals) === 'EXIT::EMA_CROSS_DOWN', 'Sortie longue au croisement baissier');
+        
+        console.log('  🔍 Test cassure de canal...');
+        signals = this.collectSignals('breakout', this.buildCandles([...flat, 103], volumes(61, 400)));
+        this.assert(this.describeSignals(signals) === 'ENTER:LONG:BREAKOUT_UP', 'Cassure haussière');
+        signals = this.collectSignals('breakout', this.buildCandles([...flat, 97], volumes(61, 400)));
+        this.assert(this.describeSignals(signals) === 'ENTER:SHORT:BREAKOUT_DOWN', 'Cassure baissière');
+        signals = this.collectSignals('breakout', this.buildCandles([...flat, 103], volumes(61, 100)));
+        this.assert(signals.length === 0, 'Cassure sans volume ignorée');
+        signals = this.collectSignals('breakout', this.buildCandles([...flat, 99.5]), { direction: 'LONG' });
+        this.assert(signals.length > 0 && signals.every(signal => signal.reason === 'CHANNEL_MIDDLE'), 'Sortie au milieu du canal');
     }
 
     // Tests de performance
@@ -223,11 +395,7 @@ class TradingBotTester {
         const startTime = Date.now();
         
         // Simulation backtesting sur 1000 points
-        for (let i = 50; i < this.mockData.length; i++) {
-            const slice = this.mockData.slice(i - 50, i + 1);
-            const analysis = this.analyzeMarketData(slice);
-            const signal = this.shouldTrade(analysis);
-        }
+        this.collectSignals(DEFAULT_STRATEGY, this.mockData.map(candle => ({ symbol: 'BTCUSDT', ...candle })));
         
         const endTime = Date.now();
         const executionTime = endTime - startTime;
@@ -261,6 +429,1643 @@ class TradingBotTester {
         fs.unlinkSync(logFile);
     }
 
+    // Sources de données de marché: marche aléatoire, rejeu de chandeliers, flux WebSocket
+    async runMarketDataTests() {
+        const start = Date.UTC(2024, 0, 1);
+        const record = source => {
+            const candles = [];
+            source.on('candle', candle => candles.push(candle));
+            return candles;
+        };
+        
+        console.log('  🔍 Test marche aléatoire...');
+        const symbols = { 'BTC/USD': { base: 45000, range: 1000, volatility: 0.02 }, 'ETH/USD': { base: 2500, range: 100 } };
+        const walk = () => {
+            const clock = new VirtualClock(start);
+            const source = new RandomWalkSource({ symbols, interval: 5000, random: createRandom(21), clock });
+            return { clock, source, candles: record(source) };
+        };
+        const first = walk();
+        first.source.start();
+        await first.clock.runFor(15000);
+        first.source.stop();
+        this.assert(first.candles.length === 6 && first.candles.every(c => c.timestamp % 5000 === 0), 'Un chandelier par symbole et par intervalle');
+        this.assert(first.candles.every(c => c.high >= Math.max(c.open, c.close) && c.low <= Math.min(c.open, c.close)), 'Chandeliers OHLC cohérents');
+        this.assert(first.source.getPrice('BTC/USD') === first.candles[4].close, 'Dernier prix publié');
+        await first.clock.runFor(15000);
+        this.assert(first.candles.length === 6 && first.clock.pendingTimers() === 0, 'Plus de chandelier après stop()');
+        const second = walk();
+        second.source.start();
+        await second.clock.runFor(15000);
+        this.assert(JSON.stringify(second.candles) === JSON.stringify(first.candles), 'Même graine, mêmes prix');
+        
+        console.log('  🔍 Test rejeu de chandeliers...');
+        const series = {
+            BTCUSDT: [100, 101, 102].map((close, i) => ({ symbol: 'BTCUSDT', timestamp: start + i * 3600000, open: close - 1, high: close + 1, low: close - 2, close, volume: 10 })),
+            ETHUSDT: [50].map(close => ({ symbol: 'ETHUSDT', timestamp: start, open: close, high: close, low: close, close, volume: 5 }))
+        };
+        const clock = new VirtualClock(start);
+        const replay = new ReplaySource({ series, interval: 1000, clock });
+        const replayed = record(replay);
+        let ended = false;
+        replay.on('end', () => { ended = true; });
+        this.assert(replay.getPrice('BTCUSDT') === 99, 'Prix initial: ouverture du premier chandelier');
+        replay.start();
+        await clock.runFor(10000);
+        this.assert(replayed.map(c => `${c.symbol}:${c.close}`).join(',') === 'BTCUSDT:100,ETHUSDT:50,BTCUSDT:101,BTCUSDT:102', 'Chandeliers rejoués dans l\'ordre');
+        this.assert(ended && !replay.isRunning, 'Fin du rejeu signalée');
+        const looping = new ReplaySource({ series: { BTCUSDT: series.BTCUSDT }, loop: true, interval: 1000, clock });
+        const looped = record(looping);
+        looping.start();
+        await clock.runFor(4000);
+        looping.stop();
+        this.assert(looped.map(c => c.close).join(',') === '100,101,102,100', 'Rejeu en boucle');
+        
+        const dir = path.join(__dirname, 'test_reports', 'market_data');
+        fs.mkdirSync(dir, { recursive: true });
+        try {
+            const stateFile = path.join(dir, 'state.json');
+            fs.writeFileSync(stateFile, JSON.stringify({ isRunning: false, tradingData: { BTCUSDT: series.BTCUSDT } }));
+            const fromState = createMarketDataSource({
+                SOURCE: 'replay',
+                UPDATE_INTERVAL: 1000,
+                REPLAY: { FILE: stateFile, LOOP: false, SYMBOLS: null }
+            }, { clock });
+            this.assert(fromState instanceof ReplaySource && fromState.getSymbols().join(',') === 'BTCUSDT', 'tradingData de state.json rejoué');
+            this.assertThrows(() => createMarketDataSource({ SOURCE: 'kafka' }), 'Source inconnue rejetée');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+        
+        console.log('  🔍 Test parsing des messages WebSocket...');
+        const tick = parseStreamMessage({ symbol: 'BTCUSDT', price: '42000.5' }, start);
+        this.assert(tick.length === 1 && tick[0].close === 42000.5 && tick[0].timestamp === start, 'Tick simple horodaté à la réception');
+        const kline = { e: 'kline', s: 'ETHUSDT', k: { t: start, o: '2500', h: '2510', l: '2490', c: '2505', v: '12' } };
+        const parsedKline = parseStreamMessage({ stream: 'ethusdt@kline_1m', data: kline });
+        this.assert(parsedKline.length === 1 && parsedKline[0].symbol === 'ETHUSDT' && parsedKline[0].high === 2510, 'Kline Binance (flux combiné)');
+        this.assert(parseStreamMessage([{ symbol: 'A', close: 1 }, { symbol: 'B', close: 2 }], start).length === 2, 'Tableau de ticks');
+        this.assert(parseStreamMessage({ price: 1 }, start).length === 0 && parseStreamMessage({ symbol: 'A', close: 'n/a' }, start).length === 0,
+            'Messages sans symbole ou sans prix ignorés');
+        
+        console.log('  🔍 Test flux WebSocket et reconnexion...');
+        const server = new WebSocket.Server({ port: 0 });
+        await new Promise(resolve => server.on('listening', resolve));
+        const connections = [];
+        server.on('connection', socket => connections.push(socket));
+        const wsClock = new VirtualClock(start);
+        const feed = new WebSocketSource({ url: `ws://127.0.0.1:${server.address().port}`, reconnectDelay: 5000, clock: wsClock });
+        const streamed = record(feed);
+        const errors = [];
+        feed.on('error', error => errors.push(error));
+        try {
+            feed.start();
+            await this.waitFor(() => connections.length === 1 && connections[0].readyState === WebSocket.OPEN);
+            connections[0].send(JSON.stringify({ symbol: 'BTCUSDT', close: 42000 }));
+            connections[0].send('pas du json');
+            await this.waitFor(() => streamed.length === 1 && errors.length === 1);
+            this.assert(streamed[0].timestamp === start && feed.getPrice('BTCUSDT') === 42000, 'Chandelier horodaté par l\'horloge du bot');
+            this.assert(/Message WebSocket invalide/.test(errors[0].message), 'Message invalide signalé sans arrêt du flux');
+            
+            connections[0].close();
+            await this.waitFor(() => wsClock.pendingTimers() === 1);
+            await new Promise(resolve => setTimeout(resolve, 50));
+            this.assert(connections.length === 1, 'Reconnexion programmée sur l\'horloge injectée');
+            await wsClock.runFor(5000);
+            await this.waitFor(() => connections.length === 2);
+            this.assert(connections.length === 2, 'Reconnexion après le délai virtuel');
+        } finally {
+            feed.stop();
+            await new Promise(resolve => server.close(resolve));
+        }
+    }
+
+    // Règles de sortie: stop-loss, take-profit, trailing stop et durée maximale
+    async runExitRulesTests() {
+        const rules = { stopLossPercent: 0.02, takeProfitPercent: 0.05, trailingStopPercent: 0.01, trailingActivationPercent: 0.02, maxDuration: 3600000 };
+        const entryTime = Date.UTC(2024, 0, 1);
+        const open = (direction, overrides = {}) => ({
+            direction,
+            entryPrice: 100,
+            entryTime,
+            ...createExitLevels(100, direction, { ...rules, ...overrides })
+        });
+        const exitsAlong = (position, prices) => prices.map(price => evaluateExit(position, price, entryTime + 60000));
+        const near = (a, b) => Math.abs(a - b) < 1e-9;
+        
+        console.log('  🔍 Test niveaux et stop-loss/take-profit...');
+        const long = open('LONG');
+        this.assert(near(long.stopLossPrice, 98) && near(long.takeProfitPrice, 105) && long.peakPrice === 100, 'Niveaux d\'un long');
+        const short = open('SELL');
+        this.assert(near(short.stopLossPrice, 102) && near(short.takeProfitPrice, 95), 'Niveaux d\'un short (BUY/SELL acceptés)');
+        this.assert(evaluateExit(open('LONG'), 97.5, entryTime) === EXIT_REASONS.STOP_LOSS, 'Stop-loss long');
+        this.assert(evaluateExit(open('BUY'), 105.2, entryTime) === EXIT_REASONS.TAKE_PROFIT, 'Take-profit long');
+        this.assert(evaluateExit(open('SHORT'), 102.5, entryTime) === EXIT_REASONS.STOP_LOSS, 'Stop-loss short');
+        
+        console.log('  🔍 Test trailing stop...');
+        this.assert(exitsAlong(open('LONG'), [101, 103, 102, 101.9]).join(',') === ',,,TRAILING_STOP', 'Long: sortie sur recul de 1% après activation');
+        this.assert(exitsAlong(open('LONG'), [101.5, 100.4]).join(',') === ',', 'Trailing inactif sous le gain d\'activation');
+        const trailedShort = open('SHORT');
+        this.assert(exitsAlong(trailedShort, [98, 96, 96.9]).join(',') === ',,' && trailedShort.peakPrice === 96, 'Short: meilleur prix au plus bas');
+        this.assert(evaluateExit(trailedShort, 97, entryTime) === EXIT_REASONS.TRAILING_STOP, 'Short: sortie sur rebond de 1%');
+        this.assert(exitsAlong(open('LONG', { trailingStopPercent: null }), [104, 100]).join(',') === ',', 'Sans trailing stop, pas de sortie sur recul');
+        
+        console.log('  🔍 Test durée maximale...');
+        this.assert(evaluateExit(open('LONG'), 100, entryTime + 3599999) === null, 'Position conservée avant la durée maximale');
+        this.assert(evaluateExit(open('LONG'), 100, entryTime + 3600000) === EXIT_REASONS.TIME_EXIT, 'Sortie à la durée maximale');
+        this.assert(evaluateExit(open('LONG', { maxDuration: null }), 100, entryTime + 100 * 3600000) === null, 'Sans durée maximale, pas de sortie temporelle');
+        this.assert(evaluateExit(open('LONG'), 97, entryTime + 3600000) === EXIT_REASONS.STOP_LOSS, 'Stop-loss prioritaire sur la durée');
+    }
+
+    // Horloge virtuelle: ordonnanceur de minuteurs et arguments --virtual/--start/--duration
+    async runClockTests() {
+        const start = Date.UTC(2025, 0, 1);
+        
+        console.log('  🔍 Test parseDuration...');
+        this.assert(parseDuration('90s') === 90000 && parseDuration('15m') === 900000 && parseDuration('24h') === 86400000, 'Unités s, m, h');
+        this.assert(parseDuration('2d') === 172800000 && parseDuration('1.5h') === 5400000 && parseDuration('250') === 250, 'Jours, décimales, millisecondes par défaut');
+        this.assert(parseDuration(1234) === 1234, 'Nombre accepté tel quel');
+        this.assertThrows(() => parseDuration('demain'), 'Durée invalide rejetée');
+        this.assertThrows(() => parseDuration('10y'), 'Unité inconnue rejetée');
+        
+        console.log('  🔍 Test ordonnancement des minuteurs...');
+        const clock = new VirtualClock(start);
+        const fired = [];
+        clock.setTimeout(() => fired.push(`b@${clock.now() - start}`), 2000);
+        clock.setTimeout(() => fired.push(`a@${clock.now() - start}`), 1000);
+        clock.setTimeout(() => fired.push(`c@${clock.now() - start}`), 2000);
+        const cancelled = clock.setTimeout(() => fired.push('annulé'), 1500);
+        clock.clearTimeout(cancelled);
+        const ticker = clock.setInterval(() => fired.push(`tick@${clock.now() - start}`), 1500);
+        await clock.runFor(3000);
+        this.assert(fired.join(',') === 'a@1000,tick@1500,b@2000,c@2000,tick@3000', 'Échéance puis ordre de création, minuteur annulé ignoré');
+        this.assert(clock.now() === start + 3000, 'Temps avancé jusqu\'à la cible');
+        clock.clearInterval(ticker);
+        await clock.runFor(5000);
+        this.assert(fired.length === 5 && clock.pendingTimers() === 0, 'Intervalle arrêté');
+        
+        clock.setTimeout(() => fired.push(clock.now() - start), 10.6);
+        await clock.runFor(100);
+        this.assert(fired[5] === 8011, 'Délais arrondis à la milliseconde');
+        
+        console.log('  🔍 Test boucles async sur horloge virtuelle...');
+        const loopClock = new VirtualClock(start);
+        const wakeUps = [];
+        const loop = async () => {
+            for (let i = 0; i < 3; i++) {
+                await loopClock.sleep(60000);
+                wakeUps.push(loopClock.now() - start);
+            }
+        };
+        const done = loop();
+        await loopClock.runFor(3600000);
+        await done;
+        this.assert(wakeUps.join(',') === '60000,120000,180000', 'await clock.sleep() repris à chaque échéance');
+        this.assert(loopClock.isVirtual() && !new SystemClock().isVirtual(), 'Type d\'horloge exposé');
+        
+        console.log('  🔍 Test arguments de ligne de commande...');
+        const args = parseClockArgs(['node', 'bot.js', '--virtual', '--duration', '6h', '--start=2025-01-01T06:00:00Z']);
+        this.assert(args.virtual && args.duration === 21600000 && args.startTime === Date.UTC(2025, 0, 1, 6), '--virtual, --duration, --start');
+        const none = parseClockArgs(['node', 'bot.js']);
+        this.assert(!none.virtual && none.duration === null && none.startTime === null, 'Valeurs par défaut');
+        this.assertThrows(() => parseClockArgs(['--start', '2025-13-45']), 'Date de début invalide rejetée');
+        this.assert(createClock({ CLOCK: 'virtual', START_TIME: start + 5 }).now() === start + 5, 'Horloge virtuelle démarrée à --start');
+        this.assert(createClock({ CLOCK: 'virtual', START_TIME: null, SEED: '42' }).now() === SEEDED_START_TIME, 'Début fixe avec une graine');
+        this.assert(!createClock({ CLOCK: 'system' }).isVirtual(), 'Horloge système par défaut');
+    }
+
+    // Même graine + horloge virtuelle: deux exécutions du bot écrivent des logs identiques
+    async runReproducibilityTests() {
+        const bot = path.join(__dirname, '..', 'realistic-bots', 'realistic-bot.js');
+        const dir = path.join(__dirname, 'test_reports', `reproducibility_${process.pid}`);
+        const files = ['trades_journal.jsonl', 'trades_detail.json', 'trades_export.csv', 'equity_curve.jsonl', 'attribution_report.json'];
+        // Variables qui changeraient la configuration du bot lancé
+        const env = { ...process.env };
+        ['TIME_SLOT', 'BOT_SEED', 'BOT_CLOCK', 'BOT_STRATEGY', 'MARKET_DATA_SOURCE'].forEach(name => { delete env[name]; });
+        const runBot = (name, seed) => {
+            const cwd = path.join(dir, name);
+            fs.mkdirSync(cwd, { recursive: true });
+            childProcess.execFileSync(process.execPath, [bot, '--virtual', '--seed', seed, '--duration', '6h'], { cwd, env, stdio: 'ignore', timeout: 60000 });
+            return files.map(file => fs.readFileSync(path.join(cwd, 'logs', file)));
+        };
+        
+        try {
+            console.log('  🔍 Test exécutions du bot avec la même graine...');
+            const first = runBot('premier', '42');
+            const second = runBot('second', '42');
+            this.assert(JSON.parse(first[1]).length > 0 && first[2].toString().split('\n').length > 1, 'Trades journalisés et exportés');
+            files.forEach((file, i) => {
+                this.assert(first[i].equals(second[i]), `${file} identique octet par octet`);
+            });
+            
+            const other = runBot('autre', '43');
+            this.assert(!other[1].equals(first[1]), 'Autre graine: trades différents');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    }
+
+    // Journal des trades: rejeu après crash, compaction, écriture atomique
+    async runJournalTests() {
+        const dir = path.join(__dirname, 'test_reports', 'journal');
+        const journalFile = path.join(dir, 'trades_journal.jsonl');
+        const snapshotFile = path.join(dir, 'trades_detail.json');
+        const reset = () => {
+            fs.rmSync(dir, { recursive: true, force: true });
+            fs.mkdirSync(dir, { recursive: true });
+        };
+        const createJournal = () => new TradeJournal({ journalFile, snapshotFile, fsync: false });
+        const opened = id => ({ type: EVENT_TYPES.TRADE_OPENED, trade: { id, symbol: 'BTC/USD', status: 'OPEN' } });
+        const closed = id => ({ type: EVENT_TYPES.TRADE_CLOSED, tradeId: id, changes: { status: 'CLOSED', pnl: 1 } });
+        const line = event => JSON.stringify(event) + '\n';
+        const corruptFiles = () => fs.readdirSync(dir).filter(file => file.startsWith('trades_journal.jsonl.corrupt-'));
+        const ids = trades => trades.map(trade => trade.id).join(',');
+        
+        try {
+            console.log('  🔍 Test dernière ligne interrompue...');
+            reset();
+            fs.writeFileSync(journalFile, line(opened('a')) + line(opened('b')) + '{"type":"TRADE_CLO');
+            let journal = createJournal();
+            let trades = journal.load();
+            this.assert(ids(trades) === 'a,b' && journal.pendingEvents === 2, 'Événements complets rejoués');
+            this.assert(fs.readFileSync(journalFile, 'utf8') === line(opened('a')) + line(opened('b')), 'Journal tronqué à la dernière ligne complète');
+            this.assert(corruptFiles().length === 1 &&
+                fs.readFileSync(path.join(dir, corruptFiles()[0]), 'utf8') === '{"type":"TRADE_CLO', 'Ligne interrompue mise de côté');
+            
+            console.log('  🔍 Test ligne corrompue au milieu du journal...');
+            reset();
+            fs.writeFileSync(journalFile, line(opened('a')) + 'pas du json\n' + line(opened('b')));
+            trades = createJournal().load();
+            this.assert(ids(trades) === 'a', 'Rejeu arrêté à la ligne illisible');
+            this.assert(fs.readFileSync(path.join(dir, corruptFiles()[0]), 'utf8') === 'pas du json\n' + line(opened('b')),
+                'Fin du journal conservée pour analyse');
+            
+            console.log('  🔍 Test instantané corrompu, journal intact...');
+            reset();
+            journal = createJournal();
+            journal.append(opened('a'));
+            journal.compact([opened('a').trade]);
+            [closed('a'), opened('b'), opened('c')].forEach(event => journal.append(event));
+            journal.close();
+            const journalContent = fs.readFileSync(journalFile, 'utf8');
+            fs.writeFileSync(snapshotFile, '[{"id":"a","sym');
+            trades = createJournal().load();
+            this.assert(ids(trades) === 'b,c', 'Clôture d\'un trade inconnu ignorée, rejeu poursuivi');
+            this.assert(fs.readFileSync(journalFile, 'utf8') === journalContent && corruptFiles().length === 0, 'Journal non tronqué');
+            this.assert(fs.readdirSync(dir).some(file => file.startsWith('trades_detail.json.corrupt-')), 'Instantané illisible mis de côté');
+            this.assert(ids(createJournal().load()) === 'b,c', 'Chargement suivant identique');
+            
+            console.log('  🔍 Test compaction et rejeu idempotent...');
+            reset();
+            const events = [opened('a'), opened('b'), closed('a')];
+            journal = createJournal();
+            events.forEach(event => journal.append(event));
+            journal.close();
+            const loaded = createJournal().load();
+            this.assert(loaded[0].status === 'CLOSED' && loaded[1].status === 'OPEN', 'Clôture appliquée au rejeu');
+            journal = createJournal();
+            journal.compact(loaded);
+            this.assert(fs.readFileSync(journalFile, 'utf8') === '' && journal.pendingEvents === 0, 'Journal vidé après compaction');
+            this.assert(JSON.stringify(createJournal().load()) === JSON.stringify(loaded), 'Instantané seul équivalent au rejeu');
+            // Crash entre l'instantané et la remise à zéro du journal: événements rejoués une seconde fois
+            fs.writeFileSync(journalFile, events.map(line).join(''));
+            this.assert(JSON.stringify(createJournal().load()) === JSON.stringify(loaded), 'Rejeu sur l\'instantané idempotent');
+            
+            console.log('  🔍 Test écriture atomique...');
+            reset();
+            const file = path.join(dir, 'state.json');
+            const renames = [];
+            const rename = fs.renameSync;
+            fs.renameSync = (from, to) => {
+                renames.push([from, to]);
+                return rename(from, to);
+            };
+            try {
+                writeFileAtomic(file, 'v1');
+                writeFileAtomic(file, 'v2');
+            } finally {
+                fs.renameSync = rename;
+            }
+            this.assert(renames.length === 2 && renames[0][0] === `${file}.${process.pid}.tmp` && renames[0][1] === file,
+                'Fichier temporaire renommé sur la cible');
+            this.assert(fs.readFileSync(file, 'utf8') === 'v2' && !fs.existsSync(`${file}.${process.pid}.tmp`), 'Contenu remplacé, aucun fichier temporaire');
+            fs.renameSync = () => { throw new Error('crash simulé'); };
+            try {
+                this.assertThrows(() => writeFileAtomic(file, 'v3'), 'Échec du rename propagé');
+            } finally {
+                fs.renameSync = rename;
+            }
+            this.assert(fs.readFileSync(file, 'utf8') === 'v2', 'Ancien contenu intact si le rename échoue');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    }
+
+    // Schéma des trades: mise à niveau des anciens formats vers v1
+    async runTradeSchemaTests() {
+        console.log('  🔍 Test migration des enregistrements du realistic-bot...');
+        const botTrade = normalizeTrade({
+            id: 'BTCUSDT_1', symbol: 'BTCUSDT', direction: 'LONG', status: 'CLOSED',
+            entryPrice: 50000, exitPrice: 51000, amount: 0.02,
+            openedAt: '2025-01-01T00:00:00.000Z', closedAt: '2025-01-01T01:00:00.000Z',
+            pnl: 20, reason: 'TAKE_PROFIT', stopLoss: 49000
+        });
+        this.assert(botTrade.schemaVersion === TRADE_SCHEMA_VERSION && botTrade.quantity === 0.02 && botTrade.positionSize === 1000,
+            'amount converti en quantity, positionSize dérivée');
+        this.assert(botTrade.entryTime === Date.UTC(2025, 0, 1) && botTrade.duration === 3600000, 'Dates ISO converties en ms, durée calculée');
+        this.assert(botTrade.pnlPercent === 2 && botTrade.isWin === true && botTrade.exitReason === 'TAKE_PROFIT', 'pnlPercent, isWin et exitReason dérivés');
+        this.assert(botTrade.stopLoss === 49000 && !('amount' in botTrade) && !('openedAt' in botTrade) && !('reason' in botTrade),
+            'Champs supplémentaires conservés, anciens champs retirés');
+        
+        console.log('  🔍 Test migration des enregistrements du bot attached_assets...');
+        const attachedOpen = normalizeTrade({
+            id: 'ETH_1', symbol: 'ETHUSDT', direction: 'BUY', status: 'ACTIVE',
+            entryPrice: '2000', quantity: '0.5', timestamp: 1735689600000
+        });
+        this.assert(attachedOpen.direction === 'LONG' && attachedOpen.status === 'OPEN' && attachedOpen.isWin === null,
+            'BUY → LONG, ACTIVE → OPEN');
+        this.assert(attachedOpen.entryPrice === 2000 && attachedOpen.positionSize === 1000 && attachedOpen.entryTime === 1735689600000,
+            'Nombres en texte convertis, timestamp repris comme entryTime');
+        const attachedClosed = normalizeTrade({
+            id: 'ETH_2', symbol: 'ETHUSDT', direction: 'SELL', status: 'CLOSED',
+            entryPrice: 2000, exitPrice: 2100, quantity: 1, positionSize: 2000,
+            timestamp: 1735689600000, exitTime: 1735693200000, realizedPnL: -100, pnLPercent: '-5.00'
+        });
+        this.assert(attachedClosed.direction === 'SHORT' && attachedClosed.pnl === -100 && attachedClosed.pnlPercent === -5 && attachedClosed.isWin === false,
+            'SELL → SHORT, realizedPnL et pnLPercent texte repris');
+        
+        console.log('  🔍 Test migration des enregistrements du backtester...');
+        const backtest = upgradeTrade({
+            symbol: 'BNBUSDT', direction: 'BUY', entryPrice: 400, exitPrice: 380, size: 800,
+            entryTime: 1735689600000, exitTime: 1735696800000, pnl: -40, reason: 'STOP_LOSS'
+        });
+        this.assert(backtest.id === 'BNBUSDT_1735689600000' && backtest.status === 'CLOSED', 'id généré, statut déduit de exitTime');
+        this.assert(backtest.quantity === 2 && backtest.positionSize === 800 && backtest.exitReason === 'STOP_LOSS', 'size convertie en positionSize et quantity');
+        this.assert(validateTrade(backtest).length === 0, 'Enregistrement migré valide');
+        
+        console.log('  🔍 Test validation et versions...');
+        this.assert(upgradeTrade(botTrade) === botTrade, 'Trade déjà en v1 inchangé');
+        this.assertThrows(() => upgradeTrade({ ...botTrade, schemaVersion: TRADE_SCHEMA_VERSION + 1 }), 'Schéma plus récent refusé');
+        const errors = validateTrade({ ...botTrade, direction: 'UP', exitPrice: null });
+        this.assert(errors.some(error => error.includes('direction')) && errors.includes('exitPrice invalide'), 'Erreurs de validation listées');
+        this.assertThrows(() => normalizeTrade({ symbol: 'BTCUSDT', direction: 'LONG', entryPrice: 0, entryTime: 1 }), 'Prix d\'entrée nul refusé');
+        
+        console.log('  🔍 Test création et clôture au format courant...');
+        const created = createTrade({ id: 'SOL_1', symbol: 'SOLUSDT', direction: 'SELL', entryPrice: 100, quantity: 3, entryTime: '2025-01-01T00:00:00Z', session: 'ASIA' });
+        this.assert(created.direction === 'SHORT' && created.positionSize === 300 && created.session === 'ASIA' && created.status === 'OPEN',
+            'Nouveau trade normalisé, champs libres conservés');
+        const closed = { ...created, ...closeFields(created, { exitPrice: 90, exitTime: created.entryTime + 60000, pnl: 30, exitReason: 'TAKE_PROFIT', fees: 0.5 }) };
+        this.assert(closed.pnlPercent === 10 && closed.duration === 60000 && closed.fees === 0.5 && validateTrade(closed).length === 0,
+            'Champs de clôture cohérents et valides');
+        
+        console.log('  🔍 Test lecture de fichiers mixtes...');
+        const dir = path.join(__dirname, 'test_reports', `trade_schema_${process.pid}`);
+        fs.mkdirSync(dir, { recursive: true });
+        try {
+            const snapshot = path.join(dir, 'trades_detail.json');
+            const legacyLog = path.join(dir, 'trades.json');
+            fs.writeFileSync(snapshot, JSON.stringify([{ ...created }]));
+            fs.writeFileSync(legacyLog, [
+                JSON.stringify({ level: 'info', message: 'démarrage' }),
+                JSON.stringify({ id: 'SOL_1', symbol: 'SOLUSDT', direction: 'SELL', status: 'CLOSED', entryPrice: 100, exitPrice: 90, quantity: 3, timestamp: created.entryTime, exitTime: created.entryTime + 60000, realizedPnL: 30 }),
+                JSON.stringify({ symbol: 'XRPUSDT', direction: 'BUY', entryPrice: -1, timestamp: 1 }),
+                '{"id":"tronqué'
+            ].join('\n'));
+            const trades = loadTrades([snapshot, legacyLog, path.join(dir, 'absent.json')]);
+            this.assert(trades.length === 1 && trades[0].id === 'SOL_1' && trades[0].status === 'CLOSED' && trades[0].pnl === 30,
+                'Dernière version d\'un même id retenue, logs, trades invalides et lignes tronquées ignorés');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    }
+
+    // Compteurs de risque: sauvegarde dans bot_state.json et reprise au redémarrage
+    async runBotStateTests() {
+        const bot = RealisticTradingBot.prototype;
+        const start = Date.UTC(2025, 0, 6, 12);
+        const hour = 3600000;
+        const trade = (id, entryTime, isWin) => ({
+            id, symbol: 'BTCUSDT', entryTime,
+            status: isWin === undefined ? 'OPEN' : 'CLOSED',
+            isWin: isWin === undefined ? null : isWin
+        });
+        // Bot minimal: état, horloge, historique et portefeuille, sans source de données ni minuteurs
+        const fakeBot = (sessionTrades, state = {}) => ({
+            clock: new VirtualClock(start),
+            state: { dailyTrades: 0, lastTradeDate: null, ...state },
+            portfolio: new Portfolio({ initialCash: 1000 }),
+            positions: {},
+            tracker: {
+                sessionTrades,
+                getClosedTrades: () => sessionTrades.filter(t => t.status === 'CLOSED'),
+                getOpenTrades: () => sessionTrades.filter(t => t.status === 'OPEN')
+            }
+        });
+        
+        const dir = path.join(__dirname, 'test_reports', `bot_state_${process.pid}`);
+        const stateFile = CONFIG.LOGGING.STATE_FILE;
+        fs.mkdirSync(dir, { recursive: true });
+        CONFIG.LOGGING.STATE_FILE = path.join(dir, 'bot_state.json');
+        try {
+            console.log('  🔍 Test sauvegarde puis reprise des compteurs...');
+            const history = [trade('t1', start - 30 * hour, true), trade('t2', start - 2 * hour, false)];
+            const running = fakeBot(history);
+            running.tradeCount = 7;
+            running.winCount = 4;
+            running.consecutiveLosses = 2;
+            bot.saveState.call(running);
+            const saved = JSON.parse(fs.readFileSync(CONFIG.LOGGING.STATE_FILE, 'utf8'));
+            this.assert(saved.risk.tradeCount === 7 && saved.risk.winCount === 4 && saved.risk.consecutiveLosses === 2,
+                'Compteurs de risque écrits dans bot_state.json');
+            
+            const restarted = fakeBot(history);
+            restarted.state = bot.loadState.call(restarted);
+            bot.restoreRiskCounters.call(restarted);
+            this.assert(restarted.tradeCount === 7 && restarted.winCount === 4 && restarted.consecutiveLosses === 2,
+                'Compteurs sauvegardés prioritaires sur l\'historique');
+            
+            console.log('  🔍 Test passation du portefeuille...');
+            const closedTrade = { id: 'p1', symbol: 'BTCUSDT', direction: 'LONG', status: 'CLOSED', quantity: 0.001, entryPrice: 50000,
+                exitPrice: 51000, entryTime: start - 3 * hour, exitTime: start - 2 * hour };
+            const openTrade = { id: 'p2', symbol: 'ETHUSDT', direction: 'LONG', status: 'OPEN', quantity: 0.01, entryPrice: 2000, entryTime: start - hour };
+            const trading = fakeBot([closedTrade, openTrade]);
+            trading.portfolio = Portfolio.fromTrades([closedTrade, openTrade], { initialCash: CONFIG.PORTFOLIO.INITIAL_CASH });
+            bot.saveState.call(trading);
+            const handoff = JSON.parse(fs.readFileSync(CONFIG.LOGGING.STATE_FILE, 'utf8')).portfolio;
+            this.assert(handoff.sequence === 3, 'Numéro d\'écriture du portefeuille écrit dans bot_state.json');
+            const freshRunner = fakeBot([openTrade]);
+            freshRunner.state = bot.loadState.call(freshRunner);
+            const resumed = bot.loadPortfolio.call(freshRunner);
+            this.assert(resumed.sequence === 3 && resumed.realizedPnL === trading.portfolio.realizedPnL && resumed.has('p2'),
+                'Historique local partiel: soldes et numéro d\'écriture repris');
+            
+            console.log('  🔍 Test reconstruction depuis l\'historique (ancien état)...');
+            const legacy = fakeBot([
+                trade('t1', start - 50 * hour, false),
+                trade('t2', start - 40 * hour, true),
+                trade('t3', start - 3 * hour, false),
+                trade('t4', start - 2 * hour, false),
+                trade('t5', start - hour, false),
+                trade('t6', start - hour / 2)
+            ], { dailyTrades: 1, lastTradeDate: new Date(start).toDateString() });
+            bot.restoreRiskCounters.call(legacy);
+            this.assert(legacy.tradeCount === 6 && legacy.winCount === 1, 'Trades clôturés et ouverts comptés, gains comptés');
+            this.assert(legacy.consecutiveLosses === 3, 'Série de pertes finale reconstruite');
+            this.assert(legacy.state.dailyTrades === 4, 'Limite quotidienne: trades ouverts aujourd\'hui même si l\'état est en retard');
+            this.assert(bot.checkSafetyLimits.call(legacy) === false, 'Trading bloqué après redémarrage en série de pertes');
+            
+            console.log('  🔍 Test changement de journée...');
+            const nextDay = fakeBot([trade('t1', start - 30 * hour, true)], {
+                dailyTrades: 5, lastTradeDate: new Date(start - 24 * hour).toDateString(),
+                risk: { tradeCount: 5, winCount: 5, consecutiveLosses: 0 }
+            });
+            bot.restoreRiskCounters.call(nextDay);
+            this.assert(nextDay.state.dailyTrades === 0 && nextDay.state.lastTradeDate === new Date(start).toDateString(),
+                'Compteur quotidien remis à zéro le jour suivant');
+            this.assert(bot.checkSafetyLimits.call(nextDay) === true, 'Trading autorisé le jour suivant');
+            
+            console.log('  🔍 Test état illisible...');
+            fs.writeFileSync(CONFIG.LOGGING.STATE_FILE, '{"risk": {');
+            const fresh = fakeBot([]);
+            const state = bot.loadState.call(fresh);
+            this.assert(state.dailyTrades === 0 && state.risk === undefined && state.startTime === start, 'État par défaut si bot_state.json est corrompu');
+        } finally {
+            CONFIG.LOGGING.STATE_FILE = stateFile;
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    }
+
+    // Relais entre créneaux GitHub Actions: passation via state.json
+    async runSlotRelayTests() {
+        const day = Date.UTC(2025, 0, 1);
+        const hour = 3600000;
+        const margin = 10 * 60000;
+        
+        const dir = path.join(__dirname, 'test_reports', `slot_relay_${process.pid}`);
+        const stateFile = path.join(dir, 'state.json');
+        fs.mkdirSync(dir, { recursive: true });
+        const relayAt = (slot, time) => {
+            const clock = new VirtualClock(time);
+            return { clock, relay: new SlotRelay({ slot, clock, stateFile, slotHours: 6, safetyMargin: margin }) };
+        };
+        const relayInfo = () => JSON.parse(fs.readFileSync(stateFile, 'utf8')).relayInfo;
+        
+        try {
+            console.log('  🔍 Test configuration des créneaux...');
+            this.assertThrows(() => new SlotRelay({ slot: 5, clock: new VirtualClock(day), stateFile }), 'Créneau hors grille refusé');
+            this.assert(createSlotRelay({ SLOT: null }, new VirtualClock(day)) === null, 'Pas de relais sans TIME_SLOT');
+            
+            console.log('  🔍 Test première session et échéance...');
+            fs.writeFileSync(stateFile, JSON.stringify({ tradingData: { balance: 1000 } }));
+            const first = relayAt(0, day + 5 * 60000);
+            const opened = first.relay.begin();
+            this.assert(opened.status === RELAY_STATUS.FIRST_SESSION && opened.handoff === null, 'Première session sans passation');
+            this.assert(opened.deadline === day + 6 * hour - margin, 'Échéance: fin du créneau moins la marge');
+            this.assert(relayInfo().active === true && relayInfo().nextSlot === 6, 'Session marquée active, créneau suivant désigné');
+            let stoppedAt = null;
+            first.relay.scheduleDeadline(opened.deadline, () => { stoppedAt = first.clock.now(); });
+            await first.clock.runFor(6 * hour);
+            this.assert(stoppedAt === opened.deadline, 'Arrêt programmé à l\'échéance');
+            
+            const snapshot = { openPositions: [{ id: 'BTCUSDT_1', symbol: 'BTCUSDT' }], state: { dailyTrades: 2 } };
+            const handoff = first.relay.end(snapshot, 'deadline');
+            this.assert(handoff.fromSlot === 0 && handoff.toSlot === 6 && handoff.reason === 'deadline', 'Passation vers le créneau suivant');
+            this.assert(first.relay.end(snapshot, 'SIGTERM') === null, 'Une seule passation par session');
+            const saved = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+            this.assert(saved.tradingData.balance === 1000 && saved.relayInfo.active === false, 'Autres clés de state.json conservées');
+            
+            console.log('  🔍 Test reprise par le créneau suivant...');
+            const second = relayAt(6, day + 6 * hour + 60000);
+            const resumed = second.relay.begin();
+            this.assert(resumed.status === RELAY_STATUS.OK && resumed.handoff.openPositions[0].id === 'BTCUSDT_1', 'Passation reçue par le créneau suivant');
+            const imported = [];
+            const bot = {
+                state: { dailyTrades: 0, lastSaved: null },
+                tracker: { getTrade: () => null, importTrade: trade => imported.push(trade.id) }
+            };
+            RealisticTradingBot.prototype.resumeFromHandoff.call(bot, resumed.handoff);
+            this.assert(imported.join(',') === 'BTCUSDT_1' && bot.state.dailyTrades === 2, 'Positions et compteurs repris par le bot');
+            this.assert(relayInfo().totalSessions === 2 && relayInfo().anomalies.length === 0, 'Sessions comptées, aucune anomalie');
+            
+            console.log('  🔍 Test chevauchement et session interrompue...');
+            const before = fs.readFileSync(stateFile, 'utf8');
+            const overlap = relayAt(12, day + 9 * hour).relay.begin();
+            this.assert(overlap.status === RELAY_STATUS.OVERLAP && overlap.deadline === null, 'Démarrage refusé pendant une session active');
+            this.assert(fs.readFileSync(stateFile, 'utf8') === before, 'state.json inchangé après un refus');
+            const third = relayAt(12, day + 12 * hour);
+            const interrupted = third.relay.begin();
+            this.assert(interrupted.status === RELAY_STATUS.INTERRUPTED && relayInfo().anomalies[0].status === RELAY_STATUS.INTERRUPTED,
+                'Session active après son échéance: interruption consignée');
+            third.relay.end({ openPositions: [] }, 'deadline');
+            
+            console.log('  🔍 Test créneaux manqués et relance...');
+            const missed = relayAt(6, day + 30 * hour).relay.begin();
+            this.assert(missed.status === RELAY_STATUS.MISSED && missed.missedSlots.join(',') === '18,0', 'Créneaux sans session listés');
+            
+            fs.writeFileSync(stateFile, JSON.stringify({ relayInfo: { currentSlot: 18, sessionStart: day + 18 * hour, active: false } }));
+            const repeated = relayAt(18, day + 19 * hour).relay.begin();
+            this.assert(repeated.status === RELAY_STATUS.REPEATED, 'Créneau relancé avant la fin du précédent');
+            
+            console.log('  🔍 Test lancement hors créneau...');
+            fs.writeFileSync(stateFile, '{}');
+            const late = relayAt(0, day + 7 * hour).relay.begin();
+            this.assert(late.deadline === day + 13 * hour - margin, 'Échéance 6h après un lancement hors créneau');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    }
+
+    // Grand livre du bot: liquidités, PnL réalisé/latent, frais et reconstruction
+    async runLedgerTests() {
+        const near = (a, b) => Math.abs(a - b) < 1e-9;
+        const start = Date.UTC(2025, 0, 1);
+        
+        console.log('  🔍 Test ouverture et valorisation...');
+        const portfolio = new Portfolio({ initialCash: 1000 });
+        const sized = portfolio.sizePosition(50000, 5000, 0.001);
+        this.assert(near(sized.notional, 1000 / 1.001) && near(sized.quantity, sized.notional / 50000), 'Taille bornée par les liquidités et les coûts');
+        portfolio.open({ id: 'L1', symbol: 'BTCUSDT', direction: 'LONG', quantity: 0.004, entryPrice: 50000, entryTime: start }, { fee: 0.2 });
+        portfolio.open({ id: 'S1', symbol: 'ETHUSDT', direction: 'SHORT', quantity: 0.1, entryPrice: 2000, entryTime: start + 1000 }, { fee: 0.2 });
+        this.assert(near(portfolio.cash, 1000 - 200 - 200 - 0.4), 'Valeur immobilisée et frais débités à l\'ouverture');
+        this.assert(near(portfolio.getEquity(), 999.6) && portfolio.getOpenCount() === 2, 'Equity = liquidités + positions au prix d\'entrée');
+        this.assertThrows(() => portfolio.open({ id: 'L2', symbol: 'BNBUSDT', direction: 'LONG', quantity: 10, entryPrice: 400, entryTime: start }),
+            'Ouverture refusée au-delà des liquidités');
+        
+        portfolio.mark('BTCUSDT', 51000);
+        portfolio.mark('ETHUSDT', 2100);
+        this.assert(near(portfolio.getUnrealizedPnL(), 4 - 10), 'PnL latent LONG et SHORT au dernier prix');
+        const holdings = portfolio.getHoldings();
+        this.assert(near(holdings.ETHUSDT.quantity, -0.1) && near(holdings.BTCUSDT.unrealizedPnL, 4), 'Positions agrégées, quantité short négative');
+        
+        console.log('  🔍 Test clôtures et frais...');
+        const closeLong = portfolio.close('L1', 51000, start + 60000, 0.2);
+        this.assert(near(closeLong.pnl, 4 - 0.4) && closeLong.type === LEDGER_TYPES.CLOSE, 'PnL réalisé net des frais d\'entrée et de sortie');
+        const closeShort = portfolio.close('S1', 1900, start + 120000, 0.2);
+        this.assert(near(closeShort.pnl, 10 - 0.4), 'Short gagnant à la baisse');
+        this.assert(near(portfolio.cash, 1000 + 3.6 + 9.6) && near(portfolio.realizedPnL, 13.2) && near(portfolio.getEquity(), portfolio.cash),
+            'Liquidités = capital initial + PnL réalisé une fois tout clôturé');
+        this.assert(near(portfolio.getFees(), 0.8) && near(portfolio.getFees(start + 60000), 0.4), 'Frais cumulés depuis une date');
+        this.assert(portfolio.getEntries(LEDGER_TYPES.CLOSE).length === 2 && portfolio.ledger.length === 4, 'Écritures OPEN/CLOSE au grand livre');
+        this.assertThrows(() => portfolio.close('L1', 51000, start), 'Clôture d\'une position absente refusée');
+        
+        console.log('  🔍 Test courbe d\'equity...');
+        for (let i = 0; i < 1005; i++) portfolio.recordEquity(start + i);
+        this.assert(portfolio.equityCurve.length === 1000 && portfolio.equityCurve[0].time === start + 5, 'Courbe d\'equity bornée en mémoire');
+        
+        console.log('  🔍 Test reconstruction depuis l\'historique des trades...');
+        const trades = [
+            { id: 'A', symbol: 'BTCUSDT', direction: 'LONG', status: 'CLOSED', quantity: 0.01, entryPrice: 50000, exitPrice: 49000,
+              entryTime: start, exitTime: start + 3000, execution: { entry: { fee: 0.5 }, exit: { fee: 0.5 } } },
+            { id: 'B', symbol: 'ETHUSDT', direction: 'SHORT', status: 'CLOSED', quantity: 1, entryPrice: 2000, exitPrice: 1950,
+              entryTime: start + 1000, exitTime: start + 2000 },
+            { id: 'C', symbol: 'BNBUSDT', direction: 'LONG', status: 'OPEN', quantity: 1, entryPrice: 400, entryTime: start + 4000 },
+            { id: 'D', symbol: 'XRPUSDT', direction: 'LONG', status: 'OPEN', quantity: 0, entryPrice: 1, entryTime: start }
+        ];
+        const rebuilt = Portfolio.fromTrades(trades, { initialCash: 1000 });
+        this.assert(near(rebuilt.realizedPnL, -10 - 1 + 50) && rebuilt.has('C') && !rebuilt.has('D'), 'PnL et positions rejoués dans l\'ordre chronologique');
+        this.assert(near(rebuilt.cash, 1000 + 39 - 400), 'Dépassement des liquidités accepté pour l\'historique');
+        
+        console.log('  🔍 Test réconciliation avec l\'état sauvegardé...');
+        const saved = rebuilt.toJSON();
+        const partial = Portfolio.fromTrades([trades[2]], { initialCash: 1000 });
+        this.assert(partial.reconcile(saved) === true && near(partial.cash, rebuilt.cash) && near(partial.realizedPnL, rebuilt.realizedPnL),
+            'Soldes sauvegardés repris si l\'historique local est incomplet');
+        this.assert(rebuilt.reconcile({ ...saved, cash: 0 }) === false && !near(rebuilt.cash, 0), 'Historique complet prioritaire');
+        this.assert(rebuilt.reconcile(undefined) === false, 'Sans état sauvegardé: historique conservé');
+        this.assert(saved.sequence === 5 && partial.sequence === 5 && partial.ledger.length === 1,
+            'Numéro d\'écriture sauvegardé repris avec les soldes');
+        
+        console.log('  🔍 Test passations successives avec historique partiel...');
+        const later = { id: 'E', symbol: 'SOLUSDT', direction: 'LONG', status: 'CLOSED', quantity: 1, entryPrice: 100, exitPrice: 110,
+            entryTime: start + 5000, exitTime: start + 6000 };
+        partial.open(later);
+        partial.close('E', 110, start + 6000);
+        const handoff = partial.toJSON();
+        this.assert(handoff.sequence === 7 && partial.ledger[partial.ledger.length - 1].sequence === 7, 'Écritures numérotées après la séquence reprise');
+        const nextRunner = Portfolio.fromTrades([trades[2], later], { initialCash: 1000 });
+        this.assert(nextRunner.reconcile(handoff) === true && near(nextRunner.cash, partial.cash) && near(nextRunner.realizedPnL, partial.realizedPnL),
+            'Historique toujours partiel détecté à la passation suivante');
+        const legacyState = { ...handoff, entries: 7 };
+        delete legacyState.sequence;
+        this.assert(Portfolio.fromTrades([trades[2]], { initialCash: 1000 }).reconcile(legacyState) === true, 'Ancien état (nombre d\'écritures) encore lu');
+    }
+
+    // Coûts d'exécution du bot papier: frais par palier, spread, glissement, latence
+    async runExecutionCostTests() {
+        const near = (a, b) => Math.abs(a - b) < 1e-9;
+        const start = Date.UTC(2025, 0, 1);
+        const day = 24 * 3600000;
+        const config = {
+            FEE_TIERS: [
+                { MIN_VOLUME: 100000, MAKER: 0.0008, TAKER: 0.0009 },
+                { MIN_VOLUME: 0, MAKER: 0.001, TAKER: 0.001 }
+            ],
+            SPREADS: { 'BTC/USD': 0.0002, DEFAULT: 0.001 },
+            SLIPPAGE: { BASE: 0.0001, IMPACT: 0.001, DEPTH: { 'BTC/USD': 1000000, DEFAULT: 10000 } },
+            LATENCY: { MIN: 50, MAX: 250 }
+        };
+        const model = () => new ExecutionCostModel(config, { random: createRandom(7) });
+        
+        console.log('  🔍 Test spread et glissement...');
+        const costs = model();
+        const quote = costs.quote('BTC/USD', 50000);
+        this.assert(near(quote.bid, 49995) && near(quote.ask, 50005), 'Bid/ask autour du prix médian');
+        this.assert(costs.getSpread('XRP/USD') === 0.001, 'Spread par défaut pour un symbole inconnu');
+        this.assert(near(costs.getSlippage('BTC/USD', 10000), 0.0001 + 0.001 * 0.1), 'Glissement fixe + impact en racine de la taille');
+        this.assert(costs.getSlippage('BTC/USD', 10000, 0.25) > costs.getSlippage('BTC/USD', 10000, 1) &&
+            near(costs.getSlippage('BTC/USD', 10000, 0.01), costs.getSlippage('BTC/USD', 10000, 0.25)), 'Glissement accru par un volume faible, profondeur bornée');
+        const maxNotional = costs.getMaxNotional('BTC/USD', 0.0011);
+        this.assert(near(costs.getSlippage('BTC/USD', maxNotional), 0.0011) && costs.getMaxNotional('BTC/USD', 0.00005) === 0,
+            'Taille maximale inverse du glissement');
+        
+        console.log('  🔍 Test exécutions au marché...');
+        const buy = costs.fill({ symbol: 'BTC/USD', side: 'BUY', midPrice: 50000, notional: 10000, time: start, latency: 120 });
+        const expectedBuy = 50000 * (1 + 0.0001 + 0.0002);
+        this.assert(near(buy.price, expectedBuy) && near(buy.notional, 10000) && near(buy.quantity, 10000 / expectedBuy), 'Achat au ask + glissement, taille en devise');
+        this.assert(near(buy.fee, 10) && buy.liquidity === LIQUIDITY.TAKER && buy.latency === 120, 'Frais taker sur la valeur exécutée');
+        const sell = costs.fill({ symbol: 'BTC/USD', side: 'SELL', midPrice: 50000, quantity: buy.quantity, time: start + 1000 });
+        this.assert(sell.price < 50000 && near(sell.quantity, buy.quantity), 'Vente au bid - glissement, taille en quantité');
+        this.assert(near(sell.spreadCost, sell.quantity * 50000 * 0.0001) && sell.slippageCost > 0, 'Coûts de spread et de glissement détaillés');
+        this.assert(sell.notional < buy.notional, 'Aller-retour perdant à prix médian constant');
+        
+        console.log('  🔍 Test paliers de frais sur 30 jours...');
+        const tiers = model();
+        this.assert(tiers.getFeeRate(LIQUIDITY.TAKER, start) === 0.001, 'Palier de base sans volume');
+        tiers.loadHistory([{ time: start - 40 * day, notional: 500000 }, { time: start - 10 * day, notional: 60000 }]);
+        this.assert(tiers.getFeeRate(LIQUIDITY.TAKER, start) === 0.001, 'Volume hors fenêtre de 30 jours ignoré');
+        tiers.recordVolume(start, 40000);
+        this.assert(tiers.getFeeRate(LIQUIDITY.TAKER, start) === 0.0009 && tiers.getFeeRate(LIQUIDITY.MAKER, start) === 0.0008,
+            'Palier supérieur atteint (paliers triés)');
+        this.assert(tiers.getFeeRate(LIQUIDITY.TAKER, start + 21 * day) === 0.001, 'Palier perdu quand le volume sort de la fenêtre');
+        
+        console.log('  🔍 Test latence et réserve de liquidités...');
+        const latencies = Array.from({ length: 200 }, () => costs.sampleLatency());
+        this.assert(latencies.every(latency => Number.isInteger(latency) && latency >= 50 && latency <= 250), 'Latence entière dans l\'intervalle configuré');
+        const replay = model();
+        this.assert(latencies.slice(0, 5).join(',') === Array.from({ length: 5 }, () => replay.sampleLatency()).join(','), 'Latence reproductible avec la même graine');
+        this.assert(near(costs.maxCostRate('BTC/USD'), 0.001 + 0.0001 + 0.0001 + 0.001), 'Réserve: frais max + demi-spread + glissement');
+    }
+
+    // Moteur d'appariement papier: OCO, exécutions partielles, validité des ordres
+    async runMatchingEngineTests() {
+        const near = (a, b) => Math.abs(a - b) < 1e-6;
+        const createEngine = () => {
+            const costs = new ExecutionCostModel({
+                FEE_TIERS: [{ MIN_VOLUME: 0, MAKER: 0.0008, TAKER: 0.001 }],
+                SPREADS: { DEFAULT: 0.0002 },
+                SLIPPAGE: { BASE: 0.0001, IMPACT: 0.001, DEPTH: { DEFAULT: 1000000 } },
+                LATENCY: { MIN: 0, MAX: 0 }
+            }, { random: createRandom(1) });
+            const engine = new MatchingEngine({ clock: new VirtualClock(Date.UTC(2025, 0, 1)), costs, participation: 0.05 });
+            engine.processCandle({ symbol: 'BTCUSDT', open: 50000, high: 50000, low: 50000, close: 50000 });
+            return engine;
+        };
+        const candle = (open, high, low, close) => ({ symbol: 'BTCUSDT', open, high, low, close });
+        
+        console.log('  🔍 Test ordres au marché et validation...');
+        const engine = createEngine();
+        const updates = [];
+        engine.on('order', (order, fill) => updates.push(`${order.orderId}:${order.status}${fill ? '+' : ''}`));
+        const market = engine.submitOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quoteOrderQty: 1000 });
+        this.assert(market.status === ORDER_STATUS.FILLED && near(market.cummulativeQuoteQty, 1000) && market.avgPrice > 50000,
+            'MARKET en devise exécuté au-dessus du prix médian');
+        this.assert(updates.join(',') === '1:NEW,1:FILLED+', 'Événements NEW puis FILLED avec exécution');
+        this.assertThrows(() => engine.submitOrder({ symbol: 'ETHUSDT', side: 'BUY', type: 'MARKET', quantity: 1 }), 'Symbole sans prix refusé');
+        this.assertThrows(() => engine.submitOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'LIMIT', quantity: 1 }), 'LIMIT sans prix refusé');
+        const maker = engine.submitOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'LIMIT_MAKER', quantity: 1, price: 50100 });
+        this.assert(maker.status === ORDER_STATUS.REJECTED, 'LIMIT_MAKER qui prendrait la liquidité rejeté');
+        
+        console.log('  🔍 Test validité IOC / FOK / GTC et exécutions partielles...');
+        const ioc = engine.submitOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'LIMIT', timeInForce: 'IOC', quantity: 20, price: 50050 });
+        this.assert(ioc.status === ORDER_STATUS.EXPIRED && near(ioc.executedQty, 12.8) && ioc.avgPrice <= 50050 + 1e-6,
+            'IOC: partie disponible sous la limite exécutée, reste expiré');
+        const fok = engine.submitOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'LIMIT', timeInForce: 'FOK', quantity: 20, price: 50050 });
+        this.assert(fok.status === ORDER_STATUS.EXPIRED && fok.executedQty === 0, 'FOK: rien exécuté si tout n\'est pas disponible');
+        const gtc = engine.submitOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'LIMIT', quantity: 20, price: 50050 });
+        this.assert(gtc.status === ORDER_STATUS.PARTIALLY_FILLED && gtc.isWorking, 'GTC: reste au carnet après exécution partielle');
+        engine.processCandle(candle(50060, 50100, 50055, 50080));
+        this.assert(near(engine.getOrder(gtc.orderId).executedQty, 12.8), 'Ordre au repos non traversé: pas d\'exécution');
+        engine.processCandle(candle(50080, 50100, 49900, 50000));
+        const resting = engine.getOrder(gtc.orderId);
+        this.assert(near(resting.executedQty - 12.8, 50000 / 50050) && resting.fills[1].liquidity === LIQUIDITY.MAKER && resting.fills[1].price === 50050,
+            'Traversée: exécution maker au prix limite, bornée par la participation');
+        const canceled = engine.cancelOrder(gtc.orderId);
+        this.assert(canceled.status === ORDER_STATUS.CANCELED && canceled.executedQty === resting.executedQty, 'Annulation: quantité exécutée conservée');
+        this.assertThrows(() => engine.cancelOrder(gtc.orderId), 'Ordre déjà clôturé non annulable');
+        
+        console.log('  🔍 Test OCO: objectif exécuté en plusieurs fois...');
+        const target = createEngine();
+        this.assertThrows(() => target.submitOco({ symbol: 'BTCUSDT', side: 'SELL', quantity: 2, price: 49000, stopPrice: 48000 }), 'Prix OCO incohérents refusés');
+        const oco = target.submitOco({ symbol: 'BTCUSDT', side: 'SELL', quantity: 1.5, price: 51000, stopPrice: 49000 });
+        const [limitLeg, stopLeg] = oco.orders;
+        this.assert(oco.listOrderStatus === LIST_STATUS.EXECUTING && limitLeg.isWorking && !stopLeg.isWorking, 'Objectif au carnet, stop en attente');
+        target.processCandle(candle(50000, 51500, 49900, 51200));
+        this.assert(target.getOrder(limitLeg.orderId).status === ORDER_STATUS.PARTIALLY_FILLED && target.getOrder(stopLeg.orderId).status === ORDER_STATUS.CANCELED,
+            'Première exécution partielle de l\'objectif: stop annulé');
+        this.assert(target.getOrderList(oco.orderListId).listOrderStatus === LIST_STATUS.EXECUTING, 'Liste en cours tant que l\'objectif n\'est pas rempli');
+        target.processCandle(candle(51200, 51600, 51100, 51300));
+        const filled = target.getOrder(limitLeg.orderId);
+        const summary = summarizeFills(filled.fills);
+        this.assert(filled.status === ORDER_STATUS.FILLED && filled.fills.length === 2 && target.getOrderList(oco.orderListId).listOrderStatus === LIST_STATUS.ALL_DONE,
+            'Objectif rempli au chandelier suivant, liste terminée');
+        this.assert(near(summary.quantity, 1.5) && near(summary.price, 51000) && summary.liquidity === LIQUIDITY.MAKER && near(summary.feeRate, 0.0008),
+            'Exécutions agrégées au prix limite avec frais maker');
+        
+        console.log('  🔍 Test OCO: stop déclenché, y compris sur gap...');
+        const stopped = createEngine();
+        const protective = stopped.submitOco({ symbol: 'BTCUSDT', side: 'SELL', quantity: 0.1, price: 52000, stopPrice: 49000, stopLimitPrice: 48500 });
+        stopped.processCandle(candle(50000, 50200, 48500, 48800));
+        const [objective, stop] = stopped.getOrderList(protective.orderListId).orders;
+        this.assert(objective.status === ORDER_STATUS.CANCELED && stop.status === ORDER_STATUS.FILLED && stop.fills[0].liquidity === LIQUIDITY.TAKER,
+            'Stop franchi: objectif annulé, stop exécuté en taker');
+        this.assert(stop.fills[0].midPrice === 49000 && stop.avgPrice >= 48500, 'Exécution au prix du stop, bornée par la limite');
+        const gapped = createEngine();
+        const gapList = gapped.submitOco({ symbol: 'BTCUSDT', side: 'SELL', quantity: 0.1, price: 52000, stopPrice: 49000, stopLimitPrice: 47000 });
+        gapped.processCandle(candle(48000, 48200, 47800, 47900));
+        const gapStop = gapped.getOrderList(gapList.orderListId).orders[1];
+        this.assert(gapStop.status === ORDER_STATUS.FILLED && gapStop.fills[0].midPrice === 48200, 'Gap sous le stop: exécution au prix atteint, pas au stop');
+        
+        console.log('  🔍 Test entrée refusée pendant une sortie en attente...');
+        const bot = {
+            positions: {},
+            pendingCloses: { BTCUSDT_1: { position: { id: 'BTCUSDT_1', symbol: 'BTCUSDT' } } },
+            signals: { BTCUSDT: { symbol: 'BTCUSDT', confidence: 0.9 } },
+            prices: { BTCUSDT: 50000, ETHUSDT: 2000 },
+            clock: new VirtualClock(Date.UTC(2025, 0, 1)),
+            strategy: { name: 'test', onTimer: () => [] }
+        };
+        Object.setPrototypeOf(bot, RealisticTradingBot.prototype);
+        bot.handleSignal({ action: SIGNAL_ACTIONS.ENTER, symbol: 'BTCUSDT', direction: 'LONG', confidence: 0.95 });
+        bot.handleSignal({ action: SIGNAL_ACTIONS.ENTER, symbol: 'ETHUSDT', direction: 'LONG', confidence: 0.6 });
+        const analysis = bot.analyzeMarket();
+        this.assert(analysis.shouldTrade && analysis.symbol === 'ETHUSDT', 'Symbole en cours de sortie écarté des candidats');
+        this.assert(Object.keys(bot.signals).length === 0, 'Signaux consommés par l\'analyse');
+    }
+
+    // Tests BinanceAPI contre le serveur Binance local (REST signé, flux, limites de poids)
+    async runExchangeTests() {
+        const server = new MockBinanceServer({
+            symbols: ['BTC/USDT'],
+            balances: { USDT: 10000 },
+            apiKey: 'test-api-key',
+            apiSecret: 'test-api-secret'
+        });
+        const urls = await server.start();
+        this.mockData.slice(-60).forEach(candle => {
+            server.exchange.processCandle({ ...candle, symbol: 'BTC/USDT' });
+        });
+        const lastPrice = this.mockData[this.mockData.length - 1].close;
+
+        const createAPI = (options = {}) => new BinanceAPI({
+            apiKey: 'test-api-key',
+            apiSecret: 'test-api-secret',
+            testnet: true,
+            retryAttempts: 1,
+            ...urls,
+            ...options
+        });
+        const api = createAPI();
+        const subscriptions = [];
+
+        try {
+            await api.ready;
+
+            console.log('  🔍 Test données de marché...');
+            const price = await api.getCurrentPrice('BTCUSDT');
+            this.assert(Math.abs(price - lastPrice) < 1e-6, 'Prix courant servi par la bourse locale');
+            const klines = await api.getKlines('BTCUSDT', '1m', 10);
+            this.assert(klines.length === 10 && Math.abs(klines[9].close - price) < 1e-6, 'Chandeliers au format Binance');
+
+            console.log('  🔍 Test ordre LIMIT et annulation...');
+            const limitPrice = Math.round(price * 0.9);
+            const limitOrder = await api.createOrder('BTCUSDT', 'BUY', 'LIMIT', 0.01, { price: limitPrice });
+            this.assert(limitOrder.status === 'NEW', 'Ordre LIMIT accepté');
+            const openOrders = await api.getOpenOrders('BTCUSDT');
+            this.assert(openOrders.length === 1 && openOrders[0].orderId === limitOrder.orderId, 'Ordre LIMIT listé parmi les ordres ouverts');
+            let balances = await api.getBalances();
+            this.assert(Math.abs(balances.USDT.locked - limitPrice * 0.01) < 1e-6, 'Montant de l\'ordre bloqué');
+            const canceled = await api.cancelOrder('BTCUSDT', limitOrder.orderId);
+            this.assert(canceled.status === 'CANCELED', 'Ordre LIMIT annulé');
+
+            console.log('  🔍 Test ordre MARKET et flux utilisateur...');
+            const reports = [];
+            subscriptions.push(await api.subscribeUserData(event => {
+                if (event.e === 'executionReport') reports.push(event);
+            }));
+            await this.waitFor(() => server.exchange.events.listenerCount('userData') > 0);
+
+            const marketOrder = await api.createOrder('BTCUSDT', 'BUY', 'MARKET', 0.02);
+            this.assert(marketOrder.status === 'FILLED', 'Ordre MARKET exécuté');
+            this.assert(parseFloat(marketOrder.executedQty) === 0.02, 'Quantité exécutée complète');
+            this.assert(parseFloat(marketOrder.cummulativeQuoteQty) > price * 0.02, 'Achat exécuté au-dessus du prix moyen (spread)');
+            await this.waitFor(() => reports.some(report => report.X === 'FILLED'));
+            this.assert(reports.some(report => report.i === marketOrder.orderId && report.x === 'TRADE'), 'executionReport reçu par WebSocket');
+
+            balances = await api.getBalances();
+            this.assert(balances.BTC && balances.BTC.free > 0.0199 && balances.BTC.free < 0.02, 'BTC crédités nets de commission');
+
+            console.log('  🔍 Test validation des ordres...');
+            await this.assertRejects(() => api.createOrder('BTCUSDT', 'BUY', 'MARKET', 0.000001), /Quantité trop petite/, 'Filtre LOT_SIZE appliqué côté client');
+            await this.assertRejects(() => api.createOrder('BTCUSDT', 'SELL', 'MARKET', 1), /Solde insuffisant/, 'Solde vérifié côté client');
+
+            console.log('  🔍 Test signature...');
+            const badKeyAPI = createAPI({ apiSecret: 'wrong-api-secret' });
+            await badKeyAPI.ready.catch(() => {});
+            await this.assertRejects(() => badKeyAPI.getAccountInfo(), /Signature/, 'Signature invalide rejetée (-1022)');
+
+            console.log('  🔍 Test limites de poids...');
+            // Poids client > 1100: ordre refusé avant envoi; au-delà de 1200 côté serveur: 429
+            let serverError = null;
+            let clientChecked = false;
+            for (let i = 0; i < 200 && !serverError; i++) {
+                try {
+                    await api.getExchangeInfo();
+                } catch (error) {
+                    serverError = error;
+                }
+                const weight = api.state.rateLimits.requestWeight;
+                if (!clientChecked && weight > 1100 && weight < 1180) {
+                    clientChecked = true;
+                    await this.assertRejects(() => api.createOrder('BTCUSDT', 'SELL', 'MARKET', 0.01), /Limite de poids dépassée/, 'Limite de poids vérifiée côté client');
+                }
+            }
+            this.assert(clientChecked, 'Seuil client atteint avant la limite serveur');
+            this.assert(serverError !== null && serverError.status === 429 && serverError.code === -1003, 'Limite de poids appliquée par le serveur (429)');
+        } finally {
+            subscriptions.forEach(subscription => subscription.close());
+            api.disconnect();
+            await server.stop();
+        }
+    }
+
+    // Attente d'un événement asynchrone (flux WebSocket)
+    async waitFor(condition, timeout = 2000) {
+        const start = Date.now();
+        while (!condition()) {
+            if (Date.now() - start > timeout) {
+                throw new Error('Délai d\'attente dépassé');
+            }
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+    }
+
+    // Assertion sur une promesse rejetée
+    async assertRejects(fn, pattern, message) {
+        let error = null;
+        try {
+            await fn();
+        } catch (caught) {
+            error = caught;
+        }
+        this.assert(error !== null && pattern.test(error.message), message);
+    }
+
+    // Assertion sur une exception synchrone
+    assertThrows(fn, message) {
+        let error = null;
+        try {
+            fn();
+        } catch (caught) {
+            error = caught;
+        }
+        this.assert(error !== null, message);
+    }
+
+    // Tests des chargeurs de chandeliers (CSV, JSON, archives Binance)
+    async runDataLoaderTests() {
+        const dir = path.join(__dirname, 'test_reports', 'candles');
+        fs.mkdirSync(dir, { recursive: true });
+        
+        try {
+            // 3h de klines 1m au format des archives Binance, avec un trou de 3 minutes
+            const start = Date.UTC(2024, 0, 1);
+            const rows = [];
+            let price = 42000;
+            for (let i = 0; i < 180; i++) {
+                const open = price;
+                price = open * (1 + Math.sin(i / 7) * 0.001);
+                if (i >= 60 && i < 63) continue;
+                const t = start + i * 60000;
+                rows.push([t, open, Math.max(open, price) + 5, Math.min(open, price) - 5, price, 2, t + 59999, 0, 10, 0, 0, 0].join(','));
+            }
+            fs.writeFileSync(path.join(dir, 'BTCUSDT-1m-2024-01-01.csv'), rows.join('\n') + '\n');
+            this.writeZip(path.join(dir, 'ETHUSDT-1m-2024-01-01.zip'), 'ETHUSDT-1m-2024-01-01.csv', rows.join('\n'));
+            
+            console.log('  🔍 Test archives Binance (CSV et zip)...');
+            const raw = loadCandles(dir, { symbols: ['BTCUSDT', 'ETHUSDT'] });
+            this.assert(raw.series.BTCUSDT.length === 177 && raw.series.ETHUSDT.length === 177, '177 klines par symbole');
+            this.assert(JSON.stringify(raw.series.BTCUSDT) === JSON.stringify(raw.series.ETHUSDT.map(c => ({ ...c, symbol: 'BTCUSDT' }))),
+                'Archive zip identique au CSV décompressé');
+            this.assert(raw.report.BTCUSDT.sourceTimeframe === 60000, 'Unité de temps détectée: 1m');
+            this.assert(raw.report.BTCUSDT.gaps.length === 1 && raw.report.BTCUSDT.missingCandles === 3, 'Trou de 3 minutes détecté');
+            this.assert(detectGaps(raw.series.BTCUSDT, '1m')[0].from === start + 60 * 60000, 'Début du trou');
+            const filled = fillGaps(raw.series.BTCUSDT, '1m');
+            this.assert(filled.length === 180 && filled[60].filled && filled[60].volume === 0 && filled[60].open === filled[59].close,
+                'Trou comblé par des chandeliers plats');
+            
+            console.log('  🔍 Test rééchantillonnage 1m → 5m → 1h...');
+            const fiveMinutes = resampleCandles(raw.series.BTCUSDT, '5m');
+            const firstFive = raw.series.BTCUSDT.slice(0, 5);
+            this.assert(fiveMinutes.length === 36, '36 chandeliers de 5 minutes');
+            this.assert(fiveMinutes[0].open === firstFive[0].open && fiveMinutes[0].close === firstFive[4].close, 'Ouverture et clôture du bucket');
+            this.assert(fiveMinutes[0].high === Math.max(...firstFive.map(c => c.high)) &&
+                fiveMinutes[0].low === Math.min(...firstFive.map(c => c.low)), 'Plus haut et plus bas du bucket');
+            this.assert(fiveMinutes[12].volume === 2 * 2, 'Volume cumulé (bucket du trou: 2 klines)');
+            const hourly = resampleCandles(fiveMinutes, '1h');
+            this.assert(hourly.length === 3 && hourly[1].timestamp === start + 3600000, 'Chandeliers horaires alignés sur l\'heure');
+            this.assertThrows(() => resampleCandles(hourly, '5m'), 'Rééchantillonnage vers une unité plus fine refusé');
+            const loaded = loadCandles(dir, { symbols: ['BTCUSDT'], timeframe: '1h' });
+            this.assert(loaded.report.BTCUSDT.gaps.length === 0 && loaded.series.BTCUSDT.length === 3, 'Trou absorbé par le rééchantillonnage');
+            
+            console.log('  🔍 Test horodatages et fuseaux...');
+            this.assert(parseTimestamp(1704067200) === start && parseTimestamp('1704067200000000') === start,
+                'Secondes et microsecondes converties en ms');
+            this.assert(parseTimestamp('2024-01-01T01:00:00+01:00') === start, 'Fuseau explicite respecté');
+            this.assert(parseTimestamp('2024-01-01 00:00') === start, 'Date sans fuseau: UTC par défaut');
+            this.assert(parseTimestamp('2024-07-01 00:00', 'Europe/Paris') === Date.UTC(2024, 5, 30, 22), 'Heure d\'été de Paris');
+            fs.writeFileSync(path.join(dir, 'paris.csv'),
+                'date,open,high,low,close,volume\n2024-01-01 00:00,1,2,0.5,1.5,10\n2024-01-01 23:00,1.5,2,1,1.8,5\n2024-01-02 00:00,1.8,2,1.5,1.9,1\n');
+            const paris = loadCandleFile(path.join(dir, 'paris.csv'), { timezone: 'Europe/Paris' }).PARIS;
+            this.assert(paris[0].timestamp === start - 3600000, 'CSV lu à l\'heure de Paris');
+            const daily = resampleCandles(paris, '1d', { timezone: 'Europe/Paris' });
+            this.assert(daily.length === 2 && daily[0].volume === 15 && daily[0].timestamp === start - 3600000,
+                'Journées alignées sur minuit à Paris');
+            
+            console.log('  🔍 Test instantanés state.json et klines REST...');
+            const ticks = [0, 1, 2, 3, 4, 5].map(i => ({ timestamp: start + 30000 + i * 60000, close: 100 + i, volume: 1 }));
+            fs.writeFileSync(path.join(dir, 'state.json'), JSON.stringify({ isRunning: false, tradingData: { SOLUSDT: ticks } }));
+            const snapshot = loadCandles(path.join(dir, 'state.json'), { timeframe: '5m' });
+            this.assert(snapshot.series.SOLUSDT.length === 2 && snapshot.series.SOLUSDT[0].timestamp === start, 'tradingData rééchantillonné');
+            this.assert(snapshot.series.SOLUSDT[0].open === 100 && snapshot.series.SOLUSDT[0].close === 104, 'Ouverture déduite du tick précédent');
+            fs.writeFileSync(path.join(dir, 'ADAUSDT.json'), JSON.stringify([[start, '0.5', '0.6', '0.4', '0.55', '100', start + 59999]]));
+            const rest = loadCandleFile(path.join(dir, 'ADAUSDT.json'));
+            this.assert(rest.ADAUSDT[0].close === 0.55 && rest.ADAUSDT[0].timestamp === start, 'Klines REST Binance (tableaux)');
+            
+            console.log('  🔍 Test backtest sur fichiers historiques...');
+            const engine = new BacktestingEngine({
+                startDate: '2024-01-01T00:00:00Z',
+                endDate: '2024-01-01T03:00:00Z',
+                symbols: ['BTCUSDT'],
+                dataSource: { path: dir, timeframe: '5m' },
+                quiet: true
+            });
+            const candles = await engine.loadHistoricalData('BTCUSDT', engine.config.startDate, engine.config.endDate);
+            this.assert(candles.length === 36 && candles[0].open === 42000, 'Backtest alimenté par les archives (pas de simulation)');
+            await engine.runBacktest();
+            this.assert(Number.isFinite(engine.results.finalCapital), 'Backtest exécuté sur données réelles');
+            const missing = new BacktestingEngine({ symbols: ['XRPUSDT'], dataSource: { path: dir }, quiet: true });
+            await this.assertRejects(() => missing.runBacktest(), /Aucune donnée pour XRPUSDT/, 'Symbole absent des fichiers signalé');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    }
+
+    // Backtest de portefeuille: capital commun, limites de positions et de corrélation
+    async runPortfolioTests() {
+        // Entre en position longue sur chaque symbole après 5 chandeliers d'historique
+        class PortfolioTestStrategy extends Strategy {
+            onCandle(candle, context) {
+                const state = this.symbolState(candle.symbol);
+                state.count = (state.count || 0) + 1;
+                return state.count > 5 && !context.position ? this.enter(candle, 'LONG', 0.5, 'TEST', null) : null;
+            }
+        }
+        registerStrategy('test-portfolio', PortfolioTestStrategy);
+        
+        const closes = Array.from({ length: 20 }, (_, i) => 100 + (i % 2 === 0 ? 0 : 1) + i * 0.1);
+        const run = async (candles, config = {}) => {
+            const engine = new BacktestingEngine({
+                startDate: '2023-11-14T00:00:00Z',
+                endDate: '2023-11-16T00:00:00Z',
+                symbols: Object.keys(candles),
+                candles,
+                strategy: 'test-portfolio',
+                stopLossPercent: 0.5,
+                dailyTargetMax: 0.5,
+                quiet: true,
+                ...config
+            });
+            await engine.runBacktest();
+            return engine.results;
+        };
+        const mirrored = closes.map(close => 200 - close); // anticorrélée
+        const series = (closesBySymbol) => Object.keys(closesBySymbol).reduce((candles, symbol) => {
+            candles[symbol] = this.buildCandles(closesBySymbol[symbol]);
+            return candles;
+        }, {});
+        const basket = { BTCUSDT: closes, ETHUSDT: mirrored, SOLUSDT: closes };
+        
+        console.log('  🔍 Test capital commun...');
+        let results = await run(series(basket), { maxPositionPercent: 0.5 });
+        const maxExposure = Math.max(...results.equity.map(point => point.exposure));
+        this.assert(results.portfolio.maxOpenPositions === 3, 'Trois positions simultanées sur un seul portefeuille');
+        this.assert(maxExposure <= 10000 && results.equity.every(point => point.cash >= 0), 'Exposition bornée par le capital commun');
+        this.assert(results.trades.some(trade => trade.symbol === 'SOLUSDT' && trade.positionSize < 500), 'Dernière entrée réduite aux liquidités restantes');
+        this.assert(results.trades.every(trade => trade.exitReason === 'END_OF_DATA'), 'Positions clôturées en fin de données');
+        const pnl = results.trades.reduce((sum, trade) => sum + trade.pnl, 0);
+        this.assert(Math.abs(results.finalCapital - 10000 - pnl) < 1e-6, 'Capital final = capital initial + PnL de tous les symboles');
+        
+        console.log('  🔍 Test limites de positions...');
+        results = await run(series(basket), { maxConcurrentPositions: 1 });
+        this.assert(results.portfolio.maxOpenPositions === 1 && results.portfolio.rejected.MAX_POSITIONS > 0, 'Positions simultanées limitées');
+        results = await run(series(basket), { subPortfolios: 2 });
+        this.assert(results.portfolio.maxOpenPositions === 2 && results.portfolio.rejected.NO_PORTFOLIO > 0, 'Une position par sous-portefeuille');
+        this.assert(Object.values(results.portfolio.subPortfolios).every(portfolio => portfolio.initialBalance === 5000), 'Capital réparti entre sous-portefeuilles');
+        
+        console.log('  🔍 Test exposition corrélée...');
+        results = await run(series({ BTCUSDT: closes, ETHUSDT: closes }), { maxCorrelatedExposure: 0.08 });
+        this.assert(results.portfolio.maxOpenPositions === 1 && results.portfolio.rejected.CORRELATION > 0, 'Symbole corrélé refusé au-delà de l\'exposition max');
+        results = await run(series({ BTCUSDT: closes, ETHUSDT: mirrored }), { maxCorrelatedExposure: 0.08 });
+        this.assert(results.portfolio.maxOpenPositions === 2, 'Symboles décorrélés acceptés');
+        
+        console.log('  🔍 Test drawdown sur l\'equity du portefeuille...');
+        const dip = [100, 100, 100, 100, 100, 100, 95, 90, 95, 100, 100];
+        results = await run(series({ BTCUSDT: dip }), { maxPositionPercent: 0.5 });
+        this.assert(results.trades.length === 1 && Math.abs(results.trades[0].exitPrice - 100) < 1e-9, 'Trade clôturé au prix d\'entrée');
+        this.assert(results.metrics.maxDrawdown.percent > 4, 'Drawdown latent pris en compte');
+        this.assert(results.equity.length === dip.length && results.equity[results.equity.length - 1].equity === results.finalCapital,
+            'Courbe d\'equity par horodatage');
+        
+        console.log('  🔍 Test limites de trading du bot...');
+        const falling = Array.from({ length: 60 }, (_, i) => 100 * Math.pow(0.98, i));
+        const losing = { endDate: '2023-11-18T00:00:00Z', stopLossPercent: 0.01 };
+        const unlimited = (await run(series({ BTCUSDT: falling }), losing)).trades.length;
+        results = await run(series({ BTCUSDT: falling }), { ...losing, maxConsecutiveLosses: 2 });
+        this.assert(unlimited > 10 && results.trades.length === 2 && results.trades.every(trade => trade.pnl < 0),
+            'Série de pertes conservée au changement de jour, comme dans le bot');
+        
+        console.log('  🔍 Test configuration du rapport...');
+        const candles = series(basket);
+        const engine = new BacktestingEngine({ candles, intrabarCandles: {}, quiet: true });
+        this.assert(engine.candles === candles && !('candles' in engine.config) && !('intrabarCandles' in engine.config),
+            'Chandeliers fournis gardés hors de la configuration copiée dans le rapport');
+        this.assert(new BacktestingEngine({ quiet: true, initialCapital: undefined }).config.initialCapital === 10000,
+            'Options undefined remplacées par les valeurs par défaut');
+    }
+
+    // Stop-loss / take-profit évalués dans le chandelier (plus haut/plus bas, gaps, unité inférieure)
+    async runIntrabarTests() {
+        const hour = 3600000;
+        const start = 1700000000000;
+        const position = { direction: 'BUY', entryTime: start, entryPrice: 100, stopLoss: 98, takeProfit: 103 };
+        const candle = (open, high, low, close, offset = hour) => ({ timestamp: start + offset, open, high, low, close, volume: 100 });
+        const exitOf = (engine, c, intrabar) => {
+            const exit = engine.getExitSignal(position, c, intrabar);
+            return exit ? `${exit.reason}@${exit.price}` : 'NONE';
+        };
+        
+        console.log('  🔍 Test niveaux touchés par le plus haut/plus bas...');
+        const engine = new BacktestingEngine({ quiet: true });
+        this.assert(exitOf(engine, candle(100, 101, 97.5, 100.5)) === 'STOP_LOSS@98', 'Stop touché par la mèche basse, exécuté au stop');
+        this.assert(exitOf(engine, candle(100, 103.5, 99, 101)) === 'TAKE_PROFIT@103', 'Objectif touché par la mèche haute');
+        this.assert(exitOf(engine, candle(100, 102, 99, 101)) === 'NONE', 'Aucun niveau touché');
+        this.assert(exitOf(engine, candle(100, 102, 99, 101, 25 * hour)) === 'TIME_EXIT@101', 'Sortie temporelle à la clôture');
+        
+        console.log('  🔍 Test gaps à l\'ouverture...');
+        this.assert(exitOf(engine, candle(96, 97, 95, 96.5)) === 'STOP_LOSS@96', 'Gap sous le stop exécuté à l\'ouverture');
+        this.assert(exitOf(engine, candle(105, 106, 104, 105)) === 'TAKE_PROFIT@105', 'Gap au-dessus de l\'objectif exécuté à l\'ouverture');
+        this.assert(engine.intrabarStats.gapFills === 2, 'Gaps comptés');
+        const short = { ...position, direction: 'SELL', stopLoss: 102, takeProfit: 97 };
+        this.assert(engine.getExitSignal(short, candle(100, 102.5, 99, 100)).reason === 'STOP_LOSS', 'Stop d\'une position courte sur le plus haut');
+        
+        console.log('  🔍 Test stop et objectif dans le même chandelier...');
+        const both = candle(100, 104, 97, 102); // haussier
+        this.assert(exitOf(engine, both) === 'STOP_LOSS@98', 'Mode pessimiste: stop');
+        this.assert(engine.intrabarStats.ambiguous === 1, 'Chandelier ambigu compté');
+        this.assert(exitOf(new BacktestingEngine({ quiet: true, intrabarMode: 'optimistic' }), both) === 'TAKE_PROFIT@103', 'Mode optimiste: objectif');
+        const ohlc = new BacktestingEngine({ quiet: true, intrabarMode: 'ohlc' });
+        this.assert(exitOf(ohlc, both) === 'STOP_LOSS@98', 'Parcours O-B-H-C (haussier): stop d\'abord');
+        this.assert(exitOf(ohlc, candle(100, 104, 97, 99)) === 'TAKE_PROFIT@103', 'Parcours O-H-B-C (baissier): objectif d\'abord');
+        this.assertThrows(() => new BacktestingEngine({ quiet: true, intrabarMode: 'close' }), 'Mode intrabar inconnu rejeté');
+        
+        console.log('  🔍 Test résolution en unité inférieure...');
+        const minute = 60000;
+        const subCandles = [
+            candle(100, 101, 99.5, 100.5, hour),
+            candle(100.5, 103.2, 100.4, 103, hour + 15 * minute), // objectif d'abord
+            candle(103, 103, 97, 97.5, hour + 30 * minute),
+            candle(97.5, 102, 97.5, 102, 2 * hour) // chandelier suivant: hors fenêtre
+        ];
+        const intrabar = { candles: subCandles, timeframe: hour };
+        this.assert(exitOf(engine, both, intrabar) === 'TAKE_PROFIT@103', 'Objectif atteint avant le stop dans les chandeliers fins');
+        this.assert(engine.intrabarStats.drillDown === 1, 'Résolution en unité inférieure comptée');
+        this.assert(exitOf(engine, both, { candles: subCandles.slice(3), timeframe: hour }) === 'STOP_LOSS@98', 'Sans chandelier fin couvrant: mode par défaut');
+        this.assert(engine.sliceIntrabar(subCandles, start + hour, start + 2 * hour).length === 3, 'Fenêtre [début, fin) du chandelier');
+    }
+
+    // Positions courtes, levier, intérêts d'emprunt et liquidation dans le backtester
+    async runMarginTests() {
+        const hour = 3600000;
+        
+        // Entre sur chaque symbole après 5 chandeliers, dans le sens du paramètre `short`
+        class MarginTestStrategy extends Strategy {
+            onCandle(candle, context) {
+                const state = this.symbolState(candle.symbol);
+                state.count = (state.count || 0) + 1;
+                if (state.count <= 5 || context.position) return null;
+                return this.enter(candle, this.params.short ? 'SHORT' : 'LONG', 0.5, 'TEST', null);
+            }
+        }
+        MarginTestStrategy.schema = { short: { type: 'boolean', default: false } };
+        registerStrategy('test-margin', MarginTestStrategy);
+        
+        const run = async (candles, config = {}) => {
+            const engine = new BacktestingEngine({
+                startDate: '2023-11-14T00:00:00Z',
+                endDate: '2023-11-16T00:00:00Z',
+                symbols: Object.keys(candles),
+                candles,
+                strategy: 'test-margin',
+                stopLossPercent: 0.5,
+                dailyTargetMax: 0.5,
+                quiet: true,
+                ...config
+            });
+            await engine.runBacktest();
+            return engine.results;
+        };
+        const falling = Array.from({ length: 11 }, (_, i) => 100 - Math.max(0, i - 5) * 2); // 100 → 90
+        
+        console.log('  🔍 Test entrée courte...');
+        let results = await run({ BTCUSDT: this.buildCandles(falling) }, { strategyParams: { short: true } });
+        let trade = results.trades[0];
+        this.assert(results.trades.length === 1 && trade.direction === 'SHORT', 'Position courte ouverte');
+        this.assert(trade.pnl > 0 && results.portfolio.byDirection.SHORT.pnl === trade.pnl, 'Short gagnant sur marché baissier');
+        this.assert(Math.abs(trade.borrowFee - trade.positionSize * 0.0003 * 5 / 24) < 1e-9, 'Intérêts d\'emprunt par heure entamée');
+        results = await run({ BTCUSDT: this.buildCandles(falling) }, { strategyParams: { short: true }, allowShort: false });
+        this.assert(results.trades.length === 0, 'Vente à découvert désactivable');
+        const shortStop = await run({ BTCUSDT: this.buildCandles(falling.map(close => 200 - close)) },
+            { strategyParams: { short: true }, stopLossPercent: 0.05 });
+        trade = shortStop.trades[0];
+        this.assert(trade.exitReason === 'STOP_LOSS' && Math.abs(trade.exitPrice - 105) < 1e-9, 'Stop d\'un short au-dessus de l\'entrée');
+        
+        console.log('  🔍 Test levier et marge...');
+        results = await run({ BTCUSDT: this.buildCandles(falling.map(close => 200 - close)) }, { leverage: 2 });
+        trade = results.trades[0];
+        this.assert(Math.abs(trade.positionSize - 1000) < 1e-9 && Math.abs(trade.margin - 500) < 1e-9, 'Notionnel = marge × levier');
+        this.assert(Math.abs(results.equity[5].cash - 9500) < 1e-9 && Math.abs(results.equity[5].exposure - 1000) < 1e-9, 'Seule la marge est bloquée');
+        this.assert(Math.abs(trade.borrowFee - 500 * 0.0003 * 5 / 24) < 1e-9, 'Intérêts sur les liquidités empruntées d\'un long');
+        this.assertThrows(() => new BacktestingEngine({ quiet: true, leverage: 5 }), 'Levier au-delà de maxLeverage rejeté');
+        const defaults = new BacktestingEngine({ quiet: true, leverage: undefined, intrabarMode: undefined }).config;
+        this.assert(defaults.leverage === 1 && defaults.intrabarMode === 'pessimistic', 'Options undefined remplacées par les valeurs par défaut');
+        
+        console.log('  🔍 Test liquidation...');
+        const crash = [100, 100, 100, 100, 100, 100, 90, 80, 70, 65, 60];
+        results = await run({ BTCUSDT: this.buildCandles(crash) }, { leverage: 3, maxPositionPercent: 0.5 });
+        trade = results.trades[0];
+        const liquidationPrice = 100 * (1 - (1 / 3 - 0.05));
+        this.assert(trade.exitReason === 'LIQUIDATION' && Math.abs(trade.exitPrice - liquidationPrice) < 1e-9, 'Liquidation avant le stop-loss');
+        this.assert(trade.pnl >= -trade.margin && results.portfolio.liquidations === 1, 'Perte limitée à la marge');
+        
+        console.log('  🔍 Test levier du portefeuille...');
+        const late = this.buildCandles(Array(8).fill(100)).map(candle => ({ ...candle, timestamp: candle.timestamp + 3 * hour }));
+        results = await run({ BTCUSDT: this.buildCandles(crash.slice(0, 8)), ETHUSDT: late }, { leverage: 3, maxPositionPercent: 0.6 });
+        this.assert(results.portfolio.rejected.LEVERAGE > 0 && !results.trades.some(t => t.symbol === 'ETHUSDT'),
+            'Entrée refusée quand le notionnel dépasse maxLeverage × equity');
+    }
+
+    // Distributions Monte Carlo des trades et décision go/no-go
+    async runMonteCarloTests() {
+        const tradesFrom = pnls => pnls.map((pnl, i) => ({ pnl, exitTime: 1700000000000 + i * 3600000 }));
+        const options = { simulations: 300, seed: 7 };
+        
+        console.log('  🔍 Test statistiques...');
+        const stats = describeDistribution([5, 1, 4, 2, 3], { confidence: 0.5, histogramBins: 4 });
+        this.assert(stats.mean === 3 && stats.percentiles.p50 === 3 && stats.min === 1 && stats.max === 5, 'Moyenne, médiane, bornes');
+        this.assert(stats.confidenceInterval[0] === 2 && stats.confidenceInterval[1] === 4, 'Intervalle de confiance par percentiles');
+        this.assert(stats.histogram.reduce((sum, bin) => sum + bin.count, 0) === 5, 'Histogramme complet');
+        const returns = tradeReturns(tradesFrom([100, -110]), 1000);
+        this.assert(returns[0] === 0.1 && returns[1] === -0.1, 'Rendements rapportés au capital avant chaque trade');
+        
+        console.log('  🔍 Test méthodes de rééchantillonnage...');
+        const pnls = [120, -80, 150, -60, 90, -100, 130, -40, 70, 110, -90, 60];
+        const analysis = runMonteCarlo(tradesFrom(pnls), options);
+        const shuffle = analysis.methods.shuffle;
+        this.assert(Object.keys(analysis.methods).join(',') === 'bootstrap,block,shuffle,skip', 'Quatre méthodes par défaut');
+        this.assert(shuffle.finalEquity.stdDev < 1e-6 && Math.abs(shuffle.finalEquity.mean - analysis.original.finalEquity) < 1e-6,
+            'Permutation: equity finale inchangée');
+        this.assert(shuffle.maxDrawdown.max > shuffle.maxDrawdown.min, 'Permutation: drawdown variable');
+        this.assert(analysis.methods.bootstrap.finalEquity.stdDev > 0, 'Bootstrap: equity finale variable');
+        this.assert(analysis.methods.skip.finalEquity.percentiles.p5 < analysis.original.finalEquity, 'Trades retirés: equity réduite');
+        this.assert(JSON.stringify(runMonteCarlo(tradesFrom(pnls), options)) === JSON.stringify(analysis), 'Résultats reproductibles avec une graine');
+        this.assertThrows(() => runMonteCarlo(tradesFrom(pnls), { ...options, methods: ['jackknife'] }), 'Méthode inconnue rejetée');
+        this.assertThrows(() => runMonteCarlo(tradesFrom([10])), 'Au moins deux trades');
+        
+        console.log('  🔍 Test risque de ruine et go/no-go...');
+        const winners = runMonteCarlo(tradesFrom([50, 80, 20, 60]), options);
+        this.assert(winners.methods.bootstrap.riskOfRuin === 0 && winners.methods.bootstrap.probabilityOfLoss === 0, 'Aucune ruine sans perte');
+        this.assert(assessRobustness(winners).robust, 'Stratégie robuste validée');
+        const risky = runMonteCarlo(tradesFrom([3000, -2500, 2800, -2600, 3100, -2400]), options);
+        this.assert(risky.methods.bootstrap.riskOfRuin > 0, 'Risque de ruine mesuré');
+        const assessment = assessRobustness(risky, { maxDrawdown: 30 });
+        this.assert(!assessment.robust && assessment.reasons.length >= 2, 'Go/no-go refusé sur les bornes du pire cas');
+        
+        console.log('  🔍 Test intégration backtester...');
+        const engine = new BacktestingEngine({
+            startDate: '2024-01-01',
+            endDate: '2024-01-20',
+            symbols: ['BTCUSDT'],
+            seed: 5,
+            monteCarlo: { simulations: 100 },
+            quiet: true
+        });
+        const results = await engine.runBacktest();
+        this.assert(results.monteCarlo && results.monteCarlo.trades === results.trades.length, 'Monte Carlo sur les trades du backtest');
+        this.assert(results.summary.robustness === results.monteCarlo.assessment &&
+            (results.monteCarlo.assessment.robust || !results.summary.readyForLive), 'Go/no-go conditionné à la robustesse');
+    }
+
+    // Comparaison du bot à une série de référence dans PerformanceAnalyzer
+    async runBenchmarkTests() {
+        const day = 24 * 60 * 60 * 1000;
+        const start = Date.UTC(2024, 0, 1);
+        const changes = [0.02, -0.01, 0.03, -0.02, 0.01, -0.015, 0.025, 0.005, -0.01, 0.02];
+        const benchmark = changes.reduce((points, change) => {
+            points.push({ timestamp: start + points.length * day, equity: points[points.length - 1].equity * (1 + change) });
+            return points;
+        }, [{ timestamp: start, equity: 1000 }]);
+        
+        // Bot exposé à `exposure` fois le benchmark: un trade par jour de pnl = capital × exposition × rendement
+        const analyze = (exposure, config = {}) => {
+            const analyzer = new PerformanceAnalyzer({ benchmark: { equity: benchmark }, ...config });
+            let capital = 10000;
+            analyzer.data.trades = changes.map((change, i) => {
+                const pnl = capital * exposure * change;
+                capital += pnl;
+                return { symbol: 'BTCUSDT', pnl, exitTime: start + (i + 1) * day + day / 2 };
+            });
+            analyzer.calculateDailyReturns();
+            analyzer.loadBenchmark();
+            analyzer.analyzeBenchmark();
+            return analyzer.analysis.benchmark;
+        };
+        const near = (a, b) => Math.abs(a - b) < 1e-6;
+        
+        console.log('  🔍 Test bot identique au benchmark...');
+        let result = analyze(1);
+        this.assert(result.days === changes.length && near(result.beta, 1) && near(result.alpha, 0), 'Beta 1, alpha nul');
+        this.assert(near(result.trackingError, 0) && near(result.upCapture, 100) && near(result.downCapture, 100), 'Tracking error nulle, captures 100%');
+        this.assert(near(result.portfolioReturn, result.benchmarkReturn), 'Même rendement que le benchmark');
+        
+        console.log('  🔍 Test bot à demi-exposition...');
+        result = analyze(0.5);
+        this.assert(near(result.beta, 0.5) && near(result.correlation, 1), 'Beta 0.5, corrélation 1');
+        this.assert(near(result.alpha, -0.5 * 0.02 * 100), 'Alpha de Jensen (taux sans risque non couvert)');
+        this.assert(near(result.upCapture, 50) && near(result.downCapture, 50), 'Captures haussière et baissière à 50%');
+        this.assert(result.trackingError > 0 && result.informationRatio < 0 && !result.outperformed, 'Sous-performance mesurée');
+        
+        console.log('  🔍 Test sources du benchmark...');
+        const csvFile = path.join(os.tmpdir(), `benchmark_equity_${process.pid}.csv`);
+        try {
+            fs.writeFileSync(csvFile, 'date,equity\n' + benchmark.map(p => `${new Date(p.timestamp).toISOString()},${p.equity}`).join('\n'));
+            const fromCsv = new PerformanceAnalyzer({ benchmark: { equity: csvFile } });
+            fromCsv.loadBenchmark();
+            this.assert(fromCsv.data.benchmark.daily.length === benchmark.length &&
+                near(fromCsv.data.benchmark.daily[3].value, benchmark[3].equity), 'Courbe d\'equity CSV');
+        } finally {
+            fs.rmSync(csvFile, { force: true });
+        }
+        
+        const candles = {
+            BTCUSDT: this.buildCandles([100, 110, 120]).map((c, i) => ({ ...c, timestamp: start + i * day })),
+            ETHUSDT: this.buildCandles([50, 50]).map((c, i) => ({ ...c, timestamp: start + (i + 1) * day }))
+        };
+        const holding = new PerformanceAnalyzer({ benchmark: { candles } });
+        holding.data.trades = [{ symbol: 'BTCUSDT' }, { symbol: 'ETHUSDT' }];
+        holding.loadBenchmark();
+        const daily = holding.data.benchmark.daily;
+        this.assert(daily.length === 2 && daily[0].date === '2024-01-02', 'Buy & hold à partir de la première cotation commune');
+        this.assert(near(daily[1].value, (120 / 110 + 1) / 2), 'Buy & hold équipondéré des symboles tradés');
+        const missing = new PerformanceAnalyzer({ benchmark: { candles, symbols: ['XRPUSDT'] } });
+        missing.loadBenchmark();
+        missing.analyzeBenchmark();
+        this.assert(missing.analysis.benchmark.unavailable === true, 'Benchmark sans données ignoré');
+    }
+
+    // Ventilation du PnL par symbole, session, jour, sortie, confiance et signal
+    async runAttributionTests() {
+        const at = iso => new Date(iso).getTime();
+        const trade = (fields) => ({ status: 'CLOSED', exitTime: fields.entryTime + 3600000, ...fields });
+        const trades = [
+            // 2024-01-01: lundi
+            trade({ symbol: 'BTCUSDT', entryTime: at('2024-01-01T03:00:00Z'), pnl: 10, exitReason: 'TAKE_PROFIT',
+                confidence: 72, strategy: 'rsi', entryReason: 'RSI_OVERSOLD' }),
+            trade({ symbol: 'BTCUSDT', entryTime: at('2024-01-01T07:00:00Z'), pnl: -4, exitReason: 'STOP_LOSS',
+                confidence: 0.55, strategy: 'rsi', entryReason: 'RSI_OVERSOLD' }),
+            trade({ symbol: 'ETHUSDT', entryTime: at('2024-01-07T20:00:00Z'), pnl: 6, exitReason: 'TAKE_PROFIT',
+                confidence: 100, session: '06h-12h', signals: ['RSI', 'VOLUME'] }),
+            { symbol: 'ETHUSDT', entryTime: at('2024-01-08T01:00:00Z'), status: 'OPEN', pnl: null }
+        ];
+        const rows = (report, dimension) => report.dimensions[dimension];
+        const byKey = (report, dimension, key) => rows(report, dimension).find(row => row.key === key);
+        
+        console.log('  🔍 Test indicateurs par groupe...');
+        const report = buildAttribution(trades);
+        this.assert(report.total.trades === 3 && report.total.pnl === 12, 'Seuls les trades clôturés sont attribués');
+        this.assert(report.total.expectancy === 4 && Math.abs(report.total.winRate - 200 / 3) < 1e-9, 'Espérance et taux de réussite');
+        this.assert(byKey(report, 'symbol', 'BTCUSDT').profitFactor === 2.5 && byKey(report, 'symbol', 'ETHUSDT').profitFactor === null,
+            'Profit factor (null sans perte)');
+        this.assert(rows(report, 'exitReason').map(row => row.key).join(',') === 'TAKE_PROFIT,STOP_LOSS', 'Groupes triés par PnL');
+        this.assert(byKey(report, 'exitReason', 'STOP_LOSS').avgLoss === 4 && byKey(report, 'exitReason', 'TAKE_PROFIT').wins === 2,
+            'Groupes par motif de sortie');
+        const empty = summarizeTrades([]);
+        this.assert(empty.trades === 0 && empty.expectancy === 0 && empty.profitFactor === 0, 'Groupe vide');
+        
+        console.log('  🔍 Test sessions, jours, confiance et signaux...');
+        this.assert(rows(report, 'session').map(row => row.key).join(',') === '00h-06h,06h-12h', 'Sessions dans l\'ordre de la journée');
+        this.assert(byKey(report, 'session', '06h-12h').trades === 2, 'Session enregistrée prioritaire sur l\'heure d\'entrée');
+        this.assert(rows(report, 'weekday').map(row => `${row.key}:${row.trades}`).join(',') === 'Lundi:2,Dimanche:1', 'Jours de la semaine');
+        this.assert(rows(report, 'confidence').map(row => row.key).join(',') === '50-60,70-80,90-100', 'Tranches de confiance (0-1 converti)');
+        this.assert(byKey(report, 'signal', 'rsi:RSI_OVERSOLD').trades === 2, 'Signaux d\'entrée');
+        this.assert(byKey(report, 'signal', 'RSI').trades === 1 && byKey(report, 'signal', 'VOLUME').pnl === 6 && !byKey(report, 'signal', 'RSI+VOLUME'),
+            'Trade à plusieurs signaux compté dans la ligne de chacun');
+        this.assert(buildAttribution(trades, { now: at('2024-02-01T00:00:00Z') }).generatedAt === '2024-02-01T00:00:00.000Z',
+            'Date du rapport fournie par l\'horloge de l\'appelant');
+        
+        const late = [trade({ symbol: 'BTCUSDT', entryTime: at('2024-01-07T23:30:00Z'), pnl: 1 })];
+        const paris = buildAttribution(late, { timezone: 'Europe/Paris', dimensions: ['session', 'weekday'] });
+        this.assert(rows(paris, 'session')[0].key === '00h-06h' && rows(paris, 'weekday')[0].key === 'Lundi', 'Session et jour dans le fuseau demandé');
+        this.assert(Object.keys(paris.dimensions).join(',') === 'session,weekday', 'Dimensions choisies');
+        this.assertThrows(() => buildAttribution(trades, { dimensions: ['hour'] }), 'Dimension inconnue rejetée');
+        
+        console.log('  🔍 Test intégration backtester...');
+        const engine = new BacktestingEngine({
+            startDate: '2024-01-01',
+            endDate: '2024-01-10',
+            symbols: ['BTCUSDT'],
+            seed: 5,
+            quiet: true
+        });
+        const results = await engine.runBacktest();
+        const backtest = buildAttribution(results.trades);
+        this.assert(results.trades.every(t => t.strategy === engine.config.strategy && t.entryReason), 'Signal d\'entrée enregistré sur les trades');
+        this.assert(backtest.total.trades === results.trades.length &&
+            rows(backtest, 'signal').reduce((sum, row) => sum + row.trades, 0) === results.trades.length, 'Tous les trades du backtest attribués');
+    }
+
+    // Archive zip minimale (une entrée deflate, CRC non vérifié par le chargeur)
+    writeZip(file, name, content) {
+        const data = zlib.deflateRawSync(Buffer.from(content));
+        const size = Buffer.byteLength(content);
+        const fileName = Buffer.from(name);
+        
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(8, 8);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(size, 22);
+        local.writeUInt16LE(fileName.length, 26);
+        
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(size, 24);
+        central.writeUInt16LE(fileName.length, 28);
+        
+        const centralOffset = local.length + fileName.length + data.length;
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(1, 8);
+        end.writeUInt16LE(1, 10);
+        end.writeUInt32LE(central.length + fileName.length, 12);
+        end.writeUInt32LE(centralOffset, 16);
+        
+        fs.writeFileSync(file, Buffer.concat([local, fileName, data, central, fileName, end]));
+    }
+
+    // Tests de l'optimiseur branché sur BacktestingEngine
+    async runOptimizerTests() {
+        const config = {
+            seed: 11,
+            backtestPeriod: 20,
+            validationPeriod: 10,
+            symbols: ['BTCUSDT'],
+            maxWorkers: 1,
+            checkpointFile: path.join(__dirname, 'test_reports', 'checkpoint_optimizer.json'),
+            // Seuils à l'échelle de 20 jours d'entraînement (minTrades: 50 par défaut), pour que des individus soient valides
+            constraints: { maxDrawdown: 0.5, minSharpe: -10, minWinRate: 0, minTrades: 1 }
+        };
+        
+        console.log('  🔍 Test évaluation par le backtester...');
+        const optimizer = new ParameterOptimizer(config);
+        const parameters = optimizer.getBaseParameters();
+        const results = await optimizer.runBacktest(parameters);
+        
+        const { riskParams, strategyParams } = optimizer.splitParameters(parameters);
+        const training = optimizer.datasets.training;
+        const engine = new BacktestingEngine({
+            ...riskParams,
+            startDate: training.startDate,
+            endDate: training.endDate,
+            symbols: config.symbols,
+            strategyParams,
+            candles: training.candles,
+            quiet: true
+        });
+        const backtest = await engine.runBacktest();
+        this.assert(results.totalTrades === backtest.trades.length, 'Nombre de trades issu du backtest réel');
+        this.assert(Math.abs(results.totalReturn * 100 - (backtest.metrics.totalReturnPercent || 0)) < 1e-9, 'Rendement issu du backtest réel');
+        this.assert(training.candles.BTCUSDT.length === 20 * 24, 'Fenêtre d\'entraînement de 20 jours');
+        this.assert(optimizer.datasets.validation.candles.BTCUSDT[0].timestamp >= training.candles.BTCUSDT[479].timestamp,
+            'Validation après l\'entraînement');
+
+        console.log('  🔍 Test options à undefined...');
+        const defaults = new ParameterOptimizer({ ...config, maxWorkers: undefined, checkpointFile: undefined, resume: undefined });
+        this.assert(defaults.config.maxWorkers === Math.min(4, os.cpus().length), 'maxWorkers undefined: valeur par défaut conservée');
+        this.assert(defaults.config.checkpointFile === path.join(__dirname, 'optimization_results', 'checkpoint.json'),
+            'checkpointFile undefined: chemin par défaut conservé');
+        this.assert(defaults.config.resume === true, 'resume undefined: reprise activée par défaut');
+
+        console.log('  🔍 Test cache par hash de paramètres...');
+        const reordered = {};
+        Object.keys(parameters).reverse().forEach(key => { reordered[key] = parameters[key]; });
+        const cached = await optimizer.runBacktest(reordered);
+        this.assert(cached === results && optimizer.cacheStats.hits === 1, 'Résultat servi par le cache (ordre des clés indifférent)');
+        await optimizer.runBacktest(parameters, 'validation');
+        this.assert(optimizer.cacheStats.misses === 2, 'Cache distinct par jeu de données');
+        const changed = await optimizer.runBacktest({ ...parameters, stopLossPercent: parameters.stopLossPercent + 0.005 });
+        this.assert(optimizer.cacheStats.misses === 3 && changed !== results, 'Nouveau backtest pour d\'autres paramètres');
+        
+        console.log('  🔍 Test reproductibilité...');
+        const other = new ParameterOptimizer(config);
+        const replay = await other.runBacktest(parameters);
+        this.assert(JSON.stringify(replay) === JSON.stringify(results), 'Même graine, mêmes résultats');
+        this.assert(JSON.stringify(other.generateRandomIndividual()) === JSON.stringify(new ParameterOptimizer(config).generateRandomIndividual()),
+            'Même graine, mêmes tirages de la recherche');
+        
+        console.log('  🔍 Test plis walk-forward...');
+        const dayMs = 24 * 3600000;
+        const rolling = new ParameterOptimizer({ ...config, walkForward: { inSampleDays: 10, outOfSampleDays: 5 } });
+        await rolling.loadDatasets();
+        const rollingFolds = rolling.buildWalkForwardFolds();
+        this.assert(rollingFolds.length === 4, 'Plis glissants sur 30 jours (10j IS / 5j OOS)');
+        this.assert(rollingFolds.every(fold => fold.inSample.days === 10 && fold.outOfSample.days === 5), 'Fenêtre IS de taille fixe en mode rolling');
+        this.assert(rollingFolds.every(fold => fold.inSample.endDate === fold.outOfSample.startDate), 'OOS juste après IS');
+        this.assert(new Date(rollingFolds[1].outOfSample.startDate) - new Date(rollingFolds[0].outOfSample.startDate) === 5 * dayMs,
+            'Pas d\'un OOS entre deux plis');
+        const anchored = new ParameterOptimizer({ ...config, walkForward: { mode: 'anchored', inSampleDays: 10, outOfSampleDays: 5 } });
+        await anchored.loadDatasets();
+        const anchoredFolds = anchored.buildWalkForwardFolds();
+        this.assert(anchoredFolds.every(fold => fold.inSample.startDate === anchoredFolds[0].inSample.startDate), 'Début IS fixe en mode anchored');
+        this.assert(anchoredFolds[3].inSample.days === 25, 'IS croissant en mode anchored');
+        const tooLong = new ParameterOptimizer({ ...config, walkForward: { inSampleDays: 40 } });
+        await tooLong.loadDatasets();
+        await this.assertRejects(async () => tooLong.buildWalkForwardFolds(), /trop courte/, 'Période trop courte rejetée');
+        
+        console.log('  🔍 Test analyse walk-forward...');
+        rolling.config.algorithm = 'random';
+        rolling.config.populationSize = 3;
+        rolling.config.generations = 1;
+        const walkForward = await rolling.runWalkForward();
+        this.assert(walkForward.folds.length === 4 && walkForward.folds.every(fold => fold.outOfSample.fitness !== undefined), 'Métriques par pli');
+        this.assert(Number.isFinite(walkForward.efficiency), 'WFE calculée');
+        const stability = walkForward.parameterStability;
+        this.assert(stability.overall >= 0 && stability.overall <= 1, 'Stabilité des paramètres entre 0 et 1');
+        this.assert(rolling.activeDataset === 'training', 'Jeu de données actif restauré');
+        const constant = rolling.analyzeParameterStability([parameters, parameters, parameters]);
+        this.assert(constant.overall === 1, 'Paramètres identiques: stabilité maximale');
+        this.assert(rolling.calculateWalkForwardEfficiency([{ annualizedReturn: 0.2 }], [{ annualizedReturn: 0.1 }]) === 0.5, 'WFE = OOS / IS');
+        
+        console.log('  🔍 Test workers d\'évaluation...');
+        const individuals = [parameters];
+        for (let i = 0; i < 3; i++) {
+            individuals.push(optimizer.generateRandomIndividual());
+        }
+        const parallel = new ParameterOptimizer({ ...config, maxWorkers: 2 });
+        const progress = [];
+        parallel.on('progress', event => progress.push(event.completed));
+        try {
+            await parallel.loadDatasets();
+            const inWorkers = await parallel.evaluatePopulation(individuals, 'Test');
+            const inProcess = await optimizer.evaluatePopulation(individuals, 'Test');
+            this.assert(parallel.pool !== null, 'Évaluation répartie sur le pool');
+            this.assert(JSON.stringify(inWorkers.map(e => e.results)) === JSON.stringify(inProcess.map(e => e.results)),
+                'Workers et processus principal: mêmes résultats');
+            this.assert(progress.join(',') === '1,2,3,4', 'Progression émise pour chaque individu');
+            // Validation: fenêtre lue dans la série partagée jusqu'au dernier chandelier inclus
+            const workerValidation = await parallel.runBacktest(parameters, 'validation');
+            const processValidation = await optimizer.runBacktest(parameters, 'validation');
+            this.assert(JSON.stringify(workerValidation) === JSON.stringify(processValidation),
+                'Fenêtre de validation lue dans la série partagée: mêmes résultats');
+            
+            console.log('  🔍 Test annulation...');
+            const pending = parallel.evaluatePopulation([1, 2, 3].map(() => parallel.generateRandomIndividual()), 'Test')
+                .then(() => null, error => error);
+            await parallel.cancel();
+            const cancelled = await pending;
+            this.assert(cancelled !== null && cancelled.code === 'CANCELLED', 'Évaluations en cours rejetées (CANCELLED)');
+            this.assert(parallel.pool === null, 'Workers arrêtés');
+        } finally {
+            await parallel.close();
+        }
+        
+        console.log('  🔍 Test reprise depuis checkpoint...');
+        const checkpointFile = path.join(__dirname, 'test_reports', 'checkpoint_test.json');
+        const search = { ...config, algorithm: 'genetic', populationSize: 4, generations: 2, checkpointFile };
+        const first = new ParameterOptimizer(search);
+        first.on('progress', event => {
+            if (event.phase === 'Génération 2') first.cancel();
+        });
+        await this.assertRejects(() => first.runSearch(), /annulée/, 'Recherche interrompue');
+        const saved = JSON.parse(fs.readFileSync(checkpointFile, 'utf8'));
+        this.assert(saved.searches.training.generation === 1, 'Génération 1 sauvegardée');
+        
+        const resumed = new ParameterOptimizer(search);
+        const resumedProgress = [];
+        resumed.on('progress', event => resumedProgress.push(event.phase));
+        const best = await resumed.runSearch();
+        this.assert(!resumedProgress.includes('Évaluation initiale') && !resumedProgress.includes('Génération 1'),
+            'Générations déjà évaluées non recalculées');
+        this.assert(resumed.results.generations.length === 2 && Number.isFinite(best.fitness), 'Recherche terminée après reprise');
+        this.assert(best.valid && resumed.results.generations.every(g => g.validIndividuals > 0), 'Individus valides classés et sélectionnés');
+        
+        const uninterrupted = new ParameterOptimizer({ ...search, checkpointFile: path.join(__dirname, 'test_reports', 'checkpoint_full.json'), resume: false });
+        const straight = await uninterrupted.runSearch();
+        this.assert(JSON.stringify(straight.parameters) === JSON.stringify(best.parameters) && straight.fitness === best.fitness,
+            'Recherche graine fixe: même meilleur jeu avec ou sans reprise');
+        uninterrupted.clearCheckpoint();
+        this.assert(JSON.parse(fs.readFileSync(checkpointFile, 'utf8')).searches.training.completed, 'Recherche marquée terminée');
+        
+        const changedSearch = new ParameterOptimizer({ ...search, populationSize: 6 });
+        await changedSearch.loadDatasets();
+        this.assert(changedSearch.getCheckpointEntry() === null, 'Checkpoint d\'une autre configuration ignoré');
+        resumed.clearCheckpoint();
+        
+        console.log('  🔍 Test tri non dominé et crowding...');
+        const pareto = new ParameterOptimizer({ ...config, algorithm: 'nsga2', populationSize: 6, generations: 2 });
+        const point = (annualizedReturn, maxDrawdown, totalTrades, valid = true) =>
+            ({ results: { annualizedReturn, maxDrawdown, totalTrades }, valid });
+        const a = point(0.2, 0.05, 100);
+        const b = point(0.1, 0.05, 100);
+        const c = point(0.1, 0.02, 80);
+        const d = point(0.3, 0.01, 200, false);
+        this.assert(pareto.dominates(a, b) && !pareto.dominates(b, a), 'Meilleur rendement à risque égal: domine');
+        this.assert(!pareto.dominates(a, c) && !pareto.dominates(c, a), 'Compromis rendement/drawdown: non dominés');
+        this.assert(pareto.dominates(c, d), 'Contraintes respectées avant les objectifs');
+        const fronts = pareto.rankPopulation([a, b, c, d]);
+        this.assert(fronts.length === 3 && fronts[0].includes(a) && fronts[0].includes(c), 'Premier front: a et c');
+        this.assert(b.rank === 1 && d.rank === 2, 'Rangs des fronts suivants');
+        const middle = point(0.15, 0.03, 90);
+        pareto.assignCrowdingDistance([a, middle, c]);
+        this.assert(a.crowdingDistance === Infinity && c.crowdingDistance === Infinity && Number.isFinite(middle.crowdingDistance),
+            'Extrémités du front conservées (crowding infini)');
+        
+        console.log('  🔍 Test optimisation multi-objectif...');
+        const compromise = await pareto.runSearch();
+        const front = pareto.results.paretoFront;
+        this.assert(front.length > 0 && front.includes(compromise), 'Compromis choisi dans le front');
+        this.assert(front.every(ind => ind.valid) && pareto.results.generations.every(g => g.validIndividuals > 0), 'Front de jeux valides');
+        this.assert(front.every(x => front.every(y => !pareto.dominates(x, y))), 'Aucun jeu du front n\'en domine un autre');
+        const files = pareto.exportParetoFront(front);
+        const exported = JSON.parse(fs.readFileSync(files.json, 'utf8'));
+        this.assert(exported.front.length === front.length && exported.front.filter(m => m.compromise).length >= 1, 'Front exporté avec le compromis');
+        this.assert(exported.front[0].config.strategy === pareto.config.strategy, 'Bloc config prêt à promouvoir');
+        this.assert(fs.readFileSync(files.csv, 'utf8').trim().split('\n').length === front.length + 1, 'Export CSV: une ligne par jeu');
+        fs.unlinkSync(files.json);
+        fs.unlinkSync(files.csv);
+        pareto.clearCheckpoint();
+    }
+
     // Tests de stress
     async runStressTests() {
         console.log('  🔍 Test gestion mémoire...');
@@ -297,25 +2102,26 @@ class TradingBotTester {
         let capital = 10000;
         let trades = [];
         let position = null;
+        // Cassure de canal: la plus active sur 200 chandeliers simulés
+        const strategy = createStrategy('breakout');
         
-        for (let i = 50; i < Math.min(this.mockData.length, 200); i++) {
-            const slice = this.mockData.slice(i - 50, i + 1);
-            const analysis = this.analyzeMarketData(slice);
+        for (let i = 0; i < Math.min(this.mockData.length, 200); i++) {
             const currentPrice = this.mockData[i].close;
+            const signal = strategy.onCandle({ symbol: 'BTCUSDT', ...this.mockData[i] }, { position });
             
             // Pas de position - chercher entrée
             if (!position) {
-                const signal = this.shouldTrade(analysis);
-                if (signal && capital > 100) {
+                if (signal && signal.action === 'ENTER' && capital > 100) {
                     const positionSize = Math.min(capital * 0.05, capital * 0.95);
+                    const direction = signal.direction === 'LONG' ? 'BUY' : 'SELL';
                     position = {
                         entryPrice: currentPrice,
                         entryTime: this.mockData[i].timestamp,
-                        direction: signal.direction,
+                        direction,
                         size: positionSize,
                         quantity: positionSize / currentPrice,
-                        stopLoss: this.calculateStopLoss(currentPrice, signal.direction, 0.015),
-                        takeProfit: this.calculateTakeProfit(currentPrice, signal.direction, 0.005)
+                        stopLoss: this.calculateStopLoss(currentPrice, direction, 0.015),
+                        takeProfit: this.calculateTakeProfit(currentPrice, direction, 0.005)
                     };
                     capital -= positionSize;
                 }
@@ -337,6 +2143,11 @@ class TradingBotTester {
                     shouldExit = true;
                     exitReason = 'TAKE_PROFIT';
                 }
+                // Signal de sortie de la stratégie
+                else if (signal && signal.action === 'EXIT') {
+                    shouldExit = true;
+                    exitReason = signal.reason;
+                }
                 
                 if (shouldExit) {
                     const pnl = this.calculatePnL(position, currentPrice);
@@ -381,90 +2192,51 @@ class TradingBotTester {
         return { capital, trades, totalReturn };
     }
 
-    // Méthodes de test pour indicateurs techniques
+    // Méthodes de test pour indicateurs techniques (bibliothèque partagée)
     calculateRSI(prices, period = 14) {
-        if (prices.length < period + 1) return null;
-        
-        let gains = 0, losses = 0;
-        
-        for (let i = 1; i <= period; i++) {
-            const change = prices[i] - prices[i - 1];
-            if (change > 0) gains += change;
-            else losses += Math.abs(change);
-        }
-        
-        const avgGain = gains / period;
-        const avgLoss = losses / period;
-        
-        if (avgLoss === 0) return 100;
-        
-        const rs = avgGain / avgLoss;
-        return 100 - (100 / (1 + rs));
+        return computeIndicator(new RSI(period), prices);
     }
     
     calculateSMA(prices, period) {
-        if (prices.length < period) return null;
-        const slice = prices.slice(-period);
-        return slice.reduce((sum, price) => sum + price, 0) / period;
+        return computeIndicator(new SMA(period), prices);
     }
     
     calculateEMA(prices, period) {
-        if (prices.length < period) return null;
-        
-        const k = 2 / (period + 1);
-        let ema = prices[0];
-        
-        for (let i = 1; i < prices.length; i++) {
-            ema = prices[i] * k + ema * (1 - k);
-        }
-        
-        return ema;
+        return computeIndicator(new EMA(period), prices);
     }
     
     calculateVolatility(prices, period = 20) {
-        if (prices.length < period) return null;
-        
-        const slice = prices.slice(-period);
-        const mean = slice.reduce((sum, p) => sum + p, 0) / period;
-        const variance = slice.reduce((sum, p) => sum + Math.pow(p - mean, 2), 0) / period;
-        
-        return Math.sqrt(variance) / mean;
+        return computeIndicator(new Volatility(period), prices);
     }
 
     // Méthodes utilitaires de test
-    analyzeMarketData(data) {
-        const prices = data.map(d => d.close);
-        const volumes = data.map(d => d.volume);
-        
-        return {
-            rsi: this.calculateRSI(prices, 14),
-            sma_20: this.calculateSMA(prices, 20),
-            ema_12: this.calculateEMA(prices, 12),
-            ema_26: this.calculateEMA(prices, 26),
-            volatility: this.calculateVolatility(prices, 20),
-            volumeRatio: volumes[volumes.length - 1] / this.calculateSMA(volumes, 20),
-            currentPrice: prices[prices.length - 1]
-        };
+    buildCandles(closes, volumes) {
+        let previous = closes[0];
+        return closes.map((close, i) => {
+            const open = previous;
+            previous = close;
+            return {
+                symbol: 'BTCUSDT',
+                timestamp: 1700000000000 + i * 3600000,
+                open,
+                high: Math.max(open, close) * 1.001,
+                low: Math.min(open, close) * 0.999,
+                close,
+                volume: volumes ? volumes[i] : 100
+            };
+        });
     }
 
-    shouldTrade(analysis) {
-        if (!analysis || !analysis.rsi) return null;
-        
-        const signals = {
-            bullish_trend: analysis.ema_12 > analysis.ema_26 && 
-                          analysis.currentPrice > analysis.sma_20,
-            rsi_oversold: analysis.rsi < 35,
-            high_volume: analysis.volumeRatio > 1.3,
-            good_volatility: analysis.volatility > 0.01 && analysis.volatility < 0.05
-        };
-        
-        let score = 0;
-        if (signals.bullish_trend) score += 30;
-        if (signals.rsi_oversold) score += 25;
-        if (signals.high_volume) score += 20;
-        if (signals.good_volatility) score += 15;
-        
-        return score >= 60 ? { direction: 'BUY', score, signals } : null;
+    // Signaux émis par une stratégie neuve sur une série (position fixe)
+    collectSignals(name, candles, position = null, params = {}) {
+        const strategy = createStrategy(name, params);
+        return candles
+            .map(candle => strategy.onCandle(candle, { position, time: candle.timestamp }))
+            .filter(signal => signal !== null);
+    }
+
+    describeSignals(signals) {
+        return signals.map(signal => `${signal.action}:${signal.direction || ''}:${signal.reason}`).join(',');
     }
 
     calculatePositionSize(capital, maxPercent, price) {
@@ -602,7 +2374,8 @@ async function runTestSuite() {
     console.log('🎯 SUITE DE TESTS - BOT DE TRADING RÉALISTE');
     console.log('═'.repeat(60));
     
-    const tester = new TradingBotTester();
+    const seed = parseSeedArg(process.argv);
+    const tester = new TradingBotTester(seed !== null ? { seed } : {});
     
     try {
         await tester.runAllTests();
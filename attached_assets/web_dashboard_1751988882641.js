@@ -7,6 +7,7 @@ const socketIo = require('socket.io');
 const fs = require('fs');
 const path = require('path');
 const cors = require('cors');
+const { loadTrades, defaultTradeFiles } = require('../realistic-bots/trade-schema');
 
 class TradingDashboard {
     constructor(config) {
@@ -144,16 +145,10 @@ class TradingDashboard {
         }
     }
 
-    // Chargement des trades depuis les logs
+    // Chargement des trades depuis les logs (instantané + journal du bot, ancien trades.json)
     loadTrades() {
         try {
-            const tradesFile = path.join(this.config.logsPath, 'trading/trades.json');
-            if (!fs.existsSync(tradesFile)) return [];
-            
-            const lines = fs.readFileSync(tradesFile, 'utf8').trim().split('\n');
-            return lines
-                .filter(line => line.trim())
-                .map(line => JSON.parse(line))
+            return loadTrades(defaultTradeFiles(this.config.logsPath))
                 .filter(trade => trade.status === 'CLOSED')
                 .sort((a, b) => b.exitTime - a.exitTime);
         } catch (error) {
@@ -0,0 +1,206 @@
+// ===== ATTRIBUTION DES PERFORMANCES =====
+// Ventile le PnL des trades clôturés par symbole, session, jour de la semaine, motif de sortie,
+// tranche de confiance et signal d'entrée: quelles conditions rapportent réellement.
+// Usage: node realistic-bots/attribution.js [--logs ./logs] [--file trades.json] [--timezone Europe/Paris] [--json rapport.json]
+const path = require('path');
+const { loadTrades, defaultTradeFiles } = require('./trade-schema');
+const { writeFileAtomic } = require('./trade-journal');
+const { timezoneOffset } = require('./candle-loader');
+const { getArg } = require('./cli-args');
+
+// Mêmes créneaux que CONFIG.SESSIONS de realistic-bot.js
+const SESSIONS = [
+    { label: '00h-06h', from: 0 },
+    { label: '06h-12h', from: 6 },
+    { label: '12h-18h', from: 12 },
+    { label: '18h-00h', from: 18 }
+];
+const WEEKDAYS = ['Lundi', 'Mardi', 'Mercredi', 'Jeudi', 'Vendredi', 'Samedi', 'Dimanche'];
+const UNKNOWN = 'N/A';
+
+const ATTRIBUTION_DIMENSIONS = ['symbol', 'session', 'weekday', 'exitReason', 'confidence', 'signal'];
+
+// Date "murale" de l'entrée dans le fuseau demandé (sessions et jours calculés dessus)
+function wallDate(timestamp, timezone) {
+    return new Date(timestamp + timezoneOffset(timestamp, timezone));
+}
+
+function sessionOf(trade, options) {
+    if (trade.session) return trade.session;
+    if (!Number.isFinite(trade.entryTime)) return UNKNOWN;
+    const hour = wallDate(trade.entryTime, options.timezone).getUTCHours();
+    return SESSIONS.filter(session => hour >= session.from).pop().label;
+}
+
+function weekdayOf(trade, options) {
+    if (!Number.isFinite(trade.entryTime)) return UNKNOWN;
+    return WEEKDAYS[(wallDate(trade.entryTime, options.timezone).getUTCDay() + 6) % 7];
+}
+
+// Confiance en score 0-100 (ml_enhancement_system); les signaux bruts 0-1 sont convertis
+function confidenceBucketOf(trade, options) {
+    if (!Number.isFinite(trade.confidence)) return UNKNOWN;
+    const score = trade.confidence <= 1 ? trade.confidence * 100 : trade.confidence;
+    const step = options.confidenceStep;
+    const from = Math.min(100 - step, Math.floor(score / step) * step);
+    return `${from}-${from + step}`;
+}
+
+// Signaux d'entrée: stratégie et raison (ex. rsi-mean-reversion:RSI_OVERSOLD).
+// Un trade déclenché par plusieurs signaux compte dans la ligne de chacun d'eux
+function signalOf(trade) {
+    const reasons = trade.entryReason ? [trade.entryReason] : (Array.isArray(trade.signals) ? trade.signals : []);
+    if (reasons.length === 0) return UNKNOWN;
+    return reasons.map(reason => (trade.strategy ? `${trade.strategy}:${reason}` : reason));
+}
+
+const KEYS = {
+    symbol: trade => trade.symbol || UNKNOWN,
+    session: sessionOf,
+    weekday: weekdayOf,
+    exitReason: trade => trade.exitReason || UNKNOWN,
+    confidence: confidenceBucketOf,
+    signal: signalOf
+};
+
+// Ordre d'affichage: chronologique pour sessions, jours et tranches, par PnL sinon
+const ORDERS = {
+    session: SESSIONS.map(session => session.label),
+    weekday: WEEKDAYS
+};
+
+// PnL, taux de réussite, espérance et profit factor d'un groupe de trades
+function summarizeTrades(trades) {
+    const wins = trades.filter(trade => trade.pnl > 0);
+    const losses = trades.filter(trade => trade.pnl < 0);
+    const grossProfit = wins.reduce((sum, trade) => sum + trade.pnl, 0);
+    const grossLoss = Math.abs(losses.reduce((sum, trade) => sum + trade.pnl, 0));
+    const pnl = grossProfit - grossLoss;
+    const avgWin = wins.length > 0 ? grossProfit / wins.length : 0;
+    const avgLoss = losses.length > 0 ? grossLoss / losses.length : 0;
+    const winRate = trades.length > 0 ? wins.length / trades.length : 0;
+
+    return {
+        trades: trades.length,
+        wins: wins.length,
+        losses: losses.length,
+        pnl,
+        winRate: winRate * 100,
+        avgWin,
+        avgLoss,
+        // Gain moyen attendu par trade: taux de réussite × gain moyen − taux de perte × perte moyenne
+        expectancy: trades.length > 0 ? pnl / trades.length : 0,
+        // null: aucune perte (profit factor infini)
+        profitFactor: grossLoss > 0 ? grossProfit / grossLoss : (grossProfit > 0 ? null : 0),
+        avgPnlPercent: trades.length > 0 ?
+            trades.reduce((sum, trade) => sum + (trade.pnlPercent || 0), 0) / trades.length : 0
+    };
+}
+
+// Une clé par trade, ou plusieurs (signaux): les lignes ne s'additionnent alors plus au total
+function groupBy(trades, dimension, options) {
+    const groups = new Map();
+    trades.forEach(trade => {
+        [].concat(KEYS[dimension](trade, options)).forEach(key => {
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(trade);
+        });
+    });
+
+    const rows = Array.from(groups.entries()).map(([key, group]) => ({ key, ...summarizeTrades(group) }));
+    const order = ORDERS[dimension];
+    if (order) {
+        const rank = key => (order.includes(key) ? order.indexOf(key) : order.length);
+        return rows.sort((a, b) => rank(a.key) - rank(b.key));
+    }
+    if (dimension === 'confidence') {
+        return rows.sort((a, b) => (parseInt(a.key, 10) || -1) - (parseInt(b.key, 10) || -1));
+    }
+    return rows.sort((a, b) => b.pnl - a.pnl);
+}
+
+// trades: format trade-schema; seuls les trades clôturés sont attribués
+// options.now: date du rapport (horloge du bot, virtuelle pour des rapports reproductibles)
+function buildAttribution(trades, options = {}) {
+    const config = {
+        timezone: options.timezone || 'UTC',
+        confidenceStep: options.confidenceStep || 10,
+        dimensions: options.dimensions || ATTRIBUTION_DIMENSIONS
+    };
+    const closed = trades.filter(trade => trade.status === 'CLOSED' && Number.isFinite(trade.pnl));
+
+    const dimensions = {};
+    config.dimensions.forEach(dimension => {
+        if (!KEYS[dimension]) {
+            throw new Error(`Dimension d'attribution inconnue: ${dimension} (${ATTRIBUTION_DIMENSIONS.join(', ')})`);
+        }
+        dimensions[dimension] = groupBy(closed, dimension, config);
+    });
+
+    const times = closed.map(trade => trade.exitTime).filter(Number.isFinite);
+    return {
+        generatedAt: new Date(options.now !== undefined ? options.now : Date.now()).toISOString(),
+        timezone: config.timezone,
+        period: times.length > 0 ? {
+            from: new Date(Math.min(...times)).toISOString(),
+            to: new Date(Math.max(...times)).toISOString()
+        } : null,
+        total: summarizeTrades(closed),
+        dimensions
+    };
+}
+
+const TITLES = {
+    symbol: '💱 PAR SYMBOLE',
+    session: '⏰ PAR SESSION',
+    weekday: '📅 PAR JOUR',
+    exitReason: '🚪 PAR MOTIF DE SORTIE',
+    confidence: '🎯 PAR CONFIANCE',
+    signal: '📡 PAR SIGNAL'
+};
+
+function printAttribution(report) {
+    const total = report.total;
+    console.log('\n📊 ATTRIBUTION DES PERFORMANCES');
+    console.log('═'.repeat(50));
+    if (report.period) console.log(`📅 ${report.period.from} → ${report.period.to} (${report.timezone})`);
+    console.log(`📊 ${total.trades} trades | PnL ${total.pnl.toFixed(4)}$ | Win ${total.winRate.toFixed(1)}% | Espérance ${total.expectancy.toFixed(4)}$`);
+
+    Object.entries(report.dimensions).forEach(([dimension, rows]) => {
+        console.log(`\n${TITLES[dimension] || dimension}`);
+        console.table(rows.map(row => ({
+            [dimension]: row.key,
+            trades: row.trades,
+            pnl: Number(row.pnl.toFixed(4)),
+            winRate: `${row.winRate.toFixed(1)}%`,
+            expectancy: Number(row.expectancy.toFixed(4)),
+            profitFactor: row.profitFactor === null ? '∞' : Number(row.profitFactor.toFixed(2))
+        })));
+    });
+}
+
+if (require.main === module) {
+    const logsPath = getArg(process.argv, '--logs') || './logs';
+    const file = getArg(process.argv, '--file');
+    const output = getArg(process.argv, '--json') || path.join(logsPath, 'attribution_report.json');
+
+    const trades = loadTrades(file ? [file] : defaultTradeFiles(logsPath));
+    if (trades.length === 0) {
+        console.log(`⚠️ Aucun trade trouvé (${file || logsPath})`);
+        process.exit(0);
+    }
+
+    const report = buildAttribution(trades, { timezone: getArg(process.argv, '--timezone') || 'UTC' });
+    printAttribution(report);
+    writeFileAtomic(output, JSON.stringify(report, null, 2));
+    console.log(`\n📁 Rapport JSON: ${output}`);
+}
+
+module.exports = {
+    buildAttribution,
+    summarizeTrades,
+    printAttribution,
+    ATTRIBUTION_DIMENSIONS,
+    SESSIONS,
+    WEEKDAYS
+};
@@ -0,0 +1,437 @@
+// ===== CHARGEMENT DE CHANDELIERS HISTORIQUES =====
+// Formats acceptés (fichier ou dossier de fichiers) :
+//  - CSV avec en-tête : timestamp/time/date/open_time, open, high, low, close, volume, symbol (optionnel)
+//  - JSON : tableau plat, { SYMBOLE: [...] }, state.json (tradingData), klines REST Binance (tableaux)
+//  - archives Binance (data.binance.vision) : CSV sans en-tête à 12 colonnes, .zip ou décompressé
+// Outils : rééchantillonnage (1m → 5m → 1h), détection et comblement des trous,
+// dates sans fuseau interprétées dans `timezone` (UTC par défaut, jamais le fuseau de la machine)
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { parseDuration } = require('./clock');
+const { getArg } = require('./cli-args');
+
+const CANDLE_EXTENSIONS = ['.csv', '.json', '.zip'];
+
+// Colonnes des klines Binance (REST et archives)
+const KLINE_COLUMNS = ['open_time', 'open', 'high', 'low', 'close', 'volume', 'close_time',
+    'quote_volume', 'count', 'taker_buy_volume', 'taker_buy_quote_volume', 'ignore'];
+
+// ===== TEMPS =====
+// '1m', '5m', '1h', '4h', '1d', '1w' ou un nombre de millisecondes
+function parseTimeframe(value) {
+    const match = /^(\d+)w$/.exec(String(value).trim());
+    const ms = match ? Number(match[1]) * 7 * 86400000 : parseDuration(value);
+    if (!(ms > 0)) {
+        throw new Error(`Unité de temps invalide: ${value}`);
+    }
+    return ms;
+}
+
+const formatters = new Map();
+
+// Décalage du fuseau (ms) à un instant donné: 'UTC', '+02:00' ou nom IANA ('Europe/Paris')
+function timezoneOffset(timestamp, timezone = 'UTC') {
+    if (!timezone || timezone === 'UTC' || timezone === 'Z') return 0;
+
+    const fixed = /^([+-])(\d{2}):?(\d{2})$/.exec(timezone);
+    if (fixed) {
+        return (fixed[1] === '-' ? -1 : 1) * (Number(fixed[2]) * 60 + Number(fixed[3])) * 60000;
+    }
+
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit'
+        }));
+    }
+    const parts = {};
+    formatters.get(timezone).formatToParts(new Date(timestamp)).forEach(part => { parts[part.type] = part.value; });
+    const wallTime = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallTime - Math.floor(timestamp / 1000) * 1000;
+}
+
+// Horodatage en ms: secondes, millisecondes et microsecondes (archives Binance depuis 2025) acceptées
+function parseTimestamp(value, timezone = 'UTC') {
+    if (value === undefined || value === null || value === '') return null;
+
+    if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value).trim())) {
+        const number = Number(value);
+        if (number < 1e11) return Math.round(number * 1000);
+        if (number > 1e14) return Math.floor(number / 1000);
+        return number;
+    }
+
+    const text = String(value).trim();
+    if (/(Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+        const parsed = Date.parse(text);
+        return Number.isFinite(parsed) ? parsed : null;
+    }
+
+    // Date sans fuseau: heure murale dans `timezone`
+    const wallTime = Date.parse(`${text.replace(' ', 'T')}${text.includes(':') ? '' : 'T00:00'}Z`);
+    if (!Number.isFinite(wallTime)) return null;
+    const guess = wallTime - timezoneOffset(wallTime, timezone);
+    return wallTime - timezoneOffset(guess, timezone);
+}
+
+// ===== PARSING =====
+// Normalise un chandelier quel que soit son format d'origine
+function normalizeCandle(raw, symbol, previousClose, options = {}) {
+    if (Array.isArray(raw)) {
+        const row = {};
+        KLINE_COLUMNS.forEach((key, i) => { row[key] = raw[i]; });
+        raw = row;
+    }
+
+    const close = parseFloat(raw.close !== undefined ? raw.close : raw.price);
+    if (!Number.isFinite(close)) return null;
+
+    const open = raw.open !== undefined ? parseFloat(raw.open) :
+                 (previousClose !== undefined ? previousClose : close);
+    const rawTime = [raw.timestamp, raw.openTime, raw.open_time, raw.time, raw.date]
+        .find(value => value !== undefined);
+    const timestamp = parseTimestamp(rawTime, options.timezone);
+    if (timestamp === null) return null;
+
+    return {
+        symbol: raw.symbol || symbol,
+        timestamp,
+        open,
+        high: raw.high !== undefined ? parseFloat(raw.high) : Math.max(open, close),
+        low: raw.low !== undefined ? parseFloat(raw.low) : Math.min(open, close),
+        close,
+        volume: raw.volume !== undefined ? parseFloat(raw.volume) : 0
+    };
+}
+
+// Regroupe des chandeliers bruts par symbole, triés par date
+function buildSeries(rawBySymbol, options = {}) {
+    const series = {};
+
+    Object.entries(rawBySymbol).forEach(([symbol, rows]) => {
+        let previousClose;
+        series[symbol] = [];
+
+        rows.forEach(row => {
+            const candle = normalizeCandle(row, symbol, previousClose, options);
+            if (!candle) return;
+            series[symbol].push(candle);
+            previousClose = candle.close;
+        });
+
+        series[symbol].sort((a, b) => a.timestamp - b.timestamp);
+    });
+
+    return series;
+}
+
+function parseCSV(content, defaultSymbol) {
+    const lines = content.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length === 0) return {};
+
+    // Sans en-tête (première cellule numérique): colonnes des klines Binance
+    const firstCell = lines[0].split(',')[0].trim();
+    const hasHeader = !/^\d+(\.\d+)?$/.test(firstCell);
+    const header = hasHeader ? lines[0].split(',').map(h => h.trim().toLowerCase()) : KLINE_COLUMNS;
+    const bySymbol = {};
+
+    lines.slice(hasHeader ? 1 : 0).forEach(line => {
+        const values = line.split(',');
+        const row = {};
+        header.forEach((key, i) => { row[key] = values[i] !== undefined ? values[i].trim() : undefined; });
+        if (row.opentime !== undefined) row.open_time = row.opentime;
+
+        const symbol = row.symbol || defaultSymbol;
+        if (!bySymbol[symbol]) bySymbol[symbol] = [];
+        bySymbol[symbol].push(row);
+    });
+
+    return bySymbol;
+}
+
+function parseJSON(content, defaultSymbol) {
+    const data = JSON.parse(content);
+
+    // Tableau plat: [{ symbol, timestamp, close, ... }] ou klines REST [[openTime, open, ...]]
+    if (Array.isArray(data)) {
+        const bySymbol = {};
+        data.forEach(row => {
+            const symbol = (!Array.isArray(row) && row.symbol) || defaultSymbol;
+            if (!bySymbol[symbol]) bySymbol[symbol] = [];
+            bySymbol[symbol].push(row);
+        });
+        return bySymbol;
+    }
+
+    // Format state.json: { tradingData: { BTCUSDT: [...] } } ou directement { BTCUSDT: [...] }
+    const source = data.tradingData || data;
+    const bySymbol = {};
+    Object.entries(source).forEach(([symbol, rows]) => {
+        if (Array.isArray(rows)) bySymbol[symbol] = rows;
+    });
+    return bySymbol;
+}
+
+// Premier fichier d'une archive zip (format des archives data.binance.vision)
+function readZipEntry(file) {
+    const buffer = fs.readFileSync(file);
+
+    // Fin du répertoire central, puis première entrée du répertoire
+    let end = buffer.length - 22;
+    while (end >= 0 && buffer.readUInt32LE(end) !== 0x06054b50) end--;
+    if (end < 0) {
+        throw new Error(`Archive zip invalide: ${file}`);
+    }
+    const entry = buffer.readUInt32LE(end + 16);
+    if (buffer.readUInt32LE(entry) !== 0x02014b50) {
+        throw new Error(`Archive zip invalide: ${file}`);
+    }
+    const method = buffer.readUInt16LE(entry + 10);
+    const compressedSize = buffer.readUInt32LE(entry + 20);
+    const localHeader = buffer.readUInt32LE(entry + 42);
+
+    const dataStart = localHeader + 30 + buffer.readUInt16LE(localHeader + 26) + buffer.readUInt16LE(localHeader + 28);
+    const data = buffer.slice(dataStart, dataStart + compressedSize);
+    if (method === 0) return data.toString('utf8');
+    if (method === 8) return zlib.inflateRawSync(data).toString('utf8');
+    throw new Error(`Compression zip non supportée (${method}): ${file}`);
+}
+
+// Symbole déduit du nom de fichier: 'BTCUSDT-1h-2024-01.zip' -> 'BTCUSDT', 'btc.csv' -> 'BTC'
+function symbolFromFile(file) {
+    return path.basename(file, path.extname(file)).split('-')[0].toUpperCase();
+}
+
+// Charge un fichier de chandeliers (.csv, .json ou archive .zip) en séries par symbole
+function loadCandleFile(file, options = {}) {
+    if (!file || !fs.existsSync(file)) {
+        throw new Error(`Fichier de chandeliers introuvable: ${file}`);
+    }
+
+    const extension = path.extname(file).toLowerCase();
+    const content = extension === '.zip' ? readZipEntry(file) : fs.readFileSync(file, 'utf8');
+    const defaultSymbol = options.symbol || symbolFromFile(file);
+    const isCSV = extension === '.csv' || (extension === '.zip' && !/^\s*[[{]/.test(content));
+    const bySymbol = isCSV ? parseCSV(content, defaultSymbol) : parseJSON(content, defaultSymbol);
+
+    const series = buildSeries(bySymbol, options);
+
+    // Filtre optionnel sur une liste de symboles
+    if (Array.isArray(options.symbols)) {
+        Object.keys(series).forEach(symbol => {
+            if (!options.symbols.includes(symbol)) delete series[symbol];
+        });
+    }
+
+    return series;
+}
+
+// ===== SÉRIES =====
+// Fusion de plusieurs séries d'un même symbole (archives mensuelles): tri et dédoublonnage
+function mergeCandles(...lists) {
+    const byTimestamp = new Map();
+    lists.forEach(list => list.forEach(candle => byTimestamp.set(candle.timestamp, candle)));
+    return Array.from(byTimestamp.values()).sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// Unité de temps d'une série: écart médian entre chandeliers consécutifs
+function inferTimeframe(candles) {
+    const deltas = [];
+    for (let i = 1; i < candles.length; i++) {
+        const delta = candles[i].timestamp - candles[i - 1].timestamp;
+        if (delta > 0) deltas.push(delta);
+    }
+    if (deltas.length === 0) return null;
+    deltas.sort((a, b) => a - b);
+    return deltas[Math.floor(deltas.length / 2)];
+}
+
+// Début de la période contenant `timestamp` (périodes alignées sur minuit dans `timezone`)
+function alignTimestamp(timestamp, timeframe, timezone = 'UTC') {
+    const offset = timezoneOffset(timestamp, timezone);
+    return Math.floor((timestamp + offset) / timeframe) * timeframe - offset;
+}
+
+// Agrégation OHLCV vers une unité de temps plus longue
+function resampleCandles(candles, timeframe, options = {}) {
+    const target = parseTimeframe(timeframe);
+    const source = inferTimeframe(candles);
+    if (source !== null && target < source) {
+        throw new Error(`Rééchantillonnage impossible: ${timeframe} plus fin que les données (${source / 60000} min)`);
+    }
+
+    const resampled = [];
+    let current = null;
+
+    candles.forEach(candle => {
+        const bucket = alignTimestamp(candle.timestamp, target, options.timezone);
+        if (!current || current.timestamp !== bucket) {
+            current = {
+                ...(candle.symbol ? { symbol: candle.symbol } : {}),
+                timestamp: bucket,
+                open: candle.open,
+                high: candle.high,
+                low: candle.low,
+                close: candle.close,
+                volume: candle.volume
+            };
+            resampled.push(current);
+            return;
+        }
+        current.high = Math.max(current.high, candle.high);
+        current.low = Math.min(current.low, candle.low);
+        current.close = candle.close;
+        current.volume += candle.volume;
+    });
+
+    return resampled;
+}
+
+// Trous: écarts supérieurs à une unité de temps entre deux chandeliers consécutifs
+function detectGaps(candles, timeframe) {
+    const step = typeof timeframe === 'number' ? timeframe : parseTimeframe(timeframe);
+    const gaps = [];
+
+    for (let i = 1; i < candles.length; i++) {
+        const delta = candles[i].timestamp - candles[i - 1].timestamp;
+        const missing = Math.round(delta / step) - 1;
+        if (missing >= 1) {
+            gaps.push({
+                from: candles[i - 1].timestamp + step,
+                to: candles[i].timestamp,
+                missing
+            });
+        }
+    }
+    return gaps;
+}
+
+// Comblement des trous par des chandeliers plats (dernier prix, volume nul, filled: true)
+function fillGaps(candles, timeframe) {
+    const step = typeof timeframe === 'number' ? timeframe : parseTimeframe(timeframe);
+    const filled = [];
+
+    candles.forEach((candle, i) => {
+        if (i > 0) {
+            const previous = candles[i - 1];
+            for (let t = previous.timestamp + step; t < candle.timestamp; t += step) {
+                filled.push({
+                    ...(candle.symbol ? { symbol: candle.symbol } : {}),
+                    timestamp: t,
+                    open: previous.close,
+                    high: previous.close,
+                    low: previous.close,
+                    close: previous.close,
+                    volume: 0,
+                    filled: true
+                });
+            }
+        }
+        filled.push(candle);
+    });
+    return filled;
+}
+
+// ===== CHARGEMENT COMPLET =====
+function listCandleFiles(source) {
+    const sources = Array.isArray(source) ? source : [source];
+    return sources.flatMap(entry => {
+        if (!fs.existsSync(entry)) {
+            throw new Error(`Données historiques introuvables: ${entry}`);
+        }
+        if (!fs.statSync(entry).isDirectory()) return [entry];
+        return fs.readdirSync(entry)
+            .filter(name => CANDLE_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+            .sort()
+            .map(name => path.join(entry, name));
+    });
+}
+
+// Fichier(s) ou dossier(s) -> { series, report } avec options :
+//  symbols, timezone, timeframe (rééchantillonnage), fillGaps, start/end (bornes incluses)
+function loadCandles(source, options = {}) {
+    const files = listCandleFiles(source);
+    if (files.length === 0) {
+        throw new Error(`Aucun fichier de chandeliers dans ${source}`);
+    }
+
+    const bySymbol = {};
+    const fileCount = {};
+    files.forEach(file => {
+        Object.entries(loadCandleFile(file, options)).forEach(([symbol, candles]) => {
+            bySymbol[symbol] = bySymbol[symbol] ? mergeCandles(bySymbol[symbol], candles) : mergeCandles(candles);
+            fileCount[symbol] = (fileCount[symbol] || 0) + 1;
+        });
+    });
+
+    const start = options.start !== undefined ? parseTimestamp(options.start, options.timezone) : -Infinity;
+    const end = options.end !== undefined ? parseTimestamp(options.end, options.timezone) : Infinity;
+    const series = {};
+    const report = {};
+
+    Object.entries(bySymbol).forEach(([symbol, raw]) => {
+        let candles = raw.filter(c => c.timestamp >= start && c.timestamp <= end);
+        if (candles.length === 0) return;
+
+        const sourceTimeframe = inferTimeframe(candles);
+        if (options.timeframe) {
+            candles = resampleCandles(candles, options.timeframe, options);
+        }
+        const timeframe = options.timeframe ? parseTimeframe(options.timeframe) : sourceTimeframe;
+        const gaps = timeframe ? detectGaps(candles, timeframe) : [];
+        if (options.fillGaps && gaps.length > 0) {
+            candles = fillGaps(candles, timeframe);
+        }
+
+        series[symbol] = candles;
+        report[symbol] = {
+            files: fileCount[symbol],
+            sourceTimeframe,
+            timeframe,
+            candles: candles.length,
+            first: new Date(candles[0].timestamp).toISOString(),
+            last: new Date(candles[candles.length - 1].timestamp).toISOString(),
+            gaps,
+            missingCandles: gaps.reduce((sum, gap) => sum + gap.missing, 0),
+            filled: Boolean(options.fillGaps)
+        };
+    });
+
+    return { series, report };
+}
+
+// --data <fichier|dossier> [--timeframe 1h] [--timezone Europe/Paris] [--fill-gaps] [--start 2024-01-01] [--end 2024-06-30]
+function parseDataArgs(argv = process.argv) {
+    const file = getArg(argv, '--data');
+    if (file === null) return null;
+    const dataSource = {
+        path: file,
+        timeframe: getArg(argv, '--timeframe'),
+        timezone: getArg(argv, '--timezone') || 'UTC',
+        fillGaps: argv.includes('--fill-gaps')
+    };
+    ['start', 'end'].forEach(bound => {
+        const value = getArg(argv, `--${bound}`);
+        if (value !== null) dataSource[bound] = value;
+    });
+    return dataSource;
+}
+
+module.exports = {
+    loadCandles,
+    loadCandleFile,
+    normalizeCandle,
+    parseTimestamp,
+    parseTimeframe,
+    timezoneOffset,
+    alignTimestamp,
+    mergeCandles,
+    inferTimeframe,
+    resampleCandles,
+    detectGaps,
+    fillGaps,
+    parseDataArgs
+};
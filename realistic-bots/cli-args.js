@@ -0,0 +1,15 @@
+// ===== ARGUMENTS DE LIGNE DE COMMANDE =====
+// Lecture partagée des options --nom <valeur> et --nom=<valeur> (bot, backtester, outils).
+
+// Valeur de l'option, ou null si elle est absente (ou suivie d'une autre option)
+function getArg(argv, name) {
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === name && argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) return argv[i + 1];
+        if (argv[i].startsWith(`${name}=`)) return argv[i].slice(name.length + 1);
+    }
+    return null;
+}
+
+module.exports = {
+    getArg
+};
@@ -0,0 +1,182 @@
+// ===== HORLOGES =====
+// SystemClock : temps réel (Date.now, setTimeout, setInterval)
+// VirtualClock: temps simulé piloté par un ordonnanceur, pour jouer
+// 24h de bot (sessions, limites quotidiennes, rapports horaires) en quelques secondes.
+const { getArg } = require('./cli-args');
+
+class SystemClock {
+    isVirtual() {
+        return false;
+    }
+
+    now() {
+        return Date.now();
+    }
+
+    date() {
+        return new Date(this.now());
+    }
+
+    setTimeout(callback, delay) {
+        return setTimeout(callback, delay);
+    }
+
+    clearTimeout(timer) {
+        clearTimeout(timer);
+    }
+
+    setInterval(callback, interval) {
+        return setInterval(callback, interval);
+    }
+
+    clearInterval(timer) {
+        clearInterval(timer);
+    }
+
+    sleep(delay) {
+        return new Promise(resolve => this.setTimeout(resolve, delay));
+    }
+}
+
+class VirtualClock extends SystemClock {
+    constructor(startTime = Date.now()) {
+        super();
+        this.currentTime = startTime;
+        this.queue = [];
+        this.sequence = 0;
+    }
+
+    isVirtual() {
+        return true;
+    }
+
+    now() {
+        return this.currentTime;
+    }
+
+    // Résolution à la milliseconde, comme les minuteurs Node: horodatages et identifiants entiers
+    setTimeout(callback, delay = 0) {
+        return this.schedule({ callback, time: this.currentTime + Math.max(0, Math.round(delay)), interval: null });
+    }
+
+    setInterval(callback, interval) {
+        const step = Math.max(1, Math.round(interval));
+        return this.schedule({ callback, time: this.currentTime + step, interval: step });
+    }
+
+    clearTimeout(timer) {
+        if (timer) timer.cancelled = true;
+    }
+
+    clearInterval(timer) {
+        this.clearTimeout(timer);
+    }
+
+    // Insertion triée par échéance puis ordre de création (ordre stable = reproductible)
+    schedule(timer) {
+        timer.cancelled = false;
+        timer.sequence = this.sequence++;
+
+        let low = 0;
+        let high = this.queue.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            const other = this.queue[mid];
+            if (other.time < timer.time || (other.time === timer.time && other.sequence < timer.sequence)) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        this.queue.splice(low, 0, timer);
+        return timer;
+    }
+
+    pendingTimers() {
+        return this.queue.filter(timer => !timer.cancelled).length;
+    }
+
+    // Exécute dans l'ordre tous les minuteurs échus jusqu'à targetTime.
+    // Entre deux minuteurs on laisse s'écouler les promesses en attente,
+    // pour que les boucles async (await clock.sleep) reprennent avant l'échéance suivante.
+    async runUntil(targetTime) {
+        while (this.queue.length > 0 && this.queue[0].time <= targetTime) {
+            const timer = this.queue.shift();
+            if (timer.cancelled) continue;
+
+            this.currentTime = timer.time;
+            if (timer.interval !== null) {
+                timer.time += timer.interval;
+                this.schedule(timer);
+            }
+
+            timer.callback();
+            await flushPending();
+        }
+
+        this.currentTime = Math.max(this.currentTime, targetTime);
+        await flushPending();
+    }
+
+    runFor(duration) {
+        return this.runUntil(this.currentTime + duration);
+    }
+}
+
+function flushPending() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+// '90s', '15m', '24h', '2d' ou un nombre de millisecondes
+function parseDuration(value) {
+    if (typeof value === 'number') return value;
+    const match = /^(\d+(?:\.\d+)?)(ms|s|m|h|d)?$/.exec(String(value).trim());
+    if (!match) {
+        throw new Error(`Durée invalide: ${value}`);
+    }
+    const units = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+    return Math.round(parseFloat(match[1]) * units[match[2] || 'ms']);
+}
+
+// Date ISO (2025-01-01T00:00:00Z); une date illisible donnerait NaN dans tous les horodatages
+function parseStartTime(value) {
+    const time = new Date(value).getTime();
+    if (!Number.isFinite(time)) {
+        throw new Error(`Date de début invalide: ${value}`);
+    }
+    return time;
+}
+
+// --virtual [--duration 24h] [--start 2025-01-01T00:00:00Z]
+function parseClockArgs(argv = process.argv) {
+    const start = getArg(argv, '--start');
+    const duration = getArg(argv, '--duration');
+
+    return {
+        virtual: argv.includes('--virtual'),
+        duration: duration !== null ? parseDuration(duration) : null,
+        startTime: start !== null ? parseStartTime(start) : null
+    };
+}
+
+// Début d'une session virtuelle avec graine mais sans --start: une époque fixe plutôt que Date.now(),
+// sinon horodatages, identifiants et sessions changent d'une exécution à l'autre
+const SEEDED_START_TIME = Date.UTC(2025, 0, 1);
+
+function createClock(config) {
+    if (config.CLOCK === 'virtual') {
+        if (config.START_TIME !== null && config.START_TIME !== undefined) return new VirtualClock(config.START_TIME);
+        return new VirtualClock(config.SEED !== null && config.SEED !== undefined ? SEEDED_START_TIME : Date.now());
+    }
+    return new SystemClock();
+}
+
+module.exports = {
+    SystemClock,
+    VirtualClock,
+    createClock,
+    parseDuration,
+    parseClockArgs,
+    parseStartTime,
+    SEEDED_START_TIME
+};
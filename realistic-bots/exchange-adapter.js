@@ -0,0 +1,85 @@
+// ===== INTERFACE D'ACCÈS À LA BOURSE =====
+// Contrat commun des implémentations :
+//  - BinanceAPI (attached_assets/binance_integration) : API REST/WebSocket Binance
+//    (réelle, testnet, ou serveur local mock-binance-server.js)
+//  - PaperExchange (paper-exchange.js) : bourse papier en mémoire
+// Les réponses d'ordres et les événements du flux utilisateur suivent les formats Binance
+// (nombres en texte), quelle que soit l'implémentation.
+
+// Codes d'erreur Binance utilisés par les implémentations locales
+const ERROR_CODES = {
+    UNKNOWN: -1000,
+    TOO_MANY_REQUESTS: -1003,
+    TOO_MANY_ORDERS: -1015,
+    INVALID_TIMESTAMP: -1021,
+    INVALID_SIGNATURE: -1022,
+    MANDATORY_PARAM: -1102,
+    BAD_SYMBOL: -1121,
+    FILTER_FAILURE: -1013,
+    NEW_ORDER_REJECTED: -2010,
+    CANCEL_REJECTED: -2011,
+    NO_SUCH_ORDER: -2013,
+    REJECTED_MBX_KEY: -2015
+};
+
+// Erreur au format Binance { code, msg }
+function exchangeError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// 'BTC/USDT' (sources de données) -> 'BTCUSDT' (bourse)
+function toExchangeSymbol(symbol) {
+    return symbol.replace('/', '').toUpperCase();
+}
+
+class ExchangeAdapter {
+    // Dernier prix
+    async getCurrentPrice(symbol) {
+        throw new Error(`${this.constructor.name}.getCurrentPrice() non implémenté`);
+    }
+
+    // [{ openTime, open, high, low, close, volume, closeTime }]
+    async getKlines(symbol, interval, limit) {
+        throw new Error(`${this.constructor.name}.getKlines() non implémenté`);
+    }
+
+    // { ASSET: { free, locked, total } } (soldes non nuls)
+    async getBalances() {
+        throw new Error(`${this.constructor.name}.getBalances() non implémenté`);
+    }
+
+    // options: price, stopPrice, timeInForce, quoteOrderQty, newClientOrderId
+    async createOrder(symbol, side, type, quantity, options) {
+        throw new Error(`${this.constructor.name}.createOrder() non implémenté`);
+    }
+
+    async cancelOrder(symbol, orderId) {
+        throw new Error(`${this.constructor.name}.cancelOrder() non implémenté`);
+    }
+
+    async getOpenOrders(symbol) {
+        throw new Error(`${this.constructor.name}.getOpenOrders() non implémenté`);
+    }
+
+    // Chandeliers { symbol, openTime, closeTime, open, high, low, close, volume, isClosed };
+    // renvoie { close() }
+    subscribeKlines(symbol, interval, onKline) {
+        throw new Error(`${this.constructor.name}.subscribeKlines() non implémenté`);
+    }
+
+    // Flux utilisateur (executionReport, outboundAccountPosition); renvoie { close() }
+    async subscribeUserData(onEvent) {
+        throw new Error(`${this.constructor.name}.subscribeUserData() non implémenté`);
+    }
+
+    disconnect() {}
+}
+
+module.exports = {
+    ExchangeAdapter,
+    ERROR_CODES,
+    exchangeError,
+    toExchangeSymbol
+};
@@ -0,0 +1,124 @@
+// ===== COÛTS D'EXÉCUTION SIMULÉS =====
+// Modèle appliqué aux ordres du bot papier pour ne plus exécuter au prix médian sans frais :
+//  - frais maker/taker par palier de volume échangé sur 30 jours
+//  - écart bid/ask par symbole (on achète au ask, on vend au bid)
+//  - glissement croissant avec la taille de l'ordre et décroissant avec le volume du marché
+//  - latence entre la décision et l'exécution (le prix peut bouger entre les deux)
+const { createRandom } = require('./random');
+
+const VOLUME_WINDOW = 30 * 24 * 3600000;
+
+const LIQUIDITY = {
+    MAKER: 'MAKER',
+    TAKER: 'TAKER'
+};
+
+function bySymbol(table, symbol) {
+    return table[symbol] !== undefined ? table[symbol] : table.DEFAULT;
+}
+
+class ExecutionCostModel {
+    constructor(config, options = {}) {
+        this.feeTiers = [...config.FEE_TIERS].sort((a, b) => a.MIN_VOLUME - b.MIN_VOLUME);
+        this.spreads = config.SPREADS;
+        this.slippage = config.SLIPPAGE;
+        this.latency = config.LATENCY;
+        this.random = options.random || createRandom();
+        this.volumeHistory = []; // { time, notional } sur la fenêtre de 30 jours
+    }
+
+    // Volume des 30 derniers jours reconstruit depuis le grand livre du portefeuille
+    loadHistory(entries) {
+        entries.forEach(entry => this.volumeHistory.push({ time: entry.time, notional: entry.notional }));
+    }
+
+    recordVolume(time, notional) {
+        this.volumeHistory.push({ time, notional });
+    }
+
+    getTradedVolume(time) {
+        this.volumeHistory = this.volumeHistory.filter(item => item.time > time - VOLUME_WINDOW);
+        return this.volumeHistory.reduce((sum, item) => sum + item.notional, 0);
+    }
+
+    getFeeRate(liquidity, time) {
+        const volume = this.getTradedVolume(time);
+        let tier = this.feeTiers[0];
+        this.feeTiers.forEach(candidate => {
+            if (volume >= candidate.MIN_VOLUME) tier = candidate;
+        });
+        return liquidity === LIQUIDITY.MAKER ? tier.MAKER : tier.TAKER;
+    }
+
+    getSpread(symbol) {
+        return bySymbol(this.spreads, symbol);
+    }
+
+    quote(symbol, midPrice) {
+        const halfSpread = this.getSpread(symbol) / 2;
+        return { bid: midPrice * (1 - halfSpread), ask: midPrice * (1 + halfSpread) };
+    }
+
+    // Glissement relatif: fixe + impact en racine de (taille / profondeur du carnet),
+    // profondeur réduite quand le volume courant est faible (volumeRatio < 1)
+    getDepth(symbol, volumeRatio = 1) {
+        const liquidity = Math.min(4, Math.max(0.25, volumeRatio || 1));
+        return bySymbol(this.slippage.DEPTH, symbol) * liquidity;
+    }
+
+    getSlippage(symbol, notional, volumeRatio = 1) {
+        return this.slippage.BASE + this.slippage.IMPACT * Math.sqrt(notional / this.getDepth(symbol, volumeRatio));
+    }
+
+    // Taille maximale (en devise) exécutable sans dépasser un glissement donné (inverse de getSlippage)
+    getMaxNotional(symbol, maxSlippage, volumeRatio = 1) {
+        if (maxSlippage < this.slippage.BASE) return 0;
+        const impact = (maxSlippage - this.slippage.BASE) / this.slippage.IMPACT;
+        return this.getDepth(symbol, volumeRatio) * impact * impact;
+    }
+
+    sampleLatency() {
+        return Math.round(this.random.range(this.latency.MIN, this.latency.MAX));
+    }
+
+    // Part maximale des coûts d'une entrée, pour réserver les liquidités nécessaires
+    maxCostRate(symbol) {
+        const maxFee = Math.max(...this.feeTiers.map(tier => tier.TAKER));
+        return maxFee + this.getSpread(symbol) / 2 + this.slippage.BASE + this.slippage.IMPACT;
+    }
+
+    // Exécution d'un ordre au marché (taker). Taille en quantité (sortie) ou en devise (entrée).
+    fill({ symbol, side, midPrice, quantity, notional, volumeRatio, time, latency = 0 }) {
+        const sign = side === 'BUY' ? 1 : -1;
+        const orderNotional = quantity !== undefined ? quantity * midPrice : notional;
+        const halfSpread = this.getSpread(symbol) / 2;
+        const slippage = this.getSlippage(symbol, orderNotional, volumeRatio);
+
+        const price = midPrice * (1 + sign * (halfSpread + slippage));
+        const filledQuantity = quantity !== undefined ? quantity : notional / price;
+        const filledNotional = filledQuantity * price;
+        const feeRate = this.getFeeRate(LIQUIDITY.TAKER, time);
+        const fee = filledNotional * feeRate;
+
+        this.recordVolume(time, filledNotional);
+
+        return {
+            side,
+            liquidity: LIQUIDITY.TAKER,
+            midPrice,
+            price,
+            quantity: filledQuantity,
+            notional: filledNotional,
+            spreadCost: filledQuantity * midPrice * halfSpread,
+            slippageCost: filledQuantity * midPrice * slippage,
+            feeRate,
+            fee,
+            latency
+        };
+    }
+}
+
+module.exports = {
+    ExecutionCostModel,
+    LIQUIDITY
+};
@@ -0,0 +1,106 @@
+// ===== RÈGLES DE SORTIE DES POSITIONS =====
+// Stop-loss, take-profit, trailing stop et durée maximale, évalués à chaque tick.
+// Reprend les règles de managePositions() du bot attached_assets/realistic_trading_bot;
+// accepte indifféremment les directions LONG/SHORT et BUY/SELL.
+
+const EXIT_REASONS = {
+    STOP_LOSS: 'STOP_LOSS',
+    TAKE_PROFIT: 'TAKE_PROFIT',
+    TRAILING_STOP: 'TRAILING_STOP',
+    TIME_EXIT: 'TIME_EXIT',
+    // Position rouverte au redémarrage mais plus suivable (symbole absent de la source)
+    RECONCILED: 'RECONCILED'
+};
+
+function isLong(direction) {
+    return direction === 'LONG' || direction === 'BUY';
+}
+
+// Niveaux de sortie fixés à l'ouverture
+function createExitLevels(entryPrice, direction, rules) {
+    const long = isLong(direction);
+
+    return {
+        stopLossPrice: long ?
+            entryPrice * (1 - rules.stopLossPercent) :
+            entryPrice * (1 + rules.stopLossPercent),
+        takeProfitPrice: long ?
+            entryPrice * (1 + rules.takeProfitPercent) :
+            entryPrice * (1 - rules.takeProfitPercent),
+        trailingStopPercent: rules.trailingStopPercent || null,
+        trailingActivationPercent: rules.trailingActivationPercent || 0,
+        maxDuration: rules.maxDuration || null,
+        // Meilleur prix atteint depuis l'ouverture (sert au trailing stop)
+        peakPrice: entryPrice
+    };
+}
+
+// Variation favorable en fraction du prix d'entrée
+function favorableMove(position, price) {
+    const change = (price - position.entryPrice) / position.entryPrice;
+    return isLong(position.direction) ? change : -change;
+}
+
+function shouldStopLoss(position, currentPrice) {
+    if (isLong(position.direction)) {
+        return currentPrice <= position.stopLossPrice;
+    }
+    return currentPrice >= position.stopLossPrice;
+}
+
+function shouldTakeProfit(position, currentPrice) {
+    if (isLong(position.direction)) {
+        return currentPrice >= position.takeProfitPrice;
+    }
+    return currentPrice <= position.takeProfitPrice;
+}
+
+// Actif une fois le gain d'activation atteint: sortie si le prix recule
+// de trailingStopPercent depuis le meilleur prix
+function shouldTrailingStop(position, currentPrice) {
+    if (!position.trailingStopPercent) return false;
+    if (favorableMove(position, position.peakPrice) < position.trailingActivationPercent) return false;
+
+    const retracement = isLong(position.direction) ?
+        (position.peakPrice - currentPrice) / position.peakPrice :
+        (currentPrice - position.peakPrice) / position.peakPrice;
+
+    return retracement >= position.trailingStopPercent;
+}
+
+function shouldTimeExit(position, now) {
+    if (!position.maxDuration) return false;
+    return now - position.entryTime >= position.maxDuration;
+}
+
+// Met à jour le meilleur prix atteint
+function updatePeak(position, currentPrice) {
+    if (isLong(position.direction)) {
+        position.peakPrice = Math.max(position.peakPrice, currentPrice);
+    } else {
+        position.peakPrice = Math.min(position.peakPrice, currentPrice);
+    }
+}
+
+// Renvoie la raison de sortie ou null, dans le même ordre de priorité que managePositions()
+function evaluateExit(position, currentPrice, now) {
+    updatePeak(position, currentPrice);
+
+    if (shouldStopLoss(position, currentPrice)) return EXIT_REASONS.STOP_LOSS;
+    if (shouldTakeProfit(position, currentPrice)) return EXIT_REASONS.TAKE_PROFIT;
+    if (shouldTrailingStop(position, currentPrice)) return EXIT_REASONS.TRAILING_STOP;
+    if (shouldTimeExit(position, now)) return EXIT_REASONS.TIME_EXIT;
+    return null;
+}
+
+module.exports = {
+    EXIT_REASONS,
+    isLong,
+    createExitLevels,
+    shouldStopLoss,
+    shouldTakeProfit,
+    shouldTrailingStop,
+    shouldTimeExit,
+    updatePeak,
+    evaluateExit
+};
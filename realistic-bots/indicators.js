@@ -0,0 +1,479 @@
+// ===== INDICATEURS TECHNIQUES INCRÉMENTAUX =====
+// Bibliothèque partagée par le bot, le backtester et la suite de tests.
+// Chaque indicateur se met à jour en O(1) par chandelier via update()
+// et expose sa dernière valeur dans .value (null tant que la période n'est pas remplie).
+
+// Fenêtre circulaire de taille fixe
+class RollingWindow {
+    constructor(size) {
+        this.size = size;
+        this.values = new Array(size);
+        this.count = 0;
+        this.index = 0;
+    }
+
+    // Ajoute une valeur et renvoie celle qui sort de la fenêtre (ou undefined)
+    push(value) {
+        const removed = this.count === this.size ? this.values[this.index] : undefined;
+        this.values[this.index] = value;
+        this.index = (this.index + 1) % this.size;
+        if (this.count < this.size) this.count++;
+        return removed;
+    }
+
+    isFull() {
+        return this.count === this.size;
+    }
+
+    // Valeur la plus ancienne encore dans la fenêtre
+    oldest() {
+        return this.isFull() ? this.values[this.index] : this.values[0];
+    }
+}
+
+// Min/max glissant via file monotone (O(1) amorti)
+class RollingExtremum {
+    constructor(size, compare) {
+        this.size = size;
+        this.compare = compare;
+        this.deque = [];
+        this.head = 0;
+        this.position = 0;
+    }
+
+    push(value) {
+        while (this.deque.length > this.head &&
+               !this.compare(this.deque[this.deque.length - 1].value, value)) {
+            this.deque.pop();
+        }
+        this.deque.push({ value, position: this.position });
+
+        while (this.deque[this.head].position <= this.position - this.size) {
+            this.head++;
+        }
+        // Compactage occasionnel pour ne pas garder les éléments expirés
+        if (this.head > 1024) {
+            this.deque = this.deque.slice(this.head);
+            this.head = 0;
+        }
+
+        this.position++;
+        return this.deque[this.head].value;
+    }
+
+    get value() {
+        return this.deque.length > this.head ? this.deque[this.head].value : null;
+    }
+}
+
+class SMA {
+    constructor(period) {
+        this.period = period;
+        this.window = new RollingWindow(period);
+        this.sum = 0;
+        this.value = null;
+    }
+
+    update(price) {
+        const removed = this.window.push(price);
+        this.sum += price - (removed !== undefined ? removed : 0);
+        this.value = this.window.isFull() ? this.sum / this.period : null;
+        return this.value;
+    }
+}
+
+// EMA initialisée sur la SMA des `period` premières valeurs
+class EMA {
+    constructor(period) {
+        this.period = period;
+        this.k = 2 / (period + 1);
+        this.seed = new SMA(period);
+        this.value = null;
+    }
+
+    update(price) {
+        if (this.value === null) {
+            this.value = this.seed.update(price);
+        } else {
+            this.value = price * this.k + this.value * (1 - this.k);
+        }
+        return this.value;
+    }
+}
+
+// RSI avec lissage de Wilder
+class RSI {
+    constructor(period = 14) {
+        this.period = period;
+        this.previous = null;
+        this.avgGain = 0;
+        this.avgLoss = 0;
+        this.changes = 0;
+        this.value = null;
+    }
+
+    update(price) {
+        if (this.previous === null) {
+            this.previous = price;
+            return this.value;
+        }
+
+        const change = price - this.previous;
+        const gain = change > 0 ? change : 0;
+        const loss = change < 0 ? -change : 0;
+        this.previous = price;
+        this.changes++;
+
+        if (this.changes <= this.period) {
+            this.avgGain += gain / this.period;
+            this.avgLoss += loss / this.period;
+            if (this.changes < this.period) return this.value;
+        } else {
+            this.avgGain = (this.avgGain * (this.period - 1) + gain) / this.period;
+            this.avgLoss = (this.avgLoss * (this.period - 1) + loss) / this.period;
+        }
+
+        if (this.avgLoss === 0) {
+            this.value = 100;
+        } else {
+            this.value = 100 - (100 / (1 + this.avgGain / this.avgLoss));
+        }
+        return this.value;
+    }
+}
+
+class MACD {
+    constructor(fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+        this.fast = new EMA(fastPeriod);
+        this.slow = new EMA(slowPeriod);
+        this.signal = new EMA(signalPeriod);
+        this.value = null;
+    }
+
+    update(price) {
+        const fast = this.fast.update(price);
+        const slow = this.slow.update(price);
+        if (fast === null || slow === null) return this.value;
+
+        const macd = fast - slow;
+        const signal = this.signal.update(macd);
+        this.value = {
+            macd,
+            signal,
+            histogram: signal !== null ? macd - signal : null
+        };
+        return this.value;
+    }
+}
+
+class BollingerBands {
+    constructor(period = 20, multiplier = 2) {
+        this.period = period;
+        this.multiplier = multiplier;
+        this.window = new RollingWindow(period);
+        this.sum = 0;
+        this.sumSquares = 0;
+        this.value = null;
+    }
+
+    update(price) {
+        const removed = this.window.push(price);
+        this.sum += price;
+        this.sumSquares += price * price;
+        if (removed !== undefined) {
+            this.sum -= removed;
+            this.sumSquares -= removed * removed;
+        }
+        if (!this.window.isFull()) return this.value;
+
+        const middle = this.sum / this.period;
+        const variance = Math.max(0, this.sumSquares / this.period - middle * middle);
+        const stdDev = Math.sqrt(variance);
+        const upper = middle + this.multiplier * stdDev;
+        const lower = middle - this.multiplier * stdDev;
+
+        this.value = {
+            middle,
+            upper,
+            lower,
+            stdDev,
+            bandwidth: middle !== 0 ? (upper - lower) / middle : 0,
+            percentB: upper !== lower ? (price - lower) / (upper - lower) : 0.5
+        };
+        return this.value;
+    }
+}
+
+// Volatilité relative: écart-type / moyenne sur la période
+class Volatility {
+    constructor(period = 20) {
+        this.bands = new BollingerBands(period, 1);
+        this.value = null;
+    }
+
+    update(price) {
+        const bands = this.bands.update(price);
+        if (bands && bands.middle !== 0) {
+            this.value = bands.stdDev / bands.middle;
+        }
+        return this.value;
+    }
+}
+
+// ATR avec lissage de Wilder
+class ATR {
+    constructor(period = 14) {
+        this.period = period;
+        this.previousClose = null;
+        this.trCount = 0;
+        this.value = null;
+        this.trSum = 0;
+    }
+
+    update(candle) {
+        const { high, low, close } = candle;
+        const tr = this.previousClose === null ? high - low : Math.max(
+            high - low,
+            Math.abs(high - this.previousClose),
+            Math.abs(low - this.previousClose)
+        );
+        this.previousClose = close;
+        this.trCount++;
+
+        if (this.trCount <= this.period) {
+            this.trSum += tr;
+            if (this.trCount === this.period) this.value = this.trSum / this.period;
+        } else {
+            this.value = (this.value * (this.period - 1) + tr) / this.period;
+        }
+        return this.value;
+    }
+}
+
+// VWAP cumulatif, remis à zéro à chaque journée UTC si resetDaily
+class VWAP {
+    constructor(resetDaily = true) {
+        this.resetDaily = resetDaily;
+        this.day = null;
+        this.priceVolume = 0;
+        this.volume = 0;
+        this.value = null;
+    }
+
+    update(candle) {
+        if (this.resetDaily && candle.timestamp !== undefined) {
+            const day = Math.floor(candle.timestamp / 86400000);
+            if (day !== this.day) {
+                this.day = day;
+                this.priceVolume = 0;
+                this.volume = 0;
+            }
+        }
+
+        const typicalPrice = (candle.high + candle.low + candle.close) / 3;
+        this.priceVolume += typicalPrice * candle.volume;
+        this.volume += candle.volume;
+        this.value = this.volume > 0 ? this.priceVolume / this.volume :
+                     (this.value !== null ? this.value : typicalPrice);
+        return this.value;
+    }
+}
+
+// Stochastique: %K lissé et %D
+class Stochastic {
+    constructor(kPeriod = 14, dPeriod = 3, smoothing = 3) {
+        this.kPeriod = kPeriod;
+        this.highs = new RollingExtremum(kPeriod, (a, b) => a > b);
+        this.lows = new RollingExtremum(kPeriod, (a, b) => a < b);
+        this.kSmoothing = new SMA(smoothing);
+        this.d = new SMA(dPeriod);
+        this.count = 0;
+        this.value = null;
+    }
+
+    update(candle) {
+        const highest = this.highs.push(candle.high);
+        const lowest = this.lows.push(candle.low);
+        this.count++;
+        if (this.count < this.kPeriod) return this.value;
+
+        const rawK = highest !== lowest ? ((candle.close - lowest) / (highest - lowest)) * 100 : 50;
+        const k = this.kSmoothing.update(rawK);
+        if (k === null) return this.value;
+
+        this.value = { k, d: this.d.update(k) };
+        return this.value;
+    }
+}
+
+class Momentum {
+    constructor(period = 10) {
+        this.window = new RollingWindow(period);
+        this.value = null;
+    }
+
+    update(price) {
+        this.window.push(price);
+        if (!this.window.isFull()) return this.value;
+
+        const reference = this.window.oldest();
+        this.value = reference !== 0 ? (price - reference) / reference : 0;
+        return this.value;
+    }
+}
+
+// Support/résistance sur plus bas/plus haut glissants des clôtures
+class PriceChannel {
+    constructor(period = 20) {
+        this.highest = new RollingExtremum(period, (a, b) => a > b);
+        this.lowest = new RollingExtremum(period, (a, b) => a < b);
+        this.value = null;
+    }
+
+    update(price) {
+        this.value = {
+            support: this.lowest.push(price),
+            resistance: this.highest.push(price)
+        };
+        return this.value;
+    }
+}
+
+// ===== JEU D'INDICATEURS COMPLET =====
+// Produit le même instantané pour le bot, le backtester et les tests;
+// clés nommées par rôle (emaFast, smaSlow...), quelles que soient les périodes configurées
+const DEFAULT_PERIODS = {
+    rsi: 14,
+    rsiShort: 7,
+    smaFast: 20,
+    smaSlow: 50,
+    emaFast: 12,
+    emaSlow: 26,
+    macdSignal: 9,
+    bollinger: 20,
+    bollingerMultiplier: 2,
+    atr: 14,
+    stochasticK: 14,
+    stochasticD: 3,
+    volatility: 20,
+    momentum: 10,
+    volume: 20,
+    channel: 20
+};
+
+class IndicatorSet {
+    constructor(periods = {}) {
+        this.periods = { ...DEFAULT_PERIODS, ...periods };
+        const p = this.periods;
+
+        this.rsi = new RSI(p.rsi);
+        this.rsiShort = new RSI(p.rsiShort);
+        this.smaFast = new SMA(p.smaFast);
+        this.smaSlow = new SMA(p.smaSlow);
+        this.emaFast = new EMA(p.emaFast);
+        this.emaSlow = new EMA(p.emaSlow);
+        this.macd = new MACD(p.emaFast, p.emaSlow, p.macdSignal);
+        this.bollinger = new BollingerBands(p.bollinger, p.bollingerMultiplier);
+        this.atr = new ATR(p.atr);
+        this.vwap = new VWAP();
+        this.stochastic = new Stochastic(p.stochasticK, p.stochasticD);
+        this.volatility = new Volatility(p.volatility);
+        this.momentum = new Momentum(p.momentum);
+        this.volumeAvg = new SMA(p.volume);
+        this.channel = new PriceChannel(p.channel);
+
+        this.count = 0;
+        this.lastCandle = null;
+    }
+
+    update(candle) {
+        const price = candle.close;
+
+        this.rsi.update(price);
+        this.rsiShort.update(price);
+        this.smaFast.update(price);
+        this.smaSlow.update(price);
+        this.emaFast.update(price);
+        this.emaSlow.update(price);
+        this.macd.update(price);
+        this.bollinger.update(price);
+        this.atr.update(candle);
+        this.vwap.update(candle);
+        this.stochastic.update(candle);
+        this.volatility.update(price);
+        this.momentum.update(price);
+        this.volumeAvg.update(candle.volume);
+        this.channel.update(price);
+
+        this.count++;
+        this.lastCandle = candle;
+        return this.snapshot();
+    }
+
+    // Prêt quand tous les indicateurs principaux ont une valeur
+    isReady() {
+        return this.rsi.value !== null &&
+               this.smaSlow.value !== null &&
+               this.macd.value !== null && this.macd.value.signal !== null &&
+               this.bollinger.value !== null &&
+               this.atr.value !== null &&
+               this.stochastic.value !== null && this.stochastic.value.d !== null;
+    }
+
+    snapshot() {
+        const candle = this.lastCandle;
+        if (!candle) return null;
+
+        const volumeAvg = this.volumeAvg.value;
+        const channel = this.channel.value;
+
+        return {
+            rsi: this.rsi.value,
+            rsiShort: this.rsiShort.value,
+            smaFast: this.smaFast.value,
+            smaSlow: this.smaSlow.value,
+            emaFast: this.emaFast.value,
+            emaSlow: this.emaSlow.value,
+            macd: this.macd.value,
+            bollinger: this.bollinger.value,
+            atr: this.atr.value,
+            vwap: this.vwap.value,
+            stochastic: this.stochastic.value,
+            volatility: this.volatility.value,
+            momentum: this.momentum.value,
+            volumeAvg,
+            volumeRatio: volumeAvg ? candle.volume / volumeAvg : null,
+            support: channel.support,
+            resistance: channel.resistance,
+            currentPrice: candle.close,
+            timestamp: candle.timestamp,
+            ready: this.isReady()
+        };
+    }
+}
+
+// Alimente un indicateur avec une série complète et renvoie sa dernière valeur
+// (remplace les anciens calculateRSI/SMA/EMA... recopiés dans chaque module)
+function computeIndicator(indicator, inputs) {
+    inputs.forEach(input => indicator.update(input));
+    return indicator.value;
+}
+
+module.exports = {
+    RollingWindow,
+    RollingExtremum,
+    SMA,
+    EMA,
+    RSI,
+    MACD,
+    BollingerBands,
+    Volatility,
+    ATR,
+    VWAP,
+    Stochastic,
+    Momentum,
+    PriceChannel,
+    IndicatorSet,
+    DEFAULT_PERIODS,
+    computeIndicator
+};
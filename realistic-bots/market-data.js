@@ -0,0 +1,308 @@
+// ===== SOURCES DE DONNÉES DE MARCHÉ =====
+// Interface commune MarketDataSource + implémentations :
+//  - RandomWalkSource : marche aléatoire historique du bot
+//  - ReplaySource     : rejeu de chandeliers CSV/JSON/archives Binance (ex: tradingData de state.json)
+//  - WebSocketSource  : flux local (format simple ou klines Binance)
+const EventEmitter = require('events');
+const { createRandom } = require('./random');
+const { SystemClock } = require('./clock');
+const { loadCandleFile, normalizeCandle } = require('./candle-loader');
+
+// ===== INTERFACE =====
+// Événements émis :
+//  - 'candle' { symbol, timestamp, open, high, low, close, volume }
+//  - 'end'    quand une source finie n'a plus de données
+//  - 'error'  erreurs de connexion / parsing (non bloquantes)
+class MarketDataSource extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.options = options;
+        this.clock = options.clock || new SystemClock();
+        this.prices = {};
+        this.lastCandles = {};
+        this.isRunning = false;
+    }
+
+    start() {
+        throw new Error(`${this.constructor.name}.start() non implémenté`);
+    }
+
+    stop() {
+        this.isRunning = false;
+    }
+
+    getSymbols() {
+        return Object.keys(this.prices);
+    }
+
+    getPrice(symbol) {
+        return this.prices[symbol];
+    }
+
+    getPrices() {
+        return { ...this.prices };
+    }
+
+    getLastCandle(symbol) {
+        return this.lastCandles[symbol] || null;
+    }
+
+    // Point d'entrée unique pour publier un chandelier
+    publish(candle) {
+        this.prices[candle.symbol] = candle.close;
+        this.lastCandles[candle.symbol] = candle;
+        this.emit('candle', candle);
+    }
+
+    // Évite le crash EventEmitter quand personne n'écoute 'error'
+    reportError(error) {
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', error);
+        } else {
+            console.error(`❌ [MARKET DATA] ${error.message}`);
+        }
+    }
+}
+
+// ===== MARCHE ALÉATOIRE =====
+class RandomWalkSource extends MarketDataSource {
+    constructor(options = {}) {
+        super(options);
+        this.symbols = options.symbols || {};
+        this.interval = options.interval || 5000;
+        this.random = options.random || createRandom();
+        this.timer = null;
+
+        // Prix initiaux avec volatilité réaliste
+        Object.entries(this.symbols).forEach(([symbol, spec]) => {
+            this.prices[symbol] = spec.base + this.random.random() * (spec.range || 0);
+        });
+    }
+
+    start() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+        this.timer = this.clock.setInterval(() => this.step(), this.interval);
+    }
+
+    stop() {
+        super.stop();
+        if (this.timer) {
+            this.clock.clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    step() {
+        const timestamp = this.clock.now();
+
+        Object.keys(this.prices).forEach(symbol => {
+            // Volatilité variable selon la crypto
+            const volatility = (this.symbols[symbol] && this.symbols[symbol].volatility) || 0.02;
+            const open = this.prices[symbol];
+
+            const change = (this.random.random() - 0.5) * volatility;
+            let close = open * (1 + change);
+            close = Math.round(close * 10000) / 10000;
+
+            this.publish({
+                symbol,
+                timestamp,
+                open,
+                high: Math.max(open, close),
+                low: Math.min(open, close),
+                close,
+                volume: this.random.random()
+            });
+        });
+    }
+}
+
+// ===== REJEU DE CHANDELIERS =====
+class ReplaySource extends MarketDataSource {
+    constructor(options = {}) {
+        super(options);
+        this.interval = options.interval || 5000;
+        this.loop = options.loop === true;
+        this.timer = null;
+        this.cursors = {};
+
+        this.series = options.series || loadCandleFile(options.file, options);
+        Object.keys(this.series).forEach(symbol => {
+            if (this.series[symbol].length === 0) {
+                delete this.series[symbol];
+                return;
+            }
+            this.cursors[symbol] = 0;
+            this.prices[symbol] = this.series[symbol][0].open;
+        });
+
+        if (Object.keys(this.series).length === 0) {
+            throw new Error(`Aucun chandelier exploitable dans ${options.file}`);
+        }
+    }
+
+    start() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+        this.timer = this.clock.setInterval(() => this.step(), this.interval);
+    }
+
+    stop() {
+        super.stop();
+        if (this.timer) {
+            this.clock.clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Avance d'un chandelier par symbole; renvoie false quand tout est consommé
+    step() {
+        let advanced = false;
+
+        Object.keys(this.series).forEach(symbol => {
+            const candles = this.series[symbol];
+            if (this.cursors[symbol] >= candles.length) {
+                if (!this.loop) return;
+                this.cursors[symbol] = 0;
+            }
+            this.publish(candles[this.cursors[symbol]++]);
+            advanced = true;
+        });
+
+        if (!advanced) {
+            this.stop();
+            this.emit('end');
+        }
+        return advanced;
+    }
+}
+
+// ===== FLUX WEBSOCKET LOCAL =====
+class WebSocketSource extends MarketDataSource {
+    constructor(options = {}) {
+        super(options);
+        this.url = options.url || 'ws://localhost:8080';
+        this.reconnectDelay = options.reconnectDelay || 5000;
+        this.ws = null;
+        this.reconnectTimer = null;
+    }
+
+    start() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+        this.connect();
+    }
+
+    stop() {
+        super.stop();
+        if (this.reconnectTimer) {
+            this.clock.clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        if (this.ws) {
+            this.ws.removeAllListeners();
+            this.ws.on('error', () => {});
+            this.ws.close();
+            this.ws = null;
+        }
+    }
+
+    connect() {
+        // Chargé à la demande: 'ws' n'est nécessaire que pour cette source
+        const WebSocket = require('ws');
+        this.ws = new WebSocket(this.url);
+
+        this.ws.on('open', () => {
+            console.log(`📡 Flux de marché connecté: ${this.url}`);
+        });
+
+        this.ws.on('message', (data) => {
+            try {
+                const candles = parseStreamMessage(JSON.parse(data.toString()), this.clock.now());
+                candles.forEach(candle => this.publish(candle));
+            } catch (error) {
+                this.reportError(new Error(`Message WebSocket invalide: ${error.message}`));
+            }
+        });
+
+        this.ws.on('error', (error) => {
+            this.reportError(new Error(`WebSocket ${this.url}: ${error.message}`));
+        });
+
+        this.ws.on('close', () => {
+            if (!this.isRunning) return;
+            this.reconnectTimer = this.clock.setTimeout(() => this.connect(), this.reconnectDelay);
+        });
+    }
+}
+
+// ===== PARSING =====
+// Messages acceptés: chandelier/tick simple, tableau de ticks,
+// kline Binance { e: 'kline', s, k } et flux combiné { stream, data }
+function parseStreamMessage(message, receivedAt = Date.now()) {
+    if (Array.isArray(message)) {
+        return message.flatMap(item => parseStreamMessage(item, receivedAt));
+    }
+    if (message.stream && message.data) {
+        return parseStreamMessage(message.data, receivedAt);
+    }
+    if (message.k) {
+        const k = message.k;
+        return [normalizeCandle({
+            symbol: message.s || k.s,
+            timestamp: k.t,
+            open: k.o,
+            high: k.h,
+            low: k.l,
+            close: k.c,
+            volume: k.v
+        })].filter(Boolean);
+    }
+
+    if (!message.symbol) return [];
+    const candle = normalizeCandle({ timestamp: receivedAt, ...message });
+    return candle ? [candle] : [];
+}
+
+// ===== FABRIQUE =====
+function createMarketDataSource(config, { random, clock } = {}) {
+    const interval = config.UPDATE_INTERVAL;
+
+    switch (config.SOURCE) {
+        case 'random':
+            return new RandomWalkSource({
+                symbols: config.SYMBOLS,
+                interval,
+                random,
+                clock
+            });
+        case 'replay':
+            return new ReplaySource({
+                file: config.REPLAY.FILE,
+                loop: config.REPLAY.LOOP,
+                symbols: config.REPLAY.SYMBOLS,
+                interval,
+                clock
+            });
+        case 'websocket':
+            return new WebSocketSource({
+                url: config.WEBSOCKET.URL,
+                reconnectDelay: config.WEBSOCKET.RECONNECT_DELAY,
+                clock
+            });
+        default:
+            throw new Error(`Source de données inconnue: ${config.SOURCE}`);
+    }
+}
+
+module.exports = {
+    MarketDataSource,
+    RandomWalkSource,
+    ReplaySource,
+    WebSocketSource,
+    createMarketDataSource,
+    loadCandleFile,
+    normalizeCandle,
+    parseStreamMessage
+};
@@ -0,0 +1,489 @@
+// ===== MOTEUR D'APPARIEMENT PAPIER =====
+// Émule localement le cycle de vie des ordres Binance pour le paper trading :
+//  - types MARKET, LIMIT, LIMIT_MAKER, STOP_LOSS_LIMIT et listes OCO
+//  - validité GTC / IOC / FOK, exécutions partielles, annulation
+// Le carnet est synthétique: prix médian = dernier chandelier, spread, profondeur et frais
+// donnés par ExecutionCostModel (execution-costs.js).
+//  - taker: exécution immédiate au prix du modèle (spread + glissement), bornée par le prix limite
+//  - maker: un ordre au repos est exécuté à son prix quand un chandelier le traverse,
+//           dans la limite de participation × profondeur par chandelier
+// Événement 'order' (ordre, exécution) à chaque changement d'état; exécution = null sinon.
+const EventEmitter = require('events');
+const { SystemClock } = require('./clock');
+const { LIQUIDITY } = require('./execution-costs');
+
+const ORDER_TYPES = {
+    MARKET: 'MARKET',
+    LIMIT: 'LIMIT',
+    LIMIT_MAKER: 'LIMIT_MAKER',         // rejeté s'il serait exécuté immédiatement
+    STOP_LOSS_LIMIT: 'STOP_LOSS_LIMIT'  // devient un LIMIT quand le prix franchit stopPrice
+};
+
+const TIME_IN_FORCE = {
+    GTC: 'GTC', // reste au carnet jusqu'à exécution ou annulation
+    IOC: 'IOC', // exécute ce qui est disponible, expire le reste
+    FOK: 'FOK'  // tout ou rien, sinon expire
+};
+
+const ORDER_STATUS = {
+    NEW: 'NEW',
+    PARTIALLY_FILLED: 'PARTIALLY_FILLED',
+    FILLED: 'FILLED',
+    CANCELED: 'CANCELED',
+    EXPIRED: 'EXPIRED',
+    REJECTED: 'REJECTED'
+};
+
+const LIST_STATUS = {
+    EXECUTING: 'EXECUTING',
+    ALL_DONE: 'ALL_DONE'
+};
+
+const EPSILON = 1e-12;
+
+function isOpen(order) {
+    return order.status === ORDER_STATUS.NEW || order.status === ORDER_STATUS.PARTIALLY_FILLED;
+}
+
+function remainingQty(order) {
+    return order.origQty - order.executedQty;
+}
+
+// Agrège plusieurs exécutions (prix moyen pondéré, coûts cumulés)
+function summarizeFills(fills) {
+    const total = fills.reduce((sum, fill) => ({
+        quantity: sum.quantity + fill.quantity,
+        notional: sum.notional + fill.notional,
+        fee: sum.fee + fill.fee,
+        spreadCost: sum.spreadCost + fill.spreadCost,
+        slippageCost: sum.slippageCost + fill.slippageCost
+    }), { quantity: 0, notional: 0, fee: 0, spreadCost: 0, slippageCost: 0 });
+    const liquidities = [...new Set(fills.map(fill => fill.liquidity))];
+
+    return {
+        ...total,
+        price: total.quantity > 0 ? total.notional / total.quantity : 0,
+        feeRate: total.notional > 0 ? total.fee / total.notional : 0,
+        liquidity: liquidities.length === 1 ? liquidities[0] : 'MIXED'
+    };
+}
+
+class MatchingEngine extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.clock = options.clock || new SystemClock();
+        this.costs = options.costs;
+        this.participation = options.participation !== undefined ? options.participation : 0.05;
+        this.markets = {};           // symbol -> { price, volumeRatio }
+        this.orders = new Map();     // orderId -> ordre (tous états)
+        this.orderLists = new Map(); // orderListId -> liste OCO
+        this.nextOrderId = 1;
+        this.nextOrderListId = 1;
+        this.nextFillId = 1;
+    }
+
+    getPrice(symbol) {
+        return this.markets[symbol] ? this.markets[symbol].price : null;
+    }
+
+    // ===== FLUX DE PRIX =====
+    // Sans détail intrabar, trajet supposé: ouverture → plus bas → plus haut → clôture
+    // pour un chandelier haussier, ouverture → plus haut → plus bas → clôture sinon
+    processCandle(candle, volumeRatio = 1) {
+        const market = this.markets[candle.symbol] || (this.markets[candle.symbol] = {});
+        market.volumeRatio = volumeRatio;
+
+        if (market.price !== undefined) {
+            const budget = { notional: this.participation * this.costs.getDepth(candle.symbol, volumeRatio) };
+            const phases = candle.close >= candle.open ? ['LOW', 'HIGH'] : ['HIGH', 'LOW'];
+            let start = candle.open;
+
+            phases.forEach(phase => {
+                const extreme = phase === 'LOW' ? candle.low : candle.high;
+                this.triggerStops(candle.symbol, phase, start, extreme);
+                this.fillRestingOrders(candle.symbol, phase, extreme, budget);
+                start = extreme;
+            });
+        }
+
+        market.price = candle.close;
+    }
+
+    // Stops franchis pendant le mouvement start → extreme (vente en baisse, achat en hausse)
+    triggerStops(symbol, phase, start, extreme) {
+        this.getOpen(symbol)
+            .filter(order => order.type === ORDER_TYPES.STOP_LOSS_LIMIT && !order.isWorking)
+            .filter(order => phase === 'LOW' ?
+                order.side === 'SELL' && extreme <= order.stopPrice :
+                order.side === 'BUY' && extreme >= order.stopPrice)
+            .forEach(order => {
+                if (!isOpen(order)) return; // annulé par une autre jambe OCO
+                // Prix au franchissement: le stop, ou l'ouverture en cas de gap
+                const crossPrice = order.side === 'SELL' ?
+                    Math.min(start, order.stopPrice) :
+                    Math.max(start, order.stopPrice);
+
+                order.isWorking = true;
+                order.updateTime = this.clock.now();
+                this.emitUpdate(order, null);
+                this.cancelSiblings(order);
+                this.executeLimit(order, crossPrice);
+            });
+    }
+
+    // Ordres au repos traversés par le prix: meilleur prix puis ancienneté, au prix limite
+    fillRestingOrders(symbol, phase, extreme, budget) {
+        const side = phase === 'LOW' ? 'BUY' : 'SELL';
+
+        this.getOpen(symbol)
+            .filter(order => order.isWorking && order.side === side)
+            .filter(order => side === 'BUY' ? extreme < order.price : extreme > order.price)
+            .sort((a, b) => (side === 'BUY' ? b.price - a.price : a.price - b.price) || a.orderId - b.orderId)
+            .forEach(order => {
+                if (!isOpen(order)) return;
+                const quantity = Math.min(remainingQty(order), budget.notional / order.price);
+                if (quantity <= EPSILON) return;
+
+                budget.notional -= quantity * order.price;
+                this.applyFill(order, this.makerFill(order, quantity));
+            });
+    }
+
+    // ===== ORDRES =====
+    // Paramètres Binance: symbol, side, type, quantity | quoteOrderQty (MARKET),
+    // price, stopPrice, timeInForce, clientOrderId. Renvoie l'état après exécution immédiate.
+    submitOrder(params) {
+        const order = this.createOrder(params);
+        this.register(order);
+        this.activate(order);
+        return this.snapshot(order);
+    }
+
+    // OCO: LIMIT_MAKER (objectif) + STOP_LOSS_LIMIT (protection) du même côté;
+    // l'exécution de l'un (ou le déclenchement du stop) annule l'autre
+    submitOco(params) {
+        const { symbol, side, quantity, price, stopPrice } = params;
+        const market = this.getPrice(symbol);
+        const valid = side === 'SELL' ?
+            price > market && market > stopPrice :
+            price < market && market < stopPrice;
+        if (!valid) {
+            throw new Error(`Prix OCO invalides pour ${side} ${symbol}: limite ${price}, marché ${market}, stop ${stopPrice}`);
+        }
+
+        const list = {
+            orderListId: this.nextOrderListId++,
+            listClientOrderId: params.listClientOrderId || `paper_list_${this.nextOrderListId - 1}`,
+            symbol,
+            listOrderStatus: LIST_STATUS.EXECUTING,
+            orderIds: []
+        };
+        const legs = [
+            this.createOrder({
+                symbol, side, quantity, price,
+                type: ORDER_TYPES.LIMIT_MAKER,
+                clientOrderId: params.limitClientOrderId
+            }),
+            this.createOrder({
+                symbol, side, quantity, stopPrice,
+                type: ORDER_TYPES.STOP_LOSS_LIMIT,
+                price: params.stopLimitPrice || stopPrice,
+                timeInForce: params.stopLimitTimeInForce,
+                clientOrderId: params.stopClientOrderId
+            })
+        ];
+
+        this.orderLists.set(list.orderListId, list);
+        legs.forEach(order => {
+            order.orderListId = list.orderListId;
+            list.orderIds.push(order.orderId);
+            this.register(order);
+        });
+        legs.forEach(order => this.activate(order));
+
+        return this.getOrderList(list.orderListId);
+    }
+
+    createOrder(params) {
+        const { symbol, side, type } = params;
+        if (this.getPrice(symbol) === null) {
+            throw new Error(`Pas de prix de marché pour ${symbol}`);
+        }
+        if (side !== 'BUY' && side !== 'SELL') {
+            throw new Error(`Côté d'ordre invalide: ${side}`);
+        }
+        if (!ORDER_TYPES[type]) {
+            throw new Error(`Type d'ordre non supporté: ${type}`);
+        }
+
+        const quoteOrderQty = type === ORDER_TYPES.MARKET && !params.quantity ? params.quoteOrderQty : null;
+        if (!(params.quantity > 0) && !(quoteOrderQty > 0)) {
+            throw new Error(`Quantité invalide: ${params.quantity}`);
+        }
+        if (type !== ORDER_TYPES.MARKET && !(params.price > 0)) {
+            throw new Error(`Prix limite requis pour un ordre ${type}`);
+        }
+        if (type === ORDER_TYPES.STOP_LOSS_LIMIT && !(params.stopPrice > 0)) {
+            throw new Error('stopPrice requis pour un ordre STOP_LOSS_LIMIT');
+        }
+
+        const timeInForce = type === ORDER_TYPES.LIMIT || type === ORDER_TYPES.STOP_LOSS_LIMIT ?
+            params.timeInForce || TIME_IN_FORCE.GTC : null;
+        if (timeInForce && !TIME_IN_FORCE[timeInForce]) {
+            throw new Error(`timeInForce invalide: ${timeInForce}`);
+        }
+
+        const orderId = this.nextOrderId++;
+        const now = this.clock.now();
+        return {
+            orderId,
+            orderListId: -1,
+            clientOrderId: params.clientOrderId || `paper_${orderId}`,
+            symbol,
+            side,
+            type,
+            timeInForce,
+            price: type === ORDER_TYPES.MARKET ? null : params.price,
+            stopPrice: type === ORDER_TYPES.STOP_LOSS_LIMIT ? params.stopPrice : null,
+            origQty: quoteOrderQty ? null : params.quantity,
+            quoteOrderQty,
+            executedQty: 0,
+            cummulativeQuoteQty: 0,
+            status: ORDER_STATUS.NEW,
+            isWorking: false,
+            rejectReason: null,
+            fills: [],
+            time: now,
+            updateTime: now
+        };
+    }
+
+    register(order) {
+        this.orders.set(order.orderId, order);
+        this.emitUpdate(order, null);
+    }
+
+    activate(order) {
+        const price = this.getPrice(order.symbol);
+
+        switch (order.type) {
+            case ORDER_TYPES.MARKET:
+                this.applyFill(order, this.takerFill(order, price, order.origQty === null ? null : remainingQty(order)));
+                break;
+
+            case ORDER_TYPES.LIMIT:
+                order.isWorking = true;
+                this.executeLimit(order, price);
+                break;
+
+            case ORDER_TYPES.LIMIT_MAKER:
+                if (this.getTakerQuantity(order, price) > EPSILON) {
+                    this.reject(order, 'Order would immediately match and take.');
+                    break;
+                }
+                order.isWorking = true;
+                break;
+
+            case ORDER_TYPES.STOP_LOSS_LIMIT:
+                if (order.side === 'SELL' ? price <= order.stopPrice : price >= order.stopPrice) {
+                    this.reject(order, 'Stop price would trigger immediately.');
+                }
+                break;
+        }
+    }
+
+    // Partie exécutable immédiatement selon timeInForce; le reste attend (GTC) ou expire
+    executeLimit(order, midPrice) {
+        const available = Math.min(remainingQty(order), this.getTakerQuantity(order, midPrice));
+        const fillOrKill = order.timeInForce === TIME_IN_FORCE.FOK;
+
+        if (available > EPSILON && (!fillOrKill || available >= remainingQty(order) - EPSILON)) {
+            this.applyFill(order, this.takerFill(order, midPrice, available));
+        }
+        if (isOpen(order) && order.timeInForce !== TIME_IN_FORCE.GTC) {
+            this.finish(order, ORDER_STATUS.EXPIRED);
+        }
+    }
+
+    // Quantité prenable sans que le prix moyen dépasse la limite
+    getTakerQuantity(order, midPrice) {
+        const sign = order.side === 'BUY' ? 1 : -1;
+        const halfSpread = this.costs.getSpread(order.symbol) / 2;
+        const maxSlippage = sign * (order.price / midPrice - 1) - halfSpread;
+        const volumeRatio = this.markets[order.symbol].volumeRatio;
+        return this.costs.getMaxNotional(order.symbol, maxSlippage, volumeRatio) / midPrice;
+    }
+
+    // quantity = null: MARKET en devise de cotation (quoteOrderQty)
+    takerFill(order, midPrice, quantity) {
+        const fill = this.costs.fill({
+            symbol: order.symbol,
+            side: order.side,
+            midPrice,
+            quantity: quantity === null ? undefined : quantity,
+            notional: quantity === null ? order.quoteOrderQty : undefined,
+            volumeRatio: this.markets[order.symbol].volumeRatio,
+            time: this.clock.now()
+        });
+        if (order.origQty === null) order.origQty = fill.quantity;
+
+        return {
+            tradeId: this.nextFillId++,
+            orderId: order.orderId,
+            price: fill.price,
+            quantity: fill.quantity,
+            notional: fill.notional,
+            midPrice,
+            liquidity: LIQUIDITY.TAKER,
+            feeRate: fill.feeRate,
+            fee: fill.fee,
+            spreadCost: fill.spreadCost,
+            slippageCost: fill.slippageCost,
+            time: this.clock.now()
+        };
+    }
+
+    makerFill(order, quantity) {
+        const now = this.clock.now();
+        const notional = quantity * order.price;
+        const feeRate = this.costs.getFeeRate(LIQUIDITY.MAKER, now);
+        this.costs.recordVolume(now, notional);
+
+        return {
+            tradeId: this.nextFillId++,
+            orderId: order.orderId,
+            price: order.price,
+            quantity,
+            notional,
+            midPrice: order.price,
+            liquidity: LIQUIDITY.MAKER,
+            feeRate,
+            fee: notional * feeRate,
+            spreadCost: 0,
+            slippageCost: 0,
+            time: now
+        };
+    }
+
+    applyFill(order, fill) {
+        order.executedQty += fill.quantity;
+        order.cummulativeQuoteQty += fill.notional;
+        order.fills.push(fill);
+        order.status = remainingQty(order) <= EPSILON ? ORDER_STATUS.FILLED : ORDER_STATUS.PARTIALLY_FILLED;
+        if (order.status === ORDER_STATUS.FILLED) order.isWorking = false;
+        order.updateTime = fill.time;
+
+        this.emitUpdate(order, fill);
+        this.cancelSiblings(order);
+        this.updateListStatus(order);
+    }
+
+    reject(order, reason) {
+        order.rejectReason = reason;
+        this.finish(order, ORDER_STATUS.REJECTED);
+    }
+
+    finish(order, status) {
+        order.status = status;
+        order.isWorking = false;
+        order.updateTime = this.clock.now();
+        this.emitUpdate(order, null);
+        this.updateListStatus(order);
+    }
+
+    // ===== ANNULATION =====
+    // Annuler une jambe OCO annule toute la liste (comme Binance)
+    cancelOrder(orderId) {
+        const order = this.orders.get(orderId);
+        if (!order || !isOpen(order)) {
+            throw new Error(`Ordre ${orderId} inconnu ou déjà clôturé`);
+        }
+
+        if (order.orderListId !== -1) {
+            this.cancelOrderList(order.orderListId);
+        } else {
+            this.finish(order, ORDER_STATUS.CANCELED);
+        }
+        return this.snapshot(order);
+    }
+
+    cancelOrderList(orderListId) {
+        const list = this.orderLists.get(orderListId);
+        if (!list || list.listOrderStatus === LIST_STATUS.ALL_DONE) {
+            throw new Error(`Liste d'ordres ${orderListId} inconnue ou déjà clôturée`);
+        }
+
+        list.orderIds
+            .map(orderId => this.orders.get(orderId))
+            .filter(isOpen)
+            .forEach(order => this.finish(order, ORDER_STATUS.CANCELED));
+        return this.getOrderList(orderListId);
+    }
+
+    cancelSiblings(order) {
+        if (order.orderListId === -1) return;
+
+        this.orderLists.get(order.orderListId).orderIds
+            .filter(orderId => orderId !== order.orderId)
+            .map(orderId => this.orders.get(orderId))
+            .filter(isOpen)
+            .forEach(sibling => this.finish(sibling, ORDER_STATUS.CANCELED));
+    }
+
+    updateListStatus(order) {
+        if (order.orderListId === -1) return;
+
+        const list = this.orderLists.get(order.orderListId);
+        if (list.orderIds.every(orderId => !isOpen(this.orders.get(orderId)))) {
+            list.listOrderStatus = LIST_STATUS.ALL_DONE;
+        }
+    }
+
+    // ===== CONSULTATION =====
+    getOpen(symbol = null) {
+        return [...this.orders.values()].filter(order => isOpen(order) && (!symbol || order.symbol === symbol));
+    }
+
+    getOpenOrders(symbol = null) {
+        return this.getOpen(symbol).map(order => this.snapshot(order));
+    }
+
+    getOrder(orderId) {
+        const order = this.orders.get(orderId);
+        return order ? this.snapshot(order) : null;
+    }
+
+    getOrderList(orderListId) {
+        const list = this.orderLists.get(orderListId);
+        if (!list) return null;
+
+        return {
+            orderListId: list.orderListId,
+            listClientOrderId: list.listClientOrderId,
+            symbol: list.symbol,
+            listOrderStatus: list.listOrderStatus,
+            orders: list.orderIds.map(orderId => this.getOrder(orderId))
+        };
+    }
+
+    snapshot(order) {
+        return {
+            ...order,
+            avgPrice: order.executedQty > 0 ? order.cummulativeQuoteQty / order.executedQty : 0,
+            fills: order.fills.slice()
+        };
+    }
+
+    emitUpdate(order, fill) {
+        this.emit('order', this.snapshot(order), fill);
+    }
+}
+
+module.exports = {
+    MatchingEngine,
+    ORDER_TYPES,
+    TIME_IN_FORCE,
+    ORDER_STATUS,
+    LIST_STATUS,
+    summarizeFills
+};
@@ -0,0 +1,370 @@
+// ===== SERVEUR BINANCE LOCAL =====
+// Serveur HTTP + WebSocket qui parle les formats REST/flux de Binance, adossé à une PaperExchange.
+// Permet de faire tourner BinanceAPI (attached_assets/binance_integration) sans réseau :
+//  - endpoints publics (ping, time, exchangeInfo, ticker/price, klines)
+//  - endpoints signés HMAC-SHA256 (account, order, order/oco, openOrders) avec X-MBX-APIKEY,
+//    timestamp et recvWindow vérifiés comme sur Binance
+//  - poids des requêtes par minute: en-têtes x-mbx-used-weight(-1m) / x-mbx-order-count-1m,
+//    réponse 429 (-1003 / -1015) au-delà des limites
+//  - flux /ws/<symbole>@kline_<intervalle>, /ws/<symbole>@ticker et /ws/<listenKey> (executionReport)
+// Usage: node realistic-bots/mock-binance-server.js [--port 9400]
+const http = require('http');
+const crypto = require('crypto');
+const { PaperExchange } = require('./paper-exchange');
+const { ERROR_CODES, exchangeError } = require('./exchange-adapter');
+
+const MINUTE = 60000;
+
+// Poids Binance des endpoints émulés (orders: ordres comptés dans la limite d'ordres)
+const ROUTES = {
+    'GET /api/v3/ping': { weight: 1, handler: 'ping' },
+    'GET /api/v3/time': { weight: 1, handler: 'time' },
+    'GET /api/v3/exchangeInfo': { weight: 20, handler: 'exchangeInfo' },
+    'GET /api/v3/ticker/price': { weight: 2, handler: 'tickerPrice' },
+    'GET /api/v3/klines': { weight: 2, handler: 'klines' },
+    'GET /api/v3/account': { weight: 20, handler: 'account', signed: true },
+    'POST /api/v3/order': { weight: 1, handler: 'newOrder', signed: true, orders: 1 },
+    'GET /api/v3/order': { weight: 4, handler: 'queryOrder', signed: true },
+    'DELETE /api/v3/order': { weight: 1, handler: 'cancelOrder', signed: true },
+    'GET /api/v3/openOrders': { weight: 6, handler: 'openOrders', signed: true },
+    'POST /api/v3/order/oco': { weight: 1, handler: 'newOco', signed: true, orders: 2 },
+    'POST /api/v3/userDataStream': { weight: 2, handler: 'newListenKey', apiKey: true },
+    'PUT /api/v3/userDataStream': { weight: 2, handler: 'keepListenKey', apiKey: true },
+    'DELETE /api/v3/userDataStream': { weight: 2, handler: 'closeListenKey', apiKey: true }
+};
+
+function requireParam(params, name) {
+    if (params[name] === undefined || params[name] === '') {
+        throw exchangeError(ERROR_CODES.MANDATORY_PARAM, `Mandatory parameter '${name}' was not sent, was empty/null, or malformed.`);
+    }
+    return params[name];
+}
+
+class MockBinanceServer {
+    constructor(options = {}) {
+        this.exchange = options.exchange || new PaperExchange(options);
+        this.clock = this.exchange.clock;
+        this.apiKey = options.apiKey || 'mock-api-key';
+        this.apiSecret = options.apiSecret || 'mock-api-secret';
+        this.weightLimit = options.weightLimit || 1200;
+        this.orderLimit = options.orderLimit || 100;
+        this.usage = { window: 0, weight: 0, orders: 0 };
+        this.listenKeys = new Set();
+        this.server = null;
+        this.wss = null;
+    }
+
+    // Démarre sur 127.0.0.1; port 0 = port libre. Renvoie les URLs à passer à BinanceAPI.
+    start(port = 0) {
+        const WebSocket = require('ws');
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        this.wss = new WebSocket.Server({ server: this.server });
+        this.wss.on('connection', (ws, req) => this.handleStream(ws, req));
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, '127.0.0.1', () => {
+                const address = `127.0.0.1:${this.server.address().port}`;
+                this.urls = { baseURL: `http://${address}`, wsBaseURL: `ws://${address}/ws` };
+                console.log(`🧪 Serveur Binance local: ${this.urls.baseURL}`);
+                resolve(this.urls);
+            });
+        });
+    }
+
+    stop() {
+        if (!this.server) return Promise.resolve();
+
+        this.wss.clients.forEach(ws => ws.terminate());
+        this.wss.close();
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    // ===== HTTP =====
+    handleRequest(req, res) {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', async () => {
+            const url = new URL(req.url, 'http://localhost');
+            const route = ROUTES[`${req.method} ${url.pathname}`];
+            const headers = {};
+
+            try {
+                if (!route) {
+                    throw Object.assign(exchangeError(ERROR_CODES.UNKNOWN, `Endpoint inconnu: ${req.method} ${url.pathname}`), { status: 404 });
+                }
+
+                const query = url.search.slice(1);
+                const totalParams = [query, body].filter(Boolean).join('&');
+                const params = Object.fromEntries(new URLSearchParams(totalParams));
+                const weight = route.handler === 'openOrders' && !params.symbol ? 80 : route.weight;
+
+                this.consumeWeight(weight, route.orders || 0, headers);
+                if (route.signed || route.apiKey) this.checkApiKey(req);
+                if (route.signed) this.checkSignature(totalParams, params);
+
+                const result = await this[route.handler](params);
+                this.send(res, 200, result, headers);
+            } catch (error) {
+                const status = error.status || (error.code ? 400 : 500);
+                this.send(res, status, { code: error.code || ERROR_CODES.UNKNOWN, msg: error.message }, {
+                    ...headers,
+                    ...(error.retryAfter ? { 'Retry-After': String(error.retryAfter) } : {})
+                });
+            }
+        });
+    }
+
+    send(res, status, payload, headers) {
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(payload));
+    }
+
+    // Fenêtre d'une minute calée sur l'horloge, comme les compteurs Binance
+    consumeWeight(weight, orders, headers) {
+        const now = this.clock.now();
+        const window = Math.floor(now / MINUTE) * MINUTE;
+        if (window !== this.usage.window) {
+            this.usage = { window, weight: 0, orders: 0 };
+        }
+
+        this.usage.weight += weight;
+        this.usage.orders += orders;
+        headers['x-mbx-used-weight'] = String(this.usage.weight);
+        headers['x-mbx-used-weight-1m'] = String(this.usage.weight);
+        if (orders > 0) headers['x-mbx-order-count-1m'] = String(this.usage.orders);
+
+        const retryAfter = Math.ceil((window + MINUTE - now) / 1000);
+        if (this.usage.weight > this.weightLimit) {
+            throw Object.assign(exchangeError(ERROR_CODES.TOO_MANY_REQUESTS,
+                `Too much request weight used; current limit is ${this.weightLimit} request weight per 1 MINUTE.`), { status: 429, retryAfter });
+        }
+        if (this.usage.orders > this.orderLimit) {
+            throw Object.assign(exchangeError(ERROR_CODES.TOO_MANY_ORDERS,
+                `Too many new orders; current limit is ${this.orderLimit} orders per MINUTE.`), { status: 429, retryAfter });
+        }
+    }
+
+    checkApiKey(req) {
+        if (req.headers['x-mbx-apikey'] !== this.apiKey) {
+            throw Object.assign(exchangeError(ERROR_CODES.REJECTED_MBX_KEY, 'Invalid API-key, IP, or permissions for action.'), { status: 401 });
+        }
+    }
+
+    // Signature HMAC-SHA256 de l'ensemble query + body sans le paramètre signature
+    checkSignature(totalParams, params) {
+        const signature = requireParam(params, 'signature');
+        const payload = totalParams.replace(/&?signature=[^&]*/, '');
+        const expected = crypto.createHmac('sha256', this.apiSecret).update(payload).digest('hex');
+        if (signature !== expected) {
+            throw exchangeError(ERROR_CODES.INVALID_SIGNATURE, 'Signature for this request is not valid.');
+        }
+
+        const timestamp = parseInt(requireParam(params, 'timestamp'), 10);
+        const recvWindow = Math.min(parseInt(params.recvWindow || '5000', 10), 60000);
+        const now = this.clock.now();
+        if (timestamp > now + 1000 || now - timestamp > recvWindow) {
+            throw exchangeError(ERROR_CODES.INVALID_TIMESTAMP, 'Timestamp for this request is outside of the recvWindow.');
+        }
+    }
+
+    // ===== ENDPOINTS =====
+    ping() {
+        return {};
+    }
+
+    time() {
+        return { serverTime: this.clock.now() };
+    }
+
+    exchangeInfo() {
+        return {
+            ...this.exchange.getExchangeInfo(),
+            rateLimits: [
+                { rateLimitType: 'REQUEST_WEIGHT', interval: 'MINUTE', intervalNum: 1, limit: this.weightLimit },
+                { rateLimitType: 'ORDERS', interval: 'MINUTE', intervalNum: 1, limit: this.orderLimit }
+            ]
+        };
+    }
+
+    async tickerPrice(params) {
+        const symbol = requireParam(params, 'symbol');
+        const price = await this.exchange.getCurrentPrice(symbol);
+        return { symbol, price: price.toFixed(8) };
+    }
+
+    async klines(params) {
+        const klines = await this.exchange.getKlines(requireParam(params, 'symbol'), params.interval, parseInt(params.limit || '500', 10));
+        return klines.map(k => [
+            k.openTime, String(k.open), String(k.high), String(k.low), String(k.close), String(k.volume), k.closeTime
+        ]);
+    }
+
+    account() {
+        return this.exchange.getAccountInfo();
+    }
+
+    newOrder(params) {
+        return this.exchange.createOrder(
+            requireParam(params, 'symbol'),
+            requireParam(params, 'side'),
+            requireParam(params, 'type'),
+            params.quantity,
+            params
+        );
+    }
+
+    newOco(params) {
+        return this.exchange.createOco(
+            requireParam(params, 'symbol'),
+            requireParam(params, 'side'),
+            requireParam(params, 'quantity'),
+            { ...params, price: requireParam(params, 'price'), stopPrice: requireParam(params, 'stopPrice') }
+        );
+    }
+
+    queryOrder(params) {
+        return this.exchange.getOrder(requireParam(params, 'symbol'), requireParam(params, 'orderId'));
+    }
+
+    cancelOrder(params) {
+        return this.exchange.cancelOrder(requireParam(params, 'symbol'), requireParam(params, 'orderId'));
+    }
+
+    openOrders(params) {
+        return this.exchange.getOpenOrders(params.symbol || null);
+    }
+
+    newListenKey() {
+        const listenKey = crypto.randomBytes(32).toString('hex');
+        this.listenKeys.add(listenKey);
+        return { listenKey };
+    }
+
+    keepListenKey(params) {
+        if (!this.listenKeys.has(requireParam(params, 'listenKey'))) {
+            throw exchangeError(-1125, 'This listenKey does not exist.');
+        }
+        return {};
+    }
+
+    closeListenKey(params) {
+        this.listenKeys.delete(requireParam(params, 'listenKey'));
+        return {};
+    }
+
+    // ===== FLUX WEBSOCKET =====
+    handleStream(ws, req) {
+        const path = new URL(req.url, 'http://localhost').pathname;
+        if (!path.startsWith('/ws/')) {
+            ws.close(1008, 'Chemin de flux invalide');
+            return;
+        }
+
+        const send = payload => {
+            if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(payload));
+        };
+        const subscriptions = [];
+
+        try {
+            path.slice(4).split('/').forEach(stream => {
+                subscriptions.push(this.subscribeStream(stream, send));
+            });
+        } catch (error) {
+            subscriptions.forEach(subscription => subscription.close());
+            ws.close(1008, error.message);
+            return;
+        }
+
+        ws.on('close', () => subscriptions.forEach(subscription => subscription.close()));
+    }
+
+    subscribeStream(stream, send) {
+        if (this.listenKeys.has(stream)) {
+            // Abonnement asynchrone côté bourse: fermeture différée si le client part avant
+            const pending = this.exchange.subscribeUserData(event => send(event));
+            return { close: () => pending.then(subscription => subscription.close()) };
+        }
+
+        const match = /^([a-z0-9]+)@(kline_(\w+)|ticker)$/.exec(stream);
+        if (!match) {
+            throw new Error(`Flux non supporté: ${stream}`);
+        }
+
+        const symbol = match[1].toUpperCase();
+        const interval = match[3];
+        return this.exchange.subscribeKlines(symbol, interval || '1m', kline => {
+            if (interval) {
+                send({
+                    e: 'kline',
+                    E: this.clock.now(),
+                    s: symbol,
+                    k: {
+                        t: kline.openTime,
+                        T: kline.closeTime,
+                        s: symbol,
+                        i: interval,
+                        o: String(kline.open),
+                        h: String(kline.high),
+                        l: String(kline.low),
+                        c: String(kline.close),
+                        v: String(kline.volume),
+                        x: kline.isClosed
+                    }
+                });
+                return;
+            }
+
+            const ticker = this.exchange.getTicker24h(symbol);
+            if (!ticker) return;
+            send({
+                e: '24hrTicker',
+                E: this.clock.now(),
+                s: symbol,
+                c: String(ticker.lastPrice),
+                P: ticker.priceChangePercent.toFixed(3),
+                v: String(ticker.volume),
+                h: String(ticker.highPrice),
+                l: String(ticker.lowPrice)
+            });
+        });
+    }
+}
+
+// ===== LANCEMENT AUTONOME =====
+// Bourse alimentée par la marche aléatoire de market-data.js
+if (require.main === module) {
+    const { createMarketDataSource } = require('./market-data');
+    const portIndex = process.argv.indexOf('--port');
+    const port = portIndex !== -1 ? parseInt(process.argv[portIndex + 1], 10) : 9400;
+
+    const exchange = new PaperExchange({
+        symbols: ['BTC/USDT', 'ETH/USDT'],
+        balances: { USDT: 10000 }
+    });
+    const source = createMarketDataSource({
+        SOURCE: 'random',
+        UPDATE_INTERVAL: 5000,
+        SYMBOLS: {
+            'BTC/USDT': { base: 45000, range: 10000, volatility: 0.01 },
+            'ETH/USDT': { base: 3000, range: 1000, volatility: 0.015 }
+        }
+    });
+    exchange.connectMarketData(source);
+
+    const server = new MockBinanceServer({ exchange });
+    server.start(port).then(() => {
+        source.start();
+        console.log(`🔑 Clés: apiKey=${server.apiKey} apiSecret=${server.apiSecret}`);
+    });
+
+    process.on('SIGINT', () => {
+        source.stop();
+        server.stop().then(() => process.exit(0));
+    });
+}
+
+module.exports = {
+    MockBinanceServer,
+    ROUTES
+};
@@ -0,0 +1,216 @@
+// ===== ANALYSE DE MONTE CARLO =====
+// Rééchantillonne la séquence de trades (backtest ou paper trading) pour obtenir des distributions
+// et intervalles de confiance de l'equity finale, du drawdown max et du risque de ruine.
+// Méthodes:
+//  - bootstrap: tirage avec remise des trades
+//  - block: blocs de trades consécutifs tirés avec remise (conserve l'enchaînement gains/pertes)
+//  - shuffle: permutation de l'ordre (equity finale inchangée, seul le chemin et donc le drawdown varient)
+//  - skip: N% des trades retirés au hasard (signaux manqués, ordres non exécutés)
+const { createRandom } = require('./random');
+
+const MONTE_CARLO_METHODS = ['bootstrap', 'block', 'shuffle', 'skip'];
+
+const DEFAULT_OPTIONS = {
+    simulations: 1000,
+    methods: MONTE_CARLO_METHODS,
+    initialCapital: 10000,
+    blockSize: 5,          // trades par bloc
+    skipPercent: 0.1,      // fraction de trades retirés
+    confidence: 0.95,      // intervalle de confiance [2.5%, 97.5%]
+    ruinThreshold: 0.5,    // ruine: equity sous 50% du capital initial à un moment quelconque
+    histogramBins: 20,
+    seed: null
+};
+
+// Rendement de chaque trade rapporté au capital réalisé avant sa clôture (ordre de clôture)
+function tradeReturns(trades, initialCapital) {
+    let capital = initialCapital;
+    return trades.slice().sort((a, b) => a.exitTime - b.exitTime).map(trade => {
+        const value = capital > 0 ? trade.pnl / capital : 0;
+        capital += trade.pnl;
+        return value;
+    });
+}
+
+// Chemin d'equity composé d'une séquence de rendements
+function simulatePath(returns, initialCapital, ruinLevel) {
+    let equity = initialCapital;
+    let peak = initialCapital;
+    let maxDrawdown = 0;
+    let ruined = false;
+
+    returns.forEach(value => {
+        equity = Math.max(0, equity * (1 + value));
+        peak = Math.max(peak, equity);
+        maxDrawdown = Math.max(maxDrawdown, (peak - equity) / peak);
+        if (equity <= ruinLevel) ruined = true;
+    });
+
+    return {
+        finalEquity: equity,
+        totalReturnPercent: (equity / initialCapital - 1) * 100,
+        maxDrawdown: maxDrawdown * 100,
+        ruined
+    };
+}
+
+function resample(returns, method, random, options) {
+    const count = returns.length;
+
+    switch (method) {
+        case 'bootstrap':
+            return Array.from({ length: count }, () => returns[random.int(count)]);
+        case 'block': {
+            const size = Math.max(1, Math.min(options.blockSize, count));
+            const sample = [];
+            while (sample.length < count) {
+                const start = random.int(count - size + 1);
+                sample.push(...returns.slice(start, start + size));
+            }
+            return sample.slice(0, count);
+        }
+        case 'shuffle': {
+            // Fisher-Yates
+            const sample = returns.slice();
+            for (let i = count - 1; i > 0; i--) {
+                const j = random.int(i + 1);
+                [sample[i], sample[j]] = [sample[j], sample[i]];
+            }
+            return sample;
+        }
+        case 'skip':
+            return returns.filter(() => random.random() >= options.skipPercent);
+        default:
+            throw new Error(`Méthode Monte Carlo inconnue: ${method} (${MONTE_CARLO_METHODS.join(', ')})`);
+    }
+}
+
+// Percentile par interpolation linéaire sur des valeurs triées (p entre 0 et 1)
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const index = (sorted.length - 1) * p;
+    const lower = Math.floor(index);
+    const upper = Math.ceil(index);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+function histogram(sorted, bins) {
+    const min = sorted[0];
+    const max = sorted[sorted.length - 1];
+    const width = (max - min) / bins || 1;
+    const counts = new Array(bins).fill(0);
+    sorted.forEach(value => {
+        counts[Math.min(bins - 1, Math.floor((value - min) / width))]++;
+    });
+    return counts.map((count, i) => ({ from: min + i * width, to: min + (i + 1) * width, count }));
+}
+
+// Moyenne, écart-type, percentiles, intervalle de confiance et histogramme
+function describeDistribution(values, options = {}) {
+    const confidence = options.confidence || DEFAULT_OPTIONS.confidence;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+    const variance = sorted.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / sorted.length;
+    const alpha = (1 - confidence) / 2;
+
+    return {
+        mean,
+        stdDev: Math.sqrt(variance),
+        min: sorted[0],
+        max: sorted[sorted.length - 1],
+        percentiles: {
+            p5: percentile(sorted, 0.05),
+            p25: percentile(sorted, 0.25),
+            p50: percentile(sorted, 0.5),
+            p75: percentile(sorted, 0.75),
+            p95: percentile(sorted, 0.95)
+        },
+        confidenceInterval: [percentile(sorted, alpha), percentile(sorted, 1 - alpha)],
+        histogram: histogram(sorted, options.histogramBins || DEFAULT_OPTIONS.histogramBins)
+    };
+}
+
+// trades: trades clôturés au format trade-schema (pnl, exitTime)
+function runMonteCarlo(trades, options = {}) {
+    const config = { ...DEFAULT_OPTIONS, ...options };
+    const closed = trades.filter(trade => Number.isFinite(trade.pnl));
+    if (closed.length < 2) {
+        throw new Error(`Monte Carlo: au moins 2 trades nécessaires (${closed.length})`);
+    }
+    config.methods.forEach(method => {
+        if (!MONTE_CARLO_METHODS.includes(method)) {
+            throw new Error(`Méthode Monte Carlo inconnue: ${method} (${MONTE_CARLO_METHODS.join(', ')})`);
+        }
+    });
+
+    const returns = tradeReturns(closed, config.initialCapital);
+    const ruinLevel = config.initialCapital * (1 - config.ruinThreshold);
+    const random = createRandom(config.seed);
+    const methods = {};
+
+    // Un flux aléatoire par méthode: ajouter une méthode ne change pas les autres résultats
+    config.methods.forEach(method => {
+        const stream = random.fork(method);
+        const paths = [];
+        for (let i = 0; i < config.simulations; i++) {
+            paths.push(simulatePath(resample(returns, method, stream, config), config.initialCapital, ruinLevel));
+        }
+
+        methods[method] = {
+            finalEquity: describeDistribution(paths.map(p => p.finalEquity), config),
+            totalReturnPercent: describeDistribution(paths.map(p => p.totalReturnPercent), config),
+            maxDrawdown: describeDistribution(paths.map(p => p.maxDrawdown), config),
+            riskOfRuin: paths.filter(p => p.ruined).length / paths.length,
+            probabilityOfLoss: paths.filter(p => p.finalEquity < config.initialCapital).length / paths.length
+        };
+    });
+
+    return {
+        trades: closed.length,
+        simulations: config.simulations,
+        initialCapital: config.initialCapital,
+        confidence: config.confidence,
+        ruinThreshold: config.ruinThreshold,
+        original: simulatePath(returns, config.initialCapital, ruinLevel),
+        methods
+    };
+}
+
+// Décision go/no-go sur le pire cas des méthodes: borne basse du rendement, borne haute du drawdown, ruine
+function assessRobustness(analysis, criteria = {}) {
+    const limits = {
+        minReturnPercent: criteria.minReturnPercent !== undefined ? criteria.minReturnPercent : 0,
+        maxDrawdown: criteria.maxDrawdown !== undefined ? criteria.maxDrawdown : 20,
+        maxRiskOfRuin: criteria.maxRiskOfRuin !== undefined ? criteria.maxRiskOfRuin : 0.01
+    };
+    const results = Object.values(analysis.methods);
+    const worstCase = {
+        returnLower: Math.min(...results.map(r => r.totalReturnPercent.confidenceInterval[0])),
+        drawdownUpper: Math.max(...results.map(r => r.maxDrawdown.confidenceInterval[1])),
+        riskOfRuin: Math.max(...results.map(r => r.riskOfRuin))
+    };
+
+    const reasons = [];
+    if (worstCase.returnLower <= limits.minReturnPercent) {
+        reasons.push(`Rendement ${worstCase.returnLower.toFixed(2)}% en borne basse (min ${limits.minReturnPercent}%)`);
+    }
+    if (worstCase.drawdownUpper >= limits.maxDrawdown) {
+        reasons.push(`Drawdown ${worstCase.drawdownUpper.toFixed(2)}% en borne haute (max ${limits.maxDrawdown}%)`);
+    }
+    if (worstCase.riskOfRuin > limits.maxRiskOfRuin) {
+        reasons.push(`Risque de ruine ${(worstCase.riskOfRuin * 100).toFixed(1)}% (max ${(limits.maxRiskOfRuin * 100).toFixed(1)}%)`);
+    }
+
+    return { robust: reasons.length === 0, worstCase, limits, reasons };
+}
+
+module.exports = {
+    runMonteCarlo,
+    assessRobustness,
+    describeDistribution,
+    tradeReturns,
+    simulatePath,
+    resample,
+    percentile,
+    MONTE_CARLO_METHODS
+};
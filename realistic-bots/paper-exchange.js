@@ -0,0 +1,526 @@
+// ===== BOURSE PAPIER EN MÉMOIRE =====
+// ExchangeAdapter sans réseau : ordres exécutés par le moteur d'appariement local
+// (matching-engine.js), soldes par actif avec montants bloqués par les ordres ouverts,
+// réponses et flux utilisateur au format Binance. Alimentée par processCandle()
+// ou par une source de market-data.js (connectMarketData).
+// Commissions comme sur Binance: en actif de base à l'achat, en devise de cotation à la vente.
+const EventEmitter = require('events');
+const { SystemClock } = require('./clock');
+const { ExecutionCostModel } = require('./execution-costs');
+const { MatchingEngine, ORDER_TYPES, ORDER_STATUS } = require('./matching-engine');
+const { ExchangeAdapter, ERROR_CODES, exchangeError, toExchangeSymbol } = require('./exchange-adapter');
+
+// Frais spot Binance sans réduction
+const DEFAULT_COSTS = {
+    FEE_TIERS: [{ MIN_VOLUME: 0, MAKER: 0.001, TAKER: 0.001 }],
+    SPREADS: { DEFAULT: 0.0005 },
+    SLIPPAGE: { BASE: 0.0001, IMPACT: 0.001, DEPTH: { DEFAULT: 500000 } },
+    LATENCY: { MIN: 0, MAX: 0 }
+};
+
+const DEFAULT_FILTERS = {
+    minPrice: 0.000001,
+    maxPrice: 1000000,
+    tickSize: 0.000001,
+    minQty: 0.00001,
+    maxQty: 9000000,
+    stepSize: 0.00001,
+    minNotional: 5
+};
+
+const INTERVALS = { '1m': 60000, '5m': 300000, '15m': 900000, '1h': 3600000, '4h': 14400000, '1d': 86400000 };
+
+function fmt(value) {
+    return Number(value || 0).toFixed(8);
+}
+
+function isOpen(order) {
+    return order.status === ORDER_STATUS.NEW || order.status === ORDER_STATUS.PARTIALLY_FILLED;
+}
+
+// ===== FORMATS BINANCE =====
+function commissionAsset(order, market) {
+    return order.side === 'BUY' ? market.baseAsset : market.quoteAsset;
+}
+
+// Commission dans l'actif prélevé (le moteur l'exprime en devise de cotation)
+function commission(order, fill) {
+    return order.side === 'BUY' ? fill.fee / fill.price : fill.fee;
+}
+
+function toBinanceOrder(order, market) {
+    return {
+        symbol: order.symbol,
+        orderId: order.orderId,
+        orderListId: order.orderListId,
+        clientOrderId: order.clientOrderId,
+        transactTime: order.updateTime,
+        price: fmt(order.price),
+        origQty: fmt(order.origQty),
+        executedQty: fmt(order.executedQty),
+        cummulativeQuoteQty: fmt(order.cummulativeQuoteQty),
+        status: order.status,
+        timeInForce: order.timeInForce || 'GTC',
+        type: order.type,
+        side: order.side,
+        stopPrice: fmt(order.stopPrice),
+        time: order.time,
+        updateTime: order.updateTime,
+        isWorking: order.isWorking,
+        fills: order.fills.map(fill => ({
+            price: fmt(fill.price),
+            qty: fmt(fill.quantity),
+            commission: fmt(commission(order, fill)),
+            commissionAsset: commissionAsset(order, market),
+            tradeId: fill.tradeId
+        }))
+    };
+}
+
+function toExecutionReport(order, fill, market, time) {
+    return {
+        e: 'executionReport',
+        E: time,
+        s: order.symbol,
+        c: order.clientOrderId,
+        S: order.side,
+        o: order.type,
+        f: order.timeInForce || 'GTC',
+        q: fmt(order.origQty),
+        p: fmt(order.price),
+        P: fmt(order.stopPrice),
+        g: order.orderListId,
+        x: fill ? 'TRADE' : order.status,
+        X: order.status,
+        r: order.rejectReason || 'NONE',
+        i: order.orderId,
+        l: fmt(fill ? fill.quantity : 0),
+        z: fmt(order.executedQty),
+        L: fmt(fill ? fill.price : 0),
+        n: fmt(fill ? commission(order, fill) : 0),
+        N: fill ? commissionAsset(order, market) : null,
+        T: order.updateTime,
+        t: fill ? fill.tradeId : -1,
+        w: order.isWorking,
+        m: fill ? fill.liquidity === 'MAKER' : false,
+        O: order.time,
+        Z: fmt(order.cummulativeQuoteQty),
+        Y: fmt(fill ? fill.notional : 0)
+    };
+}
+
+class PaperExchange extends ExchangeAdapter {
+    constructor(options = {}) {
+        super();
+        this.clock = options.clock || new SystemClock();
+        this.costs = options.costs || new ExecutionCostModel(options.execution || DEFAULT_COSTS);
+        this.engine = new MatchingEngine({
+            clock: this.clock,
+            costs: this.costs,
+            participation: options.participation
+        });
+        this.engine.on('order', (order, fill) => this.onOrderUpdate(order, fill));
+
+        this.interval = options.interval || '1m';
+        this.maxKlines = options.maxKlines || 1000;
+        this.markets = {};   // BTCUSDT -> { symbol, baseAsset, quoteAsset, filters }
+        this.klines = {};    // BTCUSDT -> chandeliers récents
+        this.balances = {};  // actif -> { free, locked }
+        this.locks = {};     // ordre ou liste OCO -> { asset, amount }
+        this.pendingLock = null;
+        this.events = new EventEmitter();
+        this.events.setMaxListeners(0);
+
+        (options.symbols || []).forEach(symbol => this.addSymbol(symbol, options.filters));
+        Object.entries(options.balances || { USDT: 10000 }).forEach(([asset, amount]) => {
+            this.balances[asset] = { free: amount, locked: 0 };
+        });
+    }
+
+    // 'BTC/USDT' -> marché BTCUSDT (actif de base BTC, cotation USDT)
+    addSymbol(pair, filters = {}) {
+        const [baseAsset, quoteAsset] = pair.toUpperCase().split('/');
+        if (!quoteAsset) {
+            throw new Error(`Symbole ${pair}: format BASE/COTATION attendu`);
+        }
+
+        const symbol = baseAsset + quoteAsset;
+        this.markets[symbol] = { symbol, baseAsset, quoteAsset, filters: { ...DEFAULT_FILTERS, ...filters } };
+        this.klines[symbol] = this.klines[symbol] || [];
+        return this.markets[symbol];
+    }
+
+    getMarket(symbol) {
+        const market = this.markets[toExchangeSymbol(symbol)];
+        if (!market) {
+            throw exchangeError(ERROR_CODES.BAD_SYMBOL, 'Invalid symbol.');
+        }
+        return market;
+    }
+
+    balance(asset) {
+        return this.balances[asset] || (this.balances[asset] = { free: 0, locked: 0 });
+    }
+
+    // ===== FLUX DE PRIX =====
+    connectMarketData(source) {
+        source.on('candle', candle => this.processCandle(candle));
+        return this;
+    }
+
+    processCandle(candle, volumeRatio = 1) {
+        const symbol = toExchangeSymbol(candle.symbol);
+        const market = this.markets[symbol] || (candle.symbol.includes('/') ? this.addSymbol(candle.symbol) : null);
+        if (!market) return;
+
+        this.engine.processCandle({ ...candle, symbol }, volumeRatio);
+
+        const kline = {
+            symbol,
+            openTime: candle.timestamp,
+            closeTime: candle.timestamp + INTERVALS[this.interval] - 1,
+            open: candle.open,
+            high: candle.high,
+            low: candle.low,
+            close: candle.close,
+            volume: candle.volume,
+            isClosed: true
+        };
+        const klines = this.klines[symbol];
+        klines.push(kline);
+        if (klines.length > this.maxKlines) klines.shift();
+
+        this.events.emit('kline', kline);
+    }
+
+    // ===== DONNÉES DE MARCHÉ =====
+    getExchangeInfo() {
+        return {
+            timezone: 'UTC',
+            serverTime: this.clock.now(),
+            symbols: Object.values(this.markets).map(market => ({
+                symbol: market.symbol,
+                status: 'TRADING',
+                baseAsset: market.baseAsset,
+                quoteAsset: market.quoteAsset,
+                orderTypes: Object.values(ORDER_TYPES),
+                ocoAllowed: true,
+                filters: [
+                    {
+                        filterType: 'PRICE_FILTER',
+                        minPrice: fmt(market.filters.minPrice),
+                        maxPrice: fmt(market.filters.maxPrice),
+                        tickSize: fmt(market.filters.tickSize)
+                    },
+                    {
+                        filterType: 'LOT_SIZE',
+                        minQty: fmt(market.filters.minQty),
+                        maxQty: fmt(market.filters.maxQty),
+                        stepSize: fmt(market.filters.stepSize)
+                    },
+                    { filterType: 'MIN_NOTIONAL', minNotional: fmt(market.filters.minNotional) }
+                ]
+            }))
+        };
+    }
+
+    async getCurrentPrice(symbol) {
+        const price = this.engine.getPrice(this.getMarket(symbol).symbol);
+        if (price === null) {
+            throw exchangeError(ERROR_CODES.BAD_SYMBOL, `Pas encore de prix pour ${symbol}`);
+        }
+        return price;
+    }
+
+    async getKlines(symbol, interval = this.interval, limit = 100) {
+        return this.klines[this.getMarket(symbol).symbol].slice(-limit).map(kline => ({
+            openTime: kline.openTime,
+            open: kline.open,
+            high: kline.high,
+            low: kline.low,
+            close: kline.close,
+            volume: kline.volume,
+            closeTime: kline.closeTime
+        }));
+    }
+
+    // Statistiques glissantes sur 24h (flux @ticker)
+    getTicker24h(symbol) {
+        const market = this.getMarket(symbol);
+        const klines = this.klines[market.symbol];
+        if (klines.length === 0) return null;
+
+        const last = klines[klines.length - 1];
+        const window = klines.filter(kline => kline.openTime > last.openTime - 86400000);
+        const open = window[0].open;
+
+        return {
+            symbol: market.symbol,
+            lastPrice: last.close,
+            priceChangePercent: (last.close - open) / open * 100,
+            highPrice: Math.max(...window.map(kline => kline.high)),
+            lowPrice: Math.min(...window.map(kline => kline.low)),
+            volume: window.reduce((sum, kline) => sum + kline.volume, 0)
+        };
+    }
+
+    // ===== COMPTE =====
+    async getBalances() {
+        const balances = {};
+        Object.entries(this.balances).forEach(([asset, balance]) => {
+            if (balance.free > 0 || balance.locked > 0) {
+                balances[asset] = { free: balance.free, locked: balance.locked, total: balance.free + balance.locked };
+            }
+        });
+        return balances;
+    }
+
+    getAccountInfo() {
+        return {
+            makerCommission: 10,
+            takerCommission: 10,
+            canTrade: true,
+            canWithdraw: false,
+            canDeposit: false,
+            updateTime: this.clock.now(),
+            accountType: 'SPOT',
+            balances: Object.entries(this.balances).map(([asset, balance]) => ({
+                asset,
+                free: fmt(balance.free),
+                locked: fmt(balance.locked)
+            })),
+            permissions: ['SPOT']
+        };
+    }
+
+    // ===== ORDRES =====
+    async createOrder(symbol, side, type, quantity, options = {}) {
+        const market = this.getMarket(symbol);
+        const params = {
+            symbol: market.symbol,
+            side: side.toUpperCase(),
+            type: type.toUpperCase(),
+            quantity: quantity ? parseFloat(quantity) : null,
+            quoteOrderQty: options.quoteOrderQty ? parseFloat(options.quoteOrderQty) : null,
+            price: options.price ? parseFloat(options.price) : null,
+            stopPrice: options.stopPrice ? parseFloat(options.stopPrice) : null,
+            timeInForce: options.timeInForce,
+            clientOrderId: options.newClientOrderId
+        };
+
+        this.checkFilters(market, params.quantity, params.price);
+        const order = this.submit(market, this.requiredLock(market, params), () => this.engine.submitOrder(params));
+        return toBinanceOrder(order, market);
+    }
+
+    // options: price (objectif), stopPrice, stopLimitPrice, stopLimitTimeInForce
+    async createOco(symbol, side, quantity, options = {}) {
+        const market = this.getMarket(symbol);
+        const params = {
+            symbol: market.symbol,
+            side: side.toUpperCase(),
+            quantity: parseFloat(quantity),
+            price: parseFloat(options.price),
+            stopPrice: parseFloat(options.stopPrice),
+            stopLimitPrice: options.stopLimitPrice ? parseFloat(options.stopLimitPrice) : null,
+            stopLimitTimeInForce: options.stopLimitTimeInForce,
+            listClientOrderId: options.listClientOrderId
+        };
+
+        this.checkFilters(market, params.quantity, params.price);
+        // Les deux jambes se partagent le même blocage (une seule peut être exécutée)
+        const lockPrice = Math.max(params.price, params.stopLimitPrice || params.stopPrice);
+        const lock = this.requiredLock(market, { ...params, type: ORDER_TYPES.LIMIT, price: lockPrice });
+        const list = this.submit(market, lock, () => this.engine.submitOco(params));
+
+        return {
+            orderListId: list.orderListId,
+            contingencyType: 'OCO',
+            listStatusType: list.listOrderStatus === 'ALL_DONE' ? 'ALL_DONE' : 'EXEC_STARTED',
+            listOrderStatus: list.listOrderStatus,
+            listClientOrderId: list.listClientOrderId,
+            transactionTime: this.clock.now(),
+            symbol: market.symbol,
+            orders: list.orders.map(order => ({ symbol: order.symbol, orderId: order.orderId, clientOrderId: order.clientOrderId })),
+            orderReports: list.orders.map(order => toBinanceOrder(order, market))
+        };
+    }
+
+    checkFilters(market, quantity, price) {
+        const { filters } = market;
+        if (quantity !== null && quantity !== undefined) {
+            if (quantity < filters.minQty || quantity > filters.maxQty) {
+                throw exchangeError(ERROR_CODES.FILTER_FAILURE, 'Filter failure: LOT_SIZE');
+            }
+        }
+        if (price) {
+            if (price < filters.minPrice || price > filters.maxPrice) {
+                throw exchangeError(ERROR_CODES.FILTER_FAILURE, 'Filter failure: PRICE_FILTER');
+            }
+        }
+
+        const reference = price || this.engine.getPrice(market.symbol);
+        if (quantity && reference && quantity * reference < filters.minNotional) {
+            throw exchangeError(ERROR_CODES.FILTER_FAILURE, 'Filter failure: MIN_NOTIONAL');
+        }
+    }
+
+    // Montant à bloquer (ordres limites) ou à disposer (ordres au marché)
+    requiredLock(market, params) {
+        if (params.side === 'SELL') {
+            return { asset: market.baseAsset, amount: params.quantity, hold: params.type !== ORDER_TYPES.MARKET };
+        }
+        if (params.type === ORDER_TYPES.MARKET) {
+            const price = this.engine.getPrice(market.symbol) || 0;
+            const amount = params.quoteOrderQty || params.quantity * price * (1 + this.costs.maxCostRate(market.symbol));
+            return { asset: market.quoteAsset, amount, hold: false };
+        }
+        return { asset: market.quoteAsset, amount: params.quantity * params.price, hold: true };
+    }
+
+    // Contrôle du solde puis soumission; le blocage est posé à l'acceptation de l'ordre (NEW)
+    submit(market, lock, send) {
+        if (!(this.balance(lock.asset).free >= lock.amount - 1e-12)) {
+            throw exchangeError(ERROR_CODES.NEW_ORDER_REJECTED, 'Account has insufficient balance for requested action.');
+        }
+
+        this.pendingLock = lock.hold ? { asset: lock.asset, amount: lock.amount } : null;
+        let result;
+        try {
+            result = send();
+        } catch (error) {
+            throw error.code ? error : exchangeError(ERROR_CODES.MANDATORY_PARAM, error.message);
+        } finally {
+            this.pendingLock = null;
+        }
+
+        const rejected = result.orders ? result.orders.find(order => order.status === ORDER_STATUS.REJECTED) : result;
+        if (rejected && rejected.status === ORDER_STATUS.REJECTED) {
+            throw exchangeError(ERROR_CODES.NEW_ORDER_REJECTED, rejected.rejectReason);
+        }
+        return result;
+    }
+
+    async cancelOrder(symbol, orderId) {
+        const market = this.getMarket(symbol);
+        const order = this.engine.getOrder(parseInt(orderId, 10));
+        if (!order || order.symbol !== market.symbol || !isOpen(order)) {
+            throw exchangeError(ERROR_CODES.CANCEL_REJECTED, 'Unknown order sent.');
+        }
+        return toBinanceOrder(this.engine.cancelOrder(order.orderId), market);
+    }
+
+    async getOrder(symbol, orderId) {
+        const market = this.getMarket(symbol);
+        const order = this.engine.getOrder(parseInt(orderId, 10));
+        if (!order || order.symbol !== market.symbol) {
+            throw exchangeError(ERROR_CODES.NO_SUCH_ORDER, 'Order does not exist.');
+        }
+        return toBinanceOrder(order, market);
+    }
+
+    async getOpenOrders(symbol = null) {
+        const market = symbol ? this.getMarket(symbol) : null;
+        return this.engine.getOpenOrders(market ? market.symbol : null)
+            .map(order => toBinanceOrder(order, this.markets[order.symbol]));
+    }
+
+    // ===== RÈGLEMENT =====
+    lockKey(order) {
+        return order.orderListId !== -1 ? `list:${order.orderListId}` : `order:${order.orderId}`;
+    }
+
+    onOrderUpdate(order, fill) {
+        const market = this.markets[order.symbol];
+        const key = this.lockKey(order);
+
+        if (order.status === ORDER_STATUS.NEW && !fill && this.pendingLock && !this.locks[key]) {
+            const balance = this.balance(this.pendingLock.asset);
+            balance.free -= this.pendingLock.amount;
+            balance.locked += this.pendingLock.amount;
+            this.locks[key] = this.pendingLock;
+        }
+        if (fill) {
+            this.settle(order, fill, market, this.locks[key]);
+        }
+        if (!isOpen(order)) {
+            this.releaseLock(order, key);
+        }
+
+        this.events.emit('userData', toExecutionReport(order, fill, market, this.clock.now()));
+        if (fill) {
+            this.events.emit('userData', this.accountPosition([market.baseAsset, market.quoteAsset]));
+        }
+    }
+
+    // Débit de l'actif vendu (d'abord sur le blocage), crédit de l'actif reçu net de commission
+    settle(order, fill, market, lock) {
+        const base = this.balance(market.baseAsset);
+        const quote = this.balance(market.quoteAsset);
+
+        if (order.side === 'BUY') {
+            const reserved = lock ? Math.min(lock.amount, fill.quantity * order.price) : 0;
+            if (lock) {
+                lock.amount -= reserved;
+                quote.locked -= reserved;
+            }
+            quote.free += reserved - fill.notional;
+            base.free += fill.quantity - commission(order, fill);
+        } else {
+            const reserved = lock ? Math.min(lock.amount, fill.quantity) : 0;
+            if (lock) {
+                lock.amount -= reserved;
+                base.locked -= reserved;
+            }
+            base.free -= fill.quantity - reserved;
+            quote.free += fill.notional - fill.fee;
+        }
+    }
+
+    // Blocage restitué quand plus aucun ordre ne le partage
+    releaseLock(order, key) {
+        const lock = this.locks[key];
+        if (!lock) return;
+        if (order.orderListId !== -1 && this.engine.getOrderList(order.orderListId).orders.some(isOpen)) return;
+
+        const balance = this.balance(lock.asset);
+        balance.free += lock.amount;
+        balance.locked -= lock.amount;
+        delete this.locks[key];
+    }
+
+    accountPosition(assets) {
+        return {
+            e: 'outboundAccountPosition',
+            E: this.clock.now(),
+            u: this.clock.now(),
+            B: assets.map(asset => ({ a: asset, f: fmt(this.balance(asset).free), l: fmt(this.balance(asset).locked) }))
+        };
+    }
+
+    // ===== FLUX =====
+    subscribeKlines(symbol, interval, onKline) {
+        const market = this.getMarket(symbol);
+        const listener = kline => {
+            if (kline.symbol === market.symbol) onKline({ ...kline });
+        };
+        this.events.on('kline', listener);
+        return { close: () => this.events.removeListener('kline', listener) };
+    }
+
+    async subscribeUserData(onEvent) {
+        this.events.on('userData', onEvent);
+        return { close: () => this.events.removeListener('userData', onEvent) };
+    }
+
+    disconnect() {
+        this.events.removeAllListeners();
+    }
+}
+
+module.exports = {
+    PaperExchange,
+    DEFAULT_COSTS,
+    toBinanceOrder,
+    toExecutionReport
+};
@@ -0,0 +1,239 @@
+// ===== PORTEFEUILLE =====
+// Grand livre du bot : liquidités, positions par trade, PnL réalisé/latent
+// et courbe d'equity valorisée au dernier prix (mark-to-market).
+// Chaque ouverture immobilise sa valeur en devise de cotation (LONG comme SHORT);
+// la clôture restitue cette valeur + le PnL. Equity = liquidités + valeur des positions.
+// Les frais sont débités à chaque exécution; le PnL réalisé d'un trade est net des deux frais.
+
+const LEDGER_TYPES = {
+    OPEN: 'OPEN',
+    CLOSE: 'CLOSE'
+};
+
+const MAX_EQUITY_POINTS = 1000;
+
+function directionSign(direction) {
+    return direction === 'LONG' || direction === 'BUY' ? 1 : -1;
+}
+
+class Portfolio {
+    constructor(options = {}) {
+        this.initialCash = options.initialCash !== undefined ? options.initialCash : 1000;
+        this.cash = this.initialCash;
+        this.realizedPnL = 0;
+        this.lots = {};       // tradeId -> { symbol, direction, quantity, entryPrice, notional, entryFee }
+        this.marks = {};      // symbol -> dernier prix connu
+        this.ledger = [];     // écritures OPEN / CLOSE
+        this.sequence = 0;    // numéro de la dernière écriture, continu d'une passation à l'autre
+        this.equityCurve = [];
+    }
+
+    // Quantité pour une taille de position en devise de cotation, bornée par les liquidités
+    // (costRate: part réservée aux coûts d'exécution)
+    sizePosition(price, quoteAmount, costRate = 0) {
+        const notional = Math.max(0, Math.min(quoteAmount, this.cash / (1 + costRate)));
+        return { notional, quantity: notional > 0 ? notional / price : 0 };
+    }
+
+    open(trade, options = {}) {
+        const notional = trade.quantity * trade.entryPrice;
+        const fee = options.fee || 0;
+        if (!options.allowOverdraft && notional + fee > this.cash + 1e-9) {
+            throw new Error(`Liquidités insuffisantes: ${(notional + fee).toFixed(2)}$ demandés, ${this.cash.toFixed(2)}$ disponibles`);
+        }
+
+        this.cash -= notional + fee;
+        this.lots[trade.id] = {
+            symbol: trade.symbol,
+            direction: trade.direction,
+            quantity: trade.quantity,
+            entryPrice: trade.entryPrice,
+            notional,
+            entryFee: fee
+        };
+        if (this.marks[trade.symbol] === undefined) this.marks[trade.symbol] = trade.entryPrice;
+
+        return this.record({
+            time: trade.entryTime,
+            type: LEDGER_TYPES.OPEN,
+            tradeId: trade.id,
+            symbol: trade.symbol,
+            quantity: trade.quantity,
+            price: trade.entryPrice,
+            notional,
+            fee,
+            pnl: 0
+        });
+    }
+
+    // Renvoie l'écriture de clôture; pnl = PnL net (frais d'entrée et de sortie déduits)
+    close(tradeId, exitPrice, time, fee = 0) {
+        const lot = this.lots[tradeId];
+        if (!lot) {
+            throw new Error(`Position ${tradeId} absente du portefeuille`);
+        }
+
+        const grossPnL = (exitPrice - lot.entryPrice) * lot.quantity * directionSign(lot.direction);
+        const pnl = grossPnL - (lot.entryFee || 0) - fee;
+        delete this.lots[tradeId];
+        this.cash += lot.notional + grossPnL - fee;
+        this.realizedPnL += pnl;
+        this.marks[lot.symbol] = exitPrice;
+
+        return this.record({
+            time,
+            type: LEDGER_TYPES.CLOSE,
+            tradeId,
+            symbol: lot.symbol,
+            quantity: lot.quantity,
+            price: exitPrice,
+            notional: lot.notional,
+            fee,
+            pnl
+        });
+    }
+
+    has(tradeId) {
+        return this.lots[tradeId] !== undefined;
+    }
+
+    // Écriture numérotée au grand livre avec les soldes après opération
+    record(entry) {
+        this.sequence++;
+        const recorded = { ...entry, sequence: this.sequence, cash: this.cash, equity: this.getEquity() };
+        this.ledger.push(recorded);
+        return recorded;
+    }
+
+    mark(symbol, price) {
+        this.marks[symbol] = price;
+    }
+
+    lotUnrealizedPnL(lot) {
+        const price = this.marks[lot.symbol] !== undefined ? this.marks[lot.symbol] : lot.entryPrice;
+        return (price - lot.entryPrice) * lot.quantity * directionSign(lot.direction);
+    }
+
+    getUnrealizedPnL() {
+        return Object.values(this.lots).reduce((sum, lot) => sum + this.lotUnrealizedPnL(lot), 0);
+    }
+
+    // Valeur des positions au dernier prix (capital immobilisé + PnL latent)
+    getPositionsValue() {
+        return Object.values(this.lots).reduce((sum, lot) => sum + lot.notional + this.lotUnrealizedPnL(lot), 0);
+    }
+
+    getEquity() {
+        return this.cash + this.getPositionsValue();
+    }
+
+    // Positions agrégées par symbole (quantité signée: négative = short)
+    getHoldings() {
+        const holdings = {};
+
+        Object.values(this.lots).forEach(lot => {
+            if (!holdings[lot.symbol]) {
+                holdings[lot.symbol] = { quantity: 0, notional: 0, unrealizedPnL: 0, price: this.marks[lot.symbol] };
+            }
+            const holding = holdings[lot.symbol];
+            holding.quantity += lot.quantity * directionSign(lot.direction);
+            holding.notional += lot.notional;
+            holding.unrealizedPnL += this.lotUnrealizedPnL(lot);
+        });
+
+        return holdings;
+    }
+
+    // Frais payés depuis une date
+    getFees(since = 0) {
+        return this.ledger
+            .filter(entry => entry.time >= since)
+            .reduce((sum, entry) => sum + (entry.fee || 0), 0);
+    }
+
+    getOpenCount() {
+        return Object.keys(this.lots).length;
+    }
+
+    // Écritures d'un type depuis une date (ex: clôtures du jour)
+    getEntries(type, since = 0) {
+        return this.ledger.filter(entry => entry.type === type && entry.time >= since);
+    }
+
+    // Point de la courbe d'equity (conservé en mémoire, borné)
+    recordEquity(time) {
+        const point = {
+            time,
+            cash: this.cash,
+            positionsValue: this.getPositionsValue(),
+            realizedPnL: this.realizedPnL,
+            unrealizedPnL: this.getUnrealizedPnL(),
+            equity: this.getEquity()
+        };
+
+        this.equityCurve.push(point);
+        if (this.equityCurve.length > MAX_EQUITY_POINTS) this.equityCurve.shift();
+        return point;
+    }
+
+    toJSON() {
+        return {
+            initialCash: this.initialCash,
+            cash: this.cash,
+            realizedPnL: this.realizedPnL,
+            lots: this.lots,
+            sequence: this.sequence
+        };
+    }
+
+    // Les soldes sauvegardés font foi quand l'historique local est incomplet
+    // (runner neuf après une passation de créneau: seules les positions ouvertes sont connues).
+    // Le numéro d'écriture sauvegardé est repris: les écritures suivantes le prolongent, et un
+    // historique local partiel reste détecté aux passations suivantes.
+    reconcile(saved) {
+        if (!saved) return false;
+        // Ancien état: nombre d'écritures du grand livre au lieu du numéro de séquence
+        const savedSequence = saved.sequence !== undefined ? saved.sequence : saved.entries;
+        if (this.sequence >= savedSequence) return false;
+
+        this.initialCash = saved.initialCash;
+        this.cash = saved.cash;
+        this.realizedPnL = saved.realizedPnL;
+        this.lots = { ...saved.lots };
+        this.sequence = savedSequence;
+        return true;
+    }
+
+    // Reconstruit le grand livre en rejouant les ouvertures/clôtures des trades
+    static fromTrades(trades, options = {}) {
+        const portfolio = new Portfolio(options);
+        const events = [];
+
+        trades.forEach(trade => {
+            if (!trade.quantity) return;
+            events.push({ time: trade.entryTime, order: 0, trade });
+            if (trade.status === 'CLOSED') {
+                events.push({ time: trade.exitTime, order: 1, trade });
+            }
+        });
+
+        events
+            .sort((a, b) => a.time - b.time || a.order - b.order)
+            .forEach(({ order, trade }) => {
+                const execution = trade.execution || {};
+                if (order === 0) {
+                    // Historique antérieur au portefeuille: pas de contrôle des liquidités
+                    portfolio.open(trade, { allowOverdraft: true, fee: execution.entry ? execution.entry.fee : 0 });
+                } else {
+                    portfolio.close(trade.id, trade.exitPrice, trade.exitTime, execution.exit ? execution.exit.fee : 0);
+                }
+            });
+
+        return portfolio;
+    }
+}
+
+module.exports = {
+    Portfolio,
+    LEDGER_TYPES
+};
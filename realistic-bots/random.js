@@ -0,0 +1,85 @@
+// ===== GÉNÉRATEUR ALÉATOIRE REPRODUCTIBLE =====
+// Même graine + même configuration = mêmes prix, signaux et tirages d'identifiants;
+// logs identiques octet par octet seulement sur horloge virtuelle (--virtual), le temps réel variant.
+// Sans graine, on retombe sur Math.random() (comportement historique).
+const { getArg } = require('./cli-args');
+
+// Hachage d'une graine texte/numérique en entier 32 bits (FNV-1a)
+function hashSeed(seed) {
+    const text = String(seed);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Mulberry32: rapide, 32 bits d'état, suffisant pour de la simulation
+function mulberry32(state) {
+    return function () {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+class SeededRandom {
+    constructor(seed = null) {
+        this.seed = seed;
+        this.next = seed === null || seed === undefined ? Math.random : mulberry32(hashSeed(seed));
+    }
+
+    isSeeded() {
+        return this.seed !== null && this.seed !== undefined;
+    }
+
+    // Équivalent de Math.random(): [0, 1[
+    random() {
+        return this.next();
+    }
+
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    pick(items) {
+        return items[this.int(items.length)];
+    }
+
+    // Suffixe base36, remplace Math.random().toString(36).substr(2, n)
+    id(length = 6) {
+        let result = '';
+        while (result.length < length) {
+            result += this.int(36).toString(36);
+        }
+        return result;
+    }
+
+    // Générateur indépendant dérivé (ex: un flux par symbole),
+    // insensible à l'ordre dans lequel les autres flux sont consommés
+    fork(label) {
+        return new SeededRandom(this.isSeeded() ? `${this.seed}:${label}` : null);
+    }
+}
+
+function createRandom(seed = null) {
+    return new SeededRandom(seed);
+}
+
+// Lit --seed <valeur> ou --seed=<valeur> dans la ligne de commande
+function parseSeedArg(argv = process.argv) {
+    return getArg(argv, '--seed');
+}
+
+module.exports = {
+    SeededRandom,
+    createRandom,
+    parseSeedArg,
+    hashSeed
+};
@@ -1,20 +1,133 @@
 // ===== REALISTIC BOT ENHANCED - Version Optimisée =====
 const fs = require('fs');
 const path = require('path');
+const { createMarketDataSource } = require('./market-data');
+const { IndicatorSet } = require('./indicators');
+const { createExitLevels, evaluateExit, EXIT_REASONS } = require('./exit-rules');
+const { createRandom, parseSeedArg } = require('./random');
+const { SystemClock, createClock, parseClockArgs } = require('./clock');
+const { TradeJournal, EVENT_TYPES, writeFileAtomic } = require('./trade-journal');
+const { createTrade, closeFields, upgradeTrade, normalizeTrade } = require('./trade-schema');
+const { createSlotRelay, RELAY_STATUS } = require('./slot-relay');
+const { Portfolio, LEDGER_TYPES } = require('./portfolio');
+const { ExecutionCostModel } = require('./execution-costs');
+const { MatchingEngine, ORDER_TYPES, LIST_STATUS, summarizeFills } = require('./matching-engine');
+const { createStrategy, SIGNAL_ACTIONS } = require('./strategies');
+const { buildAttribution, printAttribution } = require('./attribution');
+
+const CLOCK_ARGS = parseClockArgs(process.argv);
+// Fuseau des sessions: getCurrentSession() lit l'heure locale du processus
+const SESSION_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
 
 // ===== CONFIGURATION =====
 const CONFIG = {
     TRADING: {
         DAILY_LIMIT: 5,
         MAX_CONSECUTIVE_LOSSES: 3,
-        DEFAULT_AMOUNT: 0.1,
-        PRICE_UPDATE_INTERVAL: 5000,
+        EXITS: {
+            STOP_LOSS_PERCENT: 0.015,
+            TAKE_PROFIT_PERCENT: 0.02,
+            TRAILING_STOP_PERCENT: 0.01,
+            TRAILING_ACTIVATION_PERCENT: 0.005, // Gain minimum avant d'armer le trailing stop
+            MAX_DURATION: 3600000 // 1h max en position
+        },
         ANALYSIS_INTERVAL: { MIN: 120000, MAX: 300000 }
     },
+    STRATEGY: {
+        // Stratégie du registre realistic-bots/strategies.js (BOT_STRATEGY)
+        NAME: process.env.BOT_STRATEGY || 'rsi-mean-reversion',
+        // Paramètres par stratégie (valeurs par défaut du schéma pour les autres)
+        PARAMS: {
+            'rsi-mean-reversion': { rsiOversold: 30, rsiOverbought: 70, minVolumeRatio: 1 }
+        }
+    },
+    PORTFOLIO: {
+        INITIAL_CASH: 1000,
+        POSITION_SIZE: 100, // Taille de position en devise de cotation ($)
+        MIN_POSITION_SIZE: 10,
+        EQUITY_INTERVAL: 300000 // Point de courbe d'equity toutes les 5 min
+    },
+    EXECUTION: {
+        // Frais taker/maker par palier de volume échangé sur 30 jours ($)
+        FEE_TIERS: [
+            { MIN_VOLUME: 0, MAKER: 0.001, TAKER: 0.001 },
+            { MIN_VOLUME: 50000, MAKER: 0.0009, TAKER: 0.001 },
+            { MIN_VOLUME: 500000, MAKER: 0.0008, TAKER: 0.0009 }
+        ],
+        // Écart bid/ask relatif par symbole
+        SPREADS: {
+            'BTC/USD': 0.0002,
+            'ETH/USD': 0.0003,
+            'ADA/USD': 0.001,
+            'SOL/USD': 0.0006,
+            'DOT/USD': 0.0008,
+            DEFAULT: 0.001
+        },
+        // Glissement = BASE + IMPACT * sqrt(taille / profondeur du carnet en $)
+        SLIPPAGE: {
+            BASE: 0.0001,
+            IMPACT: 0.001,
+            DEPTH: {
+                'BTC/USD': 2000000,
+                'ETH/USD': 1000000,
+                'ADA/USD': 150000,
+                'SOL/USD': 300000,
+                'DOT/USD': 150000,
+                DEFAULT: 100000
+            }
+        },
+        LATENCY: { MIN: 50, MAX: 300 } // Délai décision → exécution (ms)
+    },
+    ORDERS: {
+        MAKER_PARTICIPATION: 0.05, // Part de la profondeur servie aux ordres au repos par chandelier
+        STOP_LIMIT_OFFSET: 0.005   // Prix limite du stop-loss: 0,5% au-delà du stop
+    },
     LOGGING: {
-        TRADES_FILE: './logs/trades_detail.json',
+        TRADES_FILE: './logs/trades_detail.json', // Instantané compacté du journal
+        TRADES_JOURNAL_FILE: './logs/trades_journal.jsonl',
+        JOURNAL_COMPACT_EVERY: 100, // Événements entre deux compactions
         STATE_FILE: './logs/bot_state.json',
-        DAILY_SUMMARY_FILE: './logs/daily_summary.json'
+        DAILY_SUMMARY_FILE: './logs/daily_summary.json',
+        EQUITY_FILE: './logs/equity_curve.jsonl',
+        ATTRIBUTION_FILE: './logs/attribution_report.json'
+    },
+    MARKET_DATA: {
+        // 'random' (marche aléatoire), 'replay' (fichier CSV/JSON) ou 'websocket' (flux local)
+        SOURCE: process.env.MARKET_DATA_SOURCE || 'random',
+        UPDATE_INTERVAL: 5000,
+        SYMBOLS: {
+            'BTC/USD': { base: 45000, range: 10000, volatility: 0.01 },
+            'ETH/USD': { base: 3000, range: 1000, volatility: 0.015 },
+            'ADA/USD': { base: 0.5, range: 0.3, volatility: 0.02 },
+            'SOL/USD': { base: 100, range: 50, volatility: 0.02 },
+            'DOT/USD': { base: 8, range: 4, volatility: 0.02 }
+        },
+        REPLAY: {
+            FILE: process.env.MARKET_DATA_FILE || './state.json',
+            SYMBOLS: null, // null = tous les symboles du fichier
+            LOOP: false
+        },
+        WEBSOCKET: {
+            URL: process.env.MARKET_DATA_WS_URL || 'ws://localhost:8080',
+            RECONNECT_DELAY: 5000
+        }
+    },
+    SIMULATION: {
+        // Graine du générateur aléatoire (--seed ou BOT_SEED); null = non reproductible
+        SEED: parseSeedArg(process.argv) || process.env.BOT_SEED || null,
+        // 'system' (temps réel) ou 'virtual' (--virtual: temps simulé accéléré)
+        CLOCK: CLOCK_ARGS.virtual ? 'virtual' : (process.env.BOT_CLOCK || 'system'),
+        // Début et durée d'une session virtuelle (--start, --duration);
+        // avec une graine et sans --start, début fixe (SEEDED_START_TIME) pour des exécutions identiques
+        START_TIME: CLOCK_ARGS.startTime,
+        DURATION: CLOCK_ARGS.duration || 24 * 3600000
+    },
+    RELAY: {
+        // Créneau GitHub Actions (0, 6, 12, 18); null = pas de relais
+        SLOT: process.env.TIME_SLOT !== undefined ? parseInt(process.env.TIME_SLOT, 10) : null,
+        SLOT_HOURS: 6,
+        SAFETY_MARGIN: 10 * 60000, // Arrêt 10 min avant la fin du créneau (timeout du job)
+        STATE_FILE: process.env.RELAY_STATE_FILE || './state.json'
     },
     SESSIONS: {
         NIGHT: '00h-06h',
@@ -26,10 +139,18 @@ const CONFIG = {
 
 // ===== TRADE TRACKER CLASS AMÉLIORÉE =====
 class TradeTracker {
-    constructor() {
+    constructor(options = {}) {
+        this.random = options.random || createRandom();
+        this.clock = options.clock || new SystemClock();
         this.sessionTrades = [];
-        this.sessionStartTime = Date.now();
+        this.sessionStartTime = this.clock.now();
         this.dailyStats = {};
+        this.portfolio = null;
+        this.journal = new TradeJournal({
+            journalFile: CONFIG.LOGGING.TRADES_JOURNAL_FILE,
+            snapshotFile: CONFIG.LOGGING.TRADES_FILE,
+            compactEvery: CONFIG.LOGGING.JOURNAL_COMPACT_EVERY
+        });
         this.ensureLogsDirectory();
         this.loadExistingTrades();
     }
@@ -44,71 +165,91 @@ class TradeTracker {
 
     loadExistingTrades() {
         try {
-            if (fs.existsSync(CONFIG.LOGGING.TRADES_FILE)) {
-                const data = fs.readFileSync(CONFIG.LOGGING.TRADES_FILE, 'utf8');
-                this.sessionTrades = JSON.parse(data);
+            // Instantané + rejeu du journal (préfixe valide en cas de corruption)
+            // Les enregistrements d'anciennes versions sont mis au format courant
+            this.sessionTrades = this.journal.load().map(upgradeTrade);
+            if (this.sessionTrades.length > 0) {
                 console.log(`📂 Chargé ${this.sessionTrades.length} trades existants`);
-                this.calculateDailyStats();
             } else {
                 console.log('📂 Nouveau fichier de trades créé');
-                this.sessionTrades = [];
             }
         } catch (error) {
             console.error('❌ Erreur chargement trades:', error.message);
             this.sessionTrades = [];
         }
+        this.calculateDailyStats();
+    }
+
+    // Les statistiques et exports sont lus dans le grand livre du portefeuille
+    attachPortfolio(portfolio) {
+        this.portfolio = portfolio;
+        this.calculateDailyStats();
     }
 
     calculateDailyStats() {
-        const today = new Date().toDateString();
-        const todayTrades = this.sessionTrades.filter(t => 
-            new Date(t.timestamp).toDateString() === today && t.status === 'CLOSED'
-        );
+        const now = this.clock.date();
+        const dayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+        const todayCloses = this.portfolio ? this.portfolio.getEntries(LEDGER_TYPES.CLOSE, dayStart) : [];
+        const winningTrades = todayCloses.filter(e => e.pnl > 0).length;
         
         this.dailyStats = {
-            date: today,
-            totalTrades: todayTrades.length,
-            winningTrades: todayTrades.filter(t => t.isWin).length,
-            totalPnL: todayTrades.reduce((sum, t) => sum + (t.pnl || 0), 0),
-            winRate: todayTrades.length > 0 ? (todayTrades.filter(t => t.isWin).length / todayTrades.length * 100) : 0
+            date: now.toDateString(),
+            totalTrades: todayCloses.length,
+            winningTrades: winningTrades,
+            totalPnL: todayCloses.reduce((sum, e) => sum + e.pnl, 0),
+            winRate: todayCloses.length > 0 ? (winningTrades / todayCloses.length * 100) : 0,
+            cash: this.portfolio ? this.portfolio.cash : 0,
+            equity: this.portfolio ? this.portfolio.getEquity() : 0,
+            unrealizedPnL: this.portfolio ? this.portfolio.getUnrealizedPnL() : 0,
+            fees: this.portfolio ? this.portfolio.getFees(dayStart) : 0,
+            openPositions: this.portfolio ? this.portfolio.getOpenCount() : 0
         };
     }
 
-    recordTrade(symbol, entryPrice, direction, amount = CONFIG.TRADING.DEFAULT_AMOUNT) {
-        const trade = {
-            id: `trade_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
-            timestamp: new Date().toISOString(),
+    // signal: stratégie, raison et confiance d'entrée (attribution des performances)
+    recordTrade(symbol, entryPrice, direction, quantity, exitLevels = {}, fill = null, signal = null) {
+        const trade = createTrade({
+            id: `trade_${this.clock.now()}_${this.random.id(6)}`,
             symbol: symbol,
             entryPrice: entryPrice,
             direction: direction,
-            amount: amount,
-            status: 'OPEN',
+            quantity: quantity,
+            entryTime: this.clock.now(),
             session: this.getCurrentSession(),
-            openedAt: Date.now()
-        };
+            ...exitLevels,
+            ...(signal || {}),
+            ...(fill ? { fees: fill.fee, execution: { entry: fill } } : {})
+        });
 
         this.sessionTrades.push(trade);
         this.logTradeOpen(trade);
-        this.saveTrades();
+        this.appendEvent({ type: EVENT_TYPES.TRADE_OPENED, trade });
         return trade.id;
     }
 
-    closeTrade(tradeId, exitPrice, pnl) {
-        const trade = this.sessionTrades.find(t => t.id === tradeId);
+    getTrade(tradeId) {
+        return this.sessionTrades.find(t => t.id === tradeId) || null;
+    }
+
+    closeTrade(tradeId, exitPrice, pnl, exitReason, fill = null) {
+        const trade = this.getTrade(tradeId);
         if (!trade) {
             console.error(`❌ Trade ${tradeId} non trouvé`);
             return null;
         }
 
-        trade.exitPrice = exitPrice;
-        trade.pnl = pnl;
-        trade.isWin = pnl > 0;
-        trade.status = 'CLOSED';
-        trade.closedAt = new Date().toISOString();
-        trade.duration = Date.now() - trade.openedAt;
+        const changes = closeFields(trade, {
+            exitPrice,
+            exitTime: this.clock.now(),
+            pnl,
+            exitReason,
+            fees: fill ? fill.fee : 0
+        });
+        if (fill) changes.execution = { ...trade.execution, exit: fill };
+        Object.assign(trade, changes);
         
         this.logTradeClose(trade);
-        this.saveTrades();
+        this.appendEvent({ type: EVENT_TYPES.TRADE_CLOSED, tradeId, changes });
         this.calculateDailyStats();
         this.saveDailySummary();
         this.showSessionStats();
@@ -117,7 +258,7 @@ class TradeTracker {
     }
 
     getCurrentSession() {
-        const hour = new Date().getHours();
+        const hour = this.clock.date().getHours();
         if (hour >= 0 && hour < 6) return CONFIG.SESSIONS.NIGHT;
         if (hour >= 6 && hour < 12) return CONFIG.SESSIONS.MORNING;
         if (hour >= 12 && hour < 18) return CONFIG.SESSIONS.AFTERNOON;
@@ -125,13 +266,20 @@ class TradeTracker {
     }
 
     logTradeOpen(trade) {
-        const timestamp = new Date(trade.timestamp).toLocaleString('fr-FR');
+        const timestamp = new Date(trade.entryTime).toLocaleString('fr-FR');
         console.log('\n' + '🎯'.repeat(15));
         console.log(`🚀 TRADE OUVERT - ${trade.direction}`);
         console.log(`📅 ${timestamp}`);
         console.log(`🔢 ID: ${trade.id}`);
-        console.log(`💰 ${trade.symbol} @ ${trade.entryPrice}$`);
-        console.log(`📦 Quantité: ${trade.amount}`);
+        console.log(`💰 ${trade.symbol} @ ${trade.entryPrice.toFixed(4)}$`);
+        console.log(`📦 Quantité: ${trade.quantity}`);
+        if (trade.execution) {
+            const { entry } = trade.execution;
+            console.log(`🧾 Frais: ${entry.fee.toFixed(4)}$ | Spread: ${entry.spreadCost.toFixed(4)}$ | Slippage: ${entry.slippageCost.toFixed(4)}$ | Latence: ${entry.latency}ms`);
+        }
+        if (trade.stopLossPrice) {
+            console.log(`🛡️ SL: ${trade.stopLossPrice.toFixed(4)}$ | TP: ${trade.takeProfitPrice.toFixed(4)}$`);
+        }
         console.log(`⏰ Session: ${trade.session}`);
         console.log('🎯'.repeat(15));
     }
@@ -146,8 +294,9 @@ class TradeTracker {
         console.log(`${emoji} TRADE ${result}`);
         console.log(`🔢 ${trade.id}`);
         console.log(`📊 ${trade.direction} ${trade.symbol}`);
-        console.log(`📈 ${trade.entryPrice}$ → ${trade.exitPrice}$`);
-        console.log(`💰 PnL: ${pnlFormatted}$`);
+        console.log(`📈 ${trade.entryPrice.toFixed(4)}$ → ${trade.exitPrice.toFixed(4)}$`);
+        console.log(`💰 PnL: ${pnlFormatted}$ (${trade.pnlPercent.toFixed(2)}%) | Frais: ${trade.fees.toFixed(4)}$`);
+        console.log(`🚪 Sortie: ${trade.exitReason || 'N/A'}`);
         console.log(`⏱️ Durée: ${durationSec}s`);
         console.log(`⏰ Session: ${trade.session}`);
         console.log(emoji.repeat(15));
@@ -172,9 +321,22 @@ class TradeTracker {
         console.log('📊'.repeat(20));
     }
 
+    // Ajout d'un événement au journal, compaction périodique
+    appendEvent(event) {
+        try {
+            this.journal.append({ ...event, at: this.clock.date().toISOString() });
+            if (this.journal.shouldCompact()) {
+                this.saveTrades();
+            }
+        } catch (error) {
+            console.error('❌ Erreur écriture journal:', error.message);
+        }
+    }
+
+    // Instantané atomique de tous les trades + remise à zéro du journal
     saveTrades() {
         try {
-            fs.writeFileSync(CONFIG.LOGGING.TRADES_FILE, JSON.stringify(this.sessionTrades, null, 2));
+            this.journal.compact(this.sessionTrades);
         } catch (error) {
             console.error('❌ Erreur sauvegarde trades:', error.message);
         }
@@ -184,11 +346,11 @@ class TradeTracker {
         try {
             const summaryData = {
                 ...this.dailyStats,
-                lastUpdated: new Date().toISOString(),
+                lastUpdated: this.clock.date().toISOString(),
                 currentSession: this.getCurrentSession()
             };
             
-            fs.writeFileSync(CONFIG.LOGGING.DAILY_SUMMARY_FILE, JSON.stringify(summaryData, null, 2));
+            writeFileAtomic(CONFIG.LOGGING.DAILY_SUMMARY_FILE, JSON.stringify(summaryData, null, 2));
         } catch (error) {
             console.error('❌ Erreur sauvegarde résumé:', error.message);
         }
@@ -202,20 +364,42 @@ class TradeTracker {
         return this.sessionTrades.filter(t => t.status === 'OPEN');
     }
 
+    // Trade repris d'une passation de créneau, absent des logs locaux
+    importTrade(trade) {
+        const imported = normalizeTrade(trade);
+        this.sessionTrades.push(imported);
+        this.appendEvent({ type: EVENT_TYPES.TRADE_OPENED, trade: imported });
+        return imported;
+    }
+
+    getClosedTrades() {
+        return this.sessionTrades
+            .filter(t => t.status === 'CLOSED')
+            .sort((a, b) => a.exitTime - b.exitTime);
+    }
+
+    // Une ligne par écriture du grand livre (ouverture/clôture) avec les soldes après opération
     exportTradesToCSV() {
-        const csvContent = this.sessionTrades.map(trade => ({
-            id: trade.id,
-            timestamp: trade.timestamp,
-            symbol: trade.symbol,
-            direction: trade.direction,
-            entryPrice: trade.entryPrice,
-            exitPrice: trade.exitPrice || 'N/A',
-            pnl: trade.pnl || 0,
-            isWin: trade.isWin || false,
-            status: trade.status,
-            session: trade.session,
-            duration: trade.duration || 0
-        }));
+        const ledger = this.portfolio ? this.portfolio.ledger : [];
+        const csvContent = ledger.map(entry => {
+            const trade = this.getTrade(entry.tradeId) || {};
+            return {
+                time: new Date(entry.time).toISOString(),
+                tradeId: entry.tradeId,
+                type: entry.type,
+                symbol: entry.symbol,
+                direction: trade.direction || 'N/A',
+                quantity: entry.quantity,
+                price: entry.price,
+                notional: entry.notional,
+                fee: entry.fee || 0,
+                pnl: entry.pnl,
+                cash: entry.cash,
+                equity: entry.equity,
+                exitReason: entry.type === LEDGER_TYPES.CLOSE ? (trade.exitReason || 'N/A') : '',
+                session: trade.session || 'N/A'
+            };
+        });
 
         const csvFile = './logs/trades_export.csv';
         const header = Object.keys(csvContent[0] || {}).join(',');
@@ -225,94 +409,286 @@ class TradeTracker {
         fs.writeFileSync(csvFile, csvString);
         console.log(`📁 Export CSV créé: ${csvFile}`);
     }
+
+    // Bilan de toutes les sessions (showSessionStats ne couvre que la session courante)
+    saveAttribution() {
+        try {
+            const report = buildAttribution(this.sessionTrades, { timezone: SESSION_TIMEZONE, now: this.clock.now() });
+            if (report.total.trades === 0) return;
+            printAttribution({ ...report, dimensions: { session: report.dimensions.session, signal: report.dimensions.signal } });
+            writeFileAtomic(CONFIG.LOGGING.ATTRIBUTION_FILE, JSON.stringify(report, null, 2));
+            console.log(`📁 Attribution: ${CONFIG.LOGGING.ATTRIBUTION_FILE}`);
+        } catch (error) {
+            console.error('❌ Erreur rapport d\'attribution:', error.message);
+        }
+    }
 }
 
 // ===== BOT PRINCIPAL AMÉLIORÉ =====
 class RealisticTradingBot {
-    constructor() {
+    constructor(options = {}) {
         this.isRunning = false;
-        this.balance = 1000;
         this.positions = {};
         this.tradeCount = 0;
         this.winCount = 0;
-        this.totalPnL = 0;
         this.consecutiveLosses = 0;
         
-        this.tracker = new TradeTracker();
+        // Flux aléatoires indépendants: prix, décisions et identifiants
+        this.random = createRandom(CONFIG.SIMULATION.SEED);
+        this.clock = options.clock || createClock(CONFIG.SIMULATION);
+        this.relay = options.relay || null;
+        this.tracker = new TradeTracker({ random: this.random.fork('trades'), clock: this.clock });
         this.state = this.loadState();
+        this.resumeFromHandoff(options.handoff);
+        this.portfolio = this.loadPortfolio();
+        this.tracker.attachPortfolio(this.portfolio);
         
-        // Prix simulés avec volatilité réaliste
-        this.prices = {
-            'BTC/USD': 45000 + Math.random() * 10000,
-            'ETH/USD': 3000 + Math.random() * 1000,
-            'ADA/USD': 0.5 + Math.random() * 0.3,
-            'SOL/USD': 100 + Math.random() * 50,
-            'DOT/USD': 8 + Math.random() * 4
-        };
+        // Exécutions papier au prix du carnet simulé: spread, glissement, frais et latence
+        this.execution = new ExecutionCostModel(CONFIG.EXECUTION, { random: this.random.fork('execution') });
+        this.execution.loadHistory(this.portfolio.ledger);
+        this.pendingCloses = {}; // tradeId -> timer de clôture en attente d'exécution
+        
+        // Ordres papier avec le cycle de vie du réel: entrée au marché, sortie OCO objectif/stop-loss
+        this.exchange = new MatchingEngine({
+            clock: this.clock,
+            costs: this.execution,
+            participation: CONFIG.ORDERS.MAKER_PARTICIPATION
+        });
+        this.exchange.on('order', (order, fill) => this.onOrderUpdate(order, fill));
+        this.exits = {}; // tradeId -> { orderListId, fills, reason, latency }
+        this.restoreRiskCounters();
+        
+        // Prix fournis par la source de données configurée
+        this.marketData = createMarketDataSource(CONFIG.MARKET_DATA, {
+            random: this.random.fork('prices'),
+            clock: this.clock
+        });
+        this.prices = this.marketData.getPrices();
+        this.indicators = {};
         
+        // Signaux d'entrée: même stratégie que le backtester et l'optimiseur
+        this.strategy = createStrategy(CONFIG.STRATEGY.NAME, CONFIG.STRATEGY.PARAMS[CONFIG.STRATEGY.NAME]);
+        this.signals = {}; // symbole -> dernier signal d'entrée
+        this.marketData.on('candle', (candle) => {
+            this.prices[candle.symbol] = candle.close;
+            this.portfolio.mark(candle.symbol, candle.close);
+            this.updateIndicators(candle);
+            this.exchange.processCandle(candle, this.getVolumeRatio(candle.symbol));
+            this.monitorPositions(candle);
+            this.evaluateStrategy(candle);
+        });
+        this.marketData.on('end', () => {
+            console.log('📼 Fin du rejeu des données de marché, derniers prix conservés');
+        });
+        
+        this.restoreOpenPositions();
         this.startPriceUpdates();
         this.setupPeriodicReports();
     }
 
     loadState() {
+        const defaults = { 
+            dailyTrades: 0, 
+            lastTradeDate: null,
+            totalSessionTrades: 0,
+            startTime: this.clock.now()
+        };
+
         try {
             if (fs.existsSync(CONFIG.LOGGING.STATE_FILE)) {
                 const data = JSON.parse(fs.readFileSync(CONFIG.LOGGING.STATE_FILE, 'utf8'));
                 console.log('📂 État précédent chargé');
-                return data;
+                return { ...defaults, ...data };
             }
         } catch (error) {
             console.log('📂 Nouvel état créé');
         }
-        return { 
-            dailyTrades: 0, 
-            lastTradeDate: null,
-            totalSessionTrades: 0,
-            startTime: Date.now()
+        return defaults;
+    }
+
+    // Passation du créneau précédent: sur un runner neuf, logs/ est vide et
+    // seul state.json (relayInfo) transporte les positions ouvertes et les compteurs
+    resumeFromHandoff(handoff) {
+        if (!handoff) return;
+
+        const localSaved = this.state.lastSaved ? new Date(this.state.lastSaved).getTime() : 0;
+        if (localSaved < handoff.at) {
+            Object.assign(this.state, handoff.state);
+        }
+
+        let imported = 0;
+        (handoff.openPositions || []).forEach(trade => {
+            if (this.tracker.getTrade(trade.id)) return;
+            try {
+                this.tracker.importTrade(trade);
+                imported++;
+            } catch (error) {
+                console.error(`❌ [RELAY] Position ${trade.id} ignorée: ${error.message}`);
+            }
+        });
+
+        console.log(`🔁 Passation du créneau ${handoff.fromSlot}h reprise (${handoff.reason}, ${new Date(handoff.at).toISOString()})`);
+        if (imported > 0) {
+            console.log(`🔁 ${imported} position(s) reprise(s) depuis state.json`);
+        }
+    }
+
+    // Contenu de la passation écrite dans state.json en fin de créneau
+    getHandoffSnapshot() {
+        return {
+            openPositions: Object.values(this.positions).map(position => ({ ...position })),
+            state: { ...this.state }
         };
     }
 
+    // Compteurs de risque repris de bot_state.json; à défaut (ancien état),
+    // reconstruits depuis l'historique des trades clôturés
+    restoreRiskCounters() {
+        let risk = this.state.risk;
+
+        if (!risk) {
+            const closedTrades = this.tracker.getClosedTrades();
+            let consecutiveLosses = 0;
+            for (let i = closedTrades.length - 1; i >= 0 && !closedTrades[i].isWin; i--) {
+                consecutiveLosses++;
+            }
+            risk = {
+                tradeCount: closedTrades.length + this.tracker.getOpenTrades().length,
+                winCount: closedTrades.filter(t => t.isWin).length,
+                consecutiveLosses
+            };
+        }
+
+        // Limite quotidienne: trades ouverts aujourd'hui, même si l'état n'a pas été sauvegardé
+        const today = this.clock.date().toDateString();
+        const openedToday = this.tracker.sessionTrades
+            .filter(t => new Date(t.entryTime).toDateString() === today).length;
+        if (this.state.lastTradeDate !== today) {
+            this.state.dailyTrades = 0;
+            this.state.lastTradeDate = today;
+        }
+        this.state.dailyTrades = Math.max(this.state.dailyTrades, openedToday);
+
+        this.tradeCount = risk.tradeCount;
+        this.winCount = risk.winCount;
+        this.consecutiveLosses = risk.consecutiveLosses;
+
+        if (this.tradeCount > 0) {
+            console.log(`♻️ Compteurs restaurés | Trades: ${this.tradeCount} | PnL: ${this.portfolio.realizedPnL.toFixed(4)}$ | Pertes consécutives: ${this.consecutiveLosses}`);
+        }
+    }
+
+    // Grand livre reconstruit depuis l'historique des trades; les soldes sauvegardés
+    // priment seulement si cet historique est incomplet (runner neuf après passation)
+    loadPortfolio() {
+        const portfolio = Portfolio.fromTrades(this.tracker.sessionTrades, {
+            initialCash: CONFIG.PORTFOLIO.INITIAL_CASH
+        });
+
+        if (portfolio.reconcile(this.state.portfolio)) {
+            console.log('⚖️ Soldes du portefeuille repris de l\'état sauvegardé (historique local incomplet)');
+        }
+        console.log(`💼 Portefeuille | Liquidités: ${portfolio.cash.toFixed(2)}$ | Equity: ${portfolio.getEquity().toFixed(2)}$ | Positions: ${portfolio.getOpenCount()}`);
+        return portfolio;
+    }
+
+    // Reprend le suivi des trades restés OPEN (arrêt, redémarrage pm2, relais GitHub Actions)
+    restoreOpenPositions() {
+        const openTrades = this.tracker.getOpenTrades();
+        if (openTrades.length === 0) return;
+
+        // Source sans liste de symboles connue (WebSocket): toutes les positions restent suivies
+        const knownSymbols = this.marketData.getSymbols();
+        const savedPositions = this.state.openPositions || {};
+        let restored = 0;
+
+        openTrades.forEach(trade => {
+            if (knownSymbols.length > 0 && !knownSymbols.includes(trade.symbol)) {
+                console.log(`⚠️ Position ${trade.id} sur ${trade.symbol} sans cotation: clôturée au prix d'entrée`);
+                const pnl = this.portfolio.has(trade.id)
+                    ? this.portfolio.close(trade.id, trade.entryPrice, this.clock.now()).pnl
+                    : 0;
+                this.tracker.closeTrade(trade.id, trade.entryPrice, pnl, EXIT_REASONS.RECONCILED);
+                return;
+            }
+
+            // Trades ouverts avant les règles de sortie: niveaux recalculés depuis le prix d'entrée
+            if (trade.stopLossPrice === undefined) {
+                Object.assign(trade, createExitLevels(trade.entryPrice, trade.direction, this.getExitRules()));
+            }
+            if (savedPositions[trade.id]) {
+                trade.peakPrice = savedPositions[trade.id].peakPrice;
+            }
+
+            this.positions[trade.id] = trade;
+            restored++;
+        });
+
+        if (restored > 0) {
+            console.log(`♻️ ${restored} position(s) ouverte(s) restaurée(s)`);
+        }
+    }
+
     saveState() {
         try {
-            this.state.lastSaved = new Date().toISOString();
-            fs.writeFileSync(CONFIG.LOGGING.STATE_FILE, JSON.stringify(this.state, null, 2));
+            this.state.risk = {
+                tradeCount: this.tradeCount,
+                winCount: this.winCount,
+                consecutiveLosses: this.consecutiveLosses
+            };
+            this.state.portfolio = this.portfolio.toJSON();
+            // Meilleur prix atteint par position (trailing stop), absent du journal
+            this.state.openPositions = {};
+            Object.values(this.positions).forEach(position => {
+                this.state.openPositions[position.id] = { peakPrice: position.peakPrice };
+            });
+            this.state.lastSaved = this.clock.date().toISOString();
+            writeFileAtomic(CONFIG.LOGGING.STATE_FILE, JSON.stringify(this.state, null, 2));
         } catch (error) {
             console.error('❌ Erreur sauvegarde état:', error.message);
         }
     }
 
     startPriceUpdates() {
-        setInterval(() => {
-            Object.keys(this.prices).forEach(symbol => {
-                // Volatilité variable selon la crypto
-                const volatility = symbol.includes('BTC') ? 0.01 : 
-                                 symbol.includes('ETH') ? 0.015 : 0.02;
-                
-                const change = (Math.random() - 0.5) * volatility;
-                this.prices[symbol] *= (1 + change);
-                this.prices[symbol] = Math.round(this.prices[symbol] * 10000) / 10000;
-            });
-        }, CONFIG.TRADING.PRICE_UPDATE_INTERVAL);
+        console.log(`📡 Source de données: ${CONFIG.MARKET_DATA.SOURCE}`);
+        this.marketData.start();
     }
 
     setupPeriodicReports() {
         // Rapport toutes les heures
-        setInterval(() => {
+        this.reportTimer = this.clock.setInterval(() => {
+            // Recalcul pour basculer sur la nouvelle journée même sans trade clôturé
+            this.tracker.calculateDailyStats();
             const dailyStats = this.tracker.getDailyStats();
+            this.saveState();
             console.log('\n⏰ RAPPORT HORAIRE');
             console.log(`📊 Trades du jour: ${dailyStats.totalTrades}`);
             console.log(`🏆 Taux de réussite: ${dailyStats.winRate.toFixed(1)}%`);
             console.log(`💰 PnL total: ${dailyStats.totalPnL.toFixed(4)}$`);
+            console.log(`💼 Equity: ${dailyStats.equity.toFixed(2)}$ | Liquidités: ${dailyStats.cash.toFixed(2)}$ | Latent: ${dailyStats.unrealizedPnL.toFixed(4)}$`);
             
             // Export CSV automatique
             if (dailyStats.totalTrades > 0) {
                 this.tracker.exportTradesToCSV();
             }
         }, 3600000); // 1 heure
+
+        // Courbe d'equity valorisée au dernier prix
+        this.equityTimer = this.clock.setInterval(() => this.recordEquity(), CONFIG.PORTFOLIO.EQUITY_INTERVAL);
+    }
+
+    recordEquity() {
+        const point = this.portfolio.recordEquity(this.clock.now());
+        try {
+            fs.appendFileSync(CONFIG.LOGGING.EQUITY_FILE, JSON.stringify(point) + '\n');
+        } catch (error) {
+            console.error('❌ Erreur écriture courbe d\'equity:', error.message);
+        }
+        return point;
     }
 
     checkSafetyLimits() {
-        const today = new Date().toDateString();
+        const today = this.clock.date().toDateString();
         if (this.state.lastTradeDate !== today) {
             this.state.dailyTrades = 0;
             this.state.lastTradeDate = today;
@@ -333,30 +709,65 @@ class RealisticTradingBot {
         return true;
     }
 
+    // Indicateurs incrémentaux par symbole (mêmes calculs que le backtester)
+    updateIndicators(candle) {
+        if (!this.indicators[candle.symbol]) {
+            this.indicators[candle.symbol] = new IndicatorSet();
+        }
+        this.indicators[candle.symbol].update(candle);
+    }
+
+    // Position ouverte sur un symbole (une seule par symbole, comme dans le backtester)
+    getOpenPosition(symbol) {
+        return Object.values(this.positions).find(position => position.symbol === symbol) || null;
+    }
+
+    // Sortie en cours d'exécution (latence): la position n'est plus dans this.positions mais reste ouverte
+    hasPendingClose(symbol) {
+        return Object.values(this.pendingCloses).some(({ position }) => position.symbol === symbol);
+    }
+
+    // Chandelier transmis à la stratégie: signal d'entrée conservé jusqu'à la prochaine analyse
+    // (consommé par analyzeMarket), signal de sortie appliqué immédiatement
+    evaluateStrategy(candle) {
+        const position = this.getOpenPosition(candle.symbol);
+        const signal = this.strategy.onCandle(candle, { position, time: this.clock.now() });
+        if (signal) this.handleSignal(signal);
+    }
+
+    handleSignal(signal) {
+        const position = this.getOpenPosition(signal.symbol);
+
+        if (signal.action === SIGNAL_ACTIONS.EXIT && position && !this.pendingCloses[position.id]) {
+            this.closeTrade(position, signal.reason);
+        } else if (signal.action === SIGNAL_ACTIONS.ENTER && !position && !this.hasPendingClose(signal.symbol)) {
+            this.signals[signal.symbol] = signal;
+        }
+    }
+
     analyzeMarket() {
-        const symbols = Object.keys(this.prices);
-        const selectedSymbol = symbols[Math.floor(Math.random() * symbols.length)];
-        const currentPrice = this.prices[selectedSymbol];
-        
-        // Analyse technique améliorée
-        const rsi = Math.random() * 100;
-        const macd = Math.random() > 0.5 ? 'BUY' : 'SELL';
-        const volume = Math.random();
-        const trend = Math.random() > 0.5 ? 'UP' : 'DOWN';
-        
-        // Probabilité de trade basée sur plusieurs facteurs
-        const shouldTrade = (rsi < 30 || rsi > 70) && volume > 0.6 && Math.random() > 0.6;
-        const direction = (rsi < 30 && trend === 'UP') || (rsi > 70 && trend === 'DOWN') ? 
-                         (rsi < 30 ? 'LONG' : 'SHORT') : 
-                         (Math.random() > 0.5 ? 'LONG' : 'SHORT');
-        
+        this.strategy.onTimer(this.clock.now(), { positions: Object.values(this.positions) })
+            .forEach(signal => this.handleSignal(signal));
+
+        // Signal d'entrée le plus confiant parmi les symboles sans position
+        const candidates = Object.values(this.signals)
+            .filter(signal => signal && !this.getOpenPosition(signal.symbol) && !this.hasPendingClose(signal.symbol))
+            .sort((a, b) => b.confidence - a.confidence);
+        // Signaux consommés: une analyse ne repart que des signaux émis depuis la précédente
+        this.signals = {};
+
+        if (candidates.length === 0) {
+            return { shouldTrade: false };
+        }
+
+        const signal = candidates[0];
         return {
-            symbol: selectedSymbol,
-            price: currentPrice,
-            direction: direction,
-            confidence: volume,
-            shouldTrade: shouldTrade,
-            analysis: { rsi, macd, volume, trend }
+            symbol: signal.symbol,
+            price: this.prices[signal.symbol],
+            direction: signal.direction,
+            confidence: signal.confidence,
+            shouldTrade: true,
+            analysis: { strategy: this.strategy.name, reason: signal.reason, indicators: signal.indicators }
         };
     }
 
@@ -364,40 +775,103 @@ class RealisticTradingBot {
         if (!this.checkSafetyLimits()) return;
 
         const { symbol, price, direction, confidence } = analysis;
+        this.signals[symbol] = null;
+        
+        // Taille en devise de cotation: même exposition quel que soit le prix de l'actif,
+        // liquidités réservées pour les coûts d'exécution
+        const { notional } = this.portfolio.sizePosition(price, CONFIG.PORTFOLIO.POSITION_SIZE, this.execution.maxCostRate(symbol));
+        if (notional < CONFIG.PORTFOLIO.MIN_POSITION_SIZE) {
+            console.log(`💸 Liquidités insuffisantes: ${this.portfolio.cash.toFixed(2)}$ disponibles`);
+            return;
+        }
+        
+        // Le prix peut bouger pendant la latence: exécution au prix courant à l'arrivée de l'ordre
+        const latency = this.execution.sampleLatency();
+        await this.clock.sleep(latency);
+        if (!this.isRunning) return;
+        
+        const order = this.exchange.submitOrder({
+            symbol,
+            side: direction === 'LONG' ? 'BUY' : 'SELL',
+            type: ORDER_TYPES.MARKET,
+            quoteOrderQty: notional
+        });
+        const fill = { orderId: order.orderId, side: order.side, ...summarizeFills(order.fills), latency };
+        const exitLevels = createExitLevels(fill.price, direction, this.getExitRules());
         
-        const tradeId = this.tracker.recordTrade(symbol, price, direction);
+        const tradeId = this.tracker.recordTrade(symbol, fill.price, direction, fill.quantity, exitLevels, fill, {
+            strategy: this.strategy.name,
+            entryReason: analysis.analysis.reason,
+            confidence
+        });
+        this.portfolio.open(this.tracker.getTrade(tradeId), { fee: fill.fee });
+        this.strategy.onFill(this.toStrategyFill(symbol, fill), { position: this.tracker.getTrade(tradeId), type: 'ENTRY' });
         
         console.log(`\n🚀 EXÉCUTION TRADE:`);
-        console.log(`   ${symbol} ${direction} @ ${price}$`);
-        console.log(`   Confiance: ${(confidence * 100).toFixed(1)}%`);
+        console.log(`   ${symbol} ${direction} @ ${fill.price.toFixed(4)}$ (signal ${price}$, ${fill.notional.toFixed(2)}$ + ${fill.fee.toFixed(4)}$ de frais)`);
+        console.log(`   Signal: ${this.strategy.name} ${analysis.analysis.reason} | Confiance: ${(confidence * 100).toFixed(1)}%`);
         
         this.tradeCount++;
         this.state.dailyTrades++;
         this.state.totalSessionTrades++;
         this.saveState();
         
-        // Durée variable selon la volatilité
-        const tradeDuration = 15000 + Math.random() * 45000;
-        
-        setTimeout(() => {
-            this.closeTrade(tradeId, symbol, price, direction);
-        }, tradeDuration);
+        // Position suivie tick par tick jusqu'à une règle de sortie
+        this.positions[tradeId] = this.tracker.getTrade(tradeId);
+        this.placeExitOrders(this.positions[tradeId]);
     }
 
-    closeTrade(tradeId, symbol, entryPrice, direction) {
-        const currentPrice = this.prices[symbol];
-        
-        // Résultat plus réaliste (55% de chance de gain)
-        const isWin = Math.random() > 0.45;
-        const changePercent = isWin ? 
-            (0.005 + Math.random() * 0.025) : // 0.5-3% gain
-            -(0.005 + Math.random() * 0.02);   // 0.5-2.5% perte
-        
-        const exitPrice = entryPrice * (1 + changePercent);
-        const pnlMultiplier = direction === 'LONG' ? 1 : -1;
-        const pnl = (exitPrice - entryPrice) * CONFIG.TRADING.DEFAULT_AMOUNT * pnlMultiplier;
+    // Objectif (LIMIT_MAKER) et stop-loss (STOP_LOSS_LIMIT) posés au carnet en OCO
+    placeExitOrders(position) {
+        const side = position.direction === 'LONG' ? 'SELL' : 'BUY';
+        const offset = CONFIG.ORDERS.STOP_LIMIT_OFFSET;
+
+        try {
+            const list = this.exchange.submitOco({
+                symbol: position.symbol,
+                side,
+                quantity: position.quantity,
+                price: position.takeProfitPrice,
+                stopPrice: position.stopLossPrice,
+                stopLimitPrice: position.stopLossPrice * (side === 'SELL' ? 1 - offset : 1 + offset),
+                limitClientOrderId: `${position.id}:${EXIT_REASONS.TAKE_PROFIT}`,
+                stopClientOrderId: `${position.id}:${EXIT_REASONS.STOP_LOSS}`
+            });
+            this.exits[position.id] = { orderListId: list.orderListId, fills: [], reason: null, latency: 0 };
+        } catch (error) {
+            // Prix déjà au-delà d'un niveau: la sortie est laissée à monitorPositions
+            console.log(`⚠️ Ordres de sortie non placés pour ${position.id}: ${error.message}`);
+        }
+    }
+
+    // Exécutions des ordres de sortie (clientOrderId = tradeId:raison);
+    // le trade est clôturé une fois toute la quantité vendue/rachetée
+    onOrderUpdate(order, fill) {
+        const separator = order.clientOrderId.lastIndexOf(':');
+        if (!fill || separator === -1) return;
+
+        const tradeId = order.clientOrderId.slice(0, separator);
+        const exit = this.exits[tradeId];
+        const trade = this.tracker.getTrade(tradeId);
+        if (!exit || !trade || trade.status !== 'OPEN') return;
+
+        exit.fills.push(fill);
+        exit.reason = order.clientOrderId.slice(separator + 1);
+        const summary = summarizeFills(exit.fills);
+        if (summary.quantity < trade.quantity * (1 - 1e-9)) return; // exécution partielle
+
+        delete this.positions[tradeId];
+        delete this.exits[tradeId];
+        const exitFill = {
+            orderIds: [...new Set(exit.fills.map(item => item.orderId))],
+            side: order.side,
+            ...summary,
+            latency: exit.latency
+        };
+        const { pnl } = this.portfolio.close(tradeId, summary.price, this.clock.now(), summary.fee);
         
-        const closedTrade = this.tracker.closeTrade(tradeId, exitPrice, pnl);
+        const closedTrade = this.tracker.closeTrade(tradeId, summary.price, pnl, exit.reason, exitFill);
+        this.strategy.onFill(this.toStrategyFill(trade.symbol, exitFill), { position: closedTrade, type: 'EXIT' });
         
         if (closedTrade) {
             if (closedTrade.isWin) {
@@ -407,8 +881,92 @@ class RealisticTradingBot {
                 this.consecutiveLosses++;
             }
             
-            this.totalPnL += pnl;
+            this.saveState();
+        }
+    }
+
+    toStrategyFill(symbol, fill) {
+        return {
+            symbol,
+            side: fill.side,
+            price: fill.price,
+            quantity: fill.quantity,
+            fee: fill.fee,
+            time: this.clock.now()
+        };
+    }
+
+    getVolumeRatio(symbol) {
+        const snapshot = this.indicators[symbol] ? this.indicators[symbol].snapshot() : null;
+        return snapshot && snapshot.volumeRatio ? snapshot.volumeRatio : 1;
+    }
+
+    // Sorties déclenchées mais pas encore exécutées: exécutées immédiatement à l'arrêt
+    flushPendingCloses() {
+        Object.values(this.pendingCloses).forEach(({ timer, position, reason }) => {
+            this.clock.clearTimeout(timer);
+            this.submitExitOrder(position, reason);
+        });
+    }
+
+    getExitRules() {
+        const { EXITS } = CONFIG.TRADING;
+        return {
+            stopLossPercent: EXITS.STOP_LOSS_PERCENT,
+            takeProfitPercent: EXITS.TAKE_PROFIT_PERCENT,
+            trailingStopPercent: EXITS.TRAILING_STOP_PERCENT,
+            trailingActivationPercent: EXITS.TRAILING_ACTIVATION_PERCENT,
+            maxDuration: EXITS.MAX_DURATION
+        };
+    }
+
+    // Évalue les règles de sortie des positions ouvertes sur le symbole du chandelier
+    monitorPositions(candle) {
+        Object.values(this.positions).forEach(position => {
+            if (position.symbol !== candle.symbol) return;
+            
+            const reason = evaluateExit(position, candle.close, this.clock.now());
+            if (reason) {
+                this.closeTrade(position, reason);
+            } else if (!this.exits[position.id]) {
+                // Positions restaurées au démarrage: ordres de sortie posés dès le premier prix
+                this.placeExitOrders(position);
+            }
+        });
+    }
+
+    // Sortie décidée par le bot (trailing stop, durée max, stop-limit non exécuté):
+    // annulation des ordres de sortie puis ordre au marché après la latence
+    closeTrade(position, reason) {
+        const tradeId = position.id;
+        delete this.positions[tradeId];
+        
+        const exit = this.exits[tradeId] || { orderListId: null, fills: [], reason: null, latency: 0 };
+        this.exits[tradeId] = exit;
+        if (exit.orderListId !== null) {
+            if (this.exchange.getOrderList(exit.orderListId).listOrderStatus !== LIST_STATUS.ALL_DONE) {
+                this.exchange.cancelOrderList(exit.orderListId);
+            }
+            exit.orderListId = null;
         }
+        
+        exit.latency = this.execution.sampleLatency();
+        const timer = this.clock.setTimeout(() => this.submitExitOrder(position, reason), exit.latency);
+        this.pendingCloses[tradeId] = { timer, position, reason };
+    }
+
+    // Reste de la position (après d'éventuelles exécutions partielles de l'objectif) au marché
+    submitExitOrder(position, reason) {
+        delete this.pendingCloses[position.id];
+        
+        const filled = this.exits[position.id].fills.reduce((sum, fill) => sum + fill.quantity, 0);
+        this.exchange.submitOrder({
+            symbol: position.symbol,
+            side: position.direction === 'LONG' ? 'SELL' : 'BUY',
+            type: ORDER_TYPES.MARKET,
+            quantity: position.quantity - filled,
+            clientOrderId: `${position.id}:${reason}`
+        });
     }
 
     showStats() {
@@ -416,7 +974,7 @@ class RealisticTradingBot {
         const openTrades = this.tracker.getOpenTrades();
         const dailyStats = this.tracker.getDailyStats();
         
-        console.log(`\n📊 BOT STATS | Trades: ${this.tradeCount} | Win: ${winRate.toFixed(1)}% | PnL: ${this.totalPnL.toFixed(2)}$ | Ouverts: ${openTrades.length}`);
+        console.log(`\n📊 BOT STATS | Trades: ${this.tradeCount} | Win: ${winRate.toFixed(1)}% | PnL: ${this.portfolio.realizedPnL.toFixed(2)}$ | Equity: ${this.portfolio.getEquity().toFixed(2)}$ | Ouverts: ${openTrades.length}`);
         console.log(`📊 DAILY STATS | Trades: ${dailyStats.totalTrades} | Win: ${dailyStats.winRate.toFixed(1)}% | PnL: ${dailyStats.totalPnL.toFixed(2)}$`);
         
         if (!this.checkSafetyLimits()) {
@@ -428,6 +986,9 @@ class RealisticTradingBot {
         console.log('🤖 Realistic Trading Bot - Version Enhanced avec Logging complet');
         console.log(`⏰ Session: ${this.tracker.getCurrentSession()}`);
         console.log(`📊 Logs: ${CONFIG.LOGGING.TRADES_FILE}`);
+        if (this.random.isSeeded()) {
+            console.log(`🎲 Graine de simulation: ${CONFIG.SIMULATION.SEED}`);
+        }
         console.log('🚀 Démarrage...\n');
         
         this.isRunning = true;
@@ -444,21 +1005,26 @@ class RealisticTradingBot {
                     console.log('⏳ Analyse... Pas de signal de trade');
                 }
                 
-                const waitTime = CONFIG.TRADING.ANALYSIS_INTERVAL.MIN + 
-                               Math.random() * (CONFIG.TRADING.ANALYSIS_INTERVAL.MAX - CONFIG.TRADING.ANALYSIS_INTERVAL.MIN);
+                const waitTime = Math.round(this.random.range(CONFIG.TRADING.ANALYSIS_INTERVAL.MIN, CONFIG.TRADING.ANALYSIS_INTERVAL.MAX));
                 
-                await new Promise(resolve => setTimeout(resolve, waitTime));
+                await this.clock.sleep(waitTime);
                 
             } catch (error) {
                 console.error('❌ Erreur boucle principale:', error);
-                await new Promise(resolve => setTimeout(resolve, 30000));
+                await this.clock.sleep(30000);
             }
         }
     }
 
-    stop() {
+    stop(reason = 'STOP') {
         console.log('\n🛑 Arrêt du bot...');
         this.isRunning = false;
+        this.marketData.stop();
+        this.clock.clearInterval(this.reportTimer);
+        this.clock.clearInterval(this.equityTimer);
+        this.flushPendingCloses();
+        this.recordEquity();
+        this.tracker.calculateDailyStats();
         
         // Rapport final
         const dailyStats = this.tracker.getDailyStats();
@@ -466,49 +1032,117 @@ class RealisticTradingBot {
         console.log(`📊 Trades totaux: ${dailyStats.totalTrades}`);
         console.log(`🏆 Taux de réussite: ${dailyStats.winRate.toFixed(1)}%`);
         console.log(`💰 PnL total: ${dailyStats.totalPnL.toFixed(4)}$`);
+        console.log(`💼 Equity: ${dailyStats.equity.toFixed(2)}$ (initial: ${this.portfolio.initialCash.toFixed(2)}$)`);
         
         // Export final
         this.tracker.exportTradesToCSV();
         this.tracker.showSessionStats();
+        this.tracker.saveAttribution();
+        this.tracker.saveTrades();
         this.saveState();
         
+        if (this.relay) {
+            const handoff = this.relay.end(this.getHandoffSnapshot(), reason);
+            if (handoff) {
+                console.log(`🔁 Passation écrite pour le créneau ${handoff.toSlot}h (${handoff.openPositions.length} position(s) ouverte(s))`);
+            }
+        }
+        
         console.log('✅ Bot arrêté proprement');
     }
 }
 
 // ===== DÉMARRAGE =====
-const bot = new RealisticTradingBot();
-
-// Gestion des signaux
-process.on('SIGINT', () => {
-    console.log('\n🛑 Signal d\'arrêt reçu (Ctrl+C)');
-    bot.stop();
-    process.exit(0);
-});
-
-process.on('SIGTERM', () => {
-    console.log('\n🛑 Signal de terminaison reçu');
-    bot.stop();
-    process.exit(0);
-});
-
-// Gestion des erreurs non capturées
-process.on('uncaughtException', (error) => {
-    console.error('❌ Erreur non capturée:', error);
-    bot.stop();
-    process.exit(1);
-});
-
-process.on('unhandledRejection', (reason, promise) => {
-    console.error('❌ Promesse rejetée:', reason);
-    bot.stop();
-    process.exit(1);
-});
-
-// Démarrage
-bot.start().catch(error => {
-    console.error('❌ Erreur fatale:', error);
-    process.exit(1);
-});
-
-module.exports = { RealisticTradingBot, TradeTracker, CONFIG };
+// Vérification de la passation entre créneaux (TIME_SLOT); null hors relais
+function beginRelay(relay) {
+    const check = relay.begin();
+
+    switch (check.status) {
+        case RELAY_STATUS.OVERLAP:
+            console.error(`❌ [RELAY] Chevauchement: ${check.detail}. Démarrage annulé.`);
+            break;
+        case RELAY_STATUS.FIRST_SESSION:
+            console.log(`🔁 [RELAY] Première session, créneau ${relay.slot}h`);
+            break;
+        case RELAY_STATUS.OK:
+            console.log(`🔁 [RELAY] Créneau ${relay.slot}h, passation vérifiée`);
+            break;
+        default:
+            console.log(`⚠️ [RELAY] ${check.status}: ${check.detail}`);
+    }
+    if (check.deadline) {
+        console.log(`⏱️ [RELAY] Arrêt programmé à ${new Date(check.deadline).toISOString()}`);
+    }
+    return check;
+}
+
+function main() {
+    const clock = createClock(CONFIG.SIMULATION);
+    const relay = createSlotRelay(CONFIG.RELAY, clock);
+    const relayCheck = relay ? beginRelay(relay) : null;
+
+    if (relayCheck && relayCheck.status === RELAY_STATUS.OVERLAP) {
+        process.exit(1);
+    }
+
+    const bot = new RealisticTradingBot({ clock, relay, handoff: relayCheck && relayCheck.handoff });
+
+    if (relay) {
+        relay.scheduleDeadline(relayCheck.deadline, () => {
+            console.log('\n⏱️ Fin du créneau: passation au créneau suivant');
+            bot.stop('DEADLINE');
+            process.exit(0);
+        });
+    }
+
+    // Gestion des signaux
+    process.on('SIGINT', () => {
+        console.log('\n🛑 Signal d\'arrêt reçu (Ctrl+C)');
+        bot.stop('SIGNAL');
+        process.exit(0);
+    });
+
+    process.on('SIGTERM', () => {
+        console.log('\n🛑 Signal de terminaison reçu');
+        bot.stop('SIGNAL');
+        process.exit(0);
+    });
+
+    // Gestion des erreurs non capturées
+    process.on('uncaughtException', (error) => {
+        console.error('❌ Erreur non capturée:', error);
+        bot.stop('ERROR');
+        process.exit(1);
+    });
+
+    process.on('unhandledRejection', (reason, promise) => {
+        console.error('❌ Promesse rejetée:', reason);
+        bot.stop('ERROR');
+        process.exit(1);
+    });
+
+    // Démarrage
+    bot.start().catch(error => {
+        console.error('❌ Erreur fatale:', error);
+        process.exit(1);
+    });
+
+    // Horloge virtuelle: la session entière est jouée sans attendre le temps réel
+    if (bot.clock.isVirtual()) {
+        const hours = CONFIG.SIMULATION.DURATION / 3600000;
+        console.log(`⏩ Horloge virtuelle: simulation de ${hours}h depuis ${bot.clock.date().toISOString()}`);
+
+        bot.clock.runFor(CONFIG.SIMULATION.DURATION).then(() => {
+            bot.stop();
+            process.exit(0);
+        });
+    }
+
+    return bot;
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { RealisticTradingBot, TradeTracker, CONFIG, main };
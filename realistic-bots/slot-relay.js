@@ -0,0 +1,203 @@
+// ===== RELAIS ENTRE CRÉNEAUX GITHUB ACTIONS =====
+// Les workflows bot-slot-00/06/12/18 lancent le bot pour 6h avec TIME_SLOT.
+// Protocole de passation via le bloc relayInfo de state.json :
+//  - begin(): vérifie la passation du créneau précédent (créneau manqué, chevauchement,
+//             session interrompue), marque la session active et fixe l'échéance
+//  - end()  : écrit l'enregistrement de passation (positions ouvertes, compteurs)
+//             et désigne le créneau suivant
+// Les autres clés de state.json (tradingData, portefeuilles...) ne sont jamais modifiées.
+const fs = require('fs');
+const { writeFileAtomic } = require('./trade-journal');
+
+const HOUR = 3600000;
+
+const RELAY_STATUS = {
+    OK: 'OK',
+    FIRST_SESSION: 'FIRST_SESSION',
+    MISSED: 'MISSED',             // un ou plusieurs créneaux sans session
+    INTERRUPTED: 'INTERRUPTED',   // session précédente terminée sans passation
+    REPEATED: 'REPEATED',         // créneau relancé avant la fin du précédent (lancement manuel)
+    OVERLAP: 'OVERLAP'            // session précédente encore active: démarrage refusé
+};
+
+const MAX_ANOMALIES = 20;
+
+class SlotRelay {
+    constructor(options) {
+        this.slot = options.slot;
+        this.clock = options.clock;
+        this.stateFile = options.stateFile;
+        this.slotHours = options.slotHours || 6;
+        this.safetyMargin = options.safetyMargin || 0;
+        this.active = false;
+        this.deadlineTimer = null;
+
+        if (24 % this.slotHours !== 0 || this.slot % this.slotHours !== 0 || this.slot < 0 || this.slot >= 24) {
+            throw new Error(`Créneau invalide: TIME_SLOT=${this.slot} (créneaux de ${this.slotHours}h)`);
+        }
+    }
+
+    get slotDuration() {
+        return this.slotHours * HOUR;
+    }
+
+    nextSlot() {
+        return (this.slot + this.slotHours) % 24;
+    }
+
+    // Début (UTC) de la dernière occurrence du créneau `slot` à l'instant `time`
+    slotStart(slot, time) {
+        const date = new Date(time);
+        let start = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), slot);
+        if (start > time) start -= 24 * HOUR;
+        return start;
+    }
+
+    readState() {
+        if (!fs.existsSync(this.stateFile)) return {};
+        return JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+    }
+
+    // Réécrit uniquement relayInfo, en relisant le fichier pour ne pas écraser d'autres écritures
+    writeRelayInfo(relayInfo) {
+        const state = this.readState();
+        state.relayInfo = relayInfo;
+        writeFileAtomic(this.stateFile, JSON.stringify(state, null, 2));
+    }
+
+    // Classe la situation par rapport à la session précédente
+    verify(previous, now) {
+        if (!previous || previous.currentSlot === undefined) {
+            return { status: RELAY_STATUS.FIRST_SESSION };
+        }
+
+        if (previous.active) {
+            if (previous.deadline && now < previous.deadline) {
+                return {
+                    status: RELAY_STATUS.OVERLAP,
+                    detail: `créneau ${previous.currentSlot}h actif jusqu'à ${new Date(previous.deadline).toISOString()}`
+                };
+            }
+            return {
+                status: RELAY_STATUS.INTERRUPTED,
+                detail: `créneau ${previous.currentSlot}h terminé sans passation`
+            };
+        }
+
+        const previousEnd = this.slotStart(previous.currentSlot, previous.sessionStart) + this.slotDuration;
+        const currentStart = this.slotStart(this.slot, now);
+        const gap = currentStart - previousEnd;
+
+        if (gap >= this.slotDuration) {
+            const missedSlots = [];
+            for (let time = previousEnd; time < currentStart; time += this.slotDuration) {
+                missedSlots.push(new Date(time).getUTCHours());
+            }
+            return {
+                status: RELAY_STATUS.MISSED,
+                missedSlots,
+                detail: `créneau(x) sans session: ${missedSlots.map(slot => `${slot}h`).join(', ')}`
+            };
+        }
+        if (gap < 0) {
+            return {
+                status: RELAY_STATUS.REPEATED,
+                detail: `créneau ${this.slot}h lancé avant la fin du créneau ${previous.currentSlot}h`
+            };
+        }
+        return { status: RELAY_STATUS.OK };
+    }
+
+    // Vérifie la passation et ouvre la session; renvoie { status, handoff, deadline, ... }
+    begin() {
+        const now = this.clock.now();
+        let previous = null;
+        try {
+            previous = this.readState().relayInfo || null;
+        } catch (error) {
+            console.error(`❌ [RELAY] ${this.stateFile} illisible (${error.message}), reprise sans passation`);
+        }
+
+        const check = this.verify(previous, now);
+        if (check.status === RELAY_STATUS.OVERLAP) {
+            return { ...check, handoff: null, deadline: null };
+        }
+
+        // Échéance: fin du créneau, ou 6h après le lancement si on démarre hors créneau
+        const slotEnd = this.slotStart(this.slot, now) + this.slotDuration;
+        const end = slotEnd > now ? slotEnd : now + this.slotDuration;
+        const deadline = Math.max(now, end - this.safetyMargin);
+
+        const anomalies = (previous && previous.anomalies) || [];
+        if (check.status !== RELAY_STATUS.OK && check.status !== RELAY_STATUS.FIRST_SESSION) {
+            anomalies.push({ status: check.status, slot: this.slot, at: now, detail: check.detail });
+        }
+
+        this.relayInfo = {
+            ...(previous || {}),
+            currentSlot: this.slot,
+            nextSlot: this.nextSlot(),
+            sessionStart: now,
+            deadline,
+            active: true,
+            totalSessions: ((previous && previous.totalSessions) || 0) + 1,
+            anomalies: anomalies.slice(-MAX_ANOMALIES)
+        };
+        this.writeRelayInfo(this.relayInfo);
+        this.active = true;
+
+        return {
+            ...check,
+            handoff: (previous && previous.handoff) || null,
+            deadline
+        };
+    }
+
+    // Programme l'arrêt avant l'échéance du créneau
+    scheduleDeadline(deadline, onDeadline) {
+        this.deadlineTimer = this.clock.setTimeout(onDeadline, deadline - this.clock.now());
+    }
+
+    // Écrit la passation vers le créneau suivant; sans effet si la session n'est pas active
+    end(snapshot, reason) {
+        if (!this.active) return null;
+        this.active = false;
+        this.clock.clearTimeout(this.deadlineTimer);
+
+        const now = this.clock.now();
+        const handoff = {
+            fromSlot: this.slot,
+            toSlot: this.nextSlot(),
+            at: now,
+            reason,
+            ...snapshot
+        };
+
+        this.writeRelayInfo({
+            ...this.relayInfo,
+            active: false,
+            lastHandoff: now,
+            handoff
+        });
+        return handoff;
+    }
+}
+
+// null si TIME_SLOT n'est pas défini (exécution hors GitHub Actions)
+function createSlotRelay(config, clock) {
+    if (config.SLOT === null) return null;
+
+    return new SlotRelay({
+        slot: config.SLOT,
+        clock,
+        stateFile: config.STATE_FILE,
+        slotHours: config.SLOT_HOURS,
+        safetyMargin: config.SAFETY_MARGIN
+    });
+}
+
+module.exports = {
+    SlotRelay,
+    RELAY_STATUS,
+    createSlotRelay
+};
@@ -0,0 +1,370 @@
+// ===== STRATÉGIES DE TRADING =====
+// Interface commune au bot (realistic-bot.js), au bot attached_assets/realistic_trading_bot,
+// au backtester et à l'optimiseur: le même code de stratégie tourne dans les trois contextes.
+//  - onCandle(candle, context) -> signal ou null, pour chaque chandelier clôturé
+//    { symbol, timestamp, open, high, low, close, volume }
+//  - onFill(fill, context): exécution d'un ordre d'entrée ou de sortie
+//    fill { symbol, side, price, quantity, fee, time }, context.type 'ENTRY' | 'EXIT'
+//  - onTimer(time, context) -> liste de signaux, appelé périodiquement par l'hôte
+// context: { position (position ouverte sur le symbole ou null), time }
+// Signaux: { action: 'ENTER', symbol, direction: 'LONG' | 'SHORT', confidence (0-1), price, reason, indicators }
+//          { action: 'EXIT', symbol, reason }
+// Stop-loss, objectif, trailing stop et durée max restent gérés par l'hôte (exit-rules.js).
+
+const { IndicatorSet } = require('./indicators');
+const { isLong } = require('./exit-rules');
+
+const SIGNAL_ACTIONS = {
+    ENTER: 'ENTER',
+    EXIT: 'EXIT'
+};
+
+const DEFAULT_STRATEGY = 'rsi-mean-reversion';
+
+// ===== PARAMÈTRES =====
+// Schéma: { type: 'int' | 'float' | 'boolean', min, max, step, default }
+// (même forme que l'espace de recherche de ParameterOptimizer)
+function resolveParams(name, schema, params = {}) {
+    Object.keys(params).forEach(key => {
+        if (!schema[key]) {
+            throw new Error(`Paramètre inconnu pour la stratégie ${name}: ${key}`);
+        }
+    });
+
+    const resolved = {};
+    Object.entries(schema).forEach(([key, spec]) => {
+        const value = params[key] !== undefined ? params[key] : spec.default;
+
+        if (spec.type === 'boolean') {
+            if (typeof value !== 'boolean') {
+                throw new Error(`${name}.${key}: booléen attendu (${value})`);
+            }
+        } else {
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                throw new Error(`${name}.${key}: nombre attendu (${value})`);
+            }
+            if (spec.type === 'int' && !Number.isInteger(value)) {
+                throw new Error(`${name}.${key}: entier attendu (${value})`);
+            }
+            if (value < spec.min || value > spec.max) {
+                throw new Error(`${name}.${key} hors limites: ${value} (${spec.min} - ${spec.max})`);
+            }
+        }
+        resolved[key] = value;
+    });
+
+    return resolved;
+}
+
+function getDefaultParams(schema) {
+    const params = {};
+    Object.entries(schema).forEach(([key, spec]) => {
+        params[key] = spec.default;
+    });
+    return params;
+}
+
+// ===== CLASSE DE BASE =====
+class Strategy {
+    constructor(params = {}) {
+        const Type = this.constructor;
+        this.name = Type.strategyName || Type.name;
+        this.params = Type.normalizeParams(resolveParams(this.name, Type.schema, params));
+        this.indicators = {}; // symbole -> IndicatorSet
+        this.state = {};      // symbole -> état propre à la stratégie
+    }
+
+    // Périodes d'indicateurs dérivées des paramètres (voir DEFAULT_PERIODS de indicators.js)
+    getIndicatorPeriods() {
+        return {};
+    }
+
+    // Met à jour les indicateurs du symbole et renvoie l'instantané
+    updateIndicators(candle) {
+        if (!this.indicators[candle.symbol]) {
+            this.indicators[candle.symbol] = new IndicatorSet(this.getIndicatorPeriods());
+        }
+        return this.indicators[candle.symbol].update(candle);
+    }
+
+    symbolState(symbol) {
+        return this.state[symbol] || (this.state[symbol] = {});
+    }
+
+    enter(candle, direction, confidence, reason, indicators) {
+        return {
+            action: SIGNAL_ACTIONS.ENTER,
+            symbol: candle.symbol,
+            direction,
+            confidence: Math.max(0, Math.min(1, confidence)),
+            price: candle.close,
+            time: candle.timestamp,
+            reason,
+            indicators
+        };
+    }
+
+    exit(candle, reason) {
+        return {
+            action: SIGNAL_ACTIONS.EXIT,
+            symbol: candle.symbol,
+            price: candle.close,
+            time: candle.timestamp,
+            reason
+        };
+    }
+
+    onCandle(candle, context = {}) {
+        return null;
+    }
+
+    onFill(fill, context = {}) {}
+
+    onTimer(time, context = {}) {
+        return [];
+    }
+
+    // Corrige les relations entre paramètres (ex: EMA courte < EMA longue)
+    static normalizeParams(params) {
+        return params;
+    }
+}
+
+Strategy.schema = {};
+Strategy.description = '';
+
+// ===== RETOUR À LA MOYENNE RSI =====
+// Reprend l'ancienne analyse de realistic-bot.js: RSI extrême confirmé par la stochastique
+// et un volume supérieur à la moyenne; sortie quand le RSI atteint l'extrême opposé
+class RsiMeanReversionStrategy extends Strategy {
+    getIndicatorPeriods() {
+        return { rsi: this.params.rsiPeriod };
+    }
+
+    onCandle(candle, context = {}) {
+        const snapshot = this.updateIndicators(candle);
+        if (!snapshot.ready) return null;
+
+        const p = this.params;
+        const rsi = snapshot.rsi;
+
+        if (context.position) {
+            if (isLong(context.position.direction) && rsi > p.rsiOverbought) {
+                return this.exit(candle, 'RSI_OVERBOUGHT');
+            }
+            if (!isLong(context.position.direction) && rsi < p.rsiOversold) {
+                return this.exit(candle, 'RSI_OVERSOLD');
+            }
+            return null;
+        }
+
+        const volume = snapshot.volumeRatio || 0;
+        if (volume <= p.minVolumeRatio) return null;
+
+        const stochastic = snapshot.stochastic.k;
+        const oversold = rsi < p.rsiOversold && (!p.stochasticConfirm || stochastic < 20);
+        const overbought = rsi > p.rsiOverbought && (!p.stochasticConfirm || stochastic > 80);
+
+        // Confiance: intensité du RSI et du volume
+        const confidence = (Math.abs(rsi - 50) / 50 + Math.min(volume / 2, 1)) / 2;
+
+        if (oversold) return this.enter(candle, 'LONG', confidence, 'RSI_OVERSOLD', snapshot);
+        if (overbought && p.allowShort) return this.enter(candle, 'SHORT', confidence, 'RSI_OVERBOUGHT', snapshot);
+        return null;
+    }
+
+    static normalizeParams(params) {
+        if (params.rsiOversold >= params.rsiOverbought) {
+            params.rsiOverbought = Math.min(100, params.rsiOversold + 20);
+        }
+        return params;
+    }
+}
+
+RsiMeanReversionStrategy.description = 'RSI extrême + stochastique + volume, sortie à l\'extrême opposé';
+RsiMeanReversionStrategy.schema = {
+    rsiPeriod: { type: 'int', min: 7, max: 21, step: 1, default: 14 },
+    rsiOversold: { type: 'int', min: 20, max: 40, step: 2, default: 30 },
+    rsiOverbought: { type: 'int', min: 60, max: 80, step: 2, default: 70 },
+    minVolumeRatio: { type: 'float', min: 0.5, max: 2.0, step: 0.1, default: 1.0 },
+    stochasticConfirm: { type: 'boolean', default: true },
+    allowShort: { type: 'boolean', default: true }
+};
+
+// ===== CROISEMENT DE MOYENNES EXPONENTIELLES =====
+// Entrée au croisement EMA courte / EMA longue dans le sens de la SMA de tendance,
+// filtrée par le volume et la volatilité; sortie au croisement inverse
+class EmaCrossoverStrategy extends Strategy {
+    getIndicatorPeriods() {
+        return {
+            emaFast: this.params.fastPeriod,
+            emaSlow: this.params.slowPeriod,
+            smaFast: this.params.trendPeriod
+        };
+    }
+
+    onCandle(candle, context = {}) {
+        const snapshot = this.updateIndicators(candle);
+        if (snapshot.emaFast === null || snapshot.emaSlow === null) return null;
+
+        const state = this.symbolState(candle.symbol);
+        const previous = state.spread;
+        const spread = snapshot.emaFast - snapshot.emaSlow;
+        state.spread = spread;
+        if (previous === undefined || !snapshot.ready) return null;
+
+        const p = this.params;
+        const crossUp = previous <= 0 && spread > 0;
+        const crossDown = previous >= 0 && spread < 0;
+
+        if (context.position) {
+            if (isLong(context.position.direction) && crossDown) return this.exit(candle, 'EMA_CROSS_DOWN');
+            if (!isLong(context.position.direction) && crossUp) return this.exit(candle, 'EMA_CROSS_UP');
+            return null;
+        }
+
+        const volume = snapshot.volumeRatio || 0;
+        const volatility = snapshot.volatility;
+        if (volume < p.minVolumeRatio || volatility < p.minVolatility || volatility > p.maxVolatility) {
+            return null;
+        }
+
+        // Confiance: écart du prix à la SMA de tendance (1% = maximum) et volume
+        const price = candle.close;
+        const trend = Math.min(Math.abs(price - snapshot.smaFast) / snapshot.smaFast / 0.01, 1);
+        const confidence = (trend + Math.min(volume / 2, 1)) / 2;
+
+        if (crossUp && price > snapshot.smaFast) {
+            return this.enter(candle, 'LONG', confidence, 'EMA_CROSS_UP', snapshot);
+        }
+        if (crossDown && price < snapshot.smaFast && p.allowShort) {
+            return this.enter(candle, 'SHORT', confidence, 'EMA_CROSS_DOWN', snapshot);
+        }
+        return null;
+    }
+
+    static normalizeParams(params) {
+        if (params.fastPeriod >= params.slowPeriod) {
+            params.slowPeriod = params.fastPeriod + 5;
+        }
+        if (params.minVolatility >= params.maxVolatility) {
+            params.maxVolatility = params.minVolatility + 0.01;
+        }
+        return params;
+    }
+}
+
+EmaCrossoverStrategy.description = 'Croisement EMA dans le sens de la tendance, sortie au croisement inverse';
+EmaCrossoverStrategy.schema = {
+    fastPeriod: { type: 'int', min: 5, max: 15, step: 1, default: 12 },
+    slowPeriod: { type: 'int', min: 20, max: 35, step: 1, default: 26 },
+    trendPeriod: { type: 'int', min: 10, max: 50, step: 2, default: 20 },
+    minVolumeRatio: { type: 'float', min: 0.5, max: 2.0, step: 0.1, default: 1.0 },
+    minVolatility: { type: 'float', min: 0, max: 0.02, step: 0.0025, default: 0.0025 },
+    maxVolatility: { type: 'float', min: 0.03, max: 0.08, step: 0.005, default: 0.05 },
+    allowShort: { type: 'boolean', default: true }
+};
+
+// ===== CASSURE DE CANAL =====
+// Entrée quand la clôture sort du canal des N derniers chandeliers avec un volume élevé;
+// sortie au retour sous (ou au-dessus) du milieu du canal
+class BreakoutStrategy extends Strategy {
+    getIndicatorPeriods() {
+        return { channel: this.params.channelPeriod };
+    }
+
+    onCandle(candle, context = {}) {
+        const snapshot = this.updateIndicators(candle);
+
+        // Canal précédent: celui de l'instantané inclut déjà la clôture courante
+        const state = this.symbolState(candle.symbol);
+        const channel = state.channel;
+        state.channel = { support: snapshot.support, resistance: snapshot.resistance };
+        if (!channel || !snapshot.ready) return null;
+
+        const p = this.params;
+        const price = candle.close;
+        const middle = (channel.support + channel.resistance) / 2;
+
+        if (context.position) {
+            if (isLong(context.position.direction) && price < middle) return this.exit(candle, 'CHANNEL_MIDDLE');
+            if (!isLong(context.position.direction) && price > middle) return this.exit(candle, 'CHANNEL_MIDDLE');
+            return null;
+        }
+
+        const volume = snapshot.volumeRatio || 0;
+        if (volume < p.minVolumeRatio) return null;
+
+        // Confiance: amplitude de la cassure (1% = maximum) et volume
+        const volumeScore = Math.min(volume / 3, 1);
+        if (price > channel.resistance * (1 + p.breakoutBuffer)) {
+            const strength = Math.min((price / channel.resistance - 1) / 0.01, 1);
+            return this.enter(candle, 'LONG', (strength + volumeScore) / 2, 'BREAKOUT_UP', snapshot);
+        }
+        if (price < channel.support * (1 - p.breakoutBuffer) && p.allowShort) {
+            const strength = Math.min((1 - price / channel.support) / 0.01, 1);
+            return this.enter(candle, 'SHORT', (strength + volumeScore) / 2, 'BREAKOUT_DOWN', snapshot);
+        }
+        return null;
+    }
+}
+
+BreakoutStrategy.description = 'Cassure du plus haut/plus bas sur N chandeliers avec volume, sortie au milieu du canal';
+BreakoutStrategy.schema = {
+    channelPeriod: { type: 'int', min: 10, max: 50, step: 2, default: 20 },
+    breakoutBuffer: { type: 'float', min: 0, max: 0.01, step: 0.001, default: 0.001 },
+    minVolumeRatio: { type: 'float', min: 1.0, max: 3.0, step: 0.1, default: 1.5 },
+    allowShort: { type: 'boolean', default: true }
+};
+
+// ===== REGISTRE =====
+const registry = {};
+
+function registerStrategy(name, StrategyClass) {
+    if (!(StrategyClass.prototype instanceof Strategy)) {
+        throw new Error(`Stratégie ${name}: la classe doit étendre Strategy`);
+    }
+    StrategyClass.strategyName = name;
+    registry[name] = StrategyClass;
+    return StrategyClass;
+}
+
+function getStrategyClass(name) {
+    const StrategyClass = registry[name];
+    if (!StrategyClass) {
+        throw new Error(`Stratégie inconnue: ${name} (disponibles: ${Object.keys(registry).join(', ')})`);
+    }
+    return StrategyClass;
+}
+
+function createStrategy(name = DEFAULT_STRATEGY, params = {}) {
+    const StrategyClass = getStrategyClass(name);
+    return new StrategyClass(params);
+}
+
+function listStrategies() {
+    return Object.entries(registry).map(([name, StrategyClass]) => ({
+        name,
+        description: StrategyClass.description,
+        schema: StrategyClass.schema
+    }));
+}
+
+registerStrategy('rsi-mean-reversion', RsiMeanReversionStrategy);
+registerStrategy('ema-crossover', EmaCrossoverStrategy);
+registerStrategy('breakout', BreakoutStrategy);
+
+module.exports = {
+    Strategy,
+    RsiMeanReversionStrategy,
+    EmaCrossoverStrategy,
+    BreakoutStrategy,
+    SIGNAL_ACTIONS,
+    DEFAULT_STRATEGY,
+    registerStrategy,
+    getStrategyClass,
+    createStrategy,
+    listStrategies,
+    resolveParams,
+    getDefaultParams
+};
@@ -0,0 +1,168 @@
+// ===== JOURNAL DES TRADES (JSONL, AJOUT SEUL) =====
+// Chaque ouverture/clôture est un événement d'une ligne ajouté au journal (O(1) par trade).
+// Un instantané complet (trades_detail.json) est écrit atomiquement (fichier temporaire + rename)
+// lors des compactions; au chargement: instantané + rejeu du préfixe valide du journal.
+const fs = require('fs');
+const path = require('path');
+
+const EVENT_TYPES = {
+    TRADE_OPENED: 'TRADE_OPENED',
+    TRADE_CLOSED: 'TRADE_CLOSED'
+};
+
+// Écriture atomique: un crash laisse soit l'ancien fichier, soit le nouveau, jamais un mélange
+function writeFileAtomic(file, content) {
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    const fd = fs.openSync(tmpFile, 'w');
+    try {
+        fs.writeSync(fd, content);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tmpFile, file);
+}
+
+// Applique un événement; idempotent pour pouvoir rejouer un journal déjà compacté.
+// false: événement inapplicable (type inconnu, clôture d'un trade absent), ignoré au rejeu
+function applyEvent(trades, index, event) {
+    switch (event.type) {
+        case EVENT_TYPES.TRADE_OPENED: {
+            const existing = index.get(event.trade.id);
+            if (existing !== undefined) {
+                trades[existing] = { ...event.trade };
+            } else {
+                index.set(event.trade.id, trades.length);
+                trades.push({ ...event.trade });
+            }
+            return true;
+        }
+        case EVENT_TYPES.TRADE_CLOSED: {
+            const position = index.get(event.tradeId);
+            if (position === undefined) return false;
+            Object.assign(trades[position], event.changes);
+            return true;
+        }
+        default:
+            return false;
+    }
+}
+
+class TradeJournal {
+    constructor(options) {
+        this.journalFile = options.journalFile;
+        this.snapshotFile = options.snapshotFile;
+        this.compactEvery = options.compactEvery || 100;
+        this.fsync = options.fsync !== false;
+        this.fd = null;
+        this.pendingEvents = 0;
+    }
+
+    // Charge l'instantané puis rejoue le journal; renvoie la liste des trades
+    load() {
+        const trades = this.loadSnapshot();
+        const index = new Map(trades.map((trade, i) => [trade.id, i]));
+        const replayed = this.replayJournal(trades, index);
+
+        this.pendingEvents = replayed;
+        return trades;
+    }
+
+    loadSnapshot() {
+        if (!fs.existsSync(this.snapshotFile)) return [];
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.snapshotFile, 'utf8'));
+            if (!Array.isArray(data)) throw new Error('instantané non tableau');
+            return data;
+        } catch (error) {
+            // Jamais d'écrasement silencieux: on met le fichier illisible de côté
+            const backup = `${this.snapshotFile}.corrupt-${Date.now()}`;
+            fs.renameSync(this.snapshotFile, backup);
+            console.error(`❌ Instantané des trades illisible (${error.message}), sauvegardé dans ${backup}`);
+            return [];
+        }
+    }
+
+    // Rejoue les événements valides; tronque le journal après la première ligne corrompue.
+    // Un événement inapplicable (ex. clôture d'un trade perdu avec l'instantané) est ignoré sans arrêter le rejeu.
+    replayJournal(trades, index) {
+        if (!fs.existsSync(this.journalFile)) return 0;
+
+        const content = fs.readFileSync(this.journalFile);
+        let offset = 0;
+        let replayed = 0;
+        const skipped = [];
+
+        while (offset < content.length) {
+            const end = content.indexOf(0x0a, offset);
+            // Dernière ligne sans retour chariot = écriture interrompue
+            if (end === -1) break;
+
+            let event;
+            try {
+                event = JSON.parse(content.slice(offset, end).toString('utf8'));
+            } catch (error) {
+                break;
+            }
+            if (!event || typeof event !== 'object') break;
+            if (!applyEvent(trades, index, event)) skipped.push(event);
+
+            offset = end + 1;
+            replayed++;
+        }
+
+        if (skipped.length > 0) {
+            const details = skipped.map(event => `${event.type}${event.tradeId ? ` ${event.tradeId}` : ''}`).join(', ');
+            console.error(`⚠️ ${skipped.length} événements du journal ignorés (trade inconnu ou type inconnu): ${details}`);
+        }
+
+        if (offset < content.length) {
+            const backup = `${this.journalFile}.corrupt-${Date.now()}`;
+            fs.writeFileSync(backup, content.slice(offset));
+            writeFileAtomic(this.journalFile, content.slice(0, offset));
+            console.error(`⚠️ Journal des trades corrompu: ${replayed} événements récupérés, fin sauvegardée dans ${backup}`);
+        }
+
+        return replayed;
+    }
+
+    append(event) {
+        if (this.fd === null) {
+            fs.mkdirSync(path.dirname(this.journalFile), { recursive: true });
+            this.fd = fs.openSync(this.journalFile, 'a');
+        }
+
+        fs.writeSync(this.fd, JSON.stringify(event) + '\n');
+        if (this.fsync) fs.fsyncSync(this.fd);
+        this.pendingEvents++;
+    }
+
+    shouldCompact() {
+        return this.pendingEvents >= this.compactEvery;
+    }
+
+    // Écrit l'instantané complet puis vide le journal.
+    // Un crash entre les deux étapes est sans effet: le rejeu est idempotent.
+    compact(trades) {
+        writeFileAtomic(this.snapshotFile, JSON.stringify(trades, null, 2));
+
+        this.close();
+        fs.writeFileSync(this.journalFile, '');
+        this.pendingEvents = 0;
+    }
+
+    close() {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+}
+
+module.exports = {
+    TradeJournal,
+    EVENT_TYPES,
+    applyEvent,
+    writeFileAtomic
+};
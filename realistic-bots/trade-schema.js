@@ -0,0 +1,293 @@
+// ===== SCHÉMA UNIFIÉ DES TRADES =====
+// Format unique écrit par tous les producteurs (bot, bot attached_assets, backtester)
+// et lu par tous les consommateurs (dashboard, analyseur de performance, module ML).
+// Les anciens enregistrements sont mis à niveau à la lecture par upgradeTrade().
+//
+// Version 1 :
+//  - id, symbol, direction ('LONG' | 'SHORT'), status ('OPEN' | 'CLOSED')
+//  - entryPrice, exitPrice, quantity (unités), positionSize (valeur à l'entrée)
+//  - entryTime, exitTime, duration (millisecondes epoch)
+//  - pnl (devise de cotation), pnlPercent (% de positionSize), isWin, fees
+//  - exitReason, session, confidence (champs optionnels)
+// Les champs supplémentaires (niveaux de sortie, indicateurs...) sont conservés tels quels.
+const fs = require('fs');
+const path = require('path');
+const { EVENT_TYPES, applyEvent } = require('./trade-journal');
+
+const TRADE_SCHEMA_VERSION = 1;
+
+const DIRECTIONS = ['LONG', 'SHORT'];
+const STATUSES = ['OPEN', 'CLOSED'];
+
+// Champs des anciens formats remplacés par leur équivalent v1
+const LEGACY_FIELDS = ['amount', 'openedAt', 'closedAt', 'timestamp', 'realizedPnL', 'pnLPercent', 'size', 'reason'];
+
+// ===== CONVERSIONS =====
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+// Accepte un epoch en ms, une chaîne numérique ou une date ISO
+function toMillis(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (value instanceof Date) return value.getTime();
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    const millis = /^\d+$/.test(String(value)) ? Number(value) : new Date(value).getTime();
+    return Number.isFinite(millis) ? millis : null;
+}
+
+function normalizeDirection(direction) {
+    if (direction === 'BUY' || direction === 'LONG') return 'LONG';
+    if (direction === 'SELL' || direction === 'SHORT') return 'SHORT';
+    return direction;
+}
+
+function firstDefined(...values) {
+    return values.find(value => value !== undefined && value !== null);
+}
+
+// ===== MIGRATIONS =====
+// v0: enregistrements sans schemaVersion, quel que soit le producteur :
+//  - realistic-bot   : amount, timestamp/openedAt, closedAt (ISO), LONG/SHORT
+//  - bot attached    : quantity, positionSize, timestamp (ms), exitTime, realizedPnL, pnLPercent (texte), reason, BUY/SELL, ACTIVE
+//  - backtester      : size, entryTime/exitTime, pnl, pnlPercent, reason, BUY/SELL
+function upgradeV0(raw) {
+    const entryPrice = toNumber(raw.entryPrice);
+    const entryTime = toMillis(firstDefined(raw.entryTime, raw.openedAt, raw.timestamp));
+    const exitTime = toMillis(firstDefined(raw.exitTime, raw.closedAt));
+
+    let quantity = toNumber(firstDefined(raw.quantity, raw.amount));
+    let positionSize = toNumber(firstDefined(raw.positionSize, raw.size));
+    if (quantity === null && positionSize !== null && entryPrice) quantity = positionSize / entryPrice;
+    if (positionSize === null && quantity !== null && entryPrice !== null) positionSize = quantity * entryPrice;
+
+    const pnl = toNumber(firstDefined(raw.pnl, raw.realizedPnL));
+    let pnlPercent = toNumber(firstDefined(raw.pnlPercent, raw.pnLPercent));
+    if (pnlPercent === null && pnl !== null && positionSize) pnlPercent = pnl / positionSize * 100;
+
+    let status = raw.status === 'ACTIVE' ? 'OPEN' : raw.status;
+    if (!STATUSES.includes(status)) status = exitTime !== null ? 'CLOSED' : 'OPEN';
+
+    const trade = { ...raw };
+    LEGACY_FIELDS.forEach(field => { delete trade[field]; });
+
+    return {
+        ...trade,
+        schemaVersion: 1,
+        id: raw.id || `${raw.symbol}_${entryTime}`,
+        direction: normalizeDirection(raw.direction),
+        status,
+        entryPrice,
+        exitPrice: toNumber(raw.exitPrice),
+        quantity,
+        positionSize,
+        entryTime,
+        exitTime,
+        duration: toNumber(raw.duration) !== null ? toNumber(raw.duration) :
+                  (exitTime !== null && entryTime !== null ? exitTime - entryTime : null),
+        pnl,
+        pnlPercent,
+        isWin: status === 'CLOSED' ? pnl > 0 : null,
+        fees: toNumber(raw.fees) || 0,
+        exitReason: firstDefined(raw.exitReason, raw.reason) || null
+    };
+}
+
+// MIGRATIONS[n] convertit un enregistrement de la version n vers n + 1
+const MIGRATIONS = {
+    0: upgradeV0
+};
+
+function upgradeTrade(raw) {
+    let trade = raw;
+    let version = raw.schemaVersion || 0;
+
+    if (version > TRADE_SCHEMA_VERSION) {
+        throw new Error(`Trade ${raw.id}: schéma v${version} plus récent que v${TRADE_SCHEMA_VERSION}`);
+    }
+    while (version < TRADE_SCHEMA_VERSION) {
+        trade = MIGRATIONS[version](trade);
+        version = trade.schemaVersion;
+    }
+    return trade;
+}
+
+// ===== VALIDATION =====
+// Renvoie la liste des erreurs (vide si le trade est valide)
+function validateTrade(trade) {
+    const errors = [];
+    const isFiniteNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+    if (trade.schemaVersion !== TRADE_SCHEMA_VERSION) errors.push(`schemaVersion ${trade.schemaVersion}`);
+    if (!trade.id || typeof trade.id !== 'string') errors.push('id manquant');
+    if (!trade.symbol || typeof trade.symbol !== 'string') errors.push('symbol manquant');
+    if (!DIRECTIONS.includes(trade.direction)) errors.push(`direction invalide: ${trade.direction}`);
+    if (!STATUSES.includes(trade.status)) errors.push(`status invalide: ${trade.status}`);
+    if (!isFiniteNumber(trade.entryPrice) || trade.entryPrice <= 0) errors.push('entryPrice invalide');
+    if (!isFiniteNumber(trade.entryTime)) errors.push('entryTime invalide');
+    if (trade.quantity !== null && !isFiniteNumber(trade.quantity)) errors.push('quantity invalide');
+    if (!isFiniteNumber(trade.fees)) errors.push('fees invalide');
+
+    if (trade.status === 'CLOSED') {
+        if (!isFiniteNumber(trade.exitPrice)) errors.push('exitPrice invalide');
+        if (!isFiniteNumber(trade.exitTime)) errors.push('exitTime invalide');
+        if (!isFiniteNumber(trade.pnl)) errors.push('pnl invalide');
+        if (typeof trade.isWin !== 'boolean') errors.push('isWin invalide');
+    }
+
+    return errors;
+}
+
+function assertValidTrade(trade) {
+    const errors = validateTrade(trade);
+    if (errors.length > 0) {
+        throw new Error(`Trade invalide (${trade.id}): ${errors.join(', ')}`);
+    }
+    return trade;
+}
+
+// ===== CONSTRUCTION =====
+// Nouveau trade ouvert au format courant
+function createTrade(fields) {
+    const { id, symbol, ...extra } = fields;
+    const quantity = toNumber(fields.quantity);
+    const entryPrice = toNumber(fields.entryPrice);
+
+    return assertValidTrade({
+        schemaVersion: TRADE_SCHEMA_VERSION,
+        id,
+        symbol,
+        ...extra,
+        direction: normalizeDirection(fields.direction),
+        status: 'OPEN',
+        entryPrice,
+        exitPrice: null,
+        quantity,
+        positionSize: toNumber(fields.positionSize) !== null ? toNumber(fields.positionSize) :
+                      (quantity !== null ? quantity * entryPrice : null),
+        entryTime: toMillis(fields.entryTime),
+        exitTime: null,
+        duration: null,
+        pnl: null,
+        pnlPercent: null,
+        isWin: null,
+        fees: toNumber(fields.fees) || 0,
+        exitReason: null
+    });
+}
+
+// Champs de clôture d'un trade (renvoyés séparément pour le journal)
+function closeFields(trade, { exitPrice, exitTime, pnl, exitReason, fees }) {
+    const totalFees = (trade.fees || 0) + (toNumber(fees) || 0);
+
+    return {
+        exitPrice,
+        exitTime,
+        duration: exitTime - trade.entryTime,
+        pnl,
+        pnlPercent: trade.positionSize ? pnl / trade.positionSize * 100 : null,
+        isWin: pnl > 0,
+        fees: totalFees,
+        exitReason: exitReason || null,
+        status: 'CLOSED'
+    };
+}
+
+// Mise à niveau + validation d'un enregistrement produit ailleurs (bot attached, backtester)
+function normalizeTrade(raw) {
+    return assertValidTrade(upgradeTrade(raw));
+}
+
+// ===== LECTURE =====
+// Lit un fichier de trades quel que soit son format :
+//  - tableau JSON (instantané trades_detail.json)
+//  - JSONL d'événements (trades_journal.jsonl)
+//  - JSONL d'enregistrements (logs/trading/trades.json, entrées de log ignorées)
+function readTradeFile(file, trades = [], index = new Map()) {
+    if (!fs.existsSync(file)) return trades;
+
+    const content = fs.readFileSync(file, 'utf8').trim();
+    if (content === '') return trades;
+
+    let records;
+    if (content.startsWith('[')) {
+        records = JSON.parse(content);
+    } else {
+        records = [];
+        content.split('\n').forEach(line => {
+            try {
+                records.push(JSON.parse(line));
+            } catch (error) {
+                // Ligne partielle (écriture interrompue): ignorée
+            }
+        });
+    }
+
+    records.forEach(record => {
+        if (!record) return;
+        if (record.type === EVENT_TYPES.TRADE_OPENED || record.type === EVENT_TYPES.TRADE_CLOSED) {
+            applyEvent(trades, index, record);
+            return;
+        }
+        // Entrées de log mêlées aux trades: pas de symbole ni de prix d'entrée
+        if (!record.symbol || record.entryPrice === undefined) return;
+
+        const id = record.id || `${record.symbol}_${toMillis(firstDefined(record.entryTime, record.timestamp))}`;
+        applyEvent(trades, index, { type: EVENT_TYPES.TRADE_OPENED, trade: { ...record, id } });
+    });
+
+    return trades;
+}
+
+// Fusionne plusieurs sources (un même id: la dernière version lue l'emporte)
+// et renvoie uniquement des trades valides au format courant
+function loadTrades(files) {
+    const trades = [];
+    const index = new Map();
+
+    files.forEach(file => {
+        try {
+            readTradeFile(file, trades, index);
+        } catch (error) {
+            console.error(`❌ Lecture des trades impossible (${file}): ${error.message}`);
+        }
+    });
+
+    return trades.reduce((valid, raw) => {
+        try {
+            valid.push(normalizeTrade(raw));
+        } catch (error) {
+            console.warn(`⚠️ Trade ignoré: ${error.message}`);
+        }
+        return valid;
+    }, []);
+}
+
+// Emplacements lus par défaut sous un dossier de logs :
+// instantané + journal du bot, puis l'ancien fichier logs/trading/trades.json
+function defaultTradeFiles(logsPath = './logs') {
+    return [
+        path.join(logsPath, 'trades_detail.json'),
+        path.join(logsPath, 'trades_journal.jsonl'),
+        path.join(logsPath, 'trading', 'trades.json')
+    ];
+}
+
+module.exports = {
+    TRADE_SCHEMA_VERSION,
+    DIRECTIONS,
+    STATUSES,
+    MIGRATIONS,
+    createTrade,
+    closeFields,
+    upgradeTrade,
+    validateTrade,
+    assertValidTrade,
+    normalizeTrade,
+    normalizeDirection,
+    loadTrades,
+    readTradeFile,
+    defaultTradeFiles
+};
@@ -0,0 +1,118 @@
+// ===== POOL DE WORKER_THREADS =====
+// File de tâches répartie sur N workers (un message en cours par worker).
+// Côté worker, serveWorker(handler) répond aux tâches: { id, payload } -> { id, result | error }.
+// cancel() rejette les tâches en attente et en cours (error.code = 'CANCELLED') et arrête les workers.
+const { Worker, parentPort } = require('worker_threads');
+
+const CANCELLED = 'CANCELLED';
+
+function cancelledError(reason) {
+    const error = new Error(reason || 'Tâche annulée');
+    error.code = CANCELLED;
+    return error;
+}
+
+class WorkerPool {
+    constructor(script, options = {}) {
+        this.script = script;
+        this.size = Math.max(1, options.size || 2);
+        this.workerData = options.workerData || {};
+        this.queue = [];
+        this.workers = [];
+        this.nextId = 1;
+        this.closed = false;
+
+        for (let i = 0; i < this.size; i++) {
+            this.workers.push(this.spawn());
+        }
+    }
+
+    spawn() {
+        const slot = { worker: new Worker(this.script, { workerData: this.workerData }), task: null };
+
+        slot.worker.on('message', ({ id, result, error }) => {
+            const task = slot.task;
+            if (!task || task.id !== id) return;
+            slot.task = null;
+            if (error) {
+                task.reject(new Error(error));
+            } else {
+                task.resolve(result);
+            }
+            this.dispatch();
+        });
+
+        // Worker tombé: sa tâche échoue, un remplaçant prend sa place
+        const onFailure = (error) => {
+            const task = slot.task;
+            slot.task = null;
+            if (task) task.reject(error);
+            if (this.closed) return;
+            const index = this.workers.indexOf(slot);
+            if (index !== -1) {
+                this.workers[index] = this.spawn();
+                this.dispatch();
+            }
+        };
+        slot.worker.on('error', onFailure);
+        slot.worker.on('exit', code => {
+            if (!this.closed && code !== 0) {
+                onFailure(new Error(`Worker arrêté (code ${code})`));
+            }
+        });
+
+        return slot;
+    }
+
+    run(payload) {
+        if (this.closed) {
+            return Promise.reject(cancelledError('Pool fermé'));
+        }
+        return new Promise((resolve, reject) => {
+            this.queue.push({ id: this.nextId++, payload, resolve, reject });
+            this.dispatch();
+        });
+    }
+
+    dispatch() {
+        this.workers.forEach(slot => {
+            if (slot.task || this.queue.length === 0) return;
+            slot.task = this.queue.shift();
+            slot.worker.postMessage({ id: slot.task.id, payload: slot.task.payload });
+        });
+    }
+
+    async cancel(reason) {
+        const error = cancelledError(reason);
+        this.queue.splice(0).forEach(task => task.reject(error));
+        this.workers.forEach(slot => {
+            if (slot.task) slot.task.reject(error);
+            slot.task = null;
+        });
+        await this.close();
+    }
+
+    async close() {
+        if (this.closed) return;
+        this.closed = true;
+        await Promise.all(this.workers.map(slot => slot.worker.terminate()));
+    }
+}
+
+// Boucle de service côté worker
+function serveWorker(handler) {
+    parentPort.on('message', async ({ id, payload }) => {
+        try {
+            parentPort.postMessage({ id, result: await handler(payload) });
+        } catch (error) {
+            parentPort.postMessage({ id, error: error.message });
+        }
+    });
+}
+
+module.exports = {
+    WorkerPool,
+    serveWorker,
+    cancelledError,
+    CANCELLED
+};